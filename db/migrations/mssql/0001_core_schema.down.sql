@@ -0,0 +1,11 @@
+-- =============================================================
+-- Migration 0001 (down): drop core tables in reverse FK order.
+-- Destroys all application data; intended for local/dev resets.
+-- =============================================================
+IF OBJECT_ID(N'[dbo].[match_jobs]', N'U') IS NOT NULL DROP TABLE dbo.match_jobs;
+IF OBJECT_ID(N'[dbo].[matches]', N'U') IS NOT NULL DROP TABLE dbo.matches;
+IF OBJECT_ID(N'[dbo].[candidate_skills]', N'U') IS NOT NULL DROP TABLE dbo.candidate_skills;
+IF OBJECT_ID(N'[dbo].[requirements]', N'U') IS NOT NULL DROP TABLE dbo.requirements;
+IF OBJECT_ID(N'[dbo].[job_descriptions]', N'U') IS NOT NULL DROP TABLE dbo.job_descriptions;
+IF OBJECT_ID(N'[dbo].[resumes]', N'U') IS NOT NULL DROP TABLE dbo.resumes;
+IF OBJECT_ID(N'[dbo].[users]', N'U') IS NOT NULL DROP TABLE dbo.users;
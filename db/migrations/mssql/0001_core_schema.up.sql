@@ -1,5 +1,5 @@
 -- =============================================================
--- Layer1 Core Schema (SQL Server)
+-- Migration 0001: Layer1 core schema (SQL Server)
 -- Purpose: Stores users, uploaded resumes & job descriptions,
 --          extracted skills/requirements, and match workflow.
 -- Notes:
@@ -8,6 +8,8 @@
 --    immutable (business) result artifact.
 --  * R2 object storage keys stored in storage_path columns.
 --  * All timestamps use SYSUTCDATETIME() for consistency.
+--  * CREATE guards stay so databases bootstrapped by the legacy
+--    db/schema.sql adopt migrations without errors.
 -- =============================================================
 
 IF NOT EXISTS (SELECT * FROM sys.schemas WHERE name = N'dbo')
@@ -49,8 +51,6 @@ BEGIN
         parsed_summary NVARCHAR(MAX) NULL,                     -- JSON/text summary generated by worker
         created_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),-- Insert time
         updated_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),-- Last update time
-        is_deleted BIT NOT NULL DEFAULT 0,                     -- Soft delete flag (0=active,1=deleted)
-        deleted_at DATETIME2 NULL,                             -- Deletion timestamp when is_deleted=1
         CONSTRAINT FK_resumes_users FOREIGN KEY (user_id) REFERENCES dbo.users(id)
     );
 END;
@@ -74,8 +74,6 @@ BEGIN
         parsed_summary NVARCHAR(MAX) NULL,                     -- JSON/text summary generated by worker
         created_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),-- Insert time
         updated_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),-- Last update time
-        is_deleted BIT NOT NULL DEFAULT 0,                     -- Soft delete flag (0=active,1=deleted)
-        deleted_at DATETIME2 NULL,                             -- Deletion timestamp when is_deleted=1
         CONSTRAINT FK_job_descriptions_users FOREIGN KEY (user_id) REFERENCES dbo.users(id)
     );
 END;
@@ -115,23 +113,6 @@ BEGIN
     );
 END;
 
--- =============================================================
--- Job Soft Skills: Display-only soft skills (from O*NET details/skills) NOT used in matching.
--- Stored separately to avoid impacting requirement weighting logic.
--- Only includes items meeting business rule: importance score > 0.50 (after normalization) AND flagged important.
--- =============================================================
-IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[job_soft_skills]') AND type = N'U')
-BEGIN
-    CREATE TABLE dbo.job_soft_skills (
-        id UNIQUEIDENTIFIER NOT NULL PRIMARY KEY,              -- Soft skill UUID
-        job_id UNIQUEIDENTIFIER NOT NULL,                      -- FK to job description
-        skill NVARCHAR(255) NOT NULL,                          -- Soft skill / competency descriptor
-        value DECIMAL(5,2) NULL,                               -- Normalized importance (0-1) for display only
-        created_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),-- Insert time
-        CONSTRAINT FK_job_soft_skills_job FOREIGN KEY (job_id) REFERENCES dbo.job_descriptions(id) ON DELETE CASCADE
-    );
-END;
-
 -- =============================================================
 -- Matches: Immutable (result) record of a completed match process.
 -- Created when a match job finishes successfully (or failed state).
@@ -0,0 +1,17 @@
+-- =============================================================
+-- Migration 0002 (down): remove soft delete columns.
+-- Default constraints may be system-named on legacy databases,
+-- so they are looked up before the columns are dropped.
+-- =============================================================
+DECLARE @sql NVARCHAR(MAX) = N'';
+SELECT @sql = @sql + N'ALTER TABLE dbo.' + QUOTENAME(t.name) + N' DROP CONSTRAINT ' + QUOTENAME(dc.name) + N';'
+  FROM sys.default_constraints dc
+  JOIN sys.columns c ON c.default_object_id = dc.object_id
+  JOIN sys.tables t ON t.object_id = dc.parent_object_id
+ WHERE t.name IN (N'resumes', N'job_descriptions') AND c.name = N'is_deleted';
+IF LEN(@sql) > 0 EXEC sp_executesql @sql;
+
+IF COL_LENGTH('dbo.resumes', 'is_deleted') IS NOT NULL
+    ALTER TABLE dbo.resumes DROP COLUMN is_deleted, deleted_at;
+IF COL_LENGTH('dbo.job_descriptions', 'is_deleted') IS NOT NULL
+    ALTER TABLE dbo.job_descriptions DROP COLUMN is_deleted, deleted_at;
@@ -0,0 +1,15 @@
+-- =============================================================
+-- Migration 0002: soft delete flags on resumes + job_descriptions
+-- is_deleted: 0=active,1=deleted; deleted_at set when flagged.
+-- Guarded so databases that already gained the columns via the
+-- legacy bootstrap script are left untouched.
+-- =============================================================
+IF COL_LENGTH('dbo.resumes', 'is_deleted') IS NULL
+    ALTER TABLE dbo.resumes ADD
+        is_deleted BIT NOT NULL CONSTRAINT DF_resumes_is_deleted DEFAULT 0, -- Soft delete flag (0=active,1=deleted)
+        deleted_at DATETIME2 NULL;                                          -- Deletion timestamp when is_deleted=1
+
+IF COL_LENGTH('dbo.job_descriptions', 'is_deleted') IS NULL
+    ALTER TABLE dbo.job_descriptions ADD
+        is_deleted BIT NOT NULL CONSTRAINT DF_job_descriptions_is_deleted DEFAULT 0, -- Soft delete flag (0=active,1=deleted)
+        deleted_at DATETIME2 NULL;                                                   -- Deletion timestamp when is_deleted=1
@@ -0,0 +1,4 @@
+-- =============================================================
+-- Migration 0003 (down): drop job_soft_skills.
+-- =============================================================
+IF OBJECT_ID(N'[dbo].[job_soft_skills]', N'U') IS NOT NULL DROP TABLE dbo.job_soft_skills;
@@ -0,0 +1,17 @@
+-- =============================================================
+-- Migration 0003: job_soft_skills table
+-- Job Soft Skills: Display-only soft skills (from O*NET details/skills) NOT used in matching.
+-- Stored separately to avoid impacting requirement weighting logic.
+-- Only includes items meeting business rule: importance score > 0.50 (after normalization) AND flagged important.
+-- =============================================================
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[job_soft_skills]') AND type = N'U')
+BEGIN
+    CREATE TABLE dbo.job_soft_skills (
+        id UNIQUEIDENTIFIER NOT NULL PRIMARY KEY,              -- Soft skill UUID
+        job_id UNIQUEIDENTIFIER NOT NULL,                      -- FK to job description
+        skill NVARCHAR(255) NOT NULL,                          -- Soft skill / competency descriptor
+        value DECIMAL(5,2) NULL,                               -- Normalized importance (0-1) for display only
+        created_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),-- Insert time
+        CONSTRAINT FK_job_soft_skills_job FOREIGN KEY (job_id) REFERENCES dbo.job_descriptions(id) ON DELETE CASCADE
+    );
+END;
@@ -0,0 +1,11 @@
+-- =============================================================
+-- Migration 0004 (down): drop content hash indexes + columns.
+-- =============================================================
+IF EXISTS (SELECT * FROM sys.indexes WHERE name = N'IX_resumes_user_content_hash' AND object_id = OBJECT_ID(N'[dbo].[resumes]'))
+    DROP INDEX IX_resumes_user_content_hash ON dbo.resumes;
+IF EXISTS (SELECT * FROM sys.indexes WHERE name = N'IX_job_descriptions_user_content_hash' AND object_id = OBJECT_ID(N'[dbo].[job_descriptions]'))
+    DROP INDEX IX_job_descriptions_user_content_hash ON dbo.job_descriptions;
+IF COL_LENGTH('dbo.resumes', 'content_hash') IS NOT NULL
+    ALTER TABLE dbo.resumes DROP COLUMN content_hash;
+IF COL_LENGTH('dbo.job_descriptions', 'content_hash') IS NOT NULL
+    ALTER TABLE dbo.job_descriptions DROP COLUMN content_hash;
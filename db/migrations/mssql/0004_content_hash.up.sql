@@ -0,0 +1,14 @@
+-- =============================================================
+-- Migration 0004: content hash dedupe
+-- content_hash: SHA-256 (hex) of uploaded bytes / normalized pasted
+-- text, indexed per user for "same user + same content" lookups.
+-- =============================================================
+IF COL_LENGTH('dbo.resumes', 'content_hash') IS NULL
+    ALTER TABLE dbo.resumes ADD content_hash CHAR(64) NULL;
+IF COL_LENGTH('dbo.job_descriptions', 'content_hash') IS NULL
+    ALTER TABLE dbo.job_descriptions ADD content_hash CHAR(64) NULL;
+GO
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = N'IX_resumes_user_content_hash' AND object_id = OBJECT_ID(N'[dbo].[resumes]'))
+    CREATE INDEX IX_resumes_user_content_hash ON dbo.resumes (user_id, content_hash);
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = N'IX_job_descriptions_user_content_hash' AND object_id = OBJECT_ID(N'[dbo].[job_descriptions]'))
+    CREATE INDEX IX_job_descriptions_user_content_hash ON dbo.job_descriptions (user_id, content_hash);
@@ -0,0 +1,3 @@
+-- Migration 0005 (down): drop search index table.
+IF OBJECT_ID(N'[dbo].[search_terms]', N'U') IS NOT NULL
+    DROP TABLE dbo.search_terms;
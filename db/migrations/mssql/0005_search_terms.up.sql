@@ -0,0 +1,24 @@
+-- =============================================================
+-- Migration 0005: search_terms inverted index
+-- One row per (entity, field, term) for the owning user. Rebuilt by
+-- search-service inside the same transaction as parse ingestion, so
+-- search never sees terms for requirements/skills that were replaced.
+-- entity_type: 'job' | 'resume' (polymorphic, so no FK; soft-deleted
+-- entities are removed explicitly and filtered again at query time).
+-- field: title | text | skill; weight = field weight * occurrences.
+-- =============================================================
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[search_terms]') AND type = N'U')
+BEGIN
+    CREATE TABLE dbo.search_terms (
+        user_id UNIQUEIDENTIFIER NOT NULL,                     -- Owner (search is always per user)
+        entity_type NVARCHAR(20) NOT NULL,                     -- job | resume
+        entity_id UNIQUEIDENTIFIER NOT NULL,                   -- job_descriptions.id / resumes.id
+        field NVARCHAR(20) NOT NULL,                           -- title | text | skill
+        term NVARCHAR(100) NOT NULL,                           -- Normalized token (lowercase, no diacritics)
+        weight INT NOT NULL,                                   -- Ranking contribution
+        CONSTRAINT PK_search_terms PRIMARY KEY (entity_type, entity_id, field, term)
+    );
+END;
+GO
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = N'IX_search_terms_user_term' AND object_id = OBJECT_ID(N'[dbo].[search_terms]'))
+    CREATE INDEX IX_search_terms_user_term ON dbo.search_terms (user_id, term) INCLUDE (entity_type, entity_id, weight);
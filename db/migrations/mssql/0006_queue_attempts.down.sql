@@ -0,0 +1,18 @@
+-- =============================================================
+-- Migration 0006 (down): drop queue attempt counters (defaults first).
+-- =============================================================
+IF COL_LENGTH('dbo.resumes', 'attempts') IS NOT NULL
+BEGIN
+    ALTER TABLE dbo.resumes DROP CONSTRAINT DF_resumes_attempts;
+    ALTER TABLE dbo.resumes DROP COLUMN attempts;
+END;
+IF COL_LENGTH('dbo.job_descriptions', 'attempts') IS NOT NULL
+BEGIN
+    ALTER TABLE dbo.job_descriptions DROP CONSTRAINT DF_job_descriptions_attempts;
+    ALTER TABLE dbo.job_descriptions DROP COLUMN attempts;
+END;
+IF COL_LENGTH('dbo.match_jobs', 'attempts') IS NOT NULL
+BEGIN
+    ALTER TABLE dbo.match_jobs DROP CONSTRAINT DF_match_jobs_attempts;
+    ALTER TABLE dbo.match_jobs DROP COLUMN attempts;
+END;
@@ -0,0 +1,12 @@
+-- =============================================================
+-- Migration 0006: queue attempt counters
+-- attempts: BullMQ attempt currently running / last run for the
+-- entity's background job (0 = not started). Written by workers at
+-- the start of each attempt so the API can show retries in flight.
+-- =============================================================
+IF COL_LENGTH('dbo.resumes', 'attempts') IS NULL
+    ALTER TABLE dbo.resumes ADD attempts INT NOT NULL CONSTRAINT DF_resumes_attempts DEFAULT 0;
+IF COL_LENGTH('dbo.job_descriptions', 'attempts') IS NULL
+    ALTER TABLE dbo.job_descriptions ADD attempts INT NOT NULL CONSTRAINT DF_job_descriptions_attempts DEFAULT 0;
+IF COL_LENGTH('dbo.match_jobs', 'attempts') IS NULL
+    ALTER TABLE dbo.match_jobs ADD attempts INT NOT NULL CONSTRAINT DF_match_jobs_attempts DEFAULT 0;
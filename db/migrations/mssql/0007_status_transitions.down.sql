@@ -0,0 +1,5 @@
+-- =============================================================
+-- Migration 0007 (down): drop status transition history.
+-- =============================================================
+IF OBJECT_ID(N'[dbo].[status_transitions]', N'U') IS NOT NULL
+    DROP TABLE dbo.status_transitions;
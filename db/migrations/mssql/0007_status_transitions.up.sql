@@ -0,0 +1,25 @@
+-- =============================================================
+-- Migration 0007: status transition history
+-- One row per status change of a resume, job description or match
+-- job, written in the same transaction as the status UPDATE (see
+-- src/services/lifecycle-service.js). Canonical lifecycles:
+--   resumes / job_descriptions: uploaded -> queued -> processing
+--     -> ready | error (processing -> queued between retries)
+--   match_jobs: queued -> running -> completed | failed
+--     (running -> queued between retries)
+-- =============================================================
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[status_transitions]') AND type = N'U')
+BEGIN
+    CREATE TABLE dbo.status_transitions (
+        id UNIQUEIDENTIFIER NOT NULL PRIMARY KEY,              -- Transition UUID
+        entity_type NVARCHAR(20) NOT NULL,                     -- resume | job | match
+        entity_id UNIQUEIDENTIFIER NOT NULL,                   -- resumes.id / job_descriptions.id / match_jobs.id
+        from_status NVARCHAR(50) NOT NULL,                     -- Status before the change
+        to_status NVARCHAR(50) NOT NULL,                       -- Status after the change
+        reason NVARCHAR(MAX) NULL,                             -- Why (attempt started, error message, ...)
+        created_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME() -- Transition timestamp (UTC)
+    );
+END;
+GO
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = N'IX_status_transitions_entity' AND object_id = OBJECT_ID(N'[dbo].[status_transitions]'))
+    CREATE INDEX IX_status_transitions_entity ON dbo.status_transitions (entity_type, entity_id, created_at);
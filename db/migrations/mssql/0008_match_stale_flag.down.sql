@@ -0,0 +1,8 @@
+-- =============================================================
+-- Migration 0008 (down): drop stale flag on match results.
+-- =============================================================
+IF COL_LENGTH('dbo.matches', 'is_stale') IS NOT NULL
+BEGIN
+    ALTER TABLE dbo.matches DROP CONSTRAINT DF_matches_is_stale;
+    ALTER TABLE dbo.matches DROP COLUMN is_stale;
+END;
@@ -0,0 +1,8 @@
+-- =============================================================
+-- Migration 0008: stale flag on match results
+-- is_stale: 1 once the resume or job description the match was
+-- computed from has been re-parsed (POST /:id/reparse with
+-- markMatchesStale); 0 otherwise.
+-- =============================================================
+IF COL_LENGTH('dbo.matches', 'is_stale') IS NULL
+    ALTER TABLE dbo.matches ADD is_stale BIT NOT NULL CONSTRAINT DF_matches_is_stale DEFAULT 0;
@@ -0,0 +1,23 @@
+-- =============================================================
+-- Migration 0009 (down): drop match input versions (defaults first).
+-- =============================================================
+IF COL_LENGTH('dbo.resumes', 'skills_version') IS NOT NULL
+BEGIN
+    ALTER TABLE dbo.resumes DROP CONSTRAINT DF_resumes_skills_version;
+    ALTER TABLE dbo.resumes DROP COLUMN skills_version;
+END;
+IF COL_LENGTH('dbo.job_descriptions', 'requirements_version') IS NOT NULL
+BEGIN
+    ALTER TABLE dbo.job_descriptions DROP CONSTRAINT DF_job_descriptions_requirements_version;
+    ALTER TABLE dbo.job_descriptions DROP COLUMN requirements_version;
+END;
+IF COL_LENGTH('dbo.matches', 'resume_skills_version') IS NOT NULL
+BEGIN
+    ALTER TABLE dbo.matches DROP CONSTRAINT DF_matches_resume_skills_version;
+    ALTER TABLE dbo.matches DROP COLUMN resume_skills_version;
+END;
+IF COL_LENGTH('dbo.matches', 'job_requirements_version') IS NOT NULL
+BEGIN
+    ALTER TABLE dbo.matches DROP CONSTRAINT DF_matches_job_requirements_version;
+    ALTER TABLE dbo.matches DROP COLUMN job_requirements_version;
+END;
@@ -0,0 +1,15 @@
+-- =============================================================
+-- Migration 0009: match input versions
+-- skills_version / requirements_version: bumped each time a
+-- resume's candidate_skills or a job's requirements are replaced.
+-- matches record the versions they were computed from; a match is
+-- stale once either side has moved on (or is_stale was set).
+-- =============================================================
+IF COL_LENGTH('dbo.resumes', 'skills_version') IS NULL
+    ALTER TABLE dbo.resumes ADD skills_version INT NOT NULL CONSTRAINT DF_resumes_skills_version DEFAULT 0;
+IF COL_LENGTH('dbo.job_descriptions', 'requirements_version') IS NULL
+    ALTER TABLE dbo.job_descriptions ADD requirements_version INT NOT NULL CONSTRAINT DF_job_descriptions_requirements_version DEFAULT 0;
+IF COL_LENGTH('dbo.matches', 'resume_skills_version') IS NULL
+    ALTER TABLE dbo.matches ADD resume_skills_version INT NOT NULL CONSTRAINT DF_matches_resume_skills_version DEFAULT 0;
+IF COL_LENGTH('dbo.matches', 'job_requirements_version') IS NULL
+    ALTER TABLE dbo.matches ADD job_requirements_version INT NOT NULL CONSTRAINT DF_matches_job_requirements_version DEFAULT 0;
@@ -0,0 +1,12 @@
+-- =============================================================
+-- Migration 0010 (down): drop match batches (child link first).
+-- =============================================================
+IF EXISTS (SELECT * FROM sys.indexes WHERE name = N'IX_match_jobs_batch' AND object_id = OBJECT_ID(N'[dbo].[match_jobs]'))
+    DROP INDEX IX_match_jobs_batch ON dbo.match_jobs;
+IF COL_LENGTH('dbo.match_jobs', 'batch_id') IS NOT NULL
+BEGIN
+    ALTER TABLE dbo.match_jobs DROP CONSTRAINT FK_match_jobs_batches;
+    ALTER TABLE dbo.match_jobs DROP COLUMN batch_id;
+END;
+IF OBJECT_ID(N'[dbo].[match_batches]', N'U') IS NOT NULL
+    DROP TABLE dbo.match_batches;
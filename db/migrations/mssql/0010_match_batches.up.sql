@@ -0,0 +1,26 @@
+-- =============================================================
+-- Migration 0010: match batches
+-- One parent row per batch request (one resume against many jobs,
+-- or one job against many resumes). Each pair is a regular
+-- match_jobs row pointing back via batch_id; batch progress and
+-- the leaderboard are derived from those children.
+-- =============================================================
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[match_batches]') AND type = N'U')
+BEGIN
+    CREATE TABLE dbo.match_batches (
+        id UNIQUEIDENTIFIER NOT NULL PRIMARY KEY,              -- Batch UUID
+        user_id UNIQUEIDENTIFIER NULL,                         -- Owning user (for scoping/authorization)
+        anchor_type NVARCHAR(20) NOT NULL,                     -- resume | job (the side shared by every pair)
+        anchor_id UNIQUEIDENTIFIER NOT NULL,                   -- resumes.id / job_descriptions.id
+        total INT NOT NULL,                                    -- Child match_jobs created
+        created_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),-- Insert time
+        updated_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),-- Last update time
+        CONSTRAINT FK_match_batches_users FOREIGN KEY (user_id) REFERENCES dbo.users(id)
+    );
+END;
+GO
+IF COL_LENGTH('dbo.match_jobs', 'batch_id') IS NULL
+    ALTER TABLE dbo.match_jobs ADD batch_id UNIQUEIDENTIFIER NULL CONSTRAINT FK_match_jobs_batches FOREIGN KEY REFERENCES dbo.match_batches(id);
+GO
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = N'IX_match_jobs_batch' AND object_id = OBJECT_ID(N'[dbo].[match_jobs]'))
+    CREATE INDEX IX_match_jobs_batch ON dbo.match_jobs (batch_id);
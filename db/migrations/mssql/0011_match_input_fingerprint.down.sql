@@ -0,0 +1,7 @@
+-- =============================================================
+-- Migration 0011 (down): drop match input fingerprint (index first).
+-- =============================================================
+IF EXISTS (SELECT * FROM sys.indexes WHERE name = N'IX_matches_pair_fingerprint' AND object_id = OBJECT_ID(N'[dbo].[matches]'))
+    DROP INDEX IX_matches_pair_fingerprint ON dbo.matches;
+IF COL_LENGTH('dbo.matches', 'input_fingerprint') IS NOT NULL
+    ALTER TABLE dbo.matches DROP COLUMN input_fingerprint;
@@ -0,0 +1,13 @@
+-- =============================================================
+-- Migration 0011: match input fingerprint
+-- SHA-256 of the skills + requirements payload a match was computed
+-- from (src/services/match-cache-service.js). A new match request
+-- for the same resume/job pair with an identical fingerprint reuses
+-- the row instead of calling the match engine again. NULL on rows
+-- computed before this migration (never a cache hit).
+-- =============================================================
+IF COL_LENGTH('dbo.matches', 'input_fingerprint') IS NULL
+    ALTER TABLE dbo.matches ADD input_fingerprint CHAR(64) NULL;
+GO
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = N'IX_matches_pair_fingerprint' AND object_id = OBJECT_ID(N'[dbo].[matches]'))
+    CREATE INDEX IX_matches_pair_fingerprint ON dbo.matches (resume_id, job_id, input_fingerprint);
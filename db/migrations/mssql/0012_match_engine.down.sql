@@ -0,0 +1,8 @@
+-- =============================================================
+-- Migration 0012 (down): drop match engine (default first).
+-- =============================================================
+IF COL_LENGTH('dbo.matches', 'engine') IS NOT NULL
+BEGIN
+    ALTER TABLE dbo.matches DROP CONSTRAINT DF_matches_engine;
+    ALTER TABLE dbo.matches DROP COLUMN engine;
+END;
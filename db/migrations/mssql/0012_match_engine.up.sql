@@ -0,0 +1,9 @@
+-- =============================================================
+-- Migration 0012: match engine
+-- Which engine produced a match: 'python' (Python /match service)
+-- or 'js' (in-process matcher, src/services/match-engine.js, used
+-- as fallback or primary per MATCH_ENGINE). Existing rows were all
+-- computed by the Python service.
+-- =============================================================
+IF COL_LENGTH('dbo.matches', 'engine') IS NULL
+    ALTER TABLE dbo.matches ADD engine NVARCHAR(20) NOT NULL CONSTRAINT DF_matches_engine DEFAULT 'python';
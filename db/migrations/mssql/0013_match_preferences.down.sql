@@ -0,0 +1,7 @@
+-- =============================================================
+-- Migration 0013 (down): drop match preferences.
+-- =============================================================
+IF COL_LENGTH('dbo.matches', 'preferences') IS NOT NULL
+    ALTER TABLE dbo.matches DROP COLUMN preferences;
+IF OBJECT_ID(N'[dbo].[user_match_preferences]', N'U') IS NOT NULL
+    DROP TABLE dbo.user_match_preferences;
@@ -0,0 +1,24 @@
+-- =============================================================
+-- Migration 0013: match preferences
+-- Per-user scoring settings (PATCH /api/v1/preferences/match or
+-- the admin endpoint). NULL columns fall back to the server
+-- defaults (config.matchPreferences.defaults). matches.preferences
+-- records the effective settings each result was scored with
+-- (JSON); NULL for results computed before this migration.
+-- =============================================================
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[user_match_preferences]') AND type = N'U')
+BEGIN
+    CREATE TABLE dbo.user_match_preferences (
+        user_id UNIQUEIDENTIFIER NOT NULL PRIMARY KEY,         -- One row per user
+        threshold DECIMAL(4,3) NULL,                           -- Similarity (0-1) at which a requirement counts as matched
+        inferred_weight DECIMAL(4,3) NULL,                     -- Largest share (0-1) of the score inferred requirements contribute
+        inferred_min_importance DECIMAL(4,3) NULL,             -- Inferred requirements below this importance are ignored
+        include_soft_skills BIT NULL,                          -- Score job soft skills as requirements
+        updated_by UNIQUEIDENTIFIER NULL,                      -- User (or admin) who saved the row last
+        updated_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),-- Last update time
+        CONSTRAINT FK_user_match_preferences_users FOREIGN KEY (user_id) REFERENCES dbo.users(id) ON DELETE CASCADE
+    );
+END;
+GO
+IF COL_LENGTH('dbo.matches', 'preferences') IS NULL
+    ALTER TABLE dbo.matches ADD preferences NVARCHAR(MAX) NULL;
@@ -0,0 +1,7 @@
+-- =============================================================
+-- Migration 0014 (down): drop skill / requirement overrides.
+-- =============================================================
+IF OBJECT_ID(N'[dbo].[requirement_overrides]', N'U') IS NOT NULL
+    DROP TABLE dbo.requirement_overrides;
+IF OBJECT_ID(N'[dbo].[resume_skill_overrides]', N'U') IS NOT NULL
+    DROP TABLE dbo.resume_skill_overrides;
@@ -0,0 +1,43 @@
+-- =============================================================
+-- Migration 0014: user overrides for parsed skills / requirements
+-- Manual edits layered on top of candidate_skills / requirements
+-- when they are read (services/skill-override-service). A reparse
+-- only replaces the parsed rows, so overrides survive it.
+--   skill_key: lowercased skill the override targets (the parsed
+--              name for edit/remove, the user's own name for add)
+--   action:    add (user skill) | edit (rename / re-weight a parsed
+--              skill) | remove (hide a parsed skill)
+-- NULL skill / weight columns keep the parsed value.
+-- =============================================================
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[resume_skill_overrides]') AND type = N'U')
+BEGIN
+    CREATE TABLE dbo.resume_skill_overrides (
+        id UNIQUEIDENTIFIER NOT NULL PRIMARY KEY,              -- Override UUID
+        resume_id UNIQUEIDENTIFIER NOT NULL,                   -- FK to resume
+        skill_key NVARCHAR(255) NOT NULL,                      -- Lowercased target skill
+        action NVARCHAR(10) NOT NULL,                          -- add | edit | remove
+        skill NVARCHAR(255) NULL,                              -- Display name (rename / added skill)
+        experience_years INT NULL,                             -- Replaces the parsed value when set
+        proficiency DECIMAL(5,2) NULL,                         -- Replaces the parsed value when set
+        created_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),-- Insert time
+        updated_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),-- Last update time
+        CONSTRAINT FK_resume_skill_overrides_resume FOREIGN KEY (resume_id) REFERENCES dbo.resumes(id) ON DELETE CASCADE,
+        CONSTRAINT UQ_resume_skill_overrides_key UNIQUE (resume_id, skill_key)
+    );
+END;
+GO
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[requirement_overrides]') AND type = N'U')
+BEGIN
+    CREATE TABLE dbo.requirement_overrides (
+        id UNIQUEIDENTIFIER NOT NULL PRIMARY KEY,              -- Override UUID
+        job_id UNIQUEIDENTIFIER NOT NULL,                      -- FK to job description
+        skill_key NVARCHAR(255) NOT NULL,                      -- Lowercased target requirement
+        action NVARCHAR(10) NOT NULL,                          -- add | edit | remove
+        skill NVARCHAR(255) NULL,                              -- Display name (rename / added requirement)
+        importance DECIMAL(5,2) NULL,                          -- Replaces the parsed value when set
+        created_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),-- Insert time
+        updated_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),-- Last update time
+        CONSTRAINT FK_requirement_overrides_job FOREIGN KEY (job_id) REFERENCES dbo.job_descriptions(id) ON DELETE CASCADE,
+        CONSTRAINT UQ_requirement_overrides_key UNIQUE (job_id, skill_key)
+    );
+END;
@@ -0,0 +1,9 @@
+-- =============================================================
+-- Migration 0015 (down): parse failures back to 'error'.
+-- =============================================================
+UPDATE dbo.resumes SET status = 'error' WHERE status = 'failed';
+UPDATE dbo.job_descriptions SET status = 'error' WHERE status = 'failed';
+UPDATE dbo.status_transitions SET from_status = 'error'
+    WHERE entity_type IN ('resume', 'job') AND from_status = 'failed';
+UPDATE dbo.status_transitions SET to_status = 'error'
+    WHERE entity_type IN ('resume', 'job') AND to_status = 'failed';
@@ -0,0 +1,17 @@
+-- =============================================================
+-- Migration 0015: one terminal-failure status
+-- Resumes and job descriptions used 'error' for a parse that ran
+-- out of attempts while match_jobs used 'failed'. Both now use
+-- 'failed' (the name 0001 documents):
+--   resumes / job_descriptions: uploaded -> queued -> processing
+--     -> ready | failed (processing -> queued between retries)
+--   match_jobs: queued -> running -> completed | failed
+-- History rows are renamed too so status_transitions stays
+-- consistent with the status columns.
+-- =============================================================
+UPDATE dbo.resumes SET status = 'failed' WHERE status = 'error';
+UPDATE dbo.job_descriptions SET status = 'failed' WHERE status = 'error';
+UPDATE dbo.status_transitions SET from_status = 'failed'
+    WHERE entity_type IN ('resume', 'job') AND from_status = 'error';
+UPDATE dbo.status_transitions SET to_status = 'failed'
+    WHERE entity_type IN ('resume', 'job') AND to_status = 'error';
@@ -0,0 +1,9 @@
+-- Migration 0001 (down): drop core tables in reverse FK order.
+DROP TABLE IF EXISTS match_jobs;
+DROP TABLE IF EXISTS matches;
+DROP TABLE IF EXISTS job_soft_skills;
+DROP TABLE IF EXISTS candidate_skills;
+DROP TABLE IF EXISTS requirements;
+DROP TABLE IF EXISTS job_descriptions;
+DROP TABLE IF EXISTS resumes;
+DROP TABLE IF EXISTS users;
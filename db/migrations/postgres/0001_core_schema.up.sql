@@ -0,0 +1,114 @@
+-- =============================================================
+-- Migration 0001: Layer1 core schema (PostgreSQL)
+-- Equivalent of SQL Server migrations 0001-0004 in one step.
+-- Type mapping kept query-compatible with the mssql dialect:
+--  * UNIQUEIDENTIFIER -> UUID (gen_random_uuid(), PostgreSQL 13+)
+--  * NVARCHAR(MAX)    -> TEXT (JSON stored as text; services JSON.parse it)
+--  * BIT              -> SMALLINT 0/1 (services compare with = 0 / = 1)
+--  * DATETIME2        -> TIMESTAMPTZ (UTC via NOW())
+-- =============================================================
+
+-- Users: Auth identity linkage
+CREATE TABLE IF NOT EXISTS users (
+    id UUID NOT NULL PRIMARY KEY,                      -- Application-level UUID
+    auth0_sub VARCHAR(255) NOT NULL UNIQUE,            -- External identity (Auth0 subject)
+    email VARCHAR(255) NULL,                           -- Optional email
+    role VARCHAR(50) NOT NULL DEFAULT 'user',          -- Authorization role (user/admin...)
+    annual_limit INT NOT NULL DEFAULT 100,             -- Annual (rolling) match request limit
+    annual_usage_count INT NOT NULL DEFAULT 0,         -- Current count within the active rolling window
+    annual_period_start TIMESTAMPTZ NULL,              -- Start of current rolling 365-day window
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),     -- Creation timestamp
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()      -- Last modification timestamp (manually updated in code)
+);
+
+-- Resumes: Uploaded candidate resume files + parse data
+CREATE TABLE IF NOT EXISTS resumes (
+    id UUID NOT NULL PRIMARY KEY,                      -- Resume UUID
+    user_id UUID NULL REFERENCES users(id),            -- Owning user
+    filename VARCHAR(512) NOT NULL,                    -- Original filename
+    mime_type VARCHAR(100) NULL,                       -- Detected MIME type
+    storage_path VARCHAR(1024) NOT NULL,               -- Object storage key (NOT a filesystem path)
+    status VARCHAR(50) NOT NULL DEFAULT 'uploaded',    -- Processing status
+    parsed_summary TEXT NULL,                          -- JSON summary generated by worker
+    content_hash CHAR(64) NULL,                        -- SHA-256 of uploaded bytes (dedupe)
+    is_deleted SMALLINT NOT NULL DEFAULT 0 CHECK (is_deleted IN (0, 1)), -- Soft delete flag
+    deleted_at TIMESTAMPTZ NULL,                       -- Deletion timestamp when is_deleted=1
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS ix_resumes_user_content_hash ON resumes (user_id, content_hash);
+
+-- Job Descriptions: Uploaded or raw pasted job postings & parse data
+CREATE TABLE IF NOT EXISTS job_descriptions (
+    id UUID NOT NULL PRIMARY KEY,                      -- Job UUID
+    user_id UUID NULL REFERENCES users(id),            -- Owning user
+    title VARCHAR(255) NULL,                           -- Optional provided/derived title
+    source VARCHAR(50) NULL,                           -- file | text
+    filename VARCHAR(512) NULL,                        -- Original filename if file-based
+    mime_type VARCHAR(100) NULL,                       -- MIME type if file-based
+    storage_path VARCHAR(1024) NULL,                   -- Object key if file-based (NULL for pasted text)
+    raw_text TEXT NULL,                                -- Directly submitted text
+    status VARCHAR(50) NOT NULL DEFAULT 'uploaded',    -- Processing status
+    parsed_summary TEXT NULL,                          -- JSON summary generated by worker
+    content_hash CHAR(64) NULL,                        -- SHA-256 of bytes / normalized text (dedupe)
+    is_deleted SMALLINT NOT NULL DEFAULT 0 CHECK (is_deleted IN (0, 1)), -- Soft delete flag
+    deleted_at TIMESTAMPTZ NULL,                       -- Deletion timestamp when is_deleted=1
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS ix_job_descriptions_user_content_hash ON job_descriptions (user_id, content_hash);
+
+-- Requirements: Normalized skills/requirements extracted/enriched
+CREATE TABLE IF NOT EXISTS requirements (
+    id UUID NOT NULL PRIMARY KEY,                      -- Requirement UUID
+    job_id UUID NOT NULL REFERENCES job_descriptions(id) ON DELETE CASCADE,
+    skill VARCHAR(255) NOT NULL,                       -- Skill / keyword / competency
+    importance NUMERIC(5,2) NULL,                      -- Weighted importance (optional)
+    inferred SMALLINT NOT NULL DEFAULT 0 CHECK (inferred IN (0, 1)), -- 1 = added via enrichment
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Candidate Skills: Extracted skills from resume parsing
+CREATE TABLE IF NOT EXISTS candidate_skills (
+    id UUID NOT NULL PRIMARY KEY,                      -- Candidate skill UUID
+    resume_id UUID NOT NULL REFERENCES resumes(id) ON DELETE CASCADE,
+    skill VARCHAR(255) NOT NULL,                       -- Skill / keyword
+    experience_years INT NULL,                         -- Parsed or estimated years of experience
+    proficiency NUMERIC(5,2) NULL,                     -- Normalized proficiency score
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Job Soft Skills: Display-only soft skills NOT used in matching
+CREATE TABLE IF NOT EXISTS job_soft_skills (
+    id UUID NOT NULL PRIMARY KEY,                      -- Soft skill UUID
+    job_id UUID NOT NULL REFERENCES job_descriptions(id) ON DELETE CASCADE,
+    skill VARCHAR(255) NOT NULL,                       -- Soft skill / competency descriptor
+    value NUMERIC(5,2) NULL,                           -- Normalized importance (0-1) for display only
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Matches: Immutable result record of a completed match process
+CREATE TABLE IF NOT EXISTS matches (
+    id UUID NOT NULL PRIMARY KEY,                      -- Match result UUID
+    user_id UUID NULL REFERENCES users(id),            -- Owning user
+    resume_id UUID NOT NULL REFERENCES resumes(id) ON DELETE CASCADE,
+    job_id UUID NOT NULL REFERENCES job_descriptions(id) ON DELETE CASCADE,
+    status VARCHAR(50) NOT NULL DEFAULT 'processing',  -- Match computation status
+    score NUMERIC(5,2) NULL,                           -- Final score once completed
+    summary TEXT NULL,                                 -- JSON explanation / gap analysis
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Match Jobs: Operational queue entity representing a requested match
+CREATE TABLE IF NOT EXISTS match_jobs (
+    id UUID NOT NULL PRIMARY KEY,                      -- Match job UUID
+    user_id UUID NULL REFERENCES users(id),            -- Owning user
+    resume_id UUID NOT NULL REFERENCES resumes(id) ON DELETE CASCADE,
+    job_id UUID NOT NULL REFERENCES job_descriptions(id) ON DELETE CASCADE,
+    status VARCHAR(50) NOT NULL DEFAULT 'queued',      -- Queue/processing status
+    result_id UUID NULL REFERENCES matches(id),        -- matches.id after completion
+    error_message TEXT NULL,                           -- Failure reason
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,2 @@
+-- Migration 0002 (down): drop search index table.
+DROP TABLE IF EXISTS search_terms;
@@ -0,0 +1,15 @@
+-- =============================================================
+-- Migration 0002: search_terms inverted index (see mssql 0005)
+-- Rebuilt by search-service inside parse ingestion transactions.
+-- =============================================================
+CREATE TABLE IF NOT EXISTS search_terms (
+    user_id UUID NOT NULL,                             -- Owner (search is always per user)
+    entity_type VARCHAR(20) NOT NULL,                  -- job | resume
+    entity_id UUID NOT NULL,                           -- job_descriptions.id / resumes.id
+    field VARCHAR(20) NOT NULL,                        -- title | text | skill
+    term VARCHAR(100) NOT NULL,                        -- Normalized token (lowercase, no diacritics)
+    weight INT NOT NULL,                               -- Ranking contribution
+    PRIMARY KEY (entity_type, entity_id, field, term)
+);
+-- text_pattern_ops keeps prefix (LIKE 'spa%') lookups on the index regardless of collation.
+CREATE INDEX IF NOT EXISTS ix_search_terms_user_term ON search_terms (user_id, term text_pattern_ops);
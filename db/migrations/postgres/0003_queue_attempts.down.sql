@@ -0,0 +1,4 @@
+-- Migration 0003 (down): drop queue attempt counters.
+ALTER TABLE resumes DROP COLUMN IF EXISTS attempts;
+ALTER TABLE job_descriptions DROP COLUMN IF EXISTS attempts;
+ALTER TABLE match_jobs DROP COLUMN IF EXISTS attempts;
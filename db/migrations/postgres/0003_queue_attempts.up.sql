@@ -0,0 +1,6 @@
+-- =============================================================
+-- Migration 0003: queue attempt counters (see mssql 0006)
+-- =============================================================
+ALTER TABLE resumes ADD COLUMN IF NOT EXISTS attempts INT NOT NULL DEFAULT 0;
+ALTER TABLE job_descriptions ADD COLUMN IF NOT EXISTS attempts INT NOT NULL DEFAULT 0;
+ALTER TABLE match_jobs ADD COLUMN IF NOT EXISTS attempts INT NOT NULL DEFAULT 0;
@@ -0,0 +1,2 @@
+-- Migration 0004 (down): drop status transition history.
+DROP TABLE IF EXISTS status_transitions;
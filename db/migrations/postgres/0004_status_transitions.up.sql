@@ -0,0 +1,13 @@
+-- =============================================================
+-- Migration 0004: status transition history (see mssql 0007)
+-- =============================================================
+CREATE TABLE IF NOT EXISTS status_transitions (
+    id UUID NOT NULL PRIMARY KEY,                      -- Transition UUID
+    entity_type VARCHAR(20) NOT NULL,                  -- resume | job | match
+    entity_id UUID NOT NULL,                           -- resumes.id / job_descriptions.id / match_jobs.id
+    from_status VARCHAR(50) NOT NULL,                  -- Status before the change
+    to_status VARCHAR(50) NOT NULL,                    -- Status after the change
+    reason TEXT NULL,                                  -- Why (attempt started, error message, ...)
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()      -- Transition timestamp
+);
+CREATE INDEX IF NOT EXISTS ix_status_transitions_entity ON status_transitions (entity_type, entity_id, created_at);
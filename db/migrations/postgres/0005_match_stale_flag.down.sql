@@ -0,0 +1,2 @@
+-- Migration 0005 (down): drop stale flag on match results.
+ALTER TABLE matches DROP COLUMN IF EXISTS is_stale;
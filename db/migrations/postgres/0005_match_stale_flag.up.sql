@@ -0,0 +1,4 @@
+-- =============================================================
+-- Migration 0005: stale flag on match results (see mssql 0008)
+-- =============================================================
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS is_stale SMALLINT NOT NULL DEFAULT 0 CHECK (is_stale IN (0, 1));
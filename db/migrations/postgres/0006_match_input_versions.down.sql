@@ -0,0 +1,5 @@
+-- Migration 0006 (down): drop match input versions.
+ALTER TABLE resumes DROP COLUMN IF EXISTS skills_version;
+ALTER TABLE job_descriptions DROP COLUMN IF EXISTS requirements_version;
+ALTER TABLE matches DROP COLUMN IF EXISTS resume_skills_version;
+ALTER TABLE matches DROP COLUMN IF EXISTS job_requirements_version;
@@ -0,0 +1,7 @@
+-- =============================================================
+-- Migration 0006: match input versions (see mssql 0009)
+-- =============================================================
+ALTER TABLE resumes ADD COLUMN IF NOT EXISTS skills_version INT NOT NULL DEFAULT 0;
+ALTER TABLE job_descriptions ADD COLUMN IF NOT EXISTS requirements_version INT NOT NULL DEFAULT 0;
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS resume_skills_version INT NOT NULL DEFAULT 0;
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS job_requirements_version INT NOT NULL DEFAULT 0;
@@ -0,0 +1,4 @@
+-- Migration 0007 (down): drop match batches (child link first).
+DROP INDEX IF EXISTS ix_match_jobs_batch;
+ALTER TABLE match_jobs DROP COLUMN IF EXISTS batch_id;
+DROP TABLE IF EXISTS match_batches;
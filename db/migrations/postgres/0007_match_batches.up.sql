@@ -0,0 +1,14 @@
+-- =============================================================
+-- Migration 0007: match batches (see mssql 0010)
+-- =============================================================
+CREATE TABLE IF NOT EXISTS match_batches (
+    id UUID NOT NULL PRIMARY KEY,                      -- Batch UUID
+    user_id UUID NULL REFERENCES users(id),            -- Owning user
+    anchor_type VARCHAR(20) NOT NULL,                  -- resume | job (the side shared by every pair)
+    anchor_id UUID NOT NULL,                           -- resumes.id / job_descriptions.id
+    total INT NOT NULL,                                -- Child match_jobs created
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+ALTER TABLE match_jobs ADD COLUMN IF NOT EXISTS batch_id UUID NULL REFERENCES match_batches(id);
+CREATE INDEX IF NOT EXISTS ix_match_jobs_batch ON match_jobs (batch_id);
@@ -0,0 +1,3 @@
+-- Migration 0008 (down): drop match input fingerprint.
+DROP INDEX IF EXISTS ix_matches_pair_fingerprint;
+ALTER TABLE matches DROP COLUMN IF EXISTS input_fingerprint;
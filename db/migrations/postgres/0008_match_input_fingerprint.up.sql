@@ -0,0 +1,5 @@
+-- =============================================================
+-- Migration 0008: match input fingerprint (see mssql 0011)
+-- =============================================================
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS input_fingerprint CHAR(64) NULL;
+CREATE INDEX IF NOT EXISTS ix_matches_pair_fingerprint ON matches (resume_id, job_id, input_fingerprint);
@@ -0,0 +1,2 @@
+-- Migration 0009 (down): drop match engine.
+ALTER TABLE matches DROP COLUMN IF EXISTS engine;
@@ -0,0 +1,4 @@
+-- =============================================================
+-- Migration 0009: match engine (see mssql 0012)
+-- =============================================================
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS engine VARCHAR(20) NOT NULL DEFAULT 'python';
@@ -0,0 +1,3 @@
+-- Migration 0010 (down): drop match preferences.
+ALTER TABLE matches DROP COLUMN IF EXISTS preferences;
+DROP TABLE IF EXISTS user_match_preferences;
@@ -0,0 +1,13 @@
+-- =============================================================
+-- Migration 0010: match preferences (see mssql 0013)
+-- =============================================================
+CREATE TABLE IF NOT EXISTS user_match_preferences (
+    user_id UUID NOT NULL PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    threshold NUMERIC(4,3) NULL,                       -- Similarity (0-1) at which a requirement counts as matched
+    inferred_weight NUMERIC(4,3) NULL,                 -- Largest share (0-1) of the score inferred requirements contribute
+    inferred_min_importance NUMERIC(4,3) NULL,         -- Inferred requirements below this importance are ignored
+    include_soft_skills SMALLINT NULL CHECK (include_soft_skills IN (0, 1)), -- Score job soft skills as requirements
+    updated_by UUID NULL,                              -- User (or admin) who saved the row last
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS preferences TEXT NULL;
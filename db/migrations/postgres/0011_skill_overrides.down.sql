@@ -0,0 +1,3 @@
+-- Migration 0011 (down): drop skill / requirement overrides.
+DROP TABLE IF EXISTS requirement_overrides;
+DROP TABLE IF EXISTS resume_skill_overrides;
@@ -0,0 +1,26 @@
+-- =============================================================
+-- Migration 0011: user overrides for parsed skills / requirements (see mssql 0014)
+-- =============================================================
+CREATE TABLE IF NOT EXISTS resume_skill_overrides (
+    id UUID NOT NULL PRIMARY KEY,                      -- Override UUID
+    resume_id UUID NOT NULL REFERENCES resumes(id) ON DELETE CASCADE,
+    skill_key VARCHAR(255) NOT NULL,                   -- Lowercased target skill
+    action VARCHAR(10) NOT NULL,                       -- add | edit | remove
+    skill VARCHAR(255) NULL,                           -- Display name (rename / added skill)
+    experience_years INT NULL,                         -- Replaces the parsed value when set
+    proficiency NUMERIC(5,2) NULL,                     -- Replaces the parsed value when set
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (resume_id, skill_key)
+);
+CREATE TABLE IF NOT EXISTS requirement_overrides (
+    id UUID NOT NULL PRIMARY KEY,                      -- Override UUID
+    job_id UUID NOT NULL REFERENCES job_descriptions(id) ON DELETE CASCADE,
+    skill_key VARCHAR(255) NOT NULL,                   -- Lowercased target requirement
+    action VARCHAR(10) NOT NULL,                       -- add | edit | remove
+    skill VARCHAR(255) NULL,                           -- Display name (rename / added requirement)
+    importance NUMERIC(5,2) NULL,                      -- Replaces the parsed value when set
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (job_id, skill_key)
+);
@@ -0,0 +1,7 @@
+-- Migration 0012 (down): parse failures back to 'error'.
+UPDATE resumes SET status = 'error' WHERE status = 'failed';
+UPDATE job_descriptions SET status = 'error' WHERE status = 'failed';
+UPDATE status_transitions SET from_status = 'error'
+    WHERE entity_type IN ('resume', 'job') AND from_status = 'failed';
+UPDATE status_transitions SET to_status = 'error'
+    WHERE entity_type IN ('resume', 'job') AND to_status = 'failed';
@@ -0,0 +1,9 @@
+-- =============================================================
+-- Migration 0012: one terminal-failure status (see mssql 0015)
+-- =============================================================
+UPDATE resumes SET status = 'failed' WHERE status = 'error';
+UPDATE job_descriptions SET status = 'failed' WHERE status = 'error';
+UPDATE status_transitions SET from_status = 'failed'
+    WHERE entity_type IN ('resume', 'job') AND from_status = 'error';
+UPDATE status_transitions SET to_status = 'failed'
+    WHERE entity_type IN ('resume', 'job') AND to_status = 'error';
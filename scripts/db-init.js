@@ -1,12 +1,53 @@
-const { bootstrapDatabase } = require('../src/db');
+// Script: db-init.js
+// Purpose: Versioned migration CLI (see src/migrate.js + db/migrations)
+// Usage:
+//   node scripts/db-init.js up [--to <version>]   apply pending migrations (default command)
+//   node scripts/db-init.js down [steps]          revert the latest N migrations (default 1)
+//   node scripts/db-init.js status                list migrations + applied state
 
-bootstrapDatabase()
-  .then(() => {
-    console.log('Database initialized');
-    process.exit(0);
-  })
-  .catch((e) => {
-    console.error('DB init failed', e);
+const { closePool } = require("../src/db");
+const { migrateUp, migrateDown, migrationStatus } = require("../src/migrate");
+
+async function main() {
+  const [command = "up", ...args] = process.argv.slice(2);
+  if (command === "up") {
+    const toIndex = args.indexOf("--to");
+    const to = toIndex >= 0 ? parseInt(args[toIndex + 1], 10) : undefined;
+    const applied = await migrateUp({ to });
+    console.log(
+      applied.length
+        ? `Applied migrations: ${applied.join(", ")}`
+        : "Database already up to date"
+    );
+  } else if (command === "down") {
+    const steps = args[0] ? parseInt(args[0], 10) : 1;
+    const reverted = await migrateDown({ steps });
+    console.log(
+      reverted.length
+        ? `Reverted migrations: ${reverted.join(", ")}`
+        : "Nothing to revert"
+    );
+  } else if (command === "status") {
+    const rows = await migrationStatus();
+    rows.forEach((row) => {
+      const state = row.applied
+        ? `applied ${new Date(row.appliedAt).toISOString()}`
+        : "pending";
+      const drift = row.checksumMismatch ? "  (changed since applied!)" : "";
+      console.log(
+        `${String(row.version).padStart(4, "0")}_${row.name}  ${state}${drift}`
+      );
+    });
+  } else {
+    console.error(
+      "Usage: node scripts/db-init.js [up [--to N]|down [steps]|status]"
+    );
     process.exit(1);
-  });
+  }
+  await closePool();
+}
 
+main().catch((e) => {
+  console.error("Migration failed", e);
+  process.exit(1);
+});
@@ -3,7 +3,7 @@
 // Usage: node scripts/reset-usage.js <auth0_sub_or_user_id>
 // If UUID matches users.id it will use that; otherwise treats as auth0_sub.
 
-const { query, poolPromise } = require("../src/db");
+const { query, dialect, closePool } = require("../src/db");
 const { v4: uuidv4 } = require("uuid");
 
 async function main() {
@@ -32,13 +32,13 @@ async function main() {
   await query(
     `UPDATE users
        SET annual_usage_count = 0,
-           annual_period_start = SYSUTCDATETIME(),
-           updated_at = SYSUTCDATETIME()
+           annual_period_start = ${dialect.now},
+           updated_at = ${dialect.now}
      WHERE id = $1`,
     [user.id]
   );
   console.log(`Reset usage for user ${user.id}`);
-  (await poolPromise).close();
+  await closePool();
 }
 
 main().catch((e) => {
@@ -0,0 +1,29 @@
+// Script: search-reindex.js
+// Purpose: Rebuild the search_terms index for every non-deleted job and resume
+// (backfill after applying the search migration, or after changing tokenizer/weights).
+// Usage: node scripts/search-reindex.js
+
+const { query, closePool } = require("../src/db");
+const { indexJob, indexResume } = require("../src/services/search-service");
+
+async function main() {
+  const jobs = await query(
+    "SELECT id FROM job_descriptions WHERE is_deleted = 0"
+  );
+  for (const row of jobs.rows) {
+    await indexJob(row.id); // One transaction per entity keeps lock time short.
+  }
+  const resumes = await query("SELECT id FROM resumes WHERE is_deleted = 0");
+  for (const row of resumes.rows) {
+    await indexResume(row.id);
+  }
+  console.log(
+    `Reindexed ${jobs.rows.length} jobs and ${resumes.rows.length} resumes`
+  );
+  await closePool();
+}
+
+main().catch((e) => {
+  console.error("Reindex failed", e);
+  process.exit(1);
+});
@@ -0,0 +1,38 @@
+// Script: set-role.js
+// Purpose: Grant or revoke a user's role (e.g. admin access to /api/v1/admin)
+// Usage: node scripts/set-role.js <auth0_sub_or_user_id> <role>
+// If UUID matches users.id it will use that; otherwise treats as auth0_sub.
+
+const { query, dialect, closePool } = require("../src/db");
+
+const ROLES = ["user", "admin"];
+
+async function main() {
+  const [ident, role] = process.argv.slice(2);
+  if (!ident || !ROLES.includes(role)) {
+    console.error(
+      `Usage: node scripts/set-role.js <auth0_sub_or_user_id> <${ROLES.join(
+        "|"
+      )}>`
+    );
+    process.exit(1);
+  }
+  const column = /^[0-9a-fA-F-]{36}$/.test(ident) ? "id" : "auth0_sub";
+  const r = await query(`SELECT id FROM users WHERE ${column} = $1`, [ident]);
+  const user = r.rows[0];
+  if (!user) {
+    console.error("User not found");
+    process.exit(2);
+  }
+  await query(
+    `UPDATE users SET role = $1, updated_at = ${dialect.now} WHERE id = $2`,
+    [role, user.id]
+  );
+  console.log(`Set role ${role} for user ${user.id}`);
+  await closePool();
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(99);
+});
@@ -5,6 +5,10 @@ const resumeRoutes = require("./routes/resumes");
 const jobRoutes = require("./routes/jobs");
 const matchRoutes = require("./routes/matches");
 const usageRoutes = require("./routes/usage");
+const preferenceRoutes = require("./routes/preferences");
+const searchRoutes = require("./routes/search");
+const adminRoutes = require("./routes/admin");
+const eventsRoutes = require("./routes/events");
 const { error: logError } = require("./utils/logger");
 
 function buildApp() {
@@ -21,6 +25,10 @@ function buildApp() {
   api.use("/jobs", jobRoutes);
   api.use("/matches", matchRoutes);
   api.use("/usage", usageRoutes);
+  api.use("/preferences", preferenceRoutes);
+  api.use("/search", searchRoutes);
+  api.use("/admin", adminRoutes);
+  api.use("/events", eventsRoutes);
   app.use("/api/v1", api);
 
   app.use((err, req, res, next) => {
@@ -5,15 +5,60 @@
  *  - port {number}: HTTP server listen port (default 4000)
  *  - authDisabled {boolean}: When true, auth middleware injects a dev user instead of validating JWTs.
  *  - auth0 {object}: Domain/audience/issuer settings for Auth0 JWT validation.
- *  - db {object}: Azure SQL connection settings; 'encrypt' & 'trustServerCertificate' control TLS behavior.
+ *  - db {object}: Dialect ('mssql' | 'postgres') + connection settings; Azure SQL uses server/user fields
+ *    ('encrypt' & 'trustServerCertificate' control TLS), Postgres uses DATABASE_URL or PG* env vars.
  *  - redisUrl {string}: Connection string consumed by BullMQ / ioredis.
  *  - pythonServiceUrl {string}: Base URL for the Python parsing + match microservice.
+ *  - pythonFileTransport {string}: How workers hand stored files to the parser ('base64' default | 'multipart' | 'reference').
  *  - r2 {object}: Cloudflare R2 (S3-compatible) credentials & bucket info used by r2-storage util.
+ *  - storage {object}: Object storage driver selection ('r2' | 'local' | 'memory') + local disk root.
+ *  - runWorkers {boolean}: When false the API process does not consume queue jobs (run src/worker.js instead).
+ *  - queues {object}: Per-queue policy (attempts, exponential backoff base delay, per-attempt timeout, worker
+ *    concurrency) plus the dead-letter queue name receiving jobs that exhausted their attempts.
+ *  - realtime {object}: Per-user replay log bounds (entries kept per user, idle expiry) for reconnecting clients
+ *    and the SSE heartbeat interval.
+ *  - shutdown {object}: Overall SIGTERM/SIGINT deadline and how much of it workers get to finish in-flight jobs.
+ *  - matchEngine {object}: Which engine scores matches (Python service, Python with in-process fallback, or in-process
+ *    only).
+ *  - matchPreferences {object}: Scoring defaults (threshold, inferred requirement share / minimum importance, soft
+ *    skills) for every preference a user has not saved.
+ *  - matchBatch {object}: Largest list of jobs/resumes one batch match request may pair with its resume/job.
  */
+const path = require("path");
 const dotenv = require("dotenv");
 
 dotenv.config();
 
+/**
+ * fraction
+ * Parses a 0-1 setting; values above 1 are read as percentages (70 -> 0.7). Empty or invalid -> fallback.
+ * @param {string|undefined} raw
+ * @param {number} fallback
+ * @returns {number}
+ */
+function fraction(raw, fallback) {
+  const num = parseFloat(raw);
+  if (isNaN(num) || num < 0) return fallback;
+  return Math.min(num > 1 ? num / 100 : num, 1);
+}
+
+/**
+ * queuePolicy
+ * Reads QUEUE_<PREFIX>_ATTEMPTS / _BACKOFF_MS / _TIMEOUT_MS / _CONCURRENCY with per-queue defaults.
+ * @param {string} prefix Env prefix (e.g. 'PARSE_RESUME')
+ * @param {{attempts:number, backoffMs:number, timeoutMs:number, concurrency:number}} defaults
+ */
+function queuePolicy(prefix, defaults) {
+  const read = (name, fallback) =>
+    parseInt(process.env[`QUEUE_${prefix}_${name}`] || String(fallback), 10);
+  return {
+    attempts: Math.max(read("ATTEMPTS", defaults.attempts), 1),
+    backoffMs: read("BACKOFF_MS", defaults.backoffMs),
+    timeoutMs: read("TIMEOUT_MS", defaults.timeoutMs),
+    concurrency: Math.max(read("CONCURRENCY", defaults.concurrency), 1),
+  };
+}
+
 const config = {
   port: parseInt(process.env.PORT || "4000", 10),
   authDisabled: (process.env.AUTH_DISABLED || "false").toLowerCase() === "true",
@@ -26,6 +71,8 @@ const config = {
     issuerBaseURL: process.env.AUTH0_ISSUER_BASE_URL,
   },
   db: {
+    client: (process.env.DB_CLIENT || "mssql").toLowerCase(),
+    url: process.env.DATABASE_URL,
     server: process.env.AZURE_SQL_SERVER,
     database: process.env.AZURE_SQL_DATABASE,
     user: process.env.AZURE_SQL_USER,
@@ -36,7 +83,15 @@ const config = {
       "true",
   },
   redisUrl: process.env.REDIS_URL || "redis://localhost:6379",
+  // Default true keeps single-process deployments working; set RUN_WORKERS=false on API replicas.
+  runWorkers: (process.env.RUN_WORKERS || "true").toLowerCase() === "true",
   pythonServiceUrl: process.env.PYTHON_SERVICE_URL || "http://localhost:8000",
+  // base64 (default): content_b64 JSON, the contract the current parser accepts, encoded while the object
+  // streams (never buffered). Opt-in until the parser supports them: multipart streams the object as a
+  // 'file' part; reference sends a presigned file_url (R2 only, falls back to multipart).
+  pythonFileTransport: (
+    process.env.PYTHON_FILE_TRANSPORT || "base64"
+  ).toLowerCase(),
   r2: {
     accountId: process.env.R2_ACCOUNT_ID,
     accessKeyId: process.env.R2_ACCESS_KEY_ID,
@@ -48,6 +103,97 @@ const config = {
         ? `https://${process.env.R2_ACCOUNT_ID}.r2.cloudflarestorage.com`
         : undefined),
   },
+  storage: {
+    // Defaults to R2 when a bucket is configured so existing deployments keep working unchanged;
+    // otherwise falls back to local disk so uploads + workers run without cloud credentials.
+    driver: (
+      process.env.STORAGE_DRIVER || (process.env.R2_BUCKET ? "r2" : "local")
+    ).toLowerCase(),
+    localRoot: path.resolve(
+      process.env.STORAGE_LOCAL_ROOT || path.join(process.cwd(), "storage")
+    ),
+    // Lifetime (seconds) of presigned download URLs handed out by GET /:id/file?presign=1.
+    presignTtlSeconds: parseInt(
+      process.env.STORAGE_PRESIGN_TTL_SECONDS || "300",
+      10
+    ),
+  },
+  queues: {
+    // Backoff is exponential: retry n waits backoffMs * 2^(n-1). Timeouts abort the Python call.
+    parseResume: queuePolicy("PARSE_RESUME", {
+      attempts: 3,
+      backoffMs: 5000,
+      timeoutMs: 120000,
+      concurrency: 1,
+    }),
+    parseJob: queuePolicy("PARSE_JOB", {
+      attempts: 3,
+      backoffMs: 5000,
+      timeoutMs: 120000,
+      concurrency: 1,
+    }),
+    computeMatch: queuePolicy("COMPUTE_MATCH", {
+      attempts: 3,
+      backoffMs: 2000,
+      timeoutMs: 60000,
+      concurrency: 1,
+    }),
+    deadLetter: process.env.QUEUE_DEAD_LETTER_NAME || "deadLetter",
+  },
+  realtime: {
+    // Missed-event replay (events/event-log.js): newest N status events per user, dropped after idle TTL.
+    eventLogMaxLen: parseInt(
+      process.env.REALTIME_EVENT_LOG_MAXLEN || "200",
+      10
+    ),
+    eventLogTtlSeconds: parseInt(
+      process.env.REALTIME_EVENT_LOG_TTL_SECONDS || "86400",
+      10
+    ),
+    // GET /api/v1/events: interval between SSE heartbeat comments (keeps proxies from closing idle streams).
+    sseHeartbeatMs: parseInt(
+      process.env.REALTIME_SSE_HEARTBEAT_MS || "15000",
+      10
+    ),
+  },
+  shutdown: {
+    // Keep below the orchestrator's kill grace period (stop_grace_period in docker-compose.yml).
+    timeoutMs: parseInt(process.env.SHUTDOWN_TIMEOUT_MS || "30000", 10),
+    // Jobs still running after this are abandoned and re-run as stalled by another worker.
+    drainTimeoutMs: parseInt(
+      process.env.SHUTDOWN_DRAIN_TIMEOUT_MS || "20000",
+      10
+    ),
+  },
+  matchEngine: {
+    // python: Python /match only | fallback: in-process JS engine when Python is unreachable | js: JS engine only.
+    mode: (process.env.MATCH_ENGINE || "python").toLowerCase(),
+  },
+  matchPreferences: {
+    // Sent to both engines with every match (computeMatch payload `options`), so neither relies on its own default.
+    defaults: {
+      threshold: fraction(process.env.MATCH_DEFAULT_THRESHOLD, 0.5),
+      // USE_INFERRED_REQUIREMENTS=true keeps the historical 20% cap; otherwise inferred requirements do not count.
+      inferredWeight:
+        (process.env.USE_INFERRED_REQUIREMENTS || "false").toLowerCase() ===
+        "true"
+          ? 0.2
+          : 0,
+      inferredMinImportance: fraction(
+        process.env.JOB_INFERRED_MIN_IMPORTANCE ||
+          process.env.JOB_INFERRED_THRESHOLD,
+        0.7
+      ),
+      includeSoftSkills: false,
+    },
+  },
+  matchBatch: {
+    // POST /api/v1/matches/batches: each pair is charged against annual_limit like a single match.
+    maxSize: Math.max(
+      parseInt(process.env.MATCH_BATCH_MAX_SIZE || "50", 10),
+      1
+    ),
+  },
 };
 
 module.exports = config;
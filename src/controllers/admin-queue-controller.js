@@ -0,0 +1,167 @@
+// Admin queue controller: role-gated inspection and control of the BullMQ processing queues.
+/**
+ * All handlers run behind requireRole("admin") (see routes/admin.js) and after resolveQueue
+ * has attached req.adminQueue for routes with a :name param.
+ * Error responses:
+ *  - 404 queue_not_found for names other than parseResume / parseJob / computeMatch
+ *  - 404 job_not_found when the job id does not exist in that queue
+ *  - 409 job_not_failed (retry) / job_active (remove) with the job's current `state`
+ */
+const {
+  getAdminQueue,
+  getQueueSummaries,
+  listFailedJobs,
+  retryJob,
+  removeJob,
+  setPaused,
+  drainQueue,
+} = require("../services/queue-admin-service");
+const { log } = require("../utils/logger");
+
+const DEFAULT_FAILED_LIMIT = 20;
+const MAX_FAILED_LIMIT = 100;
+
+const JOB_ERROR_STATUS = {
+  job_not_found: 404,
+  job_not_failed: 409,
+  job_active: 409,
+};
+
+/**
+ * resolveQueue
+ * router.param handler: maps :name to a managed queue (req.adminQueue) or answers 404.
+ */
+function resolveQueue(req, res, next, name) {
+  const queue = getAdminQueue(name);
+  if (!queue) return res.status(404).json({ error: "queue_not_found" });
+  req.adminQueue = queue;
+  next();
+}
+
+function parseNonNegativeInt(value, fallback) {
+  if (value === undefined) return fallback;
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 0 ? n : null;
+}
+
+/**
+ * listQueues
+ * GET /admin/queues -> 200 { queues: [{ name, paused, counts: { waiting, active, delayed, prioritized, completed, failed, paused } }] }
+ */
+async function listQueues(req, res, next) {
+  try {
+    res.json({ queues: await getQueueSummaries() });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * listFailed
+ * GET /admin/queues/:name/failed?offset&limit -> 200 { items, total, nextOffset }
+ * Items carry id, name, data, failedReason, attemptsMade, maxAttempts, stacktrace, createdAt, failedAt.
+ * Errors: 400 invalid_offset / invalid_limit (1..100, default 20).
+ */
+async function listFailed(req, res, next) {
+  try {
+    const offset = parseNonNegativeInt(req.query.offset, 0);
+    if (offset === null)
+      return res.status(400).json({ error: "invalid_offset" });
+    const limit = parseNonNegativeInt(req.query.limit, DEFAULT_FAILED_LIMIT);
+    if (!limit || limit > MAX_FAILED_LIMIT) {
+      return res.status(400).json({ error: "invalid_limit" });
+    }
+    res.json(await listFailedJobs(req.adminQueue, { offset, limit }));
+  } catch (err) {
+    next(err);
+  }
+}
+
+function sendJobResult(res, result, successStatus, body) {
+  if (result.error) {
+    return res
+      .status(JOB_ERROR_STATUS[result.error])
+      .json({ error: result.error, state: result.state });
+  }
+  if (body === undefined) return res.status(successStatus).end();
+  return res.status(successStatus).json(body);
+}
+
+/**
+ * retryQueueJob
+ * POST /admin/queues/:name/jobs/:jobId/retry -> 202 { id, state: 'waiting' } (failed jobs only)
+ */
+async function retryQueueJob(req, res, next) {
+  try {
+    const result = await retryJob(req.adminQueue, req.params.jobId);
+    if (result.job) {
+      log(`[admin] retried ${req.adminQueue.name} job ${result.job.id}`);
+    }
+    sendJobResult(res, result, 202, result.job);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * removeQueueJob
+ * DELETE /admin/queues/:name/jobs/:jobId -> 204 (any state except active)
+ */
+async function removeQueueJob(req, res, next) {
+  try {
+    const result = await removeJob(req.adminQueue, req.params.jobId);
+    if (result.job) {
+      log(`[admin] removed ${req.adminQueue.name} job ${result.job.id}`);
+    }
+    sendJobResult(res, result, 204);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * pauseQueue / resumeQueue
+ * POST /admin/queues/:name/pause | /resume -> 200 { name, paused }
+ * Pausing is global (all worker processes); active jobs run to completion.
+ */
+function togglePause(paused) {
+  return async (req, res, next) => {
+    try {
+      await setPaused(req.adminQueue, paused);
+      log(`[admin] ${paused ? "paused" : "resumed"} ${req.adminQueue.name}`);
+      res.json({ name: req.adminQueue.name, paused });
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+const pauseQueue = togglePause(true);
+const resumeQueue = togglePause(false);
+
+/**
+ * drainQueueJobs
+ * POST /admin/queues/:name/drain[?delayed=true] -> 200 { name, removed }
+ * Removes waiting jobs (plus delayed retries when delayed=true); their entities stay 'queued'.
+ */
+async function drainQueueJobs(req, res, next) {
+  try {
+    const delayed = req.query.delayed === "true";
+    const { removed } = await drainQueue(req.adminQueue, { delayed });
+    log(`[admin] drained ${req.adminQueue.name} removed=${removed}`);
+    res.json({ name: req.adminQueue.name, removed });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  resolveQueue,
+  listQueues,
+  listFailed,
+  retryQueueJob,
+  removeQueueJob,
+  pauseQueue,
+  resumeQueue,
+  drainQueueJobs,
+};
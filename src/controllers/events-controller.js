@@ -0,0 +1,80 @@
+// Events controller: Server-Sent Events stream carrying the same realtime events as the Socket.IO bridge.
+const config = require("../config");
+const { deliveryHub } = require("../events/delivery");
+const { getAuthContext } = require("../utils/request-context");
+
+/**
+ * formatEvent
+ * Serialises one SSE frame. The `id:` line is only written for logged events (status updates) so the
+ * browser's Last-Event-ID always points at a replayable id; transient progress frames carry none.
+ * @param {string} event
+ * @param {object} payload
+ * @param {string|null} [id]
+ * @returns {string}
+ */
+function formatEvent(event, payload, id) {
+  return `${id ? `id: ${id}\n` : ""}event: ${event}\ndata: ${JSON.stringify(
+    payload
+  )}\n\n`;
+}
+
+/**
+ * streamEvents
+ * Purpose: Authenticated SSE alternative to Socket.IO for clients behind proxies that break WebSockets.
+ * Events: job:update, resume:update, match:update (with eventId), *:progress, plus events:replayed after a
+ *   resume and server:shutdown before the server closes the stream.
+ * Resume: Last-Event-ID header (sent automatically by EventSource on reconnect) or ?lastEventId= for the first
+ *   connection; missed events are replayed before live ones (see events/delivery.js).
+ * Heartbeat: a comment line every config.realtime.sseHeartbeatMs keeps idle proxies from closing the stream.
+ * Auth: Required (401 otherwise).
+ */
+async function streamEvents(req, res, next) {
+  try {
+    const auth = getAuthContext(req);
+    if (!auth) return res.status(401).json({ error: "unauthorized" });
+    const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId;
+
+    res.status(200).set({
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // Disable nginx-style response buffering.
+    });
+    res.flushHeaders();
+    res.write(`retry: 5000\n\n`);
+
+    const write = (chunk) => {
+      if (!res.writableEnded) res.write(chunk);
+    };
+    const heartbeat = setInterval(
+      () => write(": heartbeat\n\n"),
+      config.realtime.sseHeartbeatMs
+    );
+    let client = null;
+    let closed = false;
+    req.on("close", () => {
+      closed = true;
+      clearInterval(heartbeat);
+      if (client) client.close();
+    });
+
+    client = await deliveryHub.connect(
+      auth.sub,
+      lastEventId,
+      (event, payload, id) => write(formatEvent(event, payload, id)),
+      {
+        end: (reason) => {
+          write(formatEvent("server:shutdown", { reason }));
+          res.end();
+        },
+      }
+    );
+    if (closed) return client.close();
+    if (client.replay) write(formatEvent("events:replayed", client.replay));
+  } catch (err) {
+    if (res.headersSent) return res.end();
+    next(err);
+  }
+}
+
+module.exports = { streamEvents, formatEvent };
@@ -1,18 +1,28 @@
 // Job controller: ingests postings, queues parsing, and exposes listing/detail APIs.
-const path = require("path");
+const crypto = require("crypto");
 const { v4: uuidv4 } = require("uuid");
-const mime = require("mime-types");
 const { ensureUser, getUserId } = require("../services/user-service");
 const {
   createJobRecord,
+  findActiveJobByHash,
+  cloneJobParse,
   // updateJobStoragePath, // no longer needed
   getJobForUser,
   listJobs,
   softDeleteJob,
+  updateJobStatus,
 } = require("../services/job-service");
+const { markMatchesStale } = require("../services/match-service");
+const { isInvalidTransition } = require("../services/lifecycle-service");
 const { queues } = require("../queues");
+const config = require("../config");
 const { getAuthContext } = require("../utils/request-context");
-const { putObject } = require("../utils/r2-storage");
+const { error: logError } = require("../utils/logger");
+const { discardUploadedFile } = require("../middleware/streaming-upload");
+const { sendStoredObject } = require("../utils/file-download");
+
+// Statuses with a parse queued or running; a reparse would race it.
+const PARSE_IN_FLIGHT = ["queued", "processing"];
 
 // Keep in sync with python worker job parser support.
 const ALLOWED_MIME_TYPES = new Set([
@@ -22,36 +32,70 @@ const ALLOWED_MIME_TYPES = new Set([
   "text/plain",
 ]);
 
+/**
+ * isAllowedMimeType
+ * Missing part Content-Type is accepted (parser sniffs content); otherwise must be allow-listed.
+ * @param {string|undefined} mimeType
+ * @returns {boolean}
+ */
+function isAllowedMimeType(mimeType) {
+  return !mimeType || ALLOWED_MIME_TYPES.has(mimeType);
+}
+
+/**
+ * hashJobText
+ * SHA-256 of pasted job text after normalising line endings + outer whitespace so trivially
+ * different pastes of the same posting dedupe.
+ * @param {string} text
+ * @returns {string} hex digest
+ */
+function hashJobText(text) {
+  const normalized = String(text || "")
+    .replace(/\r\n?/g, "\n")
+    .trim();
+  return crypto.createHash("sha256").update(normalized, "utf8").digest("hex");
+}
+
 /**
  * Create a job description record from either an uploaded file or raw text.
  * Inputs (req):
  *  - Auth context (required) via getAuthContext(req)
  *  - Optional file (req.file) when multipart upload; otherwise body.text / body.description_text
+ *    Files are streamed into object storage by the upload middleware before this runs
+ *    (req.file carries id + key instead of a Buffer).
  *  - Body.title optional title override.
  * Validation:
  *  - Requires at least one of (file, narrative text)
- *  - File size <= 10MB & MIME type in ALLOWED_MIME_TYPES
+ *  - File size <= 10MB (enforced while streaming) & MIME type in ALLOWED_MIME_TYPES
  * Side effects:
  *  - ensureUser() upserts user
+ *  - Deduplicates on SHA-256 (file bytes or normalized text): same title reuses the existing job,
+ *    a different title clones its parsed requirements when ready (no parse enqueued)
  *  - createJobRecord() persists metadata (status queued/processing later updated by worker)
- *  - Uploads file to object storage if provided
  *  - Enqueues parseJob BullMQ job with required parsing metadata
+ *  - Removes the streamed object again when the request is rejected or fails after upload
  * Responses:
  *  - 401 unauthorized
  *  - 400 file_or_text_required
- *  - 413 file too large
+ *  - 413 file too large (answered by the upload middleware)
  *  - 415 unsupported type
- *  - 500 storage write error
+ *  - 500 storage write error (answered by the upload middleware)
+ *  - 200 { id, status, deduplicated: true } identical job reused
+ *  - 200 { id, status: 'ready', clonedFrom } parsed data cloned from an identical job
  *  - 202 Accepted { id, status: 'queued' }
  */
 async function createJob(req, res, next) {
+  const file = req.file; // Provided by the streaming upload middleware when multipart form-data is used.
   try {
     const auth = getAuthContext(req);
-    if (!auth) return res.status(401).json({ error: "unauthorized" });
+    if (!auth) {
+      await discardUploadedFile(file);
+      return res.status(401).json({ error: "unauthorized" });
+    }
 
-    const file = req.file; // Provided by multer when multipart form-data is used.
     const { title, description_text: descriptionText, text } = req.body || {};
     if (!title || !title.trim()) {
+      await discardUploadedFile(file);
       return res.status(400).json({ error: "title_required" });
     }
     const narrativeText = descriptionText || text;
@@ -60,27 +104,36 @@ async function createJob(req, res, next) {
       return res.status(400).json({ error: "file_or_text_required" });
     }
 
-    const user = await ensureUser(auth.sub, auth.email); // ensureUser => upsert into users table; returns local user row.
-    const jobId = uuidv4();
-
-    if (file) {
-      if (file.size > 10 * 1024 * 1024) {
-        return res.status(413).json({ error: "file too large (max 10MB)" });
-      }
-      if (file.mimetype && !ALLOWED_MIME_TYPES.has(file.mimetype)) {
-        return res.status(415).json({ error: "unsupported file type" });
-      }
+    if (file && (file.skipped || !isAllowedMimeType(file.mimetype))) {
+      await discardUploadedFile(file);
+      return res.status(415).json({ error: "unsupported file type" });
     }
 
+    const user = await ensureUser(auth.sub, auth.email); // ensureUser => upsert into users table; returns local user row.
+    // File uploads reserve their id in the upload middleware so the key stays jobs/<jobId>.<ext>.
+    const jobId = file ? file.id : uuidv4();
+
     const source = file ? "file" : "text";
-    const ext = file
-      ? path.extname(file.originalname || "") ||
-        mime.extension(file.mimetype || "") ||
-        ".bin"
-      : ".txt";
-    const normalizedExt = ext.startsWith(".") ? ext : `.${ext}`;
+    const key = file ? file.key : null; // Object storage key (driver-agnostic) when file upload.
+    const contentHash = file ? file.sha256 : hashJobText(narrativeText);
 
-    const key = file ? `jobs/${jobId}${normalizedExt}` : null; // Object storage key (R2) when file upload.
+    // Dedupe: same user + same content (and not errored).
+    //  - Same title -> reuse the existing job outright (nothing new stored).
+    //  - Different title but already parsed -> new job row cloning parsed requirements (no Python call).
+    //  - Otherwise (still parsing) fall through to a normal parse so the new title is honoured.
+    const duplicate = await findActiveJobByHash(user.id, contentHash);
+    if (
+      duplicate &&
+      (duplicate.title || "").trim().toLowerCase() ===
+        title.trim().toLowerCase()
+    ) {
+      await discardUploadedFile(file);
+      return res.status(200).json({
+        id: duplicate.id,
+        status: duplicate.status,
+        deduplicated: true,
+      });
+    }
 
     await createJobRecord({
       // createJobRecord => INSERT into job_descriptions (status 'queued') if id absent.
@@ -92,18 +145,18 @@ async function createJob(req, res, next) {
       mimeType: file ? file.mimetype : "text/plain",
       storagePath: key,
       rawText: file ? null : narrativeText,
+      contentHash,
     });
 
-    if (file) {
-      try {
-        await putObject(key, file.buffer, file.mimetype); // putObject => write bytes to object storage bucket (e.g. Cloudflare R2) for later parsing.
-      } catch (e) {
-        return res.status(500).json({ error: "storage_write_failed" });
-      }
+    if (duplicate && duplicate.status === "ready") {
+      await cloneJobParse(duplicate.id, jobId); // cloneJobParse => copy requirements/soft skills/summary, mark ready.
+      return res
+        .status(200)
+        .json({ id: jobId, status: "ready", clonedFrom: duplicate.id });
     }
 
     await queues.parseJob.add("parseJob", {
-      // Enqueue BullMQ job: worker will read either rawText or fetch file from storage then update job_descriptions + requirements tables.
+      // Enqueue BullMQ job: worker will read either rawText or stream the file from storage then update job_descriptions + requirements tables.
       jobId,
       source,
       filename: file ? file.originalname : null,
@@ -116,22 +169,23 @@ async function createJob(req, res, next) {
 
     res.status(202).json({ id: jobId, status: "queued" });
   } catch (err) {
+    await discardUploadedFile(file);
     next(err);
   }
 }
 
 /**
- * List job summaries for authenticated user.
- * Returns array (maybe empty). 401 if unauthorized.
+ * List job summaries for authenticated user, one page at a time (params validated by validateListQuery).
+ * Returns { items, nextCursor } (nextCursor null on the last page). 401 if unauthorized.
  */
 async function listJobSummaries(req, res, next) {
   try {
     const auth = getAuthContext(req);
     if (!auth) return res.status(401).json({ error: "unauthorized" });
     const userId = await getUserId(auth.sub);
-    if (!userId) return res.json([]);
-    const items = await listJobs(userId); // listJobs => SELECT summary columns from job_descriptions for user.
-    res.json(items);
+    if (!userId) return res.json({ items: [], nextCursor: null });
+    const page = await listJobs(userId, req.listQuery); // listJobs => one keyset page of job_descriptions summaries for user.
+    res.json(page);
   } catch (err) {
     next(err);
   }
@@ -155,6 +209,8 @@ async function getJobDetail(req, res, next) {
       status: job.status,
       title: job.title,
       source: job.source,
+      attempts: job.attempts || 0, // Parse attempts started so far (retries included).
+      maxAttempts: config.queues.parseJob.attempts,
       parsedData: job.parsed_summary || {},
       requirements: job.requirements || [],
       // Surface soft skills (display-only, not used in matching). Field name kept snake_case to stay
@@ -168,11 +224,87 @@ async function getJobDetail(req, res, next) {
   }
 }
 
+/**
+ * Re-run parsing for an existing job description from its stored file or raw text (no re-submit).
+ * Path param: :id (job UUID)
+ * Body (optional): { markMatchesStale?: boolean, rematch?: boolean } - flag matches computed from this
+ *   job as stale now; with rematch, re-queue computeMatch for stale pairs once the new parse succeeds.
+ * A ready job keeps its requirements, soft skills and parsed summary until the new parse succeeds
+ * (reparse=true); a failed reparse returns it to 'ready'. A failed enqueue moves it back to 'ready' (or 'failed')
+ * with the failure as the history reason.
+ * Responses: 401 unauthorized, 404 not_found, 409 reparse_in_progress (queued / processing),
+ * 202 { id, status: 'queued', previousStatus, matchesMarkedStale, rematch }.
+ */
+async function reparseJob(req, res, next) {
+  try {
+    const auth = getAuthContext(req);
+    if (!auth) return res.status(401).json({ error: "unauthorized" });
+    const userId = await getUserId(auth.sub);
+    if (!userId) return res.status(404).json({ error: "not_found" });
+    const job = await getJobForUser(req.params.id, userId);
+    if (!job) return res.status(404).json({ error: "not_found" });
+    if (PARSE_IN_FLIGHT.includes(job.status)) {
+      return res.status(409).json({ error: "reparse_in_progress" });
+    }
+    try {
+      // Lifecycle check also catches a concurrent reparse that queued it since the read.
+      await updateJobStatus(job.id, "queued", undefined, {
+        reason: "reparse requested",
+      });
+    } catch (e) {
+      if (isInvalidTransition(e)) {
+        return res.status(409).json({ error: "reparse_in_progress" });
+      }
+      throw e;
+    }
+    const markStale = !!(req.body && req.body.markMatchesStale === true);
+    const rematch = !!(req.body && req.body.rematch === true);
+    try {
+      await queues.parseJob.add("parseJob", {
+        // Same payload as createJob, rebuilt from the stored row.
+        jobId: job.id,
+        source: job.source,
+        filename: job.filename,
+        mimeType: job.mime_type || "text/plain",
+        storagePath: job.storage_path,
+        rawText: job.raw_text,
+        userId,
+        title: job.title || null,
+        reparse: job.status === "ready", // Keep the previous snapshot if the new parse fails.
+        rematch, // Re-queue stale matches once parsed.
+      });
+    } catch (e) {
+      // Nothing will pick the job up: put it back where it was so it can be reparsed again.
+      const restored = job.status === "ready" ? "ready" : "failed";
+      await updateJobStatus(job.id, restored, undefined, {
+        reason: `reparse enqueue failed: ${e.message}`,
+      }).catch((revertErr) =>
+        logError("reparse status revert failed", { id: job.id }, revertErr)
+      );
+      throw e;
+    }
+    // Only once the parse is queued: a failed enqueue must not leave matches flagged stale.
+    if (markStale) await markMatchesStale({ jobId: job.id });
+    res.status(202).json({
+      id: job.id,
+      status: "queued",
+      previousStatus: job.status,
+      matchesMarkedStale: markStale,
+      rematch,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
 module.exports = {
   createJob,
   listJobSummaries,
   getJobDetail,
+  reparseJob,
   deleteJob,
+  downloadJobFile,
+  isAllowedMimeType,
 };
 
 /**
@@ -194,3 +326,31 @@ async function deleteJob(req, res, next) {
     next(err);
   }
 }
+
+/**
+ * Download the originally uploaded job description file ensuring ownership.
+ * Path param: :id
+ * Text-sourced jobs have no stored object and return 404 file_not_found.
+ * Streams bytes with Content-Type/Content-Disposition and honours Range headers (206/416);
+ * with ?presign=1 returns { url, expiresIn } when the storage driver supports presigned URLs.
+ */
+async function downloadJobFile(req, res, next) {
+  try {
+    const auth = getAuthContext(req);
+    if (!auth) return res.status(401).json({ error: "unauthorized" });
+    const userId = await getUserId(auth.sub);
+    if (!userId) return res.status(404).json({ error: "not_found" });
+    const job = await getJobForUser(req.params.id, userId);
+    if (!job) return res.status(404).json({ error: "not_found" });
+    if (!job.storage_path) {
+      return res.status(404).json({ error: "file_not_found" });
+    }
+    await sendStoredObject(req, res, {
+      key: job.storage_path,
+      filename: job.filename,
+      mimeType: job.mime_type,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
@@ -2,35 +2,103 @@
 /**
  * requestMatch
  * Purpose: Accept a resumeId + jobId pair, verify ownership & readiness, create a match job row, enqueue background computation.
- * Inputs (req.body): { resumeId: string, jobId: string }
+ * Inputs (req.body): { resumeId: string, jobId: string, force?: boolean }
  * Auth: Required (401 if missing).
  * Validation / Error responses:
  *  - 400 resumeId_and_jobId_required when either id missing
  *  - 404 resume_not_found / job_not_found if resources do not belong to user or absent
  *  - 409 resume_not_ready / job_not_ready when parsing still in progress or errored
- * Success: 202 { id: <matchJobId>, status: <initialStatus> }
- * Side effects: createMatchJob DB insert, enqueue computeMatch job.
+ *  - 402 upgrade_required when a non-pro user is out of annual matches (checked only when a computation is queued)
+ * Preferences: the user's match preferences (services/match-preference-service) are resolved here and travel with the job.
+ * Cache: when an earlier result for the pair was computed from identical skills + requirements under the same
+ *   preferences (services/match-cache-service) it is attached to a new match job right away; not charged.
+ *   force=true skips the cache.
+ * Success: 202 { id: <matchJobId>, status: <initialStatus> }, or 200 { id, status: 'completed', cached: true, resultId } on a cache hit
+ * Side effects: createMatchJob DB insert, enqueue computeMatch job (annual usage charged) or attach the cached result.
+ *   A failed insert / enqueue refunds the charge and marks the match job failed.
  */
 const {
   ensureUser,
   getUserId,
+  getUserWithUsage,
   incrementAnnualUsage,
+  refundAnnualUsage,
 } = require("../services/user-service");
 const { getResumeForUser } = require("../services/resume-service");
 const { getJobForUser } = require("../services/job-service");
 const {
   createMatchJob,
+  updateMatchJobStatus,
+  attachResult,
   getMatchJobForUser,
   listMatchJobs,
 } = require("../services/match-service");
+const { lookupCachedMatch } = require("../services/match-cache-service");
+const {
+  resolveMatchPreferences,
+} = require("../services/match-preference-service");
+const {
+  listMatchCandidates,
+  createMatchBatch,
+  rankBatchResults,
+  getMatchBatchForUser,
+} = require("../services/match-batch-service");
 const { queues } = require("../queues");
+const config = require("../config");
 const { getAuthContext } = require("../utils/request-context");
+const { log, error: logError } = require("../utils/logger");
+
+/**
+ * abandonMatchJobs
+ * Cleanup when a request fails after charging usage: gives the charge back and moves match jobs that will never be
+ * computed to 'failed' (so their batch still finishes). Cleanup errors are logged; the caller rethrows its error.
+ * @param {string} userId
+ * @param {number} refund Matches charged by the failed request (0 for pro members)
+ * @param {string[]} matchJobIds Queued match jobs no worker will pick up
+ * @param {Error} err Failure being handled
+ */
+async function abandonMatchJobs(userId, refund, matchJobIds, err) {
+  if (refund > 0) {
+    try {
+      await refundAnnualUsage(userId, refund);
+    } catch (e) {
+      logError(`Failed to refund ${refund} match(es) for user ${userId}`, e);
+    }
+  }
+  for (const matchJobId of matchJobIds) {
+    try {
+      await updateMatchJobStatus(
+        matchJobId,
+        "failed",
+        `enqueue failed: ${err.message}`
+      );
+    } catch (e) {
+      logError(`Failed to mark match job ${matchJobId} failed`, e);
+    }
+  }
+}
+
+/**
+ * remainingAnnualUsage
+ * Matches a non-pro user may still request in the current period (Infinity when usage fields are absent).
+ * @param {object} user users row with usage columns (ensureUser / getUserWithUsage)
+ * @returns {number}
+ */
+function remainingAnnualUsage(user) {
+  if (
+    typeof user.annual_usage_count !== "number" ||
+    typeof user.annual_limit !== "number"
+  ) {
+    return Infinity;
+  }
+  return Math.max(user.annual_limit - user.annual_usage_count, 0);
+}
 
 async function requestMatch(req, res, next) {
   try {
     const auth = getAuthContext(req); // getAuthContext => extracts validated auth claims ({ sub, email }) from request context.
     if (!auth) return res.status(401).json({ error: "unauthorized" });
-    const { resumeId, jobId } = req.body || {}; // Expect resumeId/jobId referencing ready resources.
+    const { resumeId, jobId, force } = req.body || {}; // Expect resumeId/jobId referencing ready resources.
     if (!resumeId || !jobId) {
       return res.status(400).json({ error: "resumeId_and_jobId_required" });
     }
@@ -40,23 +108,6 @@ async function requestMatch(req, res, next) {
     // Basic pro check placeholder: if request includes header x-pro-member=1 treat as pro (until Stripe webhook integration populates DB or token claim).
     const isPro = req.headers["x-pro-member"] === "1"; // Future: derive from persisted subscription state.
 
-    // Enforce annual usage for non-pro users BEFORE creating match job.
-    if (!isPro) {
-      // Ensure user object has usage fields (ensureUser returns them). Block if already at or over limit.
-      if (
-        typeof user.annual_usage_count === "number" &&
-        typeof user.annual_limit === "number" &&
-        user.annual_usage_count >= user.annual_limit
-      ) {
-        return res.status(402).json({
-          error: "upgrade_required",
-          message:
-            "Annual free match limit reached. Upgrade to Pro for unlimited matches.",
-        });
-      }
-      // Under limit -> increment usage atomically.
-      await incrementAnnualUsage(user.id);
-    }
     const resume = await getResumeForUser(resumeId, user.id); // getResumeForUser => SELECT resumes row (joined skills) WHERE id & user_id match.
     if (!resume) return res.status(404).json({ error: "resume_not_found" });
     if (resume.status !== "ready") {
@@ -68,22 +119,74 @@ async function requestMatch(req, res, next) {
       return res.status(409).json({ error: "job_not_ready" }); // Job must have finished parsing & requirement extraction.
     }
 
-    const { id: matchJobId, status } = await createMatchJob({
-      // createMatchJob => INSERT INTO match_jobs (status 'queued') linking user,resume,job; distinct from final matches result row.
-      userId: user.id,
-      resumeId,
-      jobId,
-    });
+    const preferences = await resolveMatchPreferences(user.id); // Snapshot: later preference edits do not change this match.
 
-    await queues.computeMatch.add("computeMatch", {
-      // BullMQ enqueue: worker will fetch resume + job embeddings/parsed data, compute similarity, and update match_jobs + create matches row.
-      matchJobId,
-      resumeId,
-      jobId,
-      userId: user.id,
-    }); // Worker will create final matches row when complete.
+    // Identical inputs to an earlier result for this pair -> reuse it; cache hits are free.
+    const cachedId =
+      force === true
+        ? null
+        : await lookupCachedMatch(resumeId, jobId, preferences);
+    if (cachedId) {
+      const { id: matchJobId } = await createMatchJob({
+        userId: user.id,
+        resumeId,
+        jobId,
+      });
+      await attachResult(matchJobId, cachedId, {
+        reason: `cached result ${cachedId}`,
+      });
+      return res.status(200).json({
+        id: matchJobId,
+        status: "completed",
+        cached: true,
+        resultId: cachedId,
+      });
+    }
+
+    // Enforce annual usage for non-pro users BEFORE creating match job.
+    if (!isPro) {
+      // Conditional UPDATE: fails (nothing charged) when the user is at the limit, even under concurrent requests.
+      const charged = await incrementAnnualUsage(user.id);
+      if (!charged) {
+        return res.status(402).json({
+          error: "upgrade_required",
+          message:
+            "Annual free match limit reached. Upgrade to Pro for unlimited matches.",
+        });
+      }
+    }
 
-    res.status(202).json({ id: matchJobId, status });
+    let matchJob = null;
+    try {
+      matchJob = await createMatchJob({
+        // createMatchJob => INSERT INTO match_jobs (status 'queued') linking user,resume,job; distinct from final matches result row.
+        userId: user.id,
+        resumeId,
+        jobId,
+      });
+
+      await queues.computeMatch.add("computeMatch", {
+        // BullMQ enqueue: worker will fetch resume + job embeddings/parsed data, compute similarity, and update match_jobs + create matches row.
+        matchJobId: matchJob.id,
+        resumeId,
+        jobId,
+        userId: user.id,
+        force: force === true, // Worker checks the cache again unless forced.
+        charged: !isPro, // Refunded by the worker if its own cache check hits.
+        preferences,
+      }); // Worker will create final matches row when complete.
+    } catch (err) {
+      // Nothing will compute this match: refund the charge and fail the row if it was created.
+      await abandonMatchJobs(
+        user.id,
+        isPro ? 0 : 1,
+        matchJob ? [matchJob.id] : [],
+        err
+      );
+      throw err;
+    }
+
+    res.status(202).json({ id: matchJob.id, status: matchJob.status });
   } catch (err) {
     next(err);
   }
@@ -91,17 +194,17 @@ async function requestMatch(req, res, next) {
 
 /**
  * listMatchStatuses
- * Purpose: Return all match job status rows for current user (newest first as defined in service layer).
- * Auth: Required (401 otherwise). Returns [] if user not provisioned yet.
+ * Purpose: Return one page of match job status rows for current user (newest first unless ?sort/?order given).
+ * Auth: Required (401 otherwise). Returns { items, nextCursor }; empty page if user not provisioned yet.
  */
 async function listMatchStatuses(req, res, next) {
   try {
     const auth = getAuthContext(req);
     if (!auth) return res.status(401).json({ error: "unauthorized" });
     const userId = await getUserId(auth.sub); // getUserId => quick users table lookup (external sub -> internal id) without create.
-    if (!userId) return res.json([]);
-    const matches = await listMatchJobs(userId); // listMatchJobs => SELECT * FROM match_jobs WHERE user_id ORDER BY created_at DESC.
-    res.json(matches);
+    if (!userId) return res.json({ items: [], nextCursor: null });
+    const page = await listMatchJobs(userId, req.listQuery); // listMatchJobs => one keyset page of match_jobs rows for user.
+    res.json(page);
   } catch (err) {
     next(err);
   }
@@ -113,7 +216,7 @@ async function listMatchStatuses(req, res, next) {
  * Path param: :id (match job id)
  * Auth: Required (401 if missing).
  * Errors: 404 not_found if either user or job not present / unauthorized.
- * Success: 200 JSON { id, status, resumeId, jobId, error?, match? }
+ * Success: 200 JSON { id, status, resumeId, jobId, error?, match? } (match includes the preferences it was scored with)
  */
 async function getMatchDetail(req, res, next) {
   try {
@@ -128,13 +231,19 @@ async function getMatchDetail(req, res, next) {
       status: matchJob.status,
       resumeId: matchJob.resume_id,
       jobId: matchJob.job_id,
+      attempts: matchJob.attempts || 0, // Compute attempts started so far (retries included).
+      maxAttempts: config.queues.computeMatch.attempts,
       error: matchJob.error_message || null,
+      batchId: matchJob.batch_id || null, // Set when created by POST /batches.
     };
     if (matchJob.status === "completed" && matchJob.result_id) {
       response.match = {
         id: matchJob.result_id,
         score: matchJob.score, // similarity/confidence produced by worker's model.
         summary: matchJob.summary, // short textual explanation stored in matches table.
+        stale: !!matchJob.is_stale, // Resume or job re-parsed since (POST /:id/reparse with markMatchesStale).
+        engine: matchJob.engine || "python", // python | js (in-process matcher, see services/match-engine).
+        preferences: matchJob.preferences || null, // Match preferences the score was computed with.
         completedAt: matchJob.match_created_at,
       };
     }
@@ -144,8 +253,251 @@ async function getMatchDetail(req, res, next) {
   }
 }
 
+/**
+ * parseBatchTarget
+ * Reads { resumeId, jobIds } or { jobId, resumeIds } (exactly one form) into the shared anchor + the
+ * deduplicated ids it is paired with. Returns { error } (400 body) when the shape or ids are invalid.
+ * @param {object} body
+ * @returns {{anchorType?:'resume'|'job', anchorId?:string, candidateIds?:string[], error?:object}}
+ */
+function parseBatchTarget(body) {
+  const { resumeId, jobId, jobIds, resumeIds } = body;
+  let target = null;
+  if (resumeId && Array.isArray(jobIds) && !jobId && !resumeIds) {
+    target = { anchorType: "resume", anchorId: resumeId, ids: jobIds };
+  } else if (jobId && Array.isArray(resumeIds) && !resumeId && !jobIds) {
+    target = { anchorType: "job", anchorId: jobId, ids: resumeIds };
+  }
+  if (!target) {
+    return {
+      error: { error: "resumeId_with_jobIds_or_jobId_with_resumeIds_required" },
+    };
+  }
+  if (
+    target.ids.length === 0 ||
+    !target.ids.every((id) => typeof id === "string" && id)
+  ) {
+    return { error: { error: "invalid_batch_ids" } };
+  }
+  const candidateIds = [...new Set(target.ids)];
+  if (candidateIds.length > config.matchBatch.maxSize) {
+    return {
+      error: { error: "batch_too_large", maxSize: config.matchBatch.maxSize },
+    };
+  }
+  return {
+    anchorType: target.anchorType,
+    anchorId: target.anchorId,
+    candidateIds,
+  };
+}
+
+/**
+ * requestMatchBatch
+ * Purpose: Match one resume against many jobs ({ resumeId, jobIds }) or one job against many resumes
+ * ({ jobId, resumeIds }), optional force: creates a match_batches parent with one queued match_jobs child per pair.
+ * Auth: Required (401 if missing).
+ * Validation / Error responses:
+ *  - 400 resumeId_with_jobIds_or_jobId_with_resumeIds_required / invalid_batch_ids / batch_too_large { maxSize }
+ *  - 404 resume_not_found / job_not_found for the anchor; same errors plus { ids } for listed ids not owned
+ *  - 409 resume_not_ready / job_not_ready for the anchor; same errors plus { ids } for listed ids not ready
+ *  - 402 upgrade_required { remaining } when the pairs to compute exceed the remaining annual allowance (non-pro)
+ * Cache: pairs with an earlier result from identical inputs get it attached immediately (see requestMatch);
+ *   body force=true skips the cache.
+ * Usage: charged once per computed pair (duplicate ids count once, cache hits are free), only after every id validated.
+ * Success: 202 { id: <batchId>, status: 'queued' ('completed' when every pair was cached), total, cached, matchJobIds }
+ * Side effects: createMatchBatch DB inserts, one computeMatch job per uncached child. A failure after the charge
+ *   refunds it and marks the children left queued failed (see abandonMatchJobs).
+ */
+async function requestMatchBatch(req, res, next) {
+  try {
+    const auth = getAuthContext(req);
+    if (!auth) return res.status(401).json({ error: "unauthorized" });
+    const target = parseBatchTarget(req.body || {});
+    if (target.error) return res.status(400).json(target.error);
+    const { anchorType, anchorId, candidateIds } = target;
+    const candidateType = anchorType === "resume" ? "job" : "resume";
+
+    const user = await ensureUser(auth.sub, auth.email);
+    const anchor =
+      anchorType === "resume"
+        ? await getResumeForUser(anchorId, user.id)
+        : await getJobForUser(anchorId, user.id);
+    if (!anchor) {
+      return res.status(404).json({ error: `${anchorType}_not_found` });
+    }
+    if (anchor.status !== "ready") {
+      return res.status(409).json({ error: `${anchorType}_not_ready` });
+    }
+    const found = await listMatchCandidates(user.id, anchorType, candidateIds);
+    const statusById = new Map(found.map((row) => [row.id, row.status]));
+    const missing = candidateIds.filter((id) => !statusById.has(id));
+    if (missing.length) {
+      return res
+        .status(404)
+        .json({ error: `${candidateType}_not_found`, ids: missing });
+    }
+    const notReady = candidateIds.filter(
+      (id) => statusById.get(id) !== "ready"
+    );
+    if (notReady.length) {
+      return res
+        .status(409)
+        .json({ error: `${candidateType}_not_ready`, ids: notReady });
+    }
+
+    const preferences = await resolveMatchPreferences(user.id); // One snapshot for every pair.
+
+    // Pairs whose inputs match an earlier result are attached from the cache and not charged.
+    const pairOf = (candidateId) =>
+      anchorType === "resume"
+        ? { resumeId: anchorId, jobId: candidateId }
+        : { resumeId: candidateId, jobId: anchorId };
+    const cached = new Map(); // candidate id -> reusable match id
+    if (req.body.force !== true) {
+      for (const candidateId of candidateIds) {
+        const { resumeId, jobId } = pairOf(candidateId);
+        const matchId = await lookupCachedMatch(resumeId, jobId, preferences);
+        if (matchId) cached.set(candidateId, matchId);
+      }
+    }
+    const charged = candidateIds.length - cached.size;
+
+    // Same pro placeholder as requestMatch; the computed pairs must fit in the remaining allowance.
+    const isPro = req.headers["x-pro-member"] === "1";
+    if (!isPro && charged > 0) {
+      // All-or-nothing conditional UPDATE: concurrent batches cannot overshoot annual_limit together.
+      if (!(await incrementAnnualUsage(user.id, charged))) {
+        const current = await getUserWithUsage(auth.sub);
+        return res.status(402).json({
+          error: "upgrade_required",
+          message:
+            "Annual free match limit does not cover this batch. Upgrade to Pro for unlimited matches.",
+          remaining: remainingAnnualUsage(current || user),
+        });
+      }
+    }
+
+    let batch = null;
+    const queued = [];
+    const attached = new Set();
+    try {
+      batch = await createMatchBatch({
+        userId: user.id,
+        anchorType,
+        anchorId,
+        candidateIds,
+      });
+      for (const child of batch.children) {
+        const matchId = cached.get(
+          anchorType === "resume" ? child.jobId : child.resumeId
+        );
+        if (matchId) {
+          await attachResult(child.id, matchId, {
+            reason: `cached result ${matchId}`,
+          });
+          attached.add(child.id);
+        } else {
+          queued.push(child);
+        }
+      }
+      // Children are ordinary match jobs: same worker, retries, realtime events and GET /:id detail.
+      if (queued.length) {
+        await queues.computeMatch.addBulk(
+          queued.map((child) => ({
+            name: "computeMatch",
+            data: {
+              matchJobId: child.id,
+              resumeId: child.resumeId,
+              jobId: child.jobId,
+              userId: user.id,
+              force: req.body.force === true,
+              preferences,
+              charged: !isPro,
+            },
+          }))
+        );
+      }
+    } catch (err) {
+      // No child was enqueued: refund every charged pair and fail the children left queued so the batch finishes.
+      await abandonMatchJobs(
+        user.id,
+        isPro ? 0 : charged,
+        batch
+          ? batch.children
+              .filter((child) => !attached.has(child.id))
+              .map((child) => child.id)
+          : [],
+        err
+      );
+      throw err;
+    }
+    log("requestMatchBatch queued match jobs", {
+      batchId: batch.id,
+      userId: user.id,
+      total: batch.children.length,
+      cached: cached.size,
+    });
+    res.status(202).json({
+      id: batch.id,
+      status: queued.length ? "queued" : "completed",
+      total: batch.children.length,
+      cached: cached.size,
+      matchJobIds: batch.children.map((child) => child.id),
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * getMatchBatchDetail
+ * Purpose: Batch progress plus, once every child finished, the ranked leaderboard.
+ * Path param: :id (batch id)
+ * Auth: Required (401 if missing). 404 not_found when absent / not owned.
+ * Success: 200 { id, anchor: { type, id }, status: 'running'|'completed', total, counts, children,
+ *   leaderboard } where leaderboard is null while children are queued/running, then completed children by
+ *   score descending ({ rank, matchJobId, matchId, resumeId, jobId, score, stale }; ties share a rank).
+ *   Failed children appear only in `children` (with their error).
+ */
+async function getMatchBatchDetail(req, res, next) {
+  try {
+    const auth = getAuthContext(req);
+    if (!auth) return res.status(401).json({ error: "unauthorized" });
+    const userId = await getUserId(auth.sub);
+    if (!userId) return res.status(404).json({ error: "not_found" });
+    const batch = await getMatchBatchForUser(req.params.id, userId);
+    if (!batch) return res.status(404).json({ error: "not_found" });
+    const counts = { queued: 0, running: 0, completed: 0, failed: 0 };
+    for (const child of batch.children) {
+      counts[child.status] = (counts[child.status] || 0) + 1;
+    }
+    res.json({
+      id: batch.id,
+      anchor: { type: batch.anchor_type, id: batch.anchor_id },
+      status: batch.finished ? "completed" : "running",
+      total: batch.total,
+      counts,
+      children: batch.children.map((child) => ({
+        id: child.id,
+        resumeId: child.resume_id,
+        jobId: child.job_id,
+        status: child.status,
+        score: child.status === "completed" ? child.score : null,
+        error: child.error_message || null,
+      })),
+      leaderboard: batch.finished ? rankBatchResults(batch.children) : null,
+      createdAt: batch.created_at,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
 module.exports = {
   requestMatch,
+  requestMatchBatch,
   listMatchStatuses,
   getMatchDetail,
+  getMatchBatchDetail,
 };
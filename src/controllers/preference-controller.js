@@ -0,0 +1,124 @@
+// Preference controller: reads and saves match preferences for the caller or, for admins, any user.
+/**
+ * Response shape (all handlers): 200 { preferences, saved, defaults }
+ *  - preferences: effective settings new matches use (saved values over server defaults)
+ *  - saved: only the fields stored for the user
+ *  - defaults: config.matchPreferences.defaults
+ * Update bodies are partial: { threshold?, inferredWeight?, inferredMinImportance?, includeSoftSkills? };
+ * null resets a field to the default. Error responses:
+ *  - 400 invalid_preferences (empty / non-object body), unknown_preference { field }, invalid_<field>
+ *  - 404 user_not_found (admin endpoints)
+ */
+const {
+  ensureUser,
+  getUserId,
+  userExists,
+} = require("../services/user-service");
+const {
+  applyPreferenceDefaults,
+  getSavedMatchPreferences,
+  validateMatchPreferences,
+  saveMatchPreferences,
+} = require("../services/match-preference-service");
+const config = require("../config");
+const { getAuthContext } = require("../utils/request-context");
+const { log } = require("../utils/logger");
+
+function preferencesBody(saved) {
+  return {
+    preferences: applyPreferenceDefaults(saved),
+    saved,
+    defaults: config.matchPreferences.defaults,
+  };
+}
+
+function validationError(res, result) {
+  const body = { error: result.error };
+  if (result.field) body.field = result.field;
+  return res.status(400).json(body);
+}
+
+/**
+ * getMyMatchPreferences
+ * GET /preferences/match -> caller's preferences (defaults only when the user has no local row yet).
+ */
+async function getMyMatchPreferences(req, res, next) {
+  try {
+    const auth = getAuthContext(req);
+    if (!auth) return res.status(401).json({ error: "unauthorized" });
+    const userId = await getUserId(auth.sub);
+    res.json(
+      preferencesBody(userId ? await getSavedMatchPreferences(userId) : {})
+    );
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * updateMyMatchPreferences
+ * PATCH /preferences/match -> saves the given fields for the caller. Already queued matches are unaffected.
+ */
+async function updateMyMatchPreferences(req, res, next) {
+  try {
+    const auth = getAuthContext(req);
+    if (!auth) return res.status(401).json({ error: "unauthorized" });
+    const result = validateMatchPreferences(req.body);
+    if (result.error) return validationError(res, result);
+    const user = await ensureUser(auth.sub, auth.email);
+    const saved = await saveMatchPreferences(user.id, result.values);
+    res.json(preferencesBody(saved));
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * getUserMatchPreferences
+ * GET /admin/users/:userId/match-preferences (admin only, see routes/admin.js).
+ */
+async function getUserMatchPreferences(req, res, next) {
+  try {
+    const { userId } = req.params;
+    if (!(await userExists(userId))) {
+      return res.status(404).json({ error: "user_not_found" });
+    }
+    res.json(preferencesBody(await getSavedMatchPreferences(userId)));
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * updateUserMatchPreferences
+ * PATCH /admin/users/:userId/match-preferences (admin only). updated_by records the admin.
+ */
+async function updateUserMatchPreferences(req, res, next) {
+  try {
+    const result = validateMatchPreferences(req.body);
+    if (result.error) return validationError(res, result);
+    const { userId } = req.params;
+    if (!(await userExists(userId))) {
+      return res.status(404).json({ error: "user_not_found" });
+    }
+    const adminId = await getUserId(getAuthContext(req).sub);
+    const saved = await saveMatchPreferences(userId, result.values, {
+      updatedBy: adminId,
+    });
+    log("Admin updated match preferences", {
+      userId,
+      adminId,
+      fields: Object.keys(result.values),
+    });
+    res.json(preferencesBody(saved));
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  getMyMatchPreferences,
+  updateMyMatchPreferences,
+  getUserMatchPreferences,
+  updateUserMatchPreferences,
+};
@@ -1,19 +1,25 @@
 // Resume controller: handles uploads/list/detail and queues parsing jobs.
-const path = require("path");
-const { v4: uuidv4 } = require("uuid");
-const mime = require("mime-types");
 const { ensureUser, getUserId } = require("../services/user-service");
 const {
   createResume,
+  findActiveResumeByHash,
   // updateResumeStoragePath, // no longer needed for R2 direct write
   getResumeForUser,
   listResumes,
   softDeleteResume,
+  updateResumeStatus,
 } = require("../services/resume-service");
+const { markMatchesStale } = require("../services/match-service");
+const { isInvalidTransition } = require("../services/lifecycle-service");
 const { queues } = require("../queues");
+const config = require("../config");
 const { getAuthContext } = require("../utils/request-context");
 const { log, error: logError } = require("../utils/logger");
-const { putObject } = require("../utils/r2-storage");
+const { discardUploadedFile } = require("../middleware/streaming-upload");
+const { sendStoredObject } = require("../utils/file-download");
+
+// Statuses with a parse queued or running; a reparse would race it.
+const PARSE_IN_FLIGHT = ["queued", "processing"];
 
 // Mirror python worker capabilities; adjust when new parsers are added.
 /**
@@ -28,23 +34,36 @@ const ALLOWED_MIME_TYPES = new Set([
   "text/plain",
 ]);
 
+/**
+ * isAllowedMimeType
+ * Clients that omit a part Content-Type are let through; the parser sniffs content itself.
+ * @param {string|undefined} mimeType
+ * @returns {boolean}
+ */
+function isAllowedMimeType(mimeType) {
+  return !mimeType || ALLOWED_MIME_TYPES.has(mimeType);
+}
+
 /**
  * Handle a single resume file upload.
  * Expectations:
- *  - req.file populated by Multer memoryStorage (fields: originalname, mimetype, size, buffer)
+ *  - req.file populated by the streaming upload middleware (fields: originalname, mimetype, size, id, key)
+ *    The bytes are already in object storage by the time this runs (streamed, never buffered in RAM).
  *  - Auth context present (getAuthContext attaches { sub, email })
- *  - File size <= 10MB and mimetype in ALLOWED_MIME_TYPES
+ *  - File size <= 10MB (enforced while streaming) and mimetype in ALLOWED_MIME_TYPES
  * Side effects:
  *  - Ensures (or creates) a user row via ensureUser
+ *  - Deduplicates on SHA-256 of the bytes: an identical active resume is reused (object discarded)
  *  - Persists a resume metadata row via createResume (status initially queued/processing depending on service impl)
- *  - Uploads binary bytes to object storage (R2) using putObject(key, buffer, mimeType)
  *  - Enqueues a BullMQ job (queue: parseResume) with payload needed by worker to parse
+ *  - Removes the streamed object again when the request fails after upload
  * Response codes:
  *  - 401 when unauthenticated
  *  - 400 when file missing
- *  - 413 when file too large
+ *  - 413 when file too large (answered by the upload middleware)
  *  - 415 when unsupported MIME type
- *  - 500 when storage upload fails
+ *  - 500 when storage upload fails (answered by the upload middleware)
+ *  - 200 when an identical resume already exists (body: { id, status, deduplicated: true })
  *  - 202 Accepted when queued successfully (body: { id, status: 'queued' })
  * Returns: void (writes HTTP response). Errors are passed to next(err) for global handler.
  */
@@ -56,59 +75,67 @@ async function uploadResume(req, res, next) {
       filename: req.file ? req.file.originalname : null,
       size: req.file ? req.file.size : null,
     });
-    if (!auth) return res.status(401).json({ error: "unauthorized" });
+    if (!auth) {
+      await discardUploadedFile(req.file);
+      return res.status(401).json({ error: "unauthorized" });
+    }
 
-    // Multer (memory storage) populates req.file with in-memory Buffer + metadata.
+    // Streaming upload middleware populates req.file with metadata + the object key it wrote.
     const file = req.file;
     if (!file) return res.status(400).json({ error: "file is required" });
-    if (file.size > 10 * 1024 * 1024) {
-      return res.status(413).json({ error: "file too large (max 10MB)" });
-    }
-    if (file.mimetype && !ALLOWED_MIME_TYPES.has(file.mimetype)) {
+    if (file.skipped || !isAllowedMimeType(file.mimetype)) {
+      await discardUploadedFile(file);
       return res.status(415).json({ error: "unsupported file type" });
     }
 
-    const user = await ensureUser(auth.sub, auth.email); // ensureUser => upsert/select users table row for external subject.
-    const resumeId = uuidv4(); // Primary key for resume row & basis for storage key.
-
-    // Determine an extension preference order: original filename ext -> inferred from mimetype -> fallback.
-    const ext =
-      path.extname(file.originalname || "") ||
-      mime.extension(file.mimetype || "") ||
-      ".bin";
-    // Normalize to .ext format (mime.extension might omit leading dot).
-    const normalizedExt = ext.startsWith(".") ? ext : `.${ext}`;
-
-    // Object storage key (namespaced). Using stable ID avoids collisions and leaking user filename.
-    const key = `resumes/${resumeId}${normalizedExt}`;
-
-    await createResume({
-      // createResume => INSERT INTO resumes (status 'queued') storing storagePath for worker retrieval.
-      id: resumeId,
-      userId: user.id,
-      filename: file.originalname,
-      mimeType: file.mimetype,
-      storagePath: key, // Persist the object key for later retrieval by worker.
-    });
+    // Primary key for resume row; reserved by the upload middleware so the key stays resumes/<resumeId>.<ext>.
+    const resumeId = file.id;
+    const key = file.key;
 
     try {
-      await putObject(key, file.buffer, file.mimetype); // putObject => write bytes to object storage (R2 bucket) under deterministic key.
-    } catch (e) {
-      logError("R2 upload failed", e);
-      return res.status(500).json({ error: "storage_write_failed" });
-    }
+      const user = await ensureUser(auth.sub, auth.email); // ensureUser => upsert/select users table row for external subject.
 
-    // Enqueue parsing job providing identifiers & metadata for worker to fetch and parse the file.
-    await queues.parseResume.add("parseResume", {
-      // BullMQ enqueue: python/Node worker consumes message, downloads file from object storage, parses & updates resumes row + skills table.
-      resumeId,
-      storagePath: key,
-      filename: file.originalname,
-      mimeType: file.mimetype,
-      userId: user.id,
-    });
+      // Dedupe: identical bytes already uploaded by this user (and not errored) -> reuse that resume
+      // instead of storing another object + paying for another parse.
+      const duplicate = await findActiveResumeByHash(user.id, file.sha256);
+      if (duplicate) {
+        await discardUploadedFile(file);
+        log("uploadResume reused existing resume", {
+          resumeId: duplicate.id,
+          userId: user.id,
+        });
+        return res.status(200).json({
+          id: duplicate.id,
+          status: duplicate.status,
+          deduplicated: true,
+        });
+      }
 
-    log("uploadResume queued parse job", { resumeId, userId: user.id });
+      await createResume({
+        // createResume => INSERT INTO resumes (status 'queued') storing storagePath for worker retrieval.
+        id: resumeId,
+        userId: user.id,
+        filename: file.originalname,
+        mimeType: file.mimetype,
+        storagePath: key, // Persist the object key for later retrieval by worker.
+        contentHash: file.sha256,
+      });
+
+      // Enqueue parsing job providing identifiers & metadata for worker to fetch and parse the file.
+      await queues.parseResume.add("parseResume", {
+        // BullMQ enqueue: Node worker streams the object from storage to the Python parser & updates resumes row + skills table.
+        resumeId,
+        storagePath: key,
+        filename: file.originalname,
+        mimeType: file.mimetype,
+        userId: user.id,
+      });
+
+      log("uploadResume queued parse job", { resumeId, userId: user.id });
+    } catch (e) {
+      await discardUploadedFile(file);
+      throw e;
+    }
     res.status(202).json({ id: resumeId, status: "queued" });
   } catch (err) {
     logError("uploadResume failed", err);
@@ -117,9 +144,9 @@ async function uploadResume(req, res, next) {
 }
 
 /**
- * List summaries for all resumes owned by the authenticated user.
- * Expects: valid auth context; no body params.
- * Returns: JSON array (possibly empty) of resume summary objects (shape defined by service layer)
+ * List summaries for resumes owned by the authenticated user, one page at a time.
+ * Expects: valid auth context; req.listQuery from validateListQuery (limit/cursor/status/createdFrom/createdTo/sort/order).
+ * Returns: { items: resume summaries, nextCursor: string|null } (pass nextCursor back as ?cursor= for the next page)
  * HTTP 401 when unauthenticated.
  */
 async function listResumeSummaries(req, res, next) {
@@ -127,9 +154,9 @@ async function listResumeSummaries(req, res, next) {
     const auth = getAuthContext(req);
     if (!auth) return res.status(401).json({ error: "unauthorized" });
     const userId = await getUserId(auth.sub); // Maps external auth subject -> internal user id.
-    if (!userId) return res.json([]); // User record might not exist yet.
-    const items = await listResumes(userId); // listResumes => SELECT summary fields FROM resumes WHERE user_id = ? ORDER BY created_at DESC.
-    res.json(items);
+    if (!userId) return res.json({ items: [], nextCursor: null }); // User record might not exist yet.
+    const page = await listResumes(userId, req.listQuery); // listResumes => one keyset page of resume summaries (filters/sort from query).
+    res.json(page);
   } catch (err) {
     next(err);
   }
@@ -154,6 +181,8 @@ async function getResumeDetail(req, res, next) {
       status: resume.status,
       filename: resume.filename,
       mimeType: resume.mime_type,
+      attempts: resume.attempts || 0, // Parse attempts started so far (retries included).
+      maxAttempts: config.queues.parseResume.attempts,
       parsedData: resume.parsed_summary || {},
       skills: resume.skills || [],
       createdAt: resume.created_at,
@@ -164,11 +193,88 @@ async function getResumeDetail(req, res, next) {
   }
 }
 
+/**
+ * Re-run parsing for an existing resume from its stored object (no re-upload).
+ * Path param: :id (resume UUID)
+ * Body (optional): { markMatchesStale?: boolean, rematch?: boolean } - flag matches computed from this
+ *   resume as stale now; with rematch, re-queue computeMatch for stale pairs once the new parse succeeds.
+ * Side effects:
+ *  - Moves the resume to 'queued' (lifecycle-checked; history reason "reparse requested")
+ *  - Enqueues parseResume with reparse=true when a ready snapshot exists: parsed_summary + skills stay
+ *    readable until the new parse succeeds, and a failed reparse returns the resume to 'ready'
+ *  - If the enqueue fails the resume goes back to 'ready' (or 'failed') with the failure as the history reason
+ * Response codes:
+ *  - 401 when unauthenticated, 404 when not found / not owned / deleted
+ *  - 409 reparse_in_progress while a parse is queued or running
+ *  - 202 { id, status: 'queued', previousStatus, matchesMarkedStale, rematch }
+ */
+async function reparseResume(req, res, next) {
+  try {
+    const auth = getAuthContext(req);
+    if (!auth) return res.status(401).json({ error: "unauthorized" });
+    const userId = await getUserId(auth.sub);
+    if (!userId) return res.status(404).json({ error: "not_found" });
+    const resume = await getResumeForUser(req.params.id, userId);
+    if (!resume) return res.status(404).json({ error: "not_found" });
+    if (PARSE_IN_FLIGHT.includes(resume.status)) {
+      return res.status(409).json({ error: "reparse_in_progress" });
+    }
+    try {
+      // Lifecycle check also catches a concurrent reparse that queued it since the read.
+      await updateResumeStatus(resume.id, "queued", undefined, {
+        reason: "reparse requested",
+      });
+    } catch (e) {
+      if (isInvalidTransition(e)) {
+        return res.status(409).json({ error: "reparse_in_progress" });
+      }
+      throw e;
+    }
+    const markStale = !!(req.body && req.body.markMatchesStale === true);
+    const rematch = !!(req.body && req.body.rematch === true);
+    try {
+      await queues.parseResume.add("parseResume", {
+        resumeId: resume.id,
+        storagePath: resume.storage_path,
+        filename: resume.filename,
+        mimeType: resume.mime_type,
+        userId,
+        reparse: resume.status === "ready", // Keep the previous snapshot if the new parse fails.
+        rematch, // Re-queue stale matches once parsed.
+      });
+    } catch (e) {
+      // Nothing will pick the resume up: put it back where it was so it can be reparsed again.
+      const restored = resume.status === "ready" ? "ready" : "failed";
+      await updateResumeStatus(resume.id, restored, undefined, {
+        reason: `reparse enqueue failed: ${e.message}`,
+      }).catch((revertErr) =>
+        logError("reparse status revert failed", { id: resume.id }, revertErr)
+      );
+      throw e;
+    }
+    // Only once the parse is queued: a failed enqueue must not leave matches flagged stale.
+    if (markStale) await markMatchesStale({ resumeId: resume.id });
+    log("reparseResume queued parse job", { resumeId: resume.id, userId });
+    res.status(202).json({
+      id: resume.id,
+      status: "queued",
+      previousStatus: resume.status,
+      matchesMarkedStale: markStale,
+      rematch,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
 module.exports = {
   uploadResume,
   listResumeSummaries,
   getResumeDetail,
+  reparseResume,
   deleteResume,
+  downloadResumeFile,
+  isAllowedMimeType,
 };
 
 /**
@@ -189,3 +295,31 @@ async function deleteResume(req, res, next) {
     next(err);
   }
 }
+
+/**
+ * Download the originally uploaded resume file ensuring ownership.
+ * Path param: :id (resume UUID)
+ * Streams bytes with Content-Type/Content-Disposition and honours Range headers (206/416);
+ * with ?presign=1 returns { url, expiresIn } when the storage driver supports presigned URLs.
+ * Returns 404 if user/resume not found or the stored object is missing, 401 if unauthorized.
+ */
+async function downloadResumeFile(req, res, next) {
+  try {
+    const auth = getAuthContext(req);
+    if (!auth) return res.status(401).json({ error: "unauthorized" });
+    const userId = await getUserId(auth.sub);
+    if (!userId) return res.status(404).json({ error: "not_found" });
+    const resume = await getResumeForUser(req.params.id, userId);
+    if (!resume) return res.status(404).json({ error: "not_found" });
+    if (!resume.storage_path) {
+      return res.status(404).json({ error: "file_not_found" });
+    }
+    await sendStoredObject(req, res, {
+      key: resume.storage_path,
+      filename: resume.filename,
+      mimeType: resume.mime_type,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
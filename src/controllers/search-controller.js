@@ -0,0 +1,48 @@
+// Search controller: validates search params and returns ranked hits grouped by entity type.
+const { getUserId } = require("../services/user-service");
+const { search } = require("../services/search-service");
+const { getAuthContext } = require("../utils/request-context");
+
+const MAX_QUERY_LENGTH = 200;
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+/**
+ * searchAll
+ * Purpose: Full-text search across the user's job descriptions (title, text, requirements) and resumes (filename, skills).
+ * Query: q (required, <= 200 chars; last word prefix-matched), limit (1..50 per group, default 10).
+ * Auth: Required (401 otherwise).
+ * Validation / Error responses:
+ *  - 400 q_required when q is missing/blank
+ *  - 400 q_too_long when q exceeds 200 characters
+ *  - 400 invalid_limit when limit is not an integer within range
+ * Success: 200 { q, groups: { jobs: [...], resumes: [...] } } each hit carrying score, snippet, matchedSkills.
+ */
+async function searchAll(req, res, next) {
+  try {
+    const auth = getAuthContext(req);
+    if (!auth) return res.status(401).json({ error: "unauthorized" });
+    const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+    if (!q) return res.status(400).json({ error: "q_required" });
+    if (q.length > MAX_QUERY_LENGTH) {
+      return res.status(400).json({ error: "q_too_long" });
+    }
+    let limit = DEFAULT_LIMIT;
+    if (req.query.limit !== undefined) {
+      limit = Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        return res.status(400).json({ error: "invalid_limit" });
+      }
+    }
+    const userId = await getUserId(auth.sub); // getUserId => lookup without create; unknown users have nothing indexed.
+    if (!userId) return res.json({ q, groups: { jobs: [], resumes: [] } });
+    const groups = await search(userId, q, { limit }); // search => ranked search_terms lookup + hydration of owned, non-deleted rows.
+    res.json({ q, groups });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  searchAll,
+};
@@ -0,0 +1,228 @@
+// Skill override controller: add / rename / re-weight / remove resume skills and job requirements.
+/**
+ * Edits are stored as overrides on top of the parsed rows (services/skill-override-service), so a reparse
+ * refreshes the parsed list and the user's edits still apply. Skills are addressed by name in the URL
+ * (case-insensitive). Every change marks existing matches for the resume / job stale.
+ * Bodies:
+ *  - resume skills: { skill, experienceYears?, proficiency? }
+ *  - job requirements: { skill, importance? }
+ *  PATCH bodies are partial; a null weight falls back to the parsed value.
+ * Responses: POST 201 / PATCH 200 with the effective item ({ ..., provenance: 'user' }), DELETE 204.
+ * Error responses:
+ *  - 400 invalid_skill, invalid_<field>, no_changes
+ *  - 404 not_found (resume / job), skill_not_found
+ *  - 409 skill_exists (adding or renaming onto a skill already in the list)
+ */
+const { getUserId } = require("../services/user-service");
+const { getResumeForUser } = require("../services/resume-service");
+const { getJobForUser } = require("../services/job-service");
+const {
+  OVERRIDE_TARGETS,
+  skillKey,
+  listEffectiveSkills,
+  getOverride,
+  writeOverride,
+} = require("../services/skill-override-service");
+const { getAuthContext } = require("../utils/request-context");
+
+const MAX_SKILL_LENGTH = 255;
+
+/**
+ * OVERRIDE_ENTITIES
+ * Per entity: owner loader and the weight fields accepted in bodies (API field -> column + validator).
+ */
+const OVERRIDE_ENTITIES = {
+  resume: {
+    load: getResumeForUser,
+    fields: {
+      experienceYears: {
+        column: "experience_years",
+        valid: (v) => Number.isInteger(v) && v >= 0 && v <= 100,
+      },
+      proficiency: {
+        column: "proficiency",
+        valid: (v) => typeof v === "number" && v >= 0 && v <= 1,
+      },
+    },
+  },
+  job: {
+    load: getJobForUser,
+    fields: {
+      importance: {
+        column: "importance",
+        valid: (v) => typeof v === "number" && v >= 0 && v <= 1,
+      },
+    },
+  },
+};
+
+/**
+ * parseBody
+ * Validates an add (skill required) or patch (any field) body.
+ * @returns {{skill?:string, weights:object, error?:string}} weights maps column -> value (null clears)
+ */
+function parseBody(entity, body, { requireSkill }) {
+  const { fields } = OVERRIDE_ENTITIES[entity];
+  const input = body && typeof body === "object" ? body : {};
+  const parsed = { weights: {} };
+  if (input.skill !== undefined || requireSkill) {
+    const skill = typeof input.skill === "string" ? input.skill.trim() : "";
+    if (!skill || skill.length > MAX_SKILL_LENGTH) {
+      return { error: "invalid_skill" };
+    }
+    parsed.skill = skill;
+  }
+  for (const [field, { column, valid }] of Object.entries(fields)) {
+    const value = input[field];
+    if (value === undefined) continue;
+    if (value !== null && !valid(value)) return { error: `invalid_${field}` };
+    parsed.weights[column] = value;
+  }
+  if (!requireSkill && !parsed.skill && !Object.keys(parsed.weights).length) {
+    return { error: "no_changes" };
+  }
+  return parsed;
+}
+
+/**
+ * loadItems
+ * Resolves the caller's resume / job and its effective skill list; sends 404 and returns null when missing.
+ */
+async function loadItems(entity, req, res) {
+  const auth = getAuthContext(req);
+  if (!auth) {
+    res.status(401).json({ error: "unauthorized" });
+    return null;
+  }
+  const userId = await getUserId(auth.sub);
+  const owner = userId
+    ? await OVERRIDE_ENTITIES[entity].load(req.params.id, userId)
+    : null;
+  if (!owner) {
+    res.status(404).json({ error: "not_found" });
+    return null;
+  }
+  return entity === "resume" ? owner.skills : owner.requirements;
+}
+
+const findItem = (items, key) =>
+  items.find((item) => skillKey(item.skill) === key);
+
+// Name of the parsed row behind an item; undefined for a skill the user added.
+const parsedName = (item) =>
+  item.provenance === "user"
+    ? item.original && item.original.skill
+    : item.skill;
+
+async function respondWithItem(entity, ownerId, key, res, status) {
+  const items = await listEffectiveSkills(entity, ownerId);
+  res.status(status).json(findItem(items, key) || null);
+}
+
+function addHandler(entity) {
+  return async function addSkillOverride(req, res, next) {
+    try {
+      const body = parseBody(entity, req.body, { requireSkill: true });
+      if (body.error) return res.status(400).json({ error: body.error });
+      const items = await loadItems(entity, req, res);
+      if (!items) return;
+      const key = skillKey(body.skill);
+      if (findItem(items, key)) {
+        return res.status(409).json({ error: "skill_exists" });
+      }
+      // Re-adding a removed parsed skill replaces its 'remove' override.
+      await writeOverride(entity, req.params.id, {
+        removeKeys: [key],
+        override: {
+          skill_key: key,
+          action: "add",
+          skill: body.skill,
+          ...body.weights,
+        },
+      });
+      await respondWithItem(entity, req.params.id, key, res, 201);
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+function updateHandler(entity) {
+  return async function updateSkillOverride(req, res, next) {
+    try {
+      const body = parseBody(entity, req.body, { requireSkill: false });
+      if (body.error) return res.status(400).json({ error: body.error });
+      const items = await loadItems(entity, req, res);
+      if (!items) return;
+      const item = findItem(items, skillKey(req.params.skill));
+      if (!item) return res.status(404).json({ error: "skill_not_found" });
+      const name = body.skill || item.skill;
+      const newKey = skillKey(name);
+      if (newKey !== skillKey(item.skill) && findItem(items, newKey)) {
+        return res.status(409).json({ error: "skill_exists" });
+      }
+      const parsed = parsedName(item);
+      // Overrides are keyed by the parsed name (so they survive a reparse) or, for additions, by the current name.
+      const key = parsed ? skillKey(parsed) : skillKey(item.skill);
+      const existing = await getOverride(entity, req.params.id, key);
+      const override = { action: existing ? existing.action : "edit" };
+      OVERRIDE_TARGETS[entity].weights.forEach((column) => {
+        override[column] =
+          body.weights[column] !== undefined
+            ? body.weights[column]
+            : existing && existing[column];
+      });
+      if (parsed) {
+        override.skill_key = key;
+        override.skill =
+          override.action === "add" || name !== parsed ? name : null;
+      } else {
+        override.skill_key = newKey;
+        override.skill = name;
+      }
+      await writeOverride(entity, req.params.id, {
+        removeKeys: [key, override.skill_key],
+        override,
+      });
+      await respondWithItem(entity, req.params.id, newKey, res, 200);
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+function removeHandler(entity) {
+  return async function removeSkillOverride(req, res, next) {
+    try {
+      const items = await loadItems(entity, req, res);
+      if (!items) return;
+      const item = findItem(items, skillKey(req.params.skill));
+      if (!item) return res.status(404).json({ error: "skill_not_found" });
+      const parsed = parsedName(item);
+      if (parsed) {
+        // Hide the parsed row; a reparse that still finds the skill keeps it hidden.
+        const key = skillKey(parsed);
+        await writeOverride(entity, req.params.id, {
+          removeKeys: [key],
+          override: { skill_key: key, action: "remove" },
+        });
+      } else {
+        await writeOverride(entity, req.params.id, {
+          removeKeys: [skillKey(item.skill)],
+        });
+      }
+      res.status(204).end();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+module.exports = {
+  addResumeSkill: addHandler("resume"),
+  updateResumeSkill: updateHandler("resume"),
+  removeResumeSkill: removeHandler("resume"),
+  addJobRequirement: addHandler("job"),
+  updateJobRequirement: updateHandler("job"),
+  removeJobRequirement: removeHandler("job"),
+};
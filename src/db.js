@@ -1,149 +1,188 @@
-// Azure SQL connectivity helpers shared by Express handlers and workers.
+// Database access shared by Express handlers and workers.
 /**
- * Enhancements added:
- *  - Explicit pool + connection timeout & request timeout (env configurable)
- *  - Retry logic for initial pool acquisition to smooth transient Azure SQL hiccups
- *  - Deterministic named parameters transformation retained
- *  - Lazy shared pool promise export (same external contract)
+ * The SQL dialect (src/dialects/*) is selected by config.db.client:
+ *  - 'mssql' (default): Azure SQL / SQL Server via `mssql`
+ *  - 'postgres': PostgreSQL via `pg`
+ * Every dialect honours the same contract: `$1..$n` placeholders in, `{ rows, rowCount }` out
+ * (rowCount = rows affected, for conditional UPDATEs).
+ * Services keep SQL portable by using the helpers below (insertIfAbsent, bulkInsert) and the
+ * fragments on `dialect` (`dialect.now`, `dialect.newId`) instead of vendor functions; row limits
+ * use the ANSI `ORDER BY ... OFFSET n ROWS FETCH NEXT m ROWS ONLY` form, valid on both engines.
  */
-const fs = require("fs");
-const path = require("path");
-const sql = require("mssql");
 const config = require("./config");
 
-const CONNECT_TIMEOUT = parseInt(
-  process.env.SQL_CONNECT_TIMEOUT_MS || "30000",
-  10
-); // ms
-const REQUEST_TIMEOUT = parseInt(
-  process.env.SQL_REQUEST_TIMEOUT_MS || "60000",
-  10
-); // ms
-const POOL_MAX = parseInt(process.env.SQL_POOL_MAX || "10", 10);
-const RETRY_ATTEMPTS = parseInt(process.env.SQL_RETRY_ATTEMPTS || "5", 10);
-const RETRY_BACKOFF_MS = parseInt(
-  process.env.SQL_RETRY_BACKOFF_MS || "3000",
-  10
-); // base backoff
-
-const baseConfig = {
-  server: config.db.server,
-  database: config.db.database,
-  user: config.db.user,
-  password: config.db.password,
-  connectionTimeout: CONNECT_TIMEOUT,
-  requestTimeout: REQUEST_TIMEOUT,
-  pool: {
-    max: POOL_MAX,
-    min: 0,
-    idleTimeoutMillis: 30000,
-  },
-  options: {
-    encrypt: config.db.encrypt,
-    trustServerCertificate: config.db.trustServerCertificate,
-    enableArithAbort: true,
-  },
+const DIALECTS = {
+  mssql: () => require("./dialects/mssql"),
+  sqlserver: () => require("./dialects/mssql"),
+  postgres: () => require("./dialects/postgres"),
+  pg: () => require("./dialects/postgres"),
 };
 
-async function createPoolWithRetry() {
-  let lastErr;
-  for (let attempt = 1; attempt <= RETRY_ATTEMPTS; attempt += 1) {
-    const started = Date.now();
+function resolveDialect(name) {
+  const load = DIALECTS[(name || "mssql").toLowerCase()];
+  if (!load) throw new Error(`Unknown DB_CLIENT '${name}'`);
+  return load();
+}
+
+const dialect = resolveDialect(config.db.client);
+
+// Lazily created singleton promise; consumers await this before queries.
+const poolPromise = dialect.connect();
+
+async function query(text, params = []) {
+  /**
+   * query
+   * Lightweight abstraction mimicking node-postgres signature returning { rows, rowCount }.
+   * @param {string} text SQL with $1..$n placeholders.
+   * @param {any[]} params Positional parameter values.
+   * @returns {Promise<{ rows: any[], rowCount: number }>} Result rows (+ rows affected) wrapped for portability.
+   */
+  const pool = await poolPromise;
+  return dialect.query(pool, text, params);
+}
+
+async function withTransaction(fn) {
+  /**
+   * withTransaction
+   * Runs fn(tx) inside a single SQL transaction. `tx.query` has the same signature as `query`
+   * but executes on the transaction's connection; statements must be awaited one at a time
+   * (neither driver allows parallel statements on one transaction).
+   * Commits when fn resolves, rolls back and rethrows when it rejects.
+   * `tx.afterCommit(hook)` defers side effects (e.g. bus events) until the commit succeeded;
+   * hooks are dropped on rollback.
+   * @template T
+   * @param {(tx:{query:typeof query, batch:(script:string)=>Promise<any>, afterCommit:(hook:()=>void)=>void})=>Promise<T>} fn
+   * @returns {Promise<T>} Value returned by fn
+   */
+  const pool = await poolPromise;
+  const transaction = await dialect.begin(pool);
+  const commitHooks = [];
+  const tx = {
+    query: (text, params = []) => transaction.query(text, params),
+    batch: (script) => transaction.batch(script),
+    afterCommit: (hook) => commitHooks.push(hook),
+  };
+  let result;
+  try {
+    result = await fn(tx);
+    await transaction.commit();
+  } catch (err) {
     try {
-      const pool = await sql.connect(baseConfig);
-      if (attempt > 1 && process.env.NODE_ENV !== "test") {
-        // eslint-disable-next-line no-console
-        console.warn(
-          `[db] Connected after retry attempt ${attempt} in ${
-            Date.now() - started
-          }ms`
-        );
-      } else if (process.env.DB_VERBOSE === "1") {
-        // eslint-disable-next-line no-console
-        console.log(
-          `[db] Connected in ${Date.now() - started}ms (attempt ${attempt})`
-        );
-      }
-      return pool;
-    } catch (err) {
-      lastErr = err;
-      const transient =
-        err &&
-        err.code &&
-        ["ETIMEOUT", "ESOCKET", "ELOGIN", "ECONNRESET"].includes(err.code);
-      if (!transient) break; // Non-transient: abort early.
-      if (attempt === RETRY_ATTEMPTS) break;
-      const delay = RETRY_BACKOFF_MS * attempt; // linear backoff (sufficient here)
-      if (process.env.DB_VERBOSE === "1") {
-        // eslint-disable-next-line no-console
-        console.warn(
-          `[db] Attempt ${attempt} failed (${
-            err.code || err.message
-          }); retrying in ${delay}ms`
-        );
-      }
-      await new Promise((r) => setTimeout(r, delay));
+      await transaction.rollback();
+    } catch (_) {
+      // Connection already aborted the transaction; surface the original error.
     }
+    throw err;
   }
-  throw lastErr;
+  commitHooks.forEach((hook) => {
+    try {
+      hook();
+    } catch (_) {}
+  });
+  return result;
 }
 
-// Lazily created singleton promise; consumers await this before queries.
-const poolPromise = createPoolWithRetry();
+async function insertIfAbsent(
+  executor,
+  table,
+  keyColumn,
+  values,
+  literals = {}
+) {
+  /**
+   * insertIfAbsent
+   * Idempotent single-row INSERT keyed by `keyColumn` (retried requests do not duplicate rows).
+   * mssql: IF NOT EXISTS ... INSERT; postgres: INSERT ... ON CONFLICT DO NOTHING.
+   * @param {{query:typeof query}} executor Module `db` exports or a `withTransaction` tx
+   * @param {string} table Target table (trusted identifier)
+   * @param {string} keyColumn Unique column used for the existence check (must be in `values`)
+   * @param {Object<string,any>} values Column -> parameter value
+   * @param {Object<string,string>} [literals] Column -> SQL expression (e.g. { created_at: dialect.now })
+   */
+  const valueColumns = Object.keys(values);
+  const params = valueColumns.map((column) => values[column]);
+  const slots = valueColumns
+    .map((_, index) => `$${index + 1}`)
+    .concat(Object.values(literals));
+  const text = dialect.insertIfAbsentSql({
+    table,
+    columns: valueColumns.concat(Object.keys(literals)),
+    slots,
+    keyColumn,
+    keySlot: `$${valueColumns.indexOf(keyColumn) + 1}`,
+  });
+  await executor.query(text, params);
+}
+
+// SQL Server allows 2100 parameters per request and 1000 rows per VALUES list (Postgres is looser).
+const BULK_MAX_PARAMS = 2000;
+const BULK_MAX_ROWS = 1000;
 
-function transformQuery(text, paramCount) {
+async function bulkInsert(executor, table, columns, rows, literals = {}) {
   /**
-   * transformQuery
-   * Purpose: Convert Postgres-style positional parameters ($1,$2,...) into
-   * mssql named parameters (@p0,@p1,...). Ensures boundary correctness so $1 does not
-   * partially replace $10 etc. Runs a deterministic loop up to paramCount.
-   * @param {string} text Raw SQL containing $-style placeholders.
-   * @param {number} paramCount Number of parameters provided (used to build regex per slot).
-   * @returns {string} Transformed SQL string compatible with mssql driver.
+   * bulkInsert
+   * Set-based multi-row INSERT ... VALUES (...),(...) replacing one round trip per row.
+   * Large inputs are chunked to stay under SQL Server parameter/row limits.
+   * @param {{query:typeof query}} executor Module `db` exports or a `withTransaction` tx
+   * @param {string} table Target table (trusted identifier, never user input)
+   * @param {string[]} columns Parameterised columns, in row value order
+   * @param {any[][]} rows Values per row
+   * @param {Object<string,string>} [literals] Extra column -> SQL expression applied to every row (e.g. { id: dialect.newId })
+   * @returns {Promise<number>} Rows inserted
    */
-  let transformed = text;
-  for (let i = 1; i <= paramCount; i += 1) {
-    const regex = new RegExp(`\\$${i}(?=\\D|$)`, "g");
-    transformed = transformed.replace(regex, `@p${i - 1}`);
+  if (!rows.length) return 0;
+  const literalColumns = Object.keys(literals);
+  const literalValues = literalColumns.map((column) => literals[column]);
+  const columnList = columns.concat(literalColumns).join(", ");
+  const rowsPerChunk = Math.max(
+    1,
+    Math.min(BULK_MAX_ROWS, Math.floor(BULK_MAX_PARAMS / columns.length))
+  );
+  for (let offset = 0; offset < rows.length; offset += rowsPerChunk) {
+    const params = [];
+    const tuples = rows.slice(offset, offset + rowsPerChunk).map((row) => {
+      const slots = row.map((value) => {
+        params.push(value);
+        return `$${params.length}`;
+      });
+      return `(${slots.concat(literalValues).join(",")})`;
+    });
+    await executor.query(
+      `INSERT INTO ${table} (${columnList}) VALUES ${tuples.join(",")}`,
+      params
+    );
   }
-  return transformed;
+  return rows.length;
 }
 
-async function query(text, params = []) {
+async function closePool() {
   /**
-   * query
-   * Lightweight abstraction mimicking node-postgres signature returning { rows }.
-   * @param {string} text SQL with $1..$n placeholders.
-   * @param {any[]} params Positional parameter values.
-   * @returns {Promise<{ rows: any[] }>} recordset wrapped for portability.
+   * closePool
+   * Closes the shared pool (CLI scripts call this so the process can exit).
    */
   const pool = await poolPromise;
-  const request = pool.request();
-  params.forEach((value, index) => {
-    request.input(`p${index}`, value);
-  });
-  const transformed = transformQuery(text, params.length);
-  const result = await request.query(transformed);
-  return { rows: result.recordset };
+  await dialect.close(pool);
 }
 
 async function bootstrapDatabase() {
   /**
    * bootstrapDatabase
-   * Loads and executes the schema.sql script using a single batch call. Idempotence is assumed
-   * in the SQL (CREATE TABLE IF NOT EXISTS semantics or guarded operations). Use on cold start.
+   * Applies pending versioned migrations for the active dialect (see src/migrate.js) on cold start.
+   * Safe to call from several instances at once: the runner serialises on a database lock and
+   * skips versions already recorded in schema_migrations.
+   * @returns {Promise<number[]>} Versions applied during this call
    */
-  const sqlScript = fs.readFileSync(
-    path.join(__dirname, "../db/schema.sql"),
-    "utf8"
-  );
-  const pool = await poolPromise;
-  await pool.request().batch(sqlScript);
+  const { migrateUp } = require("./migrate"); // Lazy: migrate.js depends on this module.
+  return migrateUp();
 }
 
 module.exports = {
   query,
+  withTransaction,
+  bulkInsert,
+  insertIfAbsent,
+  dialect,
   bootstrapDatabase,
+  closePool,
   poolPromise,
-  sql,
 };
@@ -0,0 +1,183 @@
+// SQL Server (Azure SQL) dialect: mssql connection pool, $n placeholder translation and T-SQL fragments.
+/**
+ * Enhancements carried over from the original db.js:
+ *  - Explicit pool + connection timeout & request timeout (env configurable)
+ *  - Retry logic for initial pool acquisition to smooth transient Azure SQL hiccups
+ *  - Deterministic named parameters transformation ($1 -> @p0)
+ */
+const sql = require("mssql");
+const config = require("../config");
+
+const CONNECT_TIMEOUT = parseInt(
+  process.env.SQL_CONNECT_TIMEOUT_MS || "30000",
+  10
+); // ms
+const REQUEST_TIMEOUT = parseInt(
+  process.env.SQL_REQUEST_TIMEOUT_MS || "60000",
+  10
+); // ms
+const POOL_MAX = parseInt(process.env.SQL_POOL_MAX || "10", 10);
+const RETRY_ATTEMPTS = parseInt(process.env.SQL_RETRY_ATTEMPTS || "5", 10);
+const RETRY_BACKOFF_MS = parseInt(
+  process.env.SQL_RETRY_BACKOFF_MS || "3000",
+  10
+); // base backoff
+
+const baseConfig = {
+  server: config.db.server,
+  database: config.db.database,
+  user: config.db.user,
+  password: config.db.password,
+  connectionTimeout: CONNECT_TIMEOUT,
+  requestTimeout: REQUEST_TIMEOUT,
+  pool: {
+    max: POOL_MAX,
+    min: 0,
+    idleTimeoutMillis: 30000,
+  },
+  options: {
+    encrypt: config.db.encrypt,
+    trustServerCertificate: config.db.trustServerCertificate,
+    enableArithAbort: true,
+  },
+};
+
+async function connect() {
+  let lastErr;
+  for (let attempt = 1; attempt <= RETRY_ATTEMPTS; attempt += 1) {
+    const started = Date.now();
+    try {
+      const pool = await sql.connect(baseConfig);
+      if (attempt > 1 && process.env.NODE_ENV !== "test") {
+        // eslint-disable-next-line no-console
+        console.warn(
+          `[db] Connected after retry attempt ${attempt} in ${
+            Date.now() - started
+          }ms`
+        );
+      } else if (process.env.DB_VERBOSE === "1") {
+        // eslint-disable-next-line no-console
+        console.log(
+          `[db] Connected in ${Date.now() - started}ms (attempt ${attempt})`
+        );
+      }
+      return pool;
+    } catch (err) {
+      lastErr = err;
+      const transient =
+        err &&
+        err.code &&
+        ["ETIMEOUT", "ESOCKET", "ELOGIN", "ECONNRESET"].includes(err.code);
+      if (!transient) break; // Non-transient: abort early.
+      if (attempt === RETRY_ATTEMPTS) break;
+      const delay = RETRY_BACKOFF_MS * attempt; // linear backoff (sufficient here)
+      if (process.env.DB_VERBOSE === "1") {
+        // eslint-disable-next-line no-console
+        console.warn(
+          `[db] Attempt ${attempt} failed (${
+            err.code || err.message
+          }); retrying in ${delay}ms`
+        );
+      }
+      await new Promise((r) => setTimeout(r, delay));
+    }
+  }
+  throw lastErr;
+}
+
+function transformQuery(text, paramCount) {
+  /**
+   * transformQuery
+   * Purpose: Convert Postgres-style positional parameters ($1,$2,...) into
+   * mssql named parameters (@p0,@p1,...). Ensures boundary correctness so $1 does not
+   * partially replace $10 etc. Runs a deterministic loop up to paramCount.
+   * @param {string} text Raw SQL containing $-style placeholders.
+   * @param {number} paramCount Number of parameters provided (used to build regex per slot).
+   * @returns {string} Transformed SQL string compatible with mssql driver.
+   */
+  let transformed = text;
+  for (let i = 1; i <= paramCount; i += 1) {
+    const regex = new RegExp(`\\$${i}(?=\\D|$)`, "g");
+    transformed = transformed.replace(regex, `@p${i - 1}`);
+  }
+  return transformed;
+}
+
+async function runQuery(request, text, params = []) {
+  params.forEach((value, index) => {
+    request.input(`p${index}`, value);
+  });
+  const transformed = transformQuery(text, params.length);
+  const result = await request.query(transformed);
+  // rowsAffected has one entry per statement in the batch.
+  const rowCount = (result.rowsAffected || []).reduce((sum, n) => sum + n, 0);
+  return { rows: result.recordset, rowCount };
+}
+
+/**
+ * begin
+ * Opens a transaction; statements must be awaited one at a time
+ * (mssql does not allow parallel requests on one transaction).
+ */
+async function begin(pool) {
+  const transaction = new sql.Transaction(pool);
+  await transaction.begin();
+  return {
+    query: (text, params) =>
+      runQuery(new sql.Request(transaction), text, params),
+    // Raw batch (no parameters); used for migration scripts with DDL.
+    batch: (script) => new sql.Request(transaction).batch(script),
+    commit: () => transaction.commit(),
+    rollback: () => transaction.rollback(),
+  };
+}
+
+/**
+ * acquireMigrationLock
+ * Exclusive sp_getapplock owned by the transaction (released on commit/rollback).
+ */
+async function acquireMigrationLock(tx, resource, timeoutMs) {
+  const res = await tx.query(
+    `DECLARE @rc INT;
+     EXEC @rc = sp_getapplock @Resource = $1, @LockMode = 'Exclusive',
+                              @LockOwner = 'Transaction', @LockTimeout = $2;
+     SELECT @rc AS rc;`,
+    [resource, timeoutMs]
+  );
+  if (res.rows[0].rc < 0) {
+    throw new Error(
+      `Could not acquire migration lock (code ${res.rows[0].rc})`
+    );
+  }
+}
+
+module.exports = {
+  name: "mssql",
+  connect,
+  query: (pool, text, params) => runQuery(pool.request(), text, params),
+  begin,
+  close: (pool) => pool.close(),
+  // Dialect-neutral SQL fragments used by services.
+  now: "SYSUTCDATETIME()",
+  newId: "NEWID()",
+  insertIfAbsentSql: ({ table, columns, slots, keyColumn, keySlot }) =>
+    `IF NOT EXISTS (SELECT 1 FROM ${table} WHERE ${keyColumn} = ${keySlot})
+     INSERT INTO ${table} (${columns.join(", ")}) VALUES (${slots.join(",")})`,
+  // Row lock held until the surrounding transaction ends (read-then-update without lost writes).
+  selectForUpdateSql: ({ table, columns, where }) =>
+    `SELECT ${columns.join(
+      ", "
+    )} FROM ${table} WITH (UPDLOCK, ROWLOCK) WHERE ${where}`,
+  migrationTrackingSql: `
+IF OBJECT_ID(N'[dbo].[schema_migrations]', N'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.schema_migrations (
+        version INT NOT NULL PRIMARY KEY,                        -- Numeric migration prefix
+        name NVARCHAR(255) NOT NULL,                             -- Descriptive file name part
+        checksum CHAR(64) NOT NULL,                              -- SHA-256 of the up script when applied
+        applied_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()   -- Apply timestamp (UTC)
+    );
+END;`,
+  acquireMigrationLock,
+  transformQuery,
+};
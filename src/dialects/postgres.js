@@ -0,0 +1,123 @@
+// PostgreSQL dialect: node-postgres pool behind the same { rows, rowCount } query contract as the mssql dialect.
+/**
+ * Notes:
+ *  - Placeholders are native ($1..$n), so SQL passes through untouched.
+ *  - NUMERIC and BIGINT are parsed to JS numbers to match what mssql returns for DECIMAL/INT columns.
+ *  - `pg` is required lazily so SQL Server deployments never load it.
+ */
+const config = require("../config");
+
+const POOL_MAX = parseInt(process.env.SQL_POOL_MAX || "10", 10);
+const CONNECT_TIMEOUT = parseInt(
+  process.env.SQL_CONNECT_TIMEOUT_MS || "30000",
+  10
+); // ms
+const REQUEST_TIMEOUT = parseInt(
+  process.env.SQL_REQUEST_TIMEOUT_MS || "60000",
+  10
+); // ms
+
+const PG_NUMERIC_OID = 1700;
+const PG_INT8_OID = 20;
+
+async function connect() {
+  const pg = require("pg");
+  pg.types.setTypeParser(PG_NUMERIC_OID, (value) =>
+    value === null ? null : parseFloat(value)
+  );
+  pg.types.setTypeParser(PG_INT8_OID, (value) =>
+    value === null ? null : parseInt(value, 10)
+  );
+  // Connection settings come from DATABASE_URL or the standard PG* env vars (PGHOST, PGUSER, ...).
+  const pool = new pg.Pool({
+    connectionString: config.db.url || undefined,
+    max: POOL_MAX,
+    idleTimeoutMillis: 30000,
+    connectionTimeoutMillis: CONNECT_TIMEOUT,
+    statement_timeout: REQUEST_TIMEOUT,
+  });
+  // Idle client errors (e.g. server restart) must not crash the process; the pool replaces the client.
+  pool.on("error", (err) => {
+    // eslint-disable-next-line no-console
+    console.warn(`[db] Idle Postgres client error: ${err.message}`);
+  });
+  return pool;
+}
+
+async function runQuery(client, text, params = []) {
+  const result = await client.query(text, params);
+  return { rows: result.rows, rowCount: result.rowCount };
+}
+
+/**
+ * begin
+ * Checks out a dedicated client and issues BEGIN; the client is released exactly once on commit/rollback.
+ */
+async function begin(pool) {
+  const client = await pool.connect();
+  let released = false;
+  const release = (err) => {
+    if (released) return;
+    released = true;
+    client.release(err);
+  };
+  try {
+    await client.query("BEGIN");
+  } catch (err) {
+    release(err);
+    throw err;
+  }
+  return {
+    query: (text, params) => runQuery(client, text, params),
+    batch: (script) => client.query(script), // Simple query protocol runs multi-statement scripts.
+    commit: async () => {
+      try {
+        await client.query("COMMIT");
+      } finally {
+        release();
+      }
+    },
+    rollback: async () => {
+      try {
+        await client.query("ROLLBACK");
+      } finally {
+        release();
+      }
+    },
+  };
+}
+
+/**
+ * acquireMigrationLock
+ * Transaction-scoped advisory lock keyed by the resource name (released on commit/rollback).
+ */
+async function acquireMigrationLock(tx, resource, timeoutMs) {
+  await tx.query("SELECT set_config('lock_timeout', $1, true)", [
+    `${timeoutMs}ms`,
+  ]);
+  await tx.query("SELECT pg_advisory_xact_lock(hashtext($1))", [resource]);
+}
+
+module.exports = {
+  name: "postgres",
+  connect,
+  query: runQuery,
+  begin,
+  close: (pool) => pool.end(),
+  // Dialect-neutral SQL fragments used by services.
+  now: "NOW()",
+  newId: "gen_random_uuid()",
+  insertIfAbsentSql: ({ table, columns, slots, keyColumn }) =>
+    `INSERT INTO ${table} (${columns.join(", ")}) VALUES (${slots.join(",")})
+     ON CONFLICT (${keyColumn}) DO NOTHING`,
+  selectForUpdateSql: ({ table, columns, where }) =>
+    `SELECT ${columns.join(", ")} FROM ${table} WHERE ${where} FOR UPDATE`,
+  migrationTrackingSql: `
+CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INT NOT NULL PRIMARY KEY,                  -- Numeric migration prefix
+    name VARCHAR(255) NOT NULL,                        -- Descriptive file name part
+    checksum CHAR(64) NOT NULL,                        -- SHA-256 of the up script when applied
+    applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()      -- Apply timestamp (UTC)
+);`,
+  acquireMigrationLock,
+};
@@ -0,0 +1,115 @@
+// Local realtime delivery hub: fans relayed deliveries out to this process's clients (Socket.IO sockets, SSE streams).
+/**
+ * Every API process receives every delivery from events/relay.js and dispatches it here; each connected
+ * client registers for its user (auth0 sub) with a transport-specific send() callback, so both transports
+ * share one subscription, replay and ordering implementation.
+ *
+ * Replay: a client connecting with a valid lastEventId first receives the logged events newer than it
+ * (events/event-log.js). Deliveries dispatched meanwhile are buffered for that client and flushed after the
+ * replay, skipping ids already replayed, so nothing is lost, duplicated or reordered.
+ */
+const { readEventsAfter, isEventId, compareEventIds } = require("./event-log");
+const { error } = require("../utils/logger");
+
+/**
+ * createDeliveryHub
+ * @returns {{
+ *   useEventLog: (redis: import('ioredis').Redis) => void,
+ *   dispatch: (delivery: {sub:string, event:string, payload:object, id:string|null}) => void,
+ *   connect: Function,
+ *   closeAll: (reason: string) => void,
+ * }}
+ */
+function createDeliveryHub() {
+  const clients = new Map(); // sub -> Set<client>
+  let logRedis = null;
+
+  function safeSend(client, event, payload, id) {
+    try {
+      client.send(event, payload, id);
+    } catch (e) {
+      error(`[delivery] send failed for ${event}`, e);
+    }
+  }
+
+  function remove(sub, client) {
+    const set = clients.get(sub);
+    if (!set) return;
+    set.delete(client);
+    if (!set.size) clients.delete(sub);
+  }
+
+  return {
+    /** Redis client (not in subscriber mode) used to read the replay log. */
+    useEventLog(redis) {
+      logRedis = redis;
+    },
+
+    dispatch({ sub, event, payload, id = null }) {
+      const set = clients.get(sub);
+      if (!set) return;
+      set.forEach((client) => {
+        if (client.buffer) client.buffer.push({ event, payload, id });
+        else safeSend(client, event, payload, id);
+      });
+    },
+
+    /**
+     * connect
+     * Registers a client for sub's deliveries, replaying missed events first when lastEventId is a valid id.
+     * @param {string} sub Auth0 subject
+     * @param {string} [lastEventId] Last eventId the client saw
+     * @param {(event:string, payload:object, id:string|null) => void} send Transport write
+     * @param {{end?: (reason:string) => void}} [opts] end() is called by closeAll() (shutdown)
+     * @returns {Promise<{close: () => void, replay: {lastEventId:string, count:number, truncated:boolean}|null}>}
+     */
+    async connect(sub, lastEventId, send, { end } = {}) {
+      const replaying = isEventId(lastEventId);
+      const client = { send, end, buffer: replaying ? [] : null };
+      if (!clients.has(sub)) clients.set(sub, new Set());
+      clients.get(sub).add(client);
+      const close = () => remove(sub, client);
+      if (!replaying) return { close, replay: null };
+
+      let lastId = lastEventId;
+      let count = 0;
+      let truncated = false;
+      try {
+        if (!logRedis) throw new Error("event log not configured");
+        const missed = await readEventsAfter(logRedis, sub, lastEventId);
+        truncated = missed.truncated;
+        missed.events.forEach(({ id, event, payload }) => {
+          safeSend(client, event, { ...payload, eventId: id }, id);
+          lastId = id;
+          count += 1;
+        });
+      } catch (e) {
+        error(`[delivery] replay failed for ${sub}`, e);
+        truncated = true; // Unknown gap: let the client resync.
+      }
+      const buffered = client.buffer;
+      client.buffer = null;
+      buffered.forEach(({ event, payload, id }) => {
+        if (id && compareEventIds(id, lastId) <= 0) return; // Already replayed.
+        safeSend(client, event, payload, id);
+        if (id) lastId = id;
+      });
+      return { close, replay: { lastEventId: lastId, count, truncated } };
+    },
+
+    /** Ends every client that registered an end() callback (SSE streams on shutdown). */
+    closeAll(reason) {
+      clients.forEach((set) =>
+        set.forEach((client) => {
+          if (client.end) client.end(reason);
+        })
+      );
+      clients.clear();
+    },
+  };
+}
+
+// Process-wide hub shared by the Socket.IO bridge (start.js) and the SSE controller.
+const deliveryHub = createDeliveryHub();
+
+module.exports = { createDeliveryHub, deliveryHub };
@@ -0,0 +1,100 @@
+// Per-user realtime event log: a capped Redis stream per user so reconnecting clients can replay missed events.
+/**
+ * Stream ids ("<ms>-<seq>") are assigned by Redis on XADD, so they increase monotonically per user and
+ * double as the `eventId` clients send back (Socket.IO `lastEventId`, SSE `Last-Event-ID`).
+ * Each stream keeps the newest config.realtime.eventLogMaxLen entries (approximate trim) and expires
+ * after config.realtime.eventLogTtlSeconds without new events.
+ */
+const config = require("../config");
+
+const EVENT_LOG_PREFIX = "layer1:events:user:";
+const EVENT_ID_PATTERN = /^\d+-\d+$/;
+
+function streamKey(sub) {
+  return `${EVENT_LOG_PREFIX}${sub}`;
+}
+
+/**
+ * isEventId
+ * @param {any} value
+ * @returns {boolean} True for a well-formed stream id ("<ms>-<seq>")
+ */
+function isEventId(value) {
+  return typeof value === "string" && EVENT_ID_PATTERN.test(value);
+}
+
+/**
+ * compareEventIds
+ * Orders two stream ids numerically (string comparison breaks once the sequence part grows a digit).
+ * @returns {number} <0, 0 or >0
+ */
+function compareEventIds(a, b) {
+  const [aMs, aSeq] = a.split("-").map(Number);
+  const [bMs, bSeq] = b.split("-").map(Number);
+  return aMs - bMs || aSeq - bSeq;
+}
+
+/**
+ * appendEvent
+ * XADD one socket event to the user's stream and refresh its expiry.
+ * @param {import('ioredis').Redis} redis
+ * @param {string} sub Auth0 subject (room owner)
+ * @param {string} event Socket event name (e.g. 'match:update')
+ * @param {object} payload Event payload as delivered to clients
+ * @returns {Promise<string>} Assigned event id
+ */
+async function appendEvent(redis, sub, event, payload) {
+  const key = streamKey(sub);
+  const [[addErr, id]] = await redis
+    .multi()
+    .xadd(
+      key,
+      "MAXLEN",
+      "~",
+      config.realtime.eventLogMaxLen,
+      "*",
+      "event",
+      event,
+      "payload",
+      JSON.stringify(payload)
+    )
+    .expire(key, config.realtime.eventLogTtlSeconds)
+    .exec();
+  if (addErr) throw addErr;
+  return id;
+}
+
+/**
+ * readEventsAfter
+ * Returns the user's logged events newer than lastEventId (oldest first).
+ * `truncated` is true when lastEventId has already been trimmed or expired from the log, i.e. some
+ * events in between may be gone and the client should refetch state instead of trusting the replay.
+ * @param {import('ioredis').Redis} redis
+ * @param {string} sub
+ * @param {string} lastEventId Last id the client saw
+ * @returns {Promise<{events:{id:string, event:string, payload:object}[], truncated:boolean}>}
+ */
+async function readEventsAfter(redis, sub, lastEventId) {
+  const key = streamKey(sub);
+  const [oldest] = await redis.xrange(key, "-", "+", "COUNT", 1);
+  const entries = await redis.xrange(key, `(${lastEventId}`, "+");
+  const events = entries.map(([id, fields]) => {
+    const record = {};
+    for (let i = 0; i < fields.length; i += 2)
+      record[fields[i]] = fields[i + 1];
+    return { id, event: record.event, payload: JSON.parse(record.payload) };
+  });
+  const truncated = oldest
+    ? compareEventIds(oldest[0], lastEventId) > 0
+    : Date.now() - Number(lastEventId.split("-")[0]) >
+      config.realtime.eventLogTtlSeconds * 1000;
+  return { events, truncated };
+}
+
+module.exports = {
+  appendEvent,
+  readEventsAfter,
+  isEventId,
+  compareEventIds,
+  EVENT_LOG_PREFIX,
+};
@@ -0,0 +1,81 @@
+// Realtime relay: carries built socket deliveries from any process to every API process over Redis pub/sub.
+/**
+ * Why: socket rooms live in API processes, and a user's sockets may be connected to any API replica
+ * while the status change happens in another replica or in a standalone worker (src/worker.js).
+ * The process that emitted the bus event builds the client payload once (realtime.js), logs it in the
+ * user's replay stream (events/event-log.js) and publishes the delivery to RELAY_CHANNEL. Every API
+ * process, including the publisher, subscribes and hands deliveries to its local sockets.
+ *
+ * Delivery message: { sub, event, payload, id } where id is the event-log id (null for transient events).
+ */
+const IORedis = require("ioredis");
+const config = require("../config");
+const { appendEvent } = require("./event-log");
+const { log, error } = require("../utils/logger");
+
+const RELAY_CHANNEL = "layer1:realtime";
+
+/**
+ * createRealtimePublisher
+ * Returns publish(sub, event, payload, { persist }) used by the realtime bridge in every process.
+ * Persisted events are appended to the user's replay log first and carry `eventId` in their payload.
+ * @param {import('ioredis').Redis} [redis] Client for XADD / PUBLISH (defaults to a new connection)
+ * @returns {{redis: import('ioredis').Redis, publish: (sub:string, event:string, payload:object, opts?:{persist?:boolean}) => Promise<void>}}
+ */
+function createRealtimePublisher(redis = new IORedis(config.redisUrl)) {
+  async function publish(sub, event, payload, { persist = true } = {}) {
+    try {
+      let id = null;
+      let delivered = payload;
+      if (persist) {
+        id = await appendEvent(redis, sub, event, payload);
+        delivered = { ...payload, eventId: id };
+      }
+      await redis.publish(
+        RELAY_CHANNEL,
+        JSON.stringify({ sub, event, payload: delivered, id })
+      );
+    } catch (e) {
+      error(`[relay] publish failed for ${event}`, e);
+    }
+  }
+  return { redis, publish };
+}
+
+/**
+ * startDeliverySubscriber
+ * Hands every relayed delivery to onDelivery (API process side).
+ * @param {(delivery:{sub:string, event:string, payload:object, id:string|null}) => void} onDelivery
+ * @param {import('ioredis').Redis} [redis] Dedicated client (enters subscriber mode)
+ * @returns {Promise<{redis: import('ioredis').Redis}>}
+ */
+async function startDeliverySubscriber(
+  onDelivery,
+  redis = new IORedis(config.redisUrl)
+) {
+  redis.on("message", (channel, message) => {
+    if (channel !== RELAY_CHANNEL) return;
+    let delivery;
+    try {
+      delivery = JSON.parse(message);
+    } catch (e) {
+      error("[relay] dropped malformed message", e);
+      return;
+    }
+    if (!delivery || !delivery.sub || !delivery.event) return;
+    try {
+      onDelivery(delivery);
+    } catch (e) {
+      error(`[relay] delivery failed for ${delivery.event}`, e);
+    }
+  });
+  await redis.subscribe(RELAY_CHANNEL);
+  log(`[relay] subscribed to ${RELAY_CHANNEL}`);
+  return { redis };
+}
+
+module.exports = {
+  createRealtimePublisher,
+  startDeliverySubscriber,
+  RELAY_CHANNEL,
+};
@@ -0,0 +1,43 @@
+// List query middleware: validates pagination/filter/sort params for collection endpoints.
+const { parseListQuery } = require("../utils/pagination");
+const { LIFECYCLES } = require("../services/lifecycle-service");
+
+/**
+ * LIST_SPECS
+ * Per-resource allow-lists. Sort columns must be NOT NULL (keyset comparisons skip NULLs).
+ * Status filters accept every lifecycle state (services/lifecycle-service).
+ */
+const LIST_SPECS = {
+  resumes: {
+    statuses: LIFECYCLES.resume.states,
+    sortFields: ["created_at", "updated_at", "status"],
+  },
+  jobs: {
+    statuses: LIFECYCLES.job.states,
+    sortFields: ["created_at", "updated_at", "status"],
+  },
+  matches: {
+    statuses: LIFECYCLES.match.states,
+    sortFields: ["created_at", "updated_at", "status"],
+    flags: ["stale"], // ?stale=true|false on the attached result (see match-service listMatchJobs).
+  },
+};
+
+/**
+ * validateListQuery
+ * Returns middleware that parses ?limit&cursor&status&createdFrom&createdTo&sort&order (+ spec flags) for the
+ * given resource into req.listQuery, answering 400 { error: "invalid_<param>" } otherwise.
+ * @param {'resumes'|'jobs'|'matches'} resource
+ * @returns {import('express').RequestHandler}
+ */
+function validateListQuery(resource) {
+  const spec = LIST_SPECS[resource];
+  return (req, res, next) => {
+    const { error, value } = parseListQuery(req.query, spec);
+    if (error) return res.status(400).json({ error });
+    req.listQuery = value;
+    next();
+  };
+}
+
+module.exports = { validateListQuery, LIST_SPECS };
@@ -0,0 +1,30 @@
+// Role middleware: gates routes on users.role for the authenticated principal.
+const { getUserRole } = require("../services/user-service");
+const { getAuthContext } = require("../utils/request-context");
+
+/**
+ * requireRole
+ * Returns middleware answering 401 { error: "unauthorized" } without a principal and
+ * 403 { error: "forbidden" } unless the caller's users.role is one of `roles`.
+ * The role is read per request so revocations apply immediately.
+ * @param {...string} roles Allowed roles (e.g. 'admin')
+ * @returns {import('express').RequestHandler}
+ */
+function requireRole(...roles) {
+  return async (req, res, next) => {
+    try {
+      const auth = getAuthContext(req);
+      if (!auth) return res.status(401).json({ error: "unauthorized" });
+      const role = await getUserRole(auth.sub); // getUserRole => users.role lookup (null when no local user).
+      if (!role || !roles.includes(role)) {
+        return res.status(403).json({ error: "forbidden" });
+      }
+      req.userRole = role;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+module.exports = { requireRole };
@@ -0,0 +1,144 @@
+// Streaming upload middleware: multer storage engine that pipes file parts straight to object storage.
+const path = require("path");
+const crypto = require("crypto");
+const { Transform } = require("stream");
+const multer = require("multer");
+const mime = require("mime-types");
+const { v4: uuidv4 } = require("uuid");
+const { putObjectStream, deleteObject } = require("../utils/storage");
+const { error: logError } = require("../utils/logger");
+
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+
+/**
+ * buildObjectKey
+ * Derive `<prefix>/<uuid><ext>` preferring the original filename extension, then the MIME type.
+ * @param {string} prefix Key namespace (resumes | jobs)
+ * @param {string} id Entity UUID
+ * @param {{originalname?:string, mimetype?:string}} file
+ * @returns {string}
+ */
+function buildObjectKey(prefix, id, file) {
+  const ext =
+    path.extname(file.originalname || "") ||
+    mime.extension(file.mimetype || "") ||
+    ".bin";
+  const normalizedExt = ext.startsWith(".") ? ext : `.${ext}`;
+  return `${prefix}/${id}${normalizedExt}`;
+}
+
+/**
+ * ObjectStorageEngine
+ * multer StorageEngine implementation. Each accepted part is counted and SHA-256 hashed while it
+ * streams through a Transform into putObjectStream(), so memory use stays at one chunk (or one
+ * multipart part for R2) per upload regardless of file size.
+ * File info added to req.file:
+ *  - id {string}: UUID reserved for the owning entity (resume/job id; keeps `<prefix>/<id>.<ext>` keys)
+ *  - key {string}: Object storage key written
+ *  - size {number}: Bytes streamed
+ *  - sha256 {string}: Hex digest of the streamed bytes (content deduplication)
+ * Parts rejected by `accept` are drained and surfaced with `skipped: true` (no key) so the
+ * controller can still answer 415 instead of "file is required".
+ */
+class ObjectStorageEngine {
+  constructor({ prefix, accept }) {
+    this.prefix = prefix;
+    this.accept = accept || (() => true);
+  }
+
+  _handleFile(req, file, cb) {
+    if (!this.accept(file)) {
+      file.stream.resume(); // Drain so busboy can continue parsing remaining fields.
+      return cb(null, { skipped: true, size: 0 });
+    }
+    const id = uuidv4();
+    const key = buildObjectKey(this.prefix, id, file);
+    let size = 0;
+    const hash = crypto.createHash("sha256");
+    const counter = new Transform({
+      transform(chunk, _enc, done) {
+        size += chunk.length;
+        hash.update(chunk);
+        done(null, chunk);
+      },
+    });
+    // multer emits 'limit' once fileSize is exceeded; abort the in-flight upload instead of
+    // finishing a truncated object (multer then calls _removeFile for cleanup).
+    file.stream.on("limit", () => {
+      const err = new Error("File too large");
+      err.code = "LIMIT_FILE_SIZE";
+      counter.destroy(err);
+    });
+    file.stream.pipe(counter);
+    putObjectStream(key, counter, file.mimetype)
+      .then(() => cb(null, { id, key, size, sha256: hash.digest("hex") }))
+      .catch((err) => cb(err, { id, key }));
+  }
+
+  _removeFile(req, file, cb) {
+    if (!file || !file.key) return cb(null);
+    deleteObject(file.key)
+      .then(() => cb(null))
+      .catch((err) => {
+        logError("Failed to remove partial upload", err);
+        cb(null); // Cleanup is best-effort; the original error is what the client should see.
+      });
+  }
+}
+
+/**
+ * streamingUpload
+ * Returns a middleware accepting one multipart `field` streamed into `<prefix>/<uuid>.<ext>`.
+ * Errors are answered here (multer would otherwise surface them as 500): 413 when the size limit
+ * is exceeded, 400 for other multipart violations, 500 storage_write_failed when the driver fails.
+ * @param {object} opts
+ * @param {string} opts.prefix Object key namespace
+ * @param {string} [opts.field='file'] Multipart field name
+ * @param {(file:object)=>boolean} [opts.accept] Predicate deciding whether to store the part (e.g. MIME check)
+ * @returns {import('express').RequestHandler}
+ */
+function streamingUpload({ prefix, field = "file", accept }) {
+  const upload = multer({
+    storage: new ObjectStorageEngine({ prefix, accept }),
+    limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+  }).single(field);
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (err && err.code === "LIMIT_FILE_SIZE") {
+        return res.status(413).json({ error: "file too large (max 10MB)" });
+      }
+      if (err instanceof multer.MulterError) {
+        return res.status(400).json({ error: err.code.toLowerCase() }); // e.g. limit_unexpected_file
+      }
+      if (err) {
+        logError("Streaming upload failed", err);
+        return res.status(500).json({ error: "storage_write_failed" });
+      }
+      next();
+    });
+  };
+}
+
+/**
+ * discardUploadedFile
+ * Best-effort removal of an already streamed object when the request fails after multer
+ * finished (auth/validation/DB errors) so orphaned objects do not accumulate.
+ * @param {{key?:string}|undefined} file req.file
+ * @returns {Promise<void>}
+ */
+async function discardUploadedFile(file) {
+  if (!file || !file.key) return;
+  try {
+    await deleteObject(file.key);
+  } catch (err) {
+    logError("Failed to discard upload", err);
+  }
+}
+
+module.exports = {
+  streamingUpload,
+  discardUploadedFile,
+  buildObjectKey,
+  ObjectStorageEngine,
+  MAX_UPLOAD_BYTES,
+};
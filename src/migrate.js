@@ -0,0 +1,197 @@
+// Versioned SQL migration runner (replaces the single-batch schema.sql bootstrap).
+/**
+ * Layout: db/migrations/<dialect>/<NNNN>_<name>.up.sql (+ optional <NNNN>_<name>.down.sql)
+ *  - <dialect> is the active DB_CLIENT dialect (mssql | postgres); each keeps its own version line.
+ *  - Versions are the numeric prefix and apply in ascending order.
+ *  - A file may contain several batches separated by a line holding only `GO`
+ *    (needed on SQL Server when a later statement references columns added earlier in the same file).
+ *
+ * Tracking: schema_migrations (version, name, checksum, applied_at). The checksum is the
+ * SHA-256 of the up script so `status` can flag migrations edited after they were applied.
+ *
+ * Concurrency: every up/down step runs inside one transaction that first takes an exclusive
+ * transaction-scoped lock (sp_getapplock / pg_advisory_xact_lock). A second instance booting at the
+ * same time blocks on the lock, then re-reads the applied set and skips what the first instance ran.
+ */
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { withTransaction, dialect } = require("./db");
+const { log } = require("./utils/logger");
+
+const MIGRATIONS_DIR = path.join(__dirname, "../db/migrations", dialect.name);
+const LOCK_RESOURCE = "schema_migrations";
+const LOCK_TIMEOUT_MS = parseInt(
+  process.env.MIGRATION_LOCK_TIMEOUT_MS || "60000",
+  10
+);
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+/**
+ * splitBatches
+ * Split a script on standalone GO lines (client-side batch separator, like sqlcmd/SSMS).
+ * @param {string} script
+ * @returns {string[]} Non-empty batches
+ */
+function splitBatches(script) {
+  return script
+    .split(/^\s*GO\s*;?\s*$/im)
+    .map((batch) => batch.trim())
+    .filter(Boolean);
+}
+
+/**
+ * loadMigrations
+ * Read and validate the migrations directory.
+ * @param {string} [dir]
+ * @returns {Array<{version:number,name:string,up:string,down:string|null,checksum:string}>}
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+  fs.readdirSync(dir).forEach((file) => {
+    const match = FILE_PATTERN.exec(file);
+    if (!match) return;
+    const version = parseInt(match[1], 10);
+    const [, , name, direction] = match;
+    const entry = byVersion.get(version) || {
+      version,
+      name,
+      up: null,
+      down: null,
+    };
+    if (entry.name !== name) {
+      throw new Error(
+        `Migration ${version} has conflicting names (${entry.name}, ${name})`
+      );
+    }
+    entry[direction] = fs.readFileSync(path.join(dir, file), "utf8");
+    byVersion.set(version, entry);
+  });
+  return Array.from(byVersion.values())
+    .map((entry) => {
+      if (!entry.up)
+        throw new Error(
+          `Migration ${entry.version}_${entry.name} has no up script`
+        );
+      return {
+        ...entry,
+        checksum: crypto.createHash("sha256").update(entry.up).digest("hex"),
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+async function fetchApplied(tx) {
+  const result = await tx.query(
+    "SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version"
+  );
+  return result.rows;
+}
+
+/**
+ * withMigrationLock
+ * Run fn(tx) inside a transaction holding the exclusive migration lock (created tracking table
+ * included). The lock is released automatically on commit/rollback.
+ */
+async function withMigrationLock(fn) {
+  return withTransaction(async (tx) => {
+    await dialect.acquireMigrationLock(tx, LOCK_RESOURCE, LOCK_TIMEOUT_MS);
+    await tx.batch(dialect.migrationTrackingSql);
+    return fn(tx);
+  });
+}
+
+async function runScript(tx, script) {
+  for (const batch of splitBatches(script)) {
+    await tx.batch(batch);
+  }
+}
+
+/**
+ * migrateUp
+ * Apply every pending migration (optionally stopping at `to`), one transaction per migration.
+ * @param {{to?:number}} [opts]
+ * @returns {Promise<number[]>} Versions applied by this call
+ */
+async function migrateUp({ to } = {}) {
+  const applied = [];
+  for (const migration of loadMigrations()) {
+    if (to !== undefined && migration.version > to) break;
+    const ran = await withMigrationLock(async (tx) => {
+      const done = await fetchApplied(tx);
+      if (done.some((row) => row.version === migration.version)) return false; // Another instance won.
+      await runScript(tx, migration.up);
+      await tx.query(
+        "INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)",
+        [migration.version, migration.name, migration.checksum]
+      );
+      return true;
+    });
+    if (ran) {
+      applied.push(migration.version);
+      log(`[migrate] applied ${migration.version}_${migration.name}`);
+    }
+  }
+  return applied;
+}
+
+/**
+ * migrateDown
+ * Roll back the most recently applied migrations.
+ * @param {{steps?:number}} [opts] Number of migrations to revert (default 1)
+ * @returns {Promise<number[]>} Versions reverted
+ */
+async function migrateDown({ steps = 1 } = {}) {
+  const migrations = new Map(loadMigrations().map((m) => [m.version, m]));
+  const reverted = [];
+  for (let i = 0; i < steps; i += 1) {
+    const version = await withMigrationLock(async (tx) => {
+      const done = await fetchApplied(tx);
+      const latest = done[done.length - 1];
+      if (!latest) return null;
+      const migration = migrations.get(latest.version);
+      if (!migration || !migration.down) {
+        throw new Error(
+          `Migration ${latest.version}_${latest.name} has no down script`
+        );
+      }
+      await runScript(tx, migration.down);
+      await tx.query("DELETE FROM schema_migrations WHERE version = $1", [
+        latest.version,
+      ]);
+      return latest.version;
+    });
+    if (version === null) break;
+    reverted.push(version);
+    log(`[migrate] reverted ${version}`);
+  }
+  return reverted;
+}
+
+/**
+ * migrationStatus
+ * @returns {Promise<Array<{version:number,name:string,applied:boolean,appliedAt:Date|null,checksumMismatch:boolean}>>}
+ */
+async function migrationStatus() {
+  const rows = await withMigrationLock(fetchApplied);
+  const applied = new Map(rows.map((row) => [row.version, row]));
+  return loadMigrations().map((migration) => {
+    const row = applied.get(migration.version);
+    return {
+      version: migration.version,
+      name: migration.name,
+      applied: !!row,
+      appliedAt: row ? row.applied_at : null,
+      checksumMismatch: !!row && row.checksum.trim() !== migration.checksum,
+    };
+  });
+}
+
+module.exports = {
+  migrateUp,
+  migrateDown,
+  migrationStatus,
+  loadMigrations,
+  splitBatches,
+  MIGRATIONS_DIR,
+};
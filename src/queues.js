@@ -18,17 +18,108 @@ const connection = new IORedis(config.redisUrl, {
   maxRetriesPerRequest: null,
 });
 
+const WORKER_QUEUES = ["parseResume", "parseJob", "computeMatch"];
+
+// Started by startWorkers(); tracked so shutdown can drain and close them.
+let activeWorkers = [];
+let activeQueueEvents = [];
+
+/**
+ * jobOptions
+ * Default BullMQ job options for a queue from config.queues (attempts + exponential backoff).
+ * @param {string} queueName
+ * @returns {import('bullmq').JobsOptions}
+ */
+function jobOptions(queueName) {
+  const policy = config.queues[queueName];
+  return {
+    attempts: policy.attempts,
+    backoff: { type: "exponential", delay: policy.backoffMs },
+  };
+}
+
 const queues = {
   // Exported so controllers can enqueue jobs without new connections.
   // parseResume: accepts { resumeId, storagePath, filename, mimeType, userId }
   // parseJob: accepts { jobId, source, storagePath?, filename?, mimeType, rawText?, userId }
   // computeMatch: accepts { matchJobId, resumeId, jobId, userId }
   // Each processor defined in workers.js updates DB status rows.
-  parseResume: new Queue("parseResume", { connection }),
-  parseJob: new Queue("parseJob", { connection }),
-  computeMatch: new Queue("computeMatch", { connection }),
+  parseResume: new Queue("parseResume", {
+    connection,
+    defaultJobOptions: jobOptions("parseResume"),
+  }),
+  parseJob: new Queue("parseJob", {
+    connection,
+    defaultJobOptions: jobOptions("parseJob"),
+  }),
+  computeMatch: new Queue("computeMatch", {
+    connection,
+    defaultJobOptions: jobOptions("computeMatch"),
+  }),
+  // deadLetter: accepts { queue, jobId, name, data, failedReason, stacktrace, attemptsMade, failedAt }
+  // No worker consumes it; entries stay until inspected / requeued by an operator.
+  deadLetter: new Queue(config.queues.deadLetter, { connection }),
 };
 
+/**
+ * withTimeout
+ * Wraps a processor so each attempt gets an AbortSignal that fires after timeoutMs.
+ * Processors pass the signal to outbound HTTP calls; an aborted attempt fails and is retried like any error.
+ * @param {(job: import('bullmq').Job, signal: AbortSignal) => Promise<any>} processor
+ * @param {number} timeoutMs
+ */
+function withTimeout(processor, timeoutMs) {
+  return async (job) => {
+    const controller = new AbortController();
+    const timer = setTimeout(
+      () => controller.abort(new Error(`Job timed out after ${timeoutMs}ms`)),
+      timeoutMs
+    );
+    try {
+      return await processor(job, controller.signal);
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+}
+
+/**
+ * moveToDeadLetter
+ * Records an exhausted job (payload + failure reason) on the dead-letter queue.
+ * The DLQ job id is derived from the source job so repeated 'failed' events do not duplicate entries.
+ * @param {string} queueName Source queue
+ * @param {import('bullmq').Job} job Failed job
+ * @param {Error} err Final error
+ */
+async function moveToDeadLetter(queueName, job, err) {
+  await queues.deadLetter.add(
+    queueName,
+    {
+      queue: queueName,
+      jobId: job.id,
+      name: job.name,
+      data: job.data,
+      failedReason: (err && err.message) || job.failedReason || null,
+      stacktrace: job.stacktrace || [],
+      attemptsMade: job.attemptsMade,
+      failedAt: new Date().toISOString(),
+    },
+    { jobId: `${queueName}-${job.id}` }
+  );
+  log(`Queue ${queueName} job ${job.id} moved to ${config.queues.deadLetter}`);
+}
+
+/**
+ * isExhausted
+ * True once a failed job will not be retried (attempts used up or UnrecoverableError).
+ * @param {import('bullmq').Job} job Job passed to the Worker 'failed' event
+ * @param {Error} [err]
+ */
+function isExhausted(job, err) {
+  if (err && err.name === "UnrecoverableError") return true;
+  return job.attemptsMade >= (job.opts.attempts || 1);
+}
+
 function wireQueueEvents(queueName) {
   /**
    * wireQueueEvents
@@ -54,17 +145,102 @@ function startWorkers() {
   /**
    * startWorkers
    * Instantiates Worker instances binding queue names to processor functions (see workers.js).
+   * Used in-process by startServer() (unless RUN_WORKERS=false) and by the standalone src/worker.js.
    * Side effects: begins consuming jobs immediately; logs startup.
+   * @returns {Worker[]}
    */
-  wireQueueEvents("parseResume");
-  wireQueueEvents("parseJob");
-  wireQueueEvents("computeMatch");
+  activeQueueEvents = WORKER_QUEUES.map(wireQueueEvents);
 
-  new Worker("parseResume", processParseResume, { connection }); // Resume parser invokes FastAPI to populate candidate skills.
-  new Worker("parseJob", processParseJob, { connection }); // Job parser extracts requirements then stores them.
-  new Worker("computeMatch", processComputeMatch, { connection }); // Match engine consolidates results into matches + match_jobs tables.
+  const workers = [
+    startWorker("parseResume", processParseResume), // Resume parser invokes FastAPI to populate candidate skills.
+    startWorker("parseJob", processParseJob), // Job parser extracts requirements then stores them.
+    startWorker("computeMatch", processComputeMatch), // Match engine consolidates results into matches + match_jobs tables.
+  ];
 
-  log("BullMQ workers started");
+  log(
+    `BullMQ workers started (concurrency ${WORKER_QUEUES.map(
+      (name) => `${name}=${config.queues[name].concurrency}`
+    ).join(" ")})`
+  );
+  activeWorkers = workers;
+  return workers;
 }
 
-module.exports = { queues, startWorkers };
+/**
+ * closeWorkers
+ * Stops fetching new jobs and waits up to timeoutMs for in-flight jobs to finish.
+ * BullMQ ignores a later close(true) once a graceful close is pending, so on timeout we stop
+ * waiting instead: unfinished jobs lose their lock and are re-run as stalled by the next worker.
+ * @param {{timeoutMs:number}} opts
+ * @returns {Promise<{drained:boolean}>}
+ */
+async function closeWorkers({ timeoutMs }) {
+  const workers = activeWorkers;
+  activeWorkers = [];
+  if (!workers.length) return { drained: true };
+  let timer;
+  const expired = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(false), timeoutMs);
+  });
+  const drained = await Promise.race([
+    Promise.all(workers.map((w) => w.close())).then(() => true),
+    expired,
+  ]);
+  clearTimeout(timer);
+  if (drained) log("BullMQ workers closed");
+  else
+    log(
+      `BullMQ workers still busy after ${timeoutMs}ms; unfinished jobs will be retried as stalled`
+    );
+  return { drained };
+}
+
+/**
+ * closeQueueConnections
+ * Closes queue producers, QueueEvents listeners and finally the shared Redis connection.
+ * Call after closeWorkers(); nothing can be enqueued afterwards.
+ */
+async function closeQueueConnections() {
+  const events = activeQueueEvents;
+  activeQueueEvents = [];
+  await Promise.all([
+    ...Object.values(queues).map((q) => q.close()),
+    ...events.map((e) => e.close()),
+  ]);
+  await connection.quit();
+  log("Queue Redis connections closed");
+}
+
+/**
+ * startWorker
+ * Binds a processor (with per-attempt timeout and configured concurrency) to its queue and
+ * dead-letters exhausted jobs.
+ * @param {string} queueName
+ * @param {Function} processor
+ * @returns {Worker}
+ */
+function startWorker(queueName, processor) {
+  const worker = new Worker(
+    queueName,
+    withTimeout(processor, config.queues[queueName].timeoutMs),
+    { connection, concurrency: config.queues[queueName].concurrency }
+  );
+  worker.on("failed", (job, err) => {
+    if (!job || !isExhausted(job, err)) return; // BullMQ schedules the retry.
+    moveToDeadLetter(queueName, job, err).catch((e) =>
+      error(`Failed to dead-letter ${queueName} job ${job.id}`, e)
+    );
+  });
+  return worker;
+}
+
+module.exports = {
+  queues,
+  startWorkers,
+  closeWorkers,
+  closeQueueConnections,
+  jobOptions,
+  withTimeout,
+  moveToDeadLetter,
+  isExhausted,
+};
@@ -1,4 +1,7 @@
+const IORedis = require("ioredis");
+const { createAdapter } = require("@socket.io/redis-adapter");
 const { bus } = require("./events/bus");
+const { deliveryHub } = require("./events/delivery");
 const { query } = require("./db");
 const { error, log } = require("./utils/logger");
 const config = require("./config");
@@ -10,7 +13,8 @@ const config = require("./config");
  * Event flow:
  *   Worker/API logic -> bus.emit('job.status.changed', { jobId })
  *   -> This listener fetches the authoritative row from DB (ensures latest status fields)
- *   -> Emits 'job:update' to the room for the owning user (user:<user_id>)
+ *   -> publish(sub, 'job:update', payload): logged for replay, relayed to every API process
+ *      (events/relay.js), which emits it to the room for the owning user (user:<auth0_sub>)
  *
  * Idempotency:
  *   To avoid accidental double registration (e.g., startServer() called twice in tests) we
@@ -20,6 +24,10 @@ const config = require("./config");
  *   Users can have multiple browser tabs. Emitting to the per-user room ensures all open
  *   sessions update consistently without broadcasting to unrelated users.
  *
+ * Multiple instances:
+ *   Listeners run in the process that emitted the bus event (API replica or standalone worker), so each
+ *   payload is built and logged exactly once; events/delivery.js fans it out to local sockets and SSE streams.
+ *
  * Error handling:
  *   - If jobId no longer exists (race/deletion) we silently ignore.
  *   - Failures (DB/network) are logged but do not throw to avoid crashing the process.
@@ -28,13 +36,16 @@ const config = require("./config");
  *   {
  *     id: string,
  *     title: string,
- *     status: 'queued' | 'processing' | 'ready' | etc,
+ *     status: 'queued' | 'processing' | 'ready' | 'failed' (see services/lifecycle-service),
  *     createdAt: Date,
- *     updatedAt: Date
+ *     updatedAt: Date,
+ *     eventId: string   // replay log id; send the latest one back as `lastEventId` on reconnect
  *   }
  * Frontend should treat unknown status values defensively (feature flags / future states).
+ *
+ * @param {Function} publish From events/relay.createRealtimePublisher()
  */
-function registerJobStatusListener(io) {
+function registerJobStatusListener(publish) {
   const existing = bus
     .listeners("job.status.changed")
     .find((l) => l.__rtListener);
@@ -86,7 +97,7 @@ function registerJobStatusListener(io) {
           `[realtime] emitting job:update to room user:${row.auth0_sub} status=${row.status}`
         );
       }
-      io.to(`user:${row.auth0_sub}`).emit("job:update", payload);
+      await publish(row.auth0_sub, "job:update", payload);
     } catch (e) {
       error("Realtime emit failed", e);
     }
@@ -105,7 +116,7 @@ function registerJobStatusListener(io) {
  * We intentionally keep this simple (no duplicate suppression beyond __rtListener flag).
  */
 function registerSimpleStatusListener({
-  io,
+  publish,
   busEvent,
   emitEvent,
   selectSQL,
@@ -146,7 +157,7 @@ function registerSimpleStatusListener({
           } room=${room} id=${row.id} status=${row.status}`
         );
       }
-      io.to(room).emit(emitEvent, emitPayload);
+      await publish(row.auth0_sub, emitEvent, emitPayload);
       if (config.verboseRealtimeLogs) {
         log(
           `[realtime] emitted ${emitEvent} ${
@@ -165,9 +176,9 @@ function registerSimpleStatusListener({
   }
 }
 
-function registerResumeStatusListener(io) {
+function registerResumeStatusListener(publish) {
   registerSimpleStatusListener({
-    io,
+    publish,
     busEvent: "resume.status.changed",
     emitEvent: "resume:update",
     listenerFlag: "resume",
@@ -179,14 +190,14 @@ function registerResumeStatusListener(io) {
   });
 }
 
-function registerMatchStatusListener(io) {
+function registerMatchStatusListener(publish) {
   registerSimpleStatusListener({
-    io,
+    publish,
     busEvent: "match.status.changed",
     emitEvent: "match:update",
     listenerFlag: "match",
     verboseLabel: "match",
-    // Use match_jobs for status progression (queued -> processing -> completed) and join users for auth0_sub.
+    // Use match_jobs for status progression (queued -> running -> completed | failed) and join users for auth0_sub.
     selectSQL: `SELECT mj.id, mj.status, mj.created_at, mj.updated_at, u.auth0_sub
                 FROM match_jobs mj
                 LEFT JOIN users u ON u.id = mj.user_id
@@ -194,8 +205,110 @@ function registerMatchStatusListener(io) {
   });
 }
 
+/**
+ * registerProgressListeners
+ * Forwards worker step progress (bus `<entity>.progress`, see workers.reportProgress) to the owner's room as
+ * `resume:progress`, `job:progress` and `match:progress` with payload { id, step, percent, ts }.
+ * Progress is transient: only the owner's auth0_sub is looked up (no entity row) and nothing is logged
+ * for replay. Idempotent like the status listeners.
+ */
+function registerProgressListeners(publish) {
+  ["resume", "job", "match"].forEach((entity) => {
+    const busEvent = `${entity}.progress`;
+    const emitEvent = `${entity}:progress`;
+    const listenerFlag = `${entity}-progress`;
+    if (bus.listeners(busEvent).some((l) => l.__rtListener === listenerFlag)) {
+      return;
+    }
+    const handler = async ({ id, userId, step, percent, ts }) => {
+      if (!userId) return;
+      try {
+        const res = await query("SELECT auth0_sub FROM users WHERE id = $1", [
+          userId,
+        ]);
+        const sub = res.rows[0] && res.rows[0].auth0_sub;
+        if (!sub) return;
+        await publish(
+          sub,
+          emitEvent,
+          { id, step, percent, ts },
+          { persist: false }
+        );
+        if (config.verboseRealtimeLogs) {
+          log(
+            `[realtime] emitted ${emitEvent} room=user:${sub} id=${id} step=${step} percent=${percent}`
+          );
+        }
+      } catch (e) {
+        error(`Realtime emit failed for ${busEvent}`, e);
+      }
+    };
+    handler.__rtListener = listenerFlag;
+    bus.on(busEvent, handler);
+  });
+}
+
+/**
+ * registerRealtimeBridge
+ * Registers every bus -> client event listener (status updates + progress). Called by API and worker
+ * processes alike so events are built where they happen.
+ * @param {Function} publish From events/relay.createRealtimePublisher()
+ */
+function registerRealtimeBridge(publish) {
+  registerJobStatusListener(publish);
+  registerResumeStatusListener(publish);
+  registerMatchStatusListener(publish);
+  registerProgressListeners(publish);
+}
+
+/**
+ * connectSocket
+ * Subscribes a connected socket to its user's deliveries on the local hub (events/delivery.js).
+ * With a valid lastEventId (handshake auth or query) logged events newer than it are replayed first,
+ * followed by `events:replayed` { lastEventId, count, truncated }; `truncated: true` means older events
+ * were already dropped from the log and the client should refetch.
+ * @param {import('socket.io').Socket} socket Authenticated socket (socket.data.userId = auth0 sub)
+ * @param {string} [lastEventId]
+ * @param {ReturnType<import('./events/delivery').createDeliveryHub>} [hub]
+ */
+async function connectSocket(socket, lastEventId, hub = deliveryHub) {
+  const client = await hub.connect(
+    socket.data.userId,
+    lastEventId,
+    (event, payload) => socket.emit(event, payload)
+  );
+  if (!socket.connected) {
+    client.close();
+    return;
+  }
+  socket.on("disconnect", client.close);
+  if (client.replay) socket.emit("events:replayed", client.replay);
+}
+
+/**
+ * attachRedisAdapter
+ * Backs io with the Socket.IO Redis adapter so room broadcasts (io.to(room).emit) and server-side
+ * socket operations (fetchSockets, disconnectSockets) span every API instance.
+ * @param {import('socket.io').Server} io
+ * @param {import('ioredis').Redis} [pubClient] Defaults to a new connection; the subscriber is a duplicate
+ * @returns {{pubClient: import('ioredis').Redis, subClient: import('ioredis').Redis}}
+ */
+function attachRedisAdapter(io, pubClient = new IORedis(config.redisUrl)) {
+  const subClient = pubClient.duplicate();
+  const onError = (e) => error("[realtime] redis adapter error", e);
+  pubClient.on("error", onError);
+  subClient.on("error", onError);
+  io.adapter(createAdapter(pubClient, subClient));
+  log("[realtime] Socket.IO Redis adapter attached");
+  return { pubClient, subClient };
+}
+
 module.exports = {
+  attachRedisAdapter,
   registerJobStatusListener,
   registerResumeStatusListener,
   registerMatchStatusListener,
+  registerProgressListeners,
+  registerRealtimeBridge,
+  connectSocket,
 };
@@ -0,0 +1,45 @@
+// Admin routes: operator endpoints gated on users.role = 'admin'.
+/**
+ * Routes:
+ *  GET    /api/v1/admin/queues                          -> listQueues (counts by state + paused flag)
+ *  GET    /api/v1/admin/queues/:name/failed             -> listFailed (?offset&limit page of failed jobs)
+ *  POST   /api/v1/admin/queues/:name/jobs/:jobId/retry  -> retryQueueJob (failed job back to waiting)
+ *  DELETE /api/v1/admin/queues/:name/jobs/:jobId        -> removeQueueJob
+ *  POST   /api/v1/admin/queues/:name/pause | /resume    -> pauseQueue / resumeQueue
+ *  POST   /api/v1/admin/queues/:name/drain              -> drainQueueJobs (?delayed=true includes delayed)
+ *  GET    /api/v1/admin/users/:userId/match-preferences -> getUserMatchPreferences
+ *  PATCH  /api/v1/admin/users/:userId/match-preferences -> updateUserMatchPreferences (partial; null resets)
+ */
+const express = require("express");
+const {
+  resolveQueue,
+  listQueues,
+  listFailed,
+  retryQueueJob,
+  removeQueueJob,
+  pauseQueue,
+  resumeQueue,
+  drainQueueJobs,
+} = require("../controllers/admin-queue-controller");
+const {
+  getUserMatchPreferences,
+  updateUserMatchPreferences,
+} = require("../controllers/preference-controller");
+const { requireRole } = require("../middleware/require-role");
+
+const router = express.Router();
+
+router.use(requireRole("admin"));
+router.param("name", resolveQueue);
+
+router.get("/queues", listQueues);
+router.get("/queues/:name/failed", listFailed);
+router.post("/queues/:name/jobs/:jobId/retry", retryQueueJob);
+router.delete("/queues/:name/jobs/:jobId", removeQueueJob);
+router.post("/queues/:name/pause", pauseQueue);
+router.post("/queues/:name/resume", resumeQueue);
+router.post("/queues/:name/drain", drainQueueJobs);
+router.get("/users/:userId/match-preferences", getUserMatchPreferences);
+router.patch("/users/:userId/match-preferences", updateUserMatchPreferences);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+// Events routes: Server-Sent Events alternative to the Socket.IO realtime transport.
+/**
+ * Routes:
+ *  GET /api/v1/events[?lastEventId=] -> streamEvents (text/event-stream; honours Last-Event-ID)
+ */
+const express = require("express");
+const { streamEvents } = require("../controllers/events-controller");
+
+const router = express.Router();
+
+router.get("/", streamEvents);
+
+module.exports = router;
@@ -1,41 +1,55 @@
 // Job routes: multiplex file uploads and raw text submission to shared controller.
 /**
  * Routes:
- *  GET /api/v1/jobs -> listJobSummaries
+ *  GET /api/v1/jobs -> listJobSummaries (?limit&cursor&status&createdFrom&createdTo&sort&order)
  *  GET /api/v1/jobs/:id -> getJobDetail (ownership enforced in controller/service)
+ *  GET /api/v1/jobs/:id/file -> downloadJobFile (original upload; Range + ?presign=1 supported)
  *  POST /api/v1/jobs -> createJob
  *    Accepts EITHER:
- *      - multipart/form-data with single 'file' field (parsed by multer)
+ *      - multipart/form-data with single 'file' field (streamed to object storage by streamingUpload)
  *      - application/json with { text: string, title?: string }
  *  The router inspects Content-Type to decide whether to invoke multer before controller.
+ *  POST /api/v1/jobs/:id/reparse -> reparseJob (re-queue parsing of the stored file / raw text; { markMatchesStale? })
+ *  POST /api/v1/jobs/:id/requirements -> addJobRequirement ({ skill, importance? }; stored as a user override)
+ *  PATCH /api/v1/jobs/:id/requirements/:skill -> updateJobRequirement (rename / re-weight; partial body)
+ *  DELETE /api/v1/jobs/:id/requirements/:skill -> removeJobRequirement
  */
 const express = require("express");
-const multer = require("multer");
 const {
   createJob,
   listJobSummaries,
   getJobDetail,
+  reparseJob,
   deleteJob,
+  downloadJobFile,
+  isAllowedMimeType,
 } = require("../controllers/job-controller");
+const {
+  addJobRequirement,
+  updateJobRequirement,
+  removeJobRequirement,
+} = require("../controllers/skill-override-controller");
+const { streamingUpload } = require("../middleware/streaming-upload");
+const { validateListQuery } = require("../middleware/list-query");
 
 const router = express.Router();
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: { fileSize: 10 * 1024 * 1024 },
-}); // memory storage now
+const upload = streamingUpload({
+  prefix: "jobs",
+  accept: (file) => isAllowedMimeType(file.mimetype),
+}); // Streams the part straight to object storage (no in-memory buffering).
 
-router.get("/", listJobSummaries);
+router.get("/", validateListQuery("jobs"), listJobSummaries);
 router.get("/:id", getJobDetail);
+router.get("/:id/file", downloadJobFile);
 router.post("/", (req, res, next) => {
   const contentType = req.headers["content-type"] || ""; // Allow JSON or multipart on same endpoint.
   if (contentType.includes("multipart/form-data")) {
-    upload.single("file")(req, res, (err) => {
-      // Multer parses file -> req.file (memory). On error (size limit / mime) forward to error handler.
-      if (err) return next(err);
+    upload(req, res, () => {
+      // Upload middleware streamed the file -> object storage and set req.file { id, key, ... }.
+      // Size / storage errors were already answered by the middleware.
       // Delegate to controller which:
       //  - ensures user (users table)
       //  - inserts job row (job_descriptions table) via createJobRecord
-      //  - uploads bytes to object storage (R2) when file present
       //  - enqueues parseJob (BullMQ) for async parsing & requirements extraction
       return createJob(req, res, next);
     });
@@ -45,6 +59,10 @@ router.post("/", (req, res, next) => {
   }
 });
 
+router.post("/:id/reparse", reparseJob);
+router.post("/:id/requirements", addJobRequirement);
+router.patch("/:id/requirements/:skill", updateJobRequirement);
+router.delete("/:id/requirements/:skill", removeJobRequirement);
 router.delete("/:id", deleteJob);
 
 module.exports = router;
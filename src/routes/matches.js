@@ -1,21 +1,30 @@
 // Match routes: expose create/list/detail endpoints for async matching jobs.
 /**
  * Routes:
- *  GET /api/v1/matches -> listMatchStatuses (returns match_jobs rows for user)
+ *  GET /api/v1/matches -> listMatchStatuses (paged match_jobs rows for user; same list params as resumes/jobs
+ *    plus ?stale=true|false on the attached result)
  *  GET /api/v1/matches/:id -> getMatchDetail (includes embedded match result when completed)
  *  POST /api/v1/matches -> requestMatch { resumeId, jobId } (queues computeMatch job after validation)
+ *  POST /api/v1/matches/batches -> requestMatchBatch { resumeId, jobIds } | { jobId, resumeIds } (one child
+ *    match job per pair, usage charged per pair)
+ *  GET /api/v1/matches/batches/:id -> getMatchBatchDetail (progress; ranked leaderboard once all children finish)
  */
 const express = require("express");
 const {
   requestMatch,
+  requestMatchBatch,
   listMatchStatuses,
   getMatchDetail,
+  getMatchBatchDetail,
 } = require("../controllers/match-controller");
+const { validateListQuery } = require("../middleware/list-query");
 
 const router = express.Router();
 
-router.get("/", listMatchStatuses);
+router.get("/", validateListQuery("matches"), listMatchStatuses);
+router.get("/batches/:id", getMatchBatchDetail);
 router.get("/:id", getMatchDetail);
 router.post("/", requestMatch); // Controllers validate ownership and queue work.
+router.post("/batches", requestMatchBatch);
 
 module.exports = router;
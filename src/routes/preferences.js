@@ -0,0 +1,18 @@
+// Preference routes: the caller's own settings (admins edit other users under /admin/users).
+/**
+ * Routes:
+ *  GET   /api/v1/preferences/match -> getMyMatchPreferences ({ preferences, saved, defaults })
+ *  PATCH /api/v1/preferences/match -> updateMyMatchPreferences (partial body; null resets a field)
+ */
+const express = require("express");
+const {
+  getMyMatchPreferences,
+  updateMyMatchPreferences,
+} = require("../controllers/preference-controller");
+
+const router = express.Router();
+
+router.get("/match", getMyMatchPreferences);
+router.patch("/match", updateMyMatchPreferences);
+
+module.exports = router;
@@ -1,30 +1,49 @@
 // Resume routes: thin wrappers binding HTTP verbs to controller logic.
 /**
  * Routes:
- *  GET /api/v1/resumes -> listResumeSummaries
+ *  GET /api/v1/resumes -> listResumeSummaries (?limit&cursor&status&createdFrom&createdTo&sort&order)
  *  GET /api/v1/resumes/:id -> getResumeDetail (ownership enforced in controller/service)
+ *  GET /api/v1/resumes/:id/file -> downloadResumeFile (original upload; Range + ?presign=1 supported)
  *  POST /api/v1/resumes (multipart/form-data with single 'file' field) -> uploadResume
- * Multer memory storage keeps uploads in RAM then streams to R2 via controller.
+ *  POST /api/v1/resumes/:id/reparse -> reparseResume (re-queue parsing of the stored file; { markMatchesStale? })
+ *  POST /api/v1/resumes/:id/skills -> addResumeSkill ({ skill, experienceYears?, proficiency? }; stored as a user override)
+ *  PATCH /api/v1/resumes/:id/skills/:skill -> updateResumeSkill (rename / re-weight; partial body)
+ *  DELETE /api/v1/resumes/:id/skills/:skill -> removeResumeSkill
+ * Uploads stream straight into object storage (streamingUpload middleware) before the controller
+ * runs, so request bodies never sit fully in memory.
  */
 const express = require("express");
-const multer = require("multer");
 const {
   uploadResume,
   listResumeSummaries,
   getResumeDetail,
+  reparseResume,
   deleteResume,
+  downloadResumeFile,
+  isAllowedMimeType,
 } = require("../controllers/resume-controller");
-// const { getTempDir } = require('../utils/storage'); // no longer needed with R2
+const {
+  addResumeSkill,
+  updateResumeSkill,
+  removeResumeSkill,
+} = require("../controllers/skill-override-controller");
+const { streamingUpload } = require("../middleware/streaming-upload");
+const { validateListQuery } = require("../middleware/list-query");
 
 const router = express.Router();
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: { fileSize: 10 * 1024 * 1024 },
+const upload = streamingUpload({
+  prefix: "resumes",
+  accept: (file) => isAllowedMimeType(file.mimetype), // Skip storing parts the controller will reject (415).
 });
 
-router.get("/", listResumeSummaries);
+router.get("/", validateListQuery("resumes"), listResumeSummaries);
 router.get("/:id", getResumeDetail);
-router.post("/", upload.single("file"), uploadResume); // Accepts multipart uploads only.
+router.get("/:id/file", downloadResumeFile);
+router.post("/", upload, uploadResume); // Accepts multipart uploads only.
+router.post("/:id/reparse", reparseResume);
+router.post("/:id/skills", addResumeSkill);
+router.patch("/:id/skills/:skill", updateResumeSkill);
+router.delete("/:id/skills/:skill", removeResumeSkill);
 router.delete("/:id", deleteResume);
 
 module.exports = router;
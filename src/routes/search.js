@@ -0,0 +1,13 @@
+// Search routes: per-user full-text search over jobs and resumes.
+/**
+ * Routes:
+ *  GET /api/v1/search?q=&limit= -> searchAll (ranked hits grouped into jobs / resumes)
+ */
+const express = require("express");
+const { searchAll } = require("../controllers/search-controller");
+
+const router = express.Router();
+
+router.get("/", searchAll);
+
+module.exports = router;
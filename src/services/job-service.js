@@ -1,7 +1,16 @@
 // Job service: holds SQL helpers for job descriptions and derived requirements.
 const { v4: uuidv4 } = require("uuid");
-const { query } = require("../db");
+const db = require("../db");
+const { query, dialect } = db;
 const { bus } = require("../events/bus");
+const { buildListClauses, toPage } = require("../utils/pagination");
+const searchService = require("./search-service");
+const { listEffectiveSkills } = require("./skill-override-service");
+const { transitionStatus } = require("./lifecycle-service");
+
+// Requirements changed: matches computed from the previous version become stale.
+const BUMP_REQUIREMENTS_VERSION =
+  "UPDATE job_descriptions SET requirements_version = requirements_version + 1 WHERE id = $1";
 
 // NOTE: All functions in this module interact directly with the following tables:
 //   job_descriptions (primary job posting metadata + parsed_summary JSON + status lifecycle)
@@ -20,6 +29,7 @@ const { bus } = require("../events/bus");
  * @param {string} opts.mimeType MIME type
  * @param {string|null} opts.storagePath Object storage key (null for text source)
  * @param {string|null} opts.rawText Raw textual description (when text source)
+ * @param {string|null} opts.contentHash SHA-256 of file bytes / normalized text (dedupe lookups)
  * @returns {Promise<{id:string,status:string}>}
  */
 async function createJobRecord({
@@ -31,27 +41,96 @@ async function createJobRecord({
   mimeType,
   storagePath,
   rawText,
+  contentHash,
 }) {
   const jobId = id || uuidv4();
-  // DB: Conditional insert (IF NOT EXISTS) into job_descriptions. Prevents duplicate creation when retried.
-  await query(
-    `IF NOT EXISTS (SELECT 1 FROM job_descriptions WHERE id = $1)
-     INSERT INTO job_descriptions (id, user_id, title, source, filename, mime_type, storage_path, raw_text, status, created_at, updated_at)
-     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,'queued',SYSUTCDATETIME(),SYSUTCDATETIME())`,
-    [
-      jobId,
-      userId || null,
-      title || null,
+  // DB: Conditional insert into job_descriptions keyed by id. Prevents duplicate creation when retried.
+  await db.insertIfAbsent(
+    db,
+    "job_descriptions",
+    "id",
+    {
+      id: jobId,
+      user_id: userId || null,
+      title: title || null,
       source,
-      filename || null,
-      mimeType || null,
-      storagePath || null,
-      rawText || null,
-    ]
+      filename: filename || null,
+      mime_type: mimeType || null,
+      storage_path: storagePath || null,
+      raw_text: rawText || null,
+      content_hash: contentHash || null,
+      status: "queued",
+    },
+    { created_at: dialect.now, updated_at: dialect.now }
   );
   return { id: jobId, status: "queued" };
 }
 
+/**
+ * findActiveJobByHash
+ * Newest non-deleted, non-failed job for the user with identical content.
+ * @param {string} userId
+ * @param {string} contentHash Hex SHA-256
+ * @returns {Promise<{id:string,title:string|null,status:string}|null>}
+ */
+async function findActiveJobByHash(userId, contentHash) {
+  if (!userId || !contentHash) return null;
+  // DB: Indexed lookup on (user_id, content_hash); newest wins when several copies exist.
+  const result = await query(
+    `SELECT id, title, status
+       FROM job_descriptions
+      WHERE user_id = $1 AND content_hash = $2 AND is_deleted = 0 AND status <> 'failed'
+      ORDER BY created_at DESC
+      OFFSET 0 ROWS FETCH NEXT 1 ROWS ONLY`,
+    [userId, contentHash]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * cloneJobParse
+ * Copies parsed output (requirements, soft skills, parsed_summary) from a ready job onto a freshly
+ * created job so identical content does not need another Python parse, then marks the target ready.
+ * All writes commit together so the clone never shows as ready with partial requirements.
+ * @param {string} sourceJobId Ready job with identical content
+ * @param {string} targetJobId New job row (status queued)
+ */
+async function cloneJobParse(sourceJobId, targetJobId) {
+  await db.withTransaction(async (tx) => {
+    // DB: Set-based copies; newId gives each cloned row its own primary key. The target id is bound
+    // through the join (not the select list) so Postgres infers its UUID type.
+    await tx.query(
+      `INSERT INTO requirements (id, job_id, skill, importance, inferred, created_at)
+       SELECT ${dialect.newId}, t.id, r.skill, r.importance, r.inferred, ${dialect.now}
+         FROM requirements r
+         JOIN job_descriptions t ON t.id = $2
+        WHERE r.job_id = $1`,
+      [sourceJobId, targetJobId]
+    );
+    await tx.query(
+      `INSERT INTO job_soft_skills (id, job_id, skill, value, created_at)
+       SELECT ${dialect.newId}, t.id, s.skill, s.value, ${dialect.now}
+         FROM job_soft_skills s
+         JOIN job_descriptions t ON t.id = $2
+        WHERE s.job_id = $1`,
+      [sourceJobId, targetJobId]
+    );
+    await tx.query(BUMP_REQUIREMENTS_VERSION, [targetJobId]);
+    const summaryRes = await tx.query(
+      "SELECT parsed_summary FROM job_descriptions WHERE id = $1",
+      [sourceJobId]
+    );
+    const rawSummary = summaryRes.rows[0]?.parsed_summary;
+    await updateJobStatus(
+      targetJobId,
+      "ready",
+      rawSummary ? JSON.parse(rawSummary) : null,
+      { tx, reason: `cloned from job ${sourceJobId}` }
+    );
+    await searchService.indexJob(targetJobId, tx);
+  });
+}
+
 /**
  * updateJobStoragePath
  * Updates storage path for existing job record.
@@ -61,41 +140,71 @@ async function createJobRecord({
 async function updateJobStoragePath(jobId, storagePath) {
   // DB: Simple UPDATE of storage_path for existing job_descriptions row.
   await query(
-    "UPDATE job_descriptions SET storage_path = $1, updated_at = SYSUTCDATETIME() WHERE id = $2",
+    `UPDATE job_descriptions SET storage_path = $1, updated_at = ${dialect.now} WHERE id = $2`,
     [storagePath, jobId]
   );
 }
 
 /**
- * updateJobStatus
- * Persists new status and parsed summary JSON.
+ * updateJobAttempts
+ * Records which queue attempt is parsing the job (shown as `attempts` by the API).
  * @param {string} jobId
- * @param {string} status queued|processing|ready|error
- * @param {object|null} parsedSummary
+ * @param {number} attempts 1-based attempt number
  */
-async function updateJobStatus(jobId, status, parsedSummary) {
-  // DB: UPDATE job_descriptions.status + parsed_summary (stored as JSON string) for lifecycle transitions.
+async function updateJobAttempts(jobId, attempts) {
   await query(
-    "UPDATE job_descriptions SET status = $1, parsed_summary = $2, updated_at = SYSUTCDATETIME() WHERE id = $3",
-    [status, parsedSummary ? JSON.stringify(parsedSummary) : null, jobId]
+    `UPDATE job_descriptions SET attempts = $1, updated_at = ${dialect.now} WHERE id = $2`,
+    [attempts, jobId]
   );
-  // Emit after DB write so consumers rely on committed state.
-  try {
-    // Debug: trace lifecycle transition emission (can be filtered in logger).
-    // NOTE: If you find this too chatty later, gate behind env flag VERBOSE_REALTIME_LOGS.
-    // eslint-disable-next-line no-console
-    console.debug(
-      `[realtime][bus] Emitting job.status.changed for jobId=${jobId} status=${status}`
-    );
-    bus.emit("job.status.changed", { jobId, status, ts: Date.now() });
-  } catch (e) {
-    // Swallow to avoid breaking worker path.
-  }
+}
+
+/**
+ * updateJobStatus
+ * Persists new status (validated against the parse lifecycle, see services/lifecycle-service) and
+ * parsed summary JSON; invalid transitions throw INVALID_STATUS_TRANSITION.
+ * @param {string} jobId
+ * @param {string} status queued|processing|ready|failed
+ * @param {object|null} [parsedSummary] undefined keeps the stored summary
+ * @param {{tx?:object, reason?:string}} [opts] Transaction handle from withTransaction (event deferred
+ *   until commit) and the reason recorded in status_transitions
+ */
+async function updateJobStatus(jobId, status, parsedSummary, opts = {}) {
+  const { tx, reason } = opts;
+  // DB: locked status check + UPDATE job_descriptions.status/parsed_summary + history row.
+  await transitionStatus("job", jobId, status, {
+    // undefined leaves parsed_summary as is (previous snapshot kept while a parse is in flight).
+    set:
+      parsedSummary === undefined
+        ? {}
+        : {
+            parsed_summary: parsedSummary
+              ? JSON.stringify(parsedSummary)
+              : null,
+          },
+    reason,
+    tx,
+  });
+  // Emit after DB write (or after commit when part of a transaction) so consumers rely on committed state.
+  const emit = () => {
+    try {
+      // Debug: trace lifecycle transition emission (can be filtered in logger).
+      // NOTE: If you find this too chatty later, gate behind env flag VERBOSE_REALTIME_LOGS.
+      // eslint-disable-next-line no-console
+      console.debug(
+        `[realtime][bus] Emitting job.status.changed for jobId=${jobId} status=${status}`
+      );
+      bus.emit("job.status.changed", { jobId, status, ts: Date.now() });
+    } catch (e) {
+      // Swallow to avoid breaking worker path.
+    }
+  };
+  if (tx) tx.afterCommit(emit);
+  else emit();
 }
 
 /**
  * getJobForUser
- * Fetch full job row + requirements ensuring ownership.
+ * Fetch full job row + effective requirements (parsed rows + user overrides) ensuring ownership.
  * @param {string} jobId
  * @param {string} userId
  * @returns {Promise<object|null>}
@@ -103,7 +212,7 @@ async function updateJobStatus(jobId, status, parsedSummary) {
 async function getJobForUser(jobId, userId) {
   // DB: Select single job_descriptions row restricted by id + user ownership.
   const jobRes = await query(
-    `SELECT id, user_id, title, source, filename, mime_type, raw_text, status, parsed_summary, created_at, updated_at
+    `SELECT id, user_id, title, source, filename, mime_type, storage_path, raw_text, status, attempts, parsed_summary, created_at, updated_at
        FROM job_descriptions
       WHERE id = $1 AND user_id = $2 AND is_deleted = 0`,
     [jobId, userId]
@@ -115,51 +224,50 @@ async function getJobForUser(jobId, userId) {
     ? JSON.parse(jobRow.parsed_summary)
     : null;
 
-  // DB: Load all related requirements (ordered by importance DESC then recency).
-  const requirementsRes = await query(
-    `SELECT id, skill, importance, inferred, created_at
-       FROM requirements
+  // DB: Load requirements with the user's overrides applied (importance DESC); provenance parsed | inferred | user.
+  const requirements = await listEffectiveSkills("job", jobId);
+
+  // DB: Load soft skills (display-only, not used in matching) ordered by value desc.
+  const softRes = await query(
+    `SELECT id, skill, value AS importance, created_at
+       FROM job_soft_skills
       WHERE job_id = $1
-      ORDER BY importance DESC, created_at DESC`,
+      ORDER BY value DESC, created_at DESC`,
     [jobId]
   );
 
-  // DB: Load soft skills (display-only, not used in matching) ordered by value desc.
-  let softSkills = [];
-  try {
-    const softRes = await query(
-      `IF OBJECT_ID('job_soft_skills', 'U') IS NOT NULL
-       SELECT id, skill, value AS importance, created_at FROM job_soft_skills WHERE job_id = $1 ORDER BY value DESC, created_at DESC`,
-      [jobId]
-    );
-    softSkills = softRes.rows || [];
-  } catch (e) {
-    // ignore if table absent (backwards compatibility during rollout)
-  }
-
   return {
     ...jobRow,
-    requirements: requirementsRes.rows,
-    soft_skills: softSkills,
+    requirements,
+    soft_skills: softRes.rows || [],
   };
 }
 
 /**
  * listJobs
- * List summary job rows for user (newest first).
+ * One page of summary job rows for the user (keyset pagination, see utils/pagination).
  * @param {string} userId
- * @returns {Promise<object[]>}
+ * @param {object} listQuery Parsed list params (req.listQuery from validateListQuery("jobs"))
+ * @returns {Promise<{items:object[], nextCursor:string|null}>}
  */
-async function listJobs(userId) {
-  // DB: Retrieve minimal columns for job list view, ordered newest first.
+async function listJobs(userId, listQuery) {
+  const params = [userId];
+  const { where, orderBy, fetch } = buildListClauses(
+    listQuery,
+    { table: "job_descriptions", ownerColumn: "user_id", ownerParam: "$1" },
+    ["user_id = $1", "is_deleted = 0"],
+    params
+  );
+  // DB: Retrieve minimal columns for job list view, one page + look-ahead row.
   const result = await query(
-    `SELECT id, title, source, status, created_at, updated_at
+    `SELECT id, title, source, status, attempts, created_at, updated_at
        FROM job_descriptions
-      WHERE user_id = $1 AND is_deleted = 0
-      ORDER BY created_at DESC`,
-    [userId]
+      WHERE ${where}
+      ${orderBy}
+      ${fetch}`,
+    params
   );
-  return result.rows;
+  return toPage(result.rows, listQuery);
 }
 
 /**
@@ -172,10 +280,11 @@ async function listJobs(userId) {
 async function softDeleteJob(jobId, userId) {
   await query(
     `UPDATE job_descriptions
-        SET is_deleted = 1, deleted_at = SYSUTCDATETIME(), updated_at = SYSUTCDATETIME()
+        SET is_deleted = 1, deleted_at = ${dialect.now}, updated_at = ${dialect.now}
       WHERE id = $1 AND user_id = $2 AND is_deleted = 0`,
     [jobId, userId]
   );
+  await searchService.removeFromIndex("job", jobId, userId);
   try {
     bus.emit("job.status.changed", {
       jobId,
@@ -188,55 +297,71 @@ async function softDeleteJob(jobId, userId) {
 /**
  * replaceJobRequirements
  * Replaces all requirements for a job with provided list (idempotent parse ingestion).
+ * Bumps job_descriptions.requirements_version so matches computed from the old list read as stale.
+ * Runs in its own transaction unless the caller passes `tx`.
  * @param {string} jobId
  * @param {Array<Object>} requirements Array of requirement objects with skill/name, importance/weight, inferred flag.
+ * @param {object} [tx] Transaction handle from withTransaction
  */
-async function replaceJobRequirements(jobId, requirements) {
-  // DB: Clear existing derived requirements for fresh parse ingestion (transactional simplicity).
-  await query("DELETE FROM requirements WHERE job_id = $1", [jobId]);
-  for (const req of requirements) {
-    // DB: Insert each parsed requirement with generated UUID primary key.
-    await query(
-      `INSERT INTO requirements (id, job_id, skill, importance, inferred, created_at)
-       VALUES ($1,$2,$3,$4,$5,SYSUTCDATETIME())`,
-      [
-        uuidv4(),
-        jobId,
-        req.skill || req.name,
-        req.importance !== undefined ? req.importance : req.weight || null,
-        req.inferred === undefined ? 0 : req.inferred ? 1 : 0,
-      ]
+async function replaceJobRequirements(jobId, requirements, tx) {
+  const rows = requirements.map((req) => [
+    jobId,
+    req.skill || req.name,
+    req.importance !== undefined ? req.importance : req.weight || null,
+    req.inferred === undefined ? 0 : req.inferred ? 1 : 0,
+  ]);
+  const replace = async (executor) => {
+    // DB: Clear existing derived requirements then insert the fresh parse in one statement.
+    await executor.query("DELETE FROM requirements WHERE job_id = $1", [jobId]);
+    await db.bulkInsert(
+      executor,
+      "requirements",
+      ["job_id", "skill", "importance", "inferred"],
+      rows,
+      { id: dialect.newId, created_at: dialect.now }
     );
-  }
+    await executor.query(BUMP_REQUIREMENTS_VERSION, [jobId]);
+  };
+  if (tx) return replace(tx);
+  return db.withTransaction(replace);
 }
 
 /**
  * replaceJobSoftSkills
- * Replaces all soft skills (display only) for a job. Safe no-op if table missing.
+ * Replaces all soft skills (display only) for a job.
+ * Runs in its own transaction unless the caller passes `tx`.
  * @param {string} jobId
  * @param {Array<{skill:string, value:number}>} softSkills
+ * @param {object} [tx] Transaction handle from withTransaction
  */
-async function replaceJobSoftSkills(jobId, softSkills) {
+async function replaceJobSoftSkills(jobId, softSkills, tx) {
   if (!Array.isArray(softSkills)) return;
-  try {
-    await query("DELETE FROM job_soft_skills WHERE job_id = $1", [jobId]);
-    for (const s of softSkills) {
-      if (!s.skill) continue;
-      await query(
-        `INSERT INTO job_soft_skills (id, job_id, skill, value, created_at)
-         VALUES ($1,$2,$3,$4,SYSUTCDATETIME())`,
-        [uuidv4(), jobId, s.skill, s.value !== undefined ? s.value : null]
-      );
-    }
-  } catch (e) {
-    // Table might not exist yet; swallow to avoid breaking core flow.
-  }
+  const rows = softSkills
+    .filter((s) => s.skill)
+    .map((s) => [jobId, s.skill, s.value !== undefined ? s.value : null]);
+  const replace = async (executor) => {
+    await executor.query("DELETE FROM job_soft_skills WHERE job_id = $1", [
+      jobId,
+    ]);
+    await db.bulkInsert(
+      executor,
+      "job_soft_skills",
+      ["job_id", "skill", "value"],
+      rows,
+      { id: dialect.newId, created_at: dialect.now }
+    );
+  };
+  if (tx) return replace(tx);
+  return db.withTransaction(replace);
 }
 
 module.exports = {
   createJobRecord,
+  findActiveJobByHash,
+  cloneJobParse,
   updateJobStoragePath,
   updateJobStatus,
+  updateJobAttempts,
   getJobForUser,
   listJobs,
   replaceJobRequirements,
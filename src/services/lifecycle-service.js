@@ -0,0 +1,137 @@
+// Lifecycle service: status state machines for resumes, job descriptions and match jobs.
+// Tables touched:
+//   resumes / job_descriptions / match_jobs -> status column (read under a row lock, then updated)
+//   status_transitions                       -> append-only history of every status change
+// NOTE: Entity services (resume/job/match) own their extra columns and bus events; every status
+// write goes through transitionStatus so illegal moves (e.g. a late retry overwriting 'ready') are rejected.
+const db = require("../db");
+const { dialect } = db;
+
+const INVALID_TRANSITION = "INVALID_STATUS_TRANSITION";
+
+// Resumes and job descriptions share one parse lifecycle. 'failed' is the terminal failure for every entity.
+const PARSE_LIFECYCLE = {
+  states: ["uploaded", "queued", "processing", "ready", "failed"],
+  transitions: {
+    uploaded: ["queued"], // Legacy column default; new rows start queued.
+    queued: ["processing", "ready", "failed"], // ready: dedupe clone or failed reparse enqueue (failed otherwise).
+    processing: ["processing", "queued", "ready", "failed"], // processing: stalled attempt re-run.
+    ready: ["queued"], // Reparse request.
+    failed: ["queued", "processing"], // processing: operator retry of the failed queue job.
+  },
+};
+
+/**
+ * LIFECYCLES
+ * Entity -> { table, states, transitions } where transitions maps a status to the statuses it may move to.
+ * Terminal statuses map to an empty list; parse entities only leave 'ready' through a reparse.
+ */
+const LIFECYCLES = {
+  resume: { table: "resumes", ...PARSE_LIFECYCLE },
+  job: { table: "job_descriptions", ...PARSE_LIFECYCLE },
+  match: {
+    table: "match_jobs",
+    states: ["queued", "running", "completed", "failed"],
+    transitions: {
+      queued: ["running", "completed", "failed"], // completed: cached result attached; failed: never enqueued.
+      running: ["running", "queued", "completed", "failed"],
+      completed: [],
+      failed: ["queued", "running"],
+    },
+  },
+};
+
+/**
+ * canTransition
+ * @param {'resume'|'job'|'match'} entity
+ * @param {string} from Current status
+ * @param {string} to Requested status
+ * @returns {boolean}
+ */
+function canTransition(entity, from, to) {
+  const allowed = LIFECYCLES[entity].transitions[from];
+  return !!allowed && allowed.includes(to);
+}
+
+/**
+ * assertTransition
+ * Throws an Error with code INVALID_STATUS_TRANSITION (plus entity/from/to) when the move is not allowed.
+ */
+function assertTransition(entity, from, to) {
+  if (canTransition(entity, from, to)) return;
+  const err = new Error(`Invalid ${entity} status transition ${from} -> ${to}`);
+  err.code = INVALID_TRANSITION;
+  Object.assign(err, { entity, from, to });
+  throw err;
+}
+
+/**
+ * isInvalidTransition
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isInvalidTransition(err) {
+  return !!err && err.code === INVALID_TRANSITION;
+}
+
+/**
+ * transitionStatus
+ * Locks the entity row, validates current -> `status`, updates it (with any extra columns) and appends a
+ * status_transitions row, all in one transaction: the caller's `tx` when given, otherwise its own.
+ * A missing row is a no-op (same as the plain UPDATE it replaces).
+ * @param {'resume'|'job'|'match'} entity
+ * @param {string} id Entity id
+ * @param {string} status Target status
+ * @param {object} [opts]
+ * @param {Object<string,any>} [opts.set] Extra column -> value updated alongside status
+ * @param {string} [opts.reason] Why the status changed (stored in history)
+ * @param {object} [opts.tx] Transaction handle from withTransaction
+ * @returns {Promise<{from:string,to:string}|null>}
+ */
+async function transitionStatus(
+  entity,
+  id,
+  status,
+  { set = {}, reason, tx } = {}
+) {
+  const { table } = LIFECYCLES[entity];
+  const run = async (executor) => {
+    const current = await executor.query(
+      dialect.selectForUpdateSql({
+        table,
+        columns: ["status"],
+        where: "id = $1",
+      }),
+      [id]
+    );
+    if (current.rows.length === 0) return null;
+    const from = current.rows[0].status;
+    assertTransition(entity, from, status);
+    const columns = Object.keys(set);
+    const params = [status, ...columns.map((column) => set[column]), id];
+    const assignments = columns.map((column, i) => `${column} = $${i + 2}, `);
+    await executor.query(
+      `UPDATE ${table}
+          SET status = $1, ${assignments.join("")}updated_at = ${dialect.now}
+        WHERE id = $${params.length}`,
+      params
+    );
+    await executor.query(
+      `INSERT INTO status_transitions (id, entity_type, entity_id, from_status, to_status, reason, created_at)
+       VALUES (${dialect.newId},$1,$2,$3,$4,$5,${dialect.now})`,
+      [entity, id, from, status, reason || null]
+    );
+    return { from, to: status };
+  };
+  if (tx) return run(tx);
+  return db.withTransaction(run);
+}
+
+module.exports = {
+  LIFECYCLES,
+  INVALID_TRANSITION,
+  canTransition,
+  assertTransition,
+  isInvalidTransition,
+  transitionStatus,
+};
@@ -0,0 +1,161 @@
+// Match batch service: one resume against many jobs (or one job against many resumes).
+// Tables touched:
+//   match_batches -> parent record (anchor resume/job, child count)
+//   match_jobs    -> one child per pair (batch_id FK), computed by the regular computeMatch worker
+// NOTE: Batch progress is derived from child statuses, so workers need no batch-specific bookkeeping.
+const { v4: uuidv4 } = require("uuid");
+const db = require("../db");
+const { dialect } = db;
+const { bus } = require("../events/bus");
+const { staleMatchSql } = require("./match-service");
+
+// Anchor type -> table holding the *other* side of each pair.
+const CANDIDATE_TABLES = { resume: "job_descriptions", job: "resumes" };
+
+// Child statuses after which a match job will not change again.
+const FINISHED = ["completed", "failed"];
+
+/**
+ * listMatchCandidates
+ * SELECT id + status of the user's non-deleted jobs (anchor 'resume') or resumes (anchor 'job') among `ids`.
+ * @param {string} userId
+ * @param {'resume'|'job'} anchorType
+ * @param {string[]} ids
+ * @returns {Promise<Array<{id:string,status:string}>>}
+ */
+async function listMatchCandidates(userId, anchorType, ids) {
+  if (!ids.length) return [];
+  const slots = ids.map((_, i) => `$${i + 2}`).join(",");
+  const result = await db.query(
+    `SELECT id, status FROM ${CANDIDATE_TABLES[anchorType]}
+      WHERE user_id = $1 AND is_deleted = 0 AND id IN (${slots})`,
+    [userId, ...ids]
+  );
+  return result.rows;
+}
+
+/**
+ * createMatchBatch
+ * INSERT the match_batches row plus one queued match_jobs child per candidate in one transaction.
+ * @param {Object} opts
+ * @param {string} opts.userId
+ * @param {'resume'|'job'} opts.anchorType Side shared by every pair
+ * @param {string} opts.anchorId resumes.id / job_descriptions.id
+ * @param {string[]} opts.candidateIds The other side of each pair (deduplicated by the caller)
+ * @returns {Promise<{id:string, children:Array<{id:string,resumeId:string,jobId:string}>}>}
+ */
+async function createMatchBatch({
+  userId,
+  anchorType,
+  anchorId,
+  candidateIds,
+}) {
+  const batchId = uuidv4();
+  const children = candidateIds.map((candidateId) => ({
+    id: uuidv4(),
+    resumeId: anchorType === "resume" ? anchorId : candidateId,
+    jobId: anchorType === "resume" ? candidateId : anchorId,
+  }));
+  await db.withTransaction(async (tx) => {
+    await tx.query(
+      `INSERT INTO match_batches (id, user_id, anchor_type, anchor_id, total, created_at, updated_at)
+       VALUES ($1,$2,$3,$4,$5,${dialect.now},${dialect.now})`,
+      [batchId, userId, anchorType, anchorId, children.length]
+    );
+    await db.bulkInsert(
+      tx,
+      "match_jobs",
+      ["id", "user_id", "resume_id", "job_id", "batch_id"],
+      children.map((c) => [c.id, userId, c.resumeId, c.jobId, batchId]),
+      {
+        status: "'queued'",
+        created_at: dialect.now,
+        updated_at: dialect.now,
+      }
+    );
+    tx.afterCommit(() => {
+      for (const child of children) {
+        try {
+          bus.emit("match.status.changed", {
+            id: child.id,
+            status: "queued",
+            ts: Date.now(),
+          });
+        } catch (_) {}
+      }
+    });
+  });
+  return { id: batchId, children };
+}
+
+/**
+ * rankBatchResults
+ * Completed children ordered by score (highest first) with competition ranks: equal scores share a rank
+ * and the next distinct score skips past them (1, 2, 2, 4).
+ * @param {Array<object>} children Rows from getMatchBatchForUser
+ * @returns {Array<{rank:number, matchJobId:string, matchId:string, resumeId:string, jobId:string, score:number, stale:boolean}>}
+ */
+function rankBatchResults(children) {
+  const ranked = children
+    .filter((c) => c.status === "completed" && c.result_id)
+    .sort((a, b) => (b.score || 0) - (a.score || 0));
+  let rank = 0;
+  return ranked.map((c, i) => {
+    if (i === 0 || (ranked[i - 1].score || 0) !== (c.score || 0)) rank = i + 1;
+    return {
+      rank,
+      matchJobId: c.id,
+      matchId: c.result_id,
+      resumeId: c.resume_id,
+      jobId: c.job_id,
+      score: c.score,
+      stale: !!c.is_stale,
+    };
+  });
+}
+
+/**
+ * getMatchBatchForUser
+ * SELECT the batch (ownership enforced) with its children (LEFT JOIN matches for score + staleness).
+ * `finished` is true once every child completed or failed.
+ * @param {string} batchId
+ * @param {string} userId
+ * @returns {Promise<object|null>} Batch row plus { children, finished }
+ */
+async function getMatchBatchForUser(batchId, userId) {
+  const batch = await db.query(
+    `SELECT id, anchor_type, anchor_id, total, created_at, updated_at
+       FROM match_batches
+      WHERE id = $1 AND user_id = $2`,
+    [batchId, userId]
+  );
+  if (batch.rows.length === 0) return null;
+  const children = await db.query(
+    `SELECT mj.id,
+            mj.resume_id,
+            mj.job_id,
+            mj.status,
+            mj.error_message,
+            mj.result_id,
+            m.score,
+            CASE WHEN ${staleMatchSql("m")} THEN 1 ELSE 0 END AS is_stale,
+            mj.updated_at
+       FROM match_jobs mj
+  LEFT JOIN matches m ON m.id = mj.result_id
+      WHERE mj.batch_id = $1
+      ORDER BY mj.created_at, mj.id`,
+    [batchId]
+  );
+  return {
+    ...batch.rows[0],
+    children: children.rows,
+    finished: children.rows.every((c) => FINISHED.includes(c.status)),
+  };
+}
+
+module.exports = {
+  listMatchCandidates,
+  createMatchBatch,
+  rankBatchResults,
+  getMatchBatchForUser,
+};
@@ -0,0 +1,214 @@
+// Match cache service: fingerprints the inputs computeMatch sends to the Python /match endpoint and
+// finds an existing matches row computed from identical inputs.
+// Tables touched:
+//   resumes / job_descriptions        -> parsed summaries + input versions
+//   candidate_skills / requirements   -> the match payload itself (with resume_skill_overrides / requirement_overrides)
+//   job_soft_skills                   -> extra requirements when the user's preferences include soft skills
+//   matches                           -> input_fingerprint lookup; a reused row gets its versions refreshed
+// NOTE: The cache is per (resume, job) pair. Identical inputs for another pair are never shared.
+const crypto = require("crypto");
+const db = require("../db");
+const { dialect } = db;
+const { primaryEngine } = require("./match-engine");
+const { applyPreferenceDefaults } = require("./match-preference-service");
+const { listEffectiveSkills } = require("./skill-override-service");
+
+// Bump when the payload shape or its interpretation changes so older fingerprints stop matching.
+// 2: match preferences (payload options) and soft skill requirements.
+const FINGERPRINT_VERSION = 2;
+
+const num = (value) =>
+  value === null || value === undefined ? null : Number(value);
+
+/**
+ * loadMatchInputs
+ * SELECT everything processComputeMatch needs for one pair. Versions are read before skills/requirements:
+ * a concurrent reparse or override edit leaves a match stale, never falsely fresh. Skills and requirements are the
+ * effective lists (user overrides applied, services/skill-override-service).
+ * Preferences shape the payload: inferred requirements below inferredMinImportance are left out, soft skills
+ * are added as requirements ({ soft: true }) with includeSoftSkills, and all of them are sent as `options`.
+ * @param {string} resumeId
+ * @param {string} jobId
+ * @param {object} [preferences] Effective match preferences (services/match-preference-service); defaults when omitted
+ * @returns {Promise<{resumeSummary:object|null, jobSummary:object|null, resumeVersion:number, jobVersion:number,
+ *   payload:{candidate_skills:object[], requirements:object[], options:object}}>}
+ */
+async function loadMatchInputs(resumeId, jobId, preferences) {
+  const prefs = applyPreferenceDefaults(preferences);
+  const resumeRes = await db.query(
+    "SELECT parsed_summary, skills_version FROM resumes WHERE id = $1",
+    [resumeId]
+  );
+  const jobRes = await db.query(
+    "SELECT parsed_summary, requirements_version FROM job_descriptions WHERE id = $1",
+    [jobId]
+  );
+  const skills = await listEffectiveSkills("resume", resumeId);
+  const effectiveRequirements = await listEffectiveSkills("job", jobId);
+  const requirements = effectiveRequirements
+    .map((row) => ({
+      skill: row.skill,
+      importance: num(row.importance),
+      inferred: !!row.inferred,
+    }))
+    .filter(
+      (r) =>
+        !r.inferred ||
+        (r.importance !== null && r.importance >= prefs.inferredMinImportance)
+    );
+  if (prefs.includeSoftSkills) {
+    const softRes = await db.query(
+      "SELECT skill, value FROM job_soft_skills WHERE job_id = $1",
+      [jobId]
+    );
+    const listed = new Set(
+      requirements.map((r) => String(r.skill || "").toLowerCase())
+    );
+    softRes.rows
+      .filter((row) => row.skill && !listed.has(row.skill.toLowerCase()))
+      .forEach((row) =>
+        requirements.push({
+          skill: row.skill,
+          importance: num(row.value),
+          inferred: false,
+          soft: true,
+        })
+      );
+  }
+  const resumeRow = resumeRes.rows[0] || {};
+  const jobRow = jobRes.rows[0] || {};
+  return {
+    resumeSummary: resumeRow.parsed_summary
+      ? JSON.parse(resumeRow.parsed_summary)
+      : null,
+    jobSummary: jobRow.parsed_summary
+      ? JSON.parse(jobRow.parsed_summary)
+      : null,
+    resumeVersion: resumeRow.skills_version,
+    jobVersion: jobRow.requirements_version,
+    payload: {
+      candidate_skills: skills.map((row) => ({
+        skill: row.skill,
+        experience_years: row.experience_years,
+        proficiency: row.proficiency,
+      })),
+      requirements,
+      options: {
+        threshold: prefs.threshold,
+        inferred_weight: prefs.inferredWeight,
+        inferred_min_importance: prefs.inferredMinImportance,
+        include_soft_skills: prefs.includeSoftSkills,
+      },
+    },
+  };
+}
+
+/**
+ * fingerprintMatchInputs
+ * SHA-256 (hex) of the /match payload in a canonical form: fixed key order, numeric columns as numbers,
+ * rows sorted, so row order and driver number types do not change the result. Options (match preferences)
+ * are part of it: a result is only reused for the settings it was scored with.
+ * @param {{candidate_skills:object[], requirements:object[], options?:object}} payload
+ * @returns {string}
+ */
+function fingerprintMatchInputs(payload) {
+  const options = payload.options || {};
+  const sorted = (rows) =>
+    rows.map((row) => JSON.stringify(row)).sort((a, b) => (a < b ? -1 : 1));
+  const canonical = {
+    version: FINGERPRINT_VERSION,
+    candidate_skills: sorted(
+      payload.candidate_skills.map((s) => [
+        s.skill,
+        num(s.experience_years),
+        s.proficiency === undefined ? null : s.proficiency,
+      ])
+    ),
+    requirements: sorted(
+      payload.requirements.map((r) => [
+        r.skill,
+        num(r.importance),
+        !!r.inferred,
+        !!r.soft,
+      ])
+    ),
+    options: [
+      num(options.threshold),
+      num(options.inferred_weight),
+      num(options.inferred_min_importance),
+      !!options.include_soft_skills,
+    ],
+  };
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(canonical), "utf8")
+    .digest("hex");
+}
+
+/**
+ * findCachedMatch
+ * Newest matches row for the pair computed from inputs with this fingerprint by `engine`. Results of the
+ * fallback engine are not reused once the primary engine is expected to answer again.
+ * @param {{resumeId:string, jobId:string, fingerprint:string, engine?:'python'|'js'}} opts
+ *   engine defaults to the configured primary engine (services/match-engine)
+ * @returns {Promise<string|null>} match id
+ */
+async function findCachedMatch({
+  resumeId,
+  jobId,
+  fingerprint,
+  engine = primaryEngine(),
+}) {
+  const result = await db.query(
+    `SELECT id FROM matches
+      WHERE resume_id = $1 AND job_id = $2 AND input_fingerprint = $3 AND engine = $4
+      ORDER BY created_at DESC
+      OFFSET 0 ROWS FETCH NEXT 1 ROWS ONLY`,
+    [resumeId, jobId, fingerprint, engine]
+  );
+  return result.rows.length ? result.rows[0].id : null;
+}
+
+/**
+ * reuseCachedMatch
+ * UPDATE a cached matches row to the current input versions and clear is_stale: identical inputs mean the
+ * stored result is exactly what a fresh computation would produce.
+ * @param {string} matchId
+ * @param {{resumeVersion?:number, jobVersion?:number}} versions
+ */
+async function reuseCachedMatch(matchId, { resumeVersion, jobVersion }) {
+  await db.query(
+    `UPDATE matches
+        SET resume_skills_version = $1, job_requirements_version = $2, is_stale = 0, updated_at = ${dialect.now}
+      WHERE id = $3`,
+    [resumeVersion || 0, jobVersion || 0, matchId]
+  );
+}
+
+/**
+ * lookupCachedMatch
+ * Loads the pair's inputs, fingerprints them and, on a hit, refreshes the cached row (see reuseCachedMatch).
+ * @param {string} resumeId
+ * @param {string} jobId
+ * @param {object} [preferences] Effective match preferences of the requesting user
+ * @returns {Promise<string|null>} Reusable match id, or null on a miss
+ */
+async function lookupCachedMatch(resumeId, jobId, preferences) {
+  const inputs = await loadMatchInputs(resumeId, jobId, preferences);
+  const matchId = await findCachedMatch({
+    resumeId,
+    jobId,
+    fingerprint: fingerprintMatchInputs(inputs.payload),
+  });
+  if (matchId) await reuseCachedMatch(matchId, inputs);
+  return matchId;
+}
+
+module.exports = {
+  FINGERPRINT_VERSION,
+  loadMatchInputs,
+  fingerprintMatchInputs,
+  findCachedMatch,
+  reuseCachedMatch,
+  lookupCachedMatch,
+};
@@ -0,0 +1,306 @@
+// Match engine: scores candidate skills against job requirements for processComputeMatch.
+// Engines:
+//   python -> POST /match on the Python service (embedding similarity); reads the payload `options` (preferences)
+//   js     -> in-process normalized string + synonym matching (no external dependency)
+// NOTE: Both return { score, summary: { overall_match_score, details, strengths, gaps } } so the worker's
+// formatRequirements / summarizeStrengths / summarizeWeaknesses handle either; config.matchEngine.mode picks
+// Python only, Python with the JS engine as fallback when it is unreachable, or the JS engine only.
+const axios = require("axios");
+const config = require("../config");
+const { log } = require("../utils/logger");
+
+const MODES = ["python", "fallback", "js"];
+
+// Weight for requirements without an importance (design doc default for explicit skills).
+const DEFAULT_IMPORTANCE = 0.7;
+
+// Fuzzy (character bigram) similarity is scaled down so near-misses like "java" / "javascript" stay unmatched.
+const FUZZY_SCALE = 0.85;
+
+// Similarity when one skill's words all appear in the other ("sql" / "sql server").
+const CONTAINED_SIMILARITY = 0.8;
+
+/**
+ * SKILL_SYNONYMS
+ * Normalized alias -> canonical skill. Keys and values are in normalizeSkill form.
+ */
+const SKILL_SYNONYMS = {
+  js: "javascript",
+  ecmascript: "javascript",
+  ts: "typescript",
+  node: "nodejs",
+  "node js": "nodejs",
+  "react js": "react",
+  reactjs: "react",
+  "vue js": "vue",
+  vuejs: "vue",
+  angularjs: "angular",
+  golang: "go",
+  py: "python",
+  postgres: "postgresql",
+  psql: "postgresql",
+  mssql: "sql server",
+  "ms sql": "sql server",
+  "microsoft sql server": "sql server",
+  k8s: "kubernetes",
+  aws: "amazon web services",
+  gcp: "google cloud platform",
+  "google cloud": "google cloud platform",
+  azure: "microsoft azure",
+  csharp: "c#",
+  "c sharp": "c#",
+  cpp: "c++",
+  ml: "machine learning",
+  dl: "deep learning",
+  ai: "artificial intelligence",
+  nlp: "natural language processing",
+  "ci cd": "continuous integration",
+  cicd: "continuous integration",
+  oop: "object oriented programming",
+  rest: "rest api",
+  restful: "rest api",
+  "restful api": "rest api",
+};
+
+/**
+ * normalizeSkill
+ * Lowercases, strips diacritics and punctuation (keeping "c++" / "c#"), collapses whitespace and maps
+ * synonyms to their canonical skill.
+ * @param {string} skill
+ * @returns {string}
+ */
+function normalizeSkill(skill) {
+  const normalized = String(skill || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9+#]+/g, " ")
+    .trim();
+  return SKILL_SYNONYMS[normalized] || normalized;
+}
+
+function bigrams(text) {
+  const compact = text.replace(/ /g, "");
+  const grams = [];
+  for (let i = 0; i < compact.length - 1; i += 1)
+    grams.push(compact.slice(i, i + 2));
+  return grams;
+}
+
+/**
+ * skillSimilarity
+ * 1 for equal normalized skills, CONTAINED_SIMILARITY when every word of one appears in the other,
+ * otherwise the scaled Dice coefficient of character bigrams (0..FUZZY_SCALE).
+ * @param {string} a Normalized skill
+ * @param {string} b Normalized skill
+ * @returns {number}
+ */
+function skillSimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  const wordsA = a.split(" ");
+  const wordsB = b.split(" ");
+  const [shorter, longer] =
+    wordsA.length <= wordsB.length
+      ? [wordsA, new Set(wordsB)]
+      : [wordsB, new Set(wordsA)];
+  if (shorter.every((word) => longer.has(word))) return CONTAINED_SIMILARITY;
+  const gramsA = bigrams(a);
+  const gramsB = bigrams(b);
+  if (!gramsA.length || !gramsB.length) return 0;
+  const remaining = [...gramsB];
+  let shared = 0;
+  gramsA.forEach((gram) => {
+    const at = remaining.indexOf(gram);
+    if (at !== -1) {
+      shared += 1;
+      remaining.splice(at, 1);
+    }
+  });
+  return ((2 * shared) / (gramsA.length + gramsB.length)) * FUZZY_SCALE;
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * weightedScore
+ * Importance-weighted average of matched similarities (unmatched requirements count as 0).
+ * @param {Array<{importance:number, similarity:number}>} rows
+ * @param {number} threshold
+ * @returns {{score:number, weight:number}}
+ */
+function weightedScore(rows, threshold) {
+  const weight = rows.reduce((sum, row) => sum + row.importance, 0);
+  const matched = rows.reduce(
+    (sum, row) =>
+      row.similarity >= threshold ? sum + row.importance * row.similarity : sum,
+    0
+  );
+  return { score: weight ? matched / weight : 0, weight };
+}
+
+/**
+ * matchSkillsLocally
+ * In-process engine. Each requirement takes its best-matching candidate skill; the overall score is the
+ * importance-weighted average over explicit requirements. Inferred requirements are blended in by their share
+ * of the total importance, capped at inferredWeight (0 ignores them).
+ * Settings come from `opts`, then the payload `options` (match preferences), then the server defaults.
+ * @param {{candidate_skills:Array<{skill:string}>, requirements:Array<{skill:string, importance:number|null, inferred:boolean}>,
+ *   options?:{threshold?:number, inferred_weight?:number}}} payload
+ * @param {{threshold?:number, inferredWeight?:number}} [opts]
+ * @returns {{score:number, summary:{overall_match_score:number, details:object[], strengths:object[], gaps:object[]}}}
+ */
+function matchSkillsLocally(payload, opts = {}) {
+  const options = payload.options || {};
+  const setting = (...values) =>
+    values.find((value) => value !== undefined && value !== null);
+  const { defaults } = config.matchPreferences;
+  const threshold = setting(
+    opts.threshold,
+    options.threshold,
+    defaults.threshold
+  );
+  const inferredWeight = setting(
+    opts.inferredWeight,
+    options.inferred_weight,
+    defaults.inferredWeight
+  );
+  const skills = (payload.candidate_skills || [])
+    .filter((s) => s.skill)
+    .map((s) => ({ skill: s.skill, normalized: normalizeSkill(s.skill) }));
+
+  const details = (payload.requirements || [])
+    .filter((r) => r.skill)
+    .map((r) => {
+      const normalized = normalizeSkill(r.skill);
+      let best = { similarity: 0, skill: null };
+      skills.forEach((s) => {
+        const similarity = skillSimilarity(normalized, s.normalized);
+        if (similarity > best.similarity) best = { similarity, skill: s.skill };
+      });
+      const similarity = round(best.similarity);
+      return {
+        requirement: r.skill,
+        similarity,
+        importance:
+          r.importance !== null && r.importance !== undefined
+            ? Number(r.importance)
+            : DEFAULT_IMPORTANCE,
+        matched_skill: similarity >= threshold ? best.skill : null,
+        inferred: !!r.inferred,
+      };
+    });
+
+  const explicit = weightedScore(
+    details.filter((d) => !d.inferred),
+    threshold
+  );
+  const inferred = weightedScore(
+    details.filter((d) => d.inferred),
+    threshold
+  );
+  let score = explicit.score;
+  if (inferredWeight > 0 && inferred.weight) {
+    const share = explicit.weight
+      ? Math.min(
+          inferred.weight / (explicit.weight + inferred.weight),
+          inferredWeight
+        )
+      : 1;
+    score = (1 - share) * explicit.score + share * inferred.score;
+  }
+
+  const strengths = details
+    .filter((d) => d.similarity >= threshold)
+    .sort((a, b) => b.similarity - a.similarity)
+    .map(({ requirement, similarity, importance }) => ({
+      requirement,
+      similarity,
+      importance,
+    }));
+  const gaps = details
+    .filter((d) => d.similarity < threshold)
+    .sort((a, b) => b.importance - a.importance)
+    .map(({ requirement, similarity, importance }) => ({
+      requirement,
+      similarity,
+      importance,
+    }));
+  const overall = round(score);
+  return {
+    score: overall,
+    summary: { overall_match_score: overall, details, strengths, gaps },
+  };
+}
+
+// Socket-level error codes meaning the Python service could not be reached at all.
+const UNREACHABLE_CODES = new Set([
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "ETIMEDOUT",
+]);
+
+/**
+ * isPythonUnavailable
+ * True when the Python service could not be reached (connection error code) or answered 502/503/504.
+ * Our own per-attempt timeout (aborted signal), other HTTP errors and local errors without a response
+ * (TypeError, bad request config, unparsable body) are real failures, not outages.
+ * @param {Error} err
+ * @param {AbortSignal} [signal]
+ * @returns {boolean}
+ */
+function isPythonUnavailable(err, signal) {
+  if (signal && signal.aborted) return false;
+  if (!err) return false;
+  if (err.response) return [502, 503, 504].includes(err.response.status);
+  return UNREACHABLE_CODES.has(err.code);
+}
+
+/**
+ * primaryEngine
+ * Engine whose results are preferred (and reused from the match cache) under the configured mode.
+ * @returns {'python'|'js'}
+ */
+function primaryEngine() {
+  return config.matchEngine.mode === "js" ? "js" : "python";
+}
+
+/**
+ * runMatchEngine
+ * Scores the /match payload with the configured engine. In 'fallback' mode a Python outage (see
+ * isPythonUnavailable) switches to the in-process engine for this match.
+ * @param {{candidate_skills:object[], requirements:object[]}} payload
+ * @param {{signal?:AbortSignal}} [opts]
+ * @returns {Promise<{engine:'python'|'js', data:{score?:number, summary?:object}}>}
+ */
+async function runMatchEngine(payload, { signal } = {}) {
+  const { mode } = config.matchEngine;
+  if (!MODES.includes(mode)) throw new Error(`Unknown MATCH_ENGINE '${mode}'`);
+  if (mode === "js") return { engine: "js", data: matchSkillsLocally(payload) };
+  try {
+    const resp = await axios.post(`${config.pythonServiceUrl}/match`, payload, {
+      signal,
+    }); // Python worker returns weighted similarity data.
+    return { engine: "python", data: resp.data || {} };
+  } catch (err) {
+    if (mode !== "fallback" || !isPythonUnavailable(err, signal)) throw err;
+    log("Python match service unavailable, using the JS engine", {
+      error: err.message,
+    });
+    return { engine: "js", data: matchSkillsLocally(payload) };
+  }
+}
+
+module.exports = {
+  MODES,
+  SKILL_SYNONYMS,
+  normalizeSkill,
+  skillSimilarity,
+  matchSkillsLocally,
+  isPythonUnavailable,
+  primaryEngine,
+  runMatchEngine,
+};
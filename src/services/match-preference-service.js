@@ -0,0 +1,143 @@
+// Match preference service: per-user scoring settings applied by computeMatch.
+// Tables touched:
+//   user_match_preferences -> one row per user; NULL columns fall back to config.matchPreferences.defaults
+// NOTE: Effective preferences are resolved when a match is requested, travel in the computeMatch job data (and the
+// engine payload as `options`) and are stored on the matches row, so every result records the settings it used.
+const db = require("../db");
+const { dialect } = db;
+const config = require("../config");
+
+/**
+ * PREFERENCE_FIELDS
+ * API field -> user_match_preferences column + value type ('fraction' = number in 0..1).
+ */
+const PREFERENCE_FIELDS = {
+  threshold: { column: "threshold", type: "fraction" },
+  inferredWeight: { column: "inferred_weight", type: "fraction" },
+  inferredMinImportance: {
+    column: "inferred_min_importance",
+    type: "fraction",
+  },
+  includeSoftSkills: { column: "include_soft_skills", type: "boolean" },
+};
+
+/**
+ * applyPreferenceDefaults
+ * Fills every preference missing from `saved` with the server default.
+ * @param {object} [saved]
+ * @returns {{threshold:number, inferredWeight:number, inferredMinImportance:number, includeSoftSkills:boolean}}
+ */
+function applyPreferenceDefaults(saved = {}) {
+  return { ...config.matchPreferences.defaults, ...saved };
+}
+
+/**
+ * getSavedMatchPreferences
+ * SELECT the user's saved preferences; only fields with a stored value are returned.
+ * @param {string} userId
+ * @returns {Promise<object>}
+ */
+async function getSavedMatchPreferences(userId) {
+  const columns = Object.values(PREFERENCE_FIELDS).map((f) => f.column);
+  const result = await db.query(
+    `SELECT ${columns.join(
+      ", "
+    )} FROM user_match_preferences WHERE user_id = $1`,
+    [userId]
+  );
+  const row = result.rows[0] || {};
+  const saved = {};
+  Object.entries(PREFERENCE_FIELDS).forEach(([field, { column, type }]) => {
+    const value = row[column];
+    if (value === null || value === undefined) return;
+    saved[field] = type === "boolean" ? !!value : Number(value); // DECIMAL may arrive as a string.
+  });
+  return saved;
+}
+
+/**
+ * resolveMatchPreferences
+ * Effective preferences for a user: saved values over server defaults.
+ * @param {string|null} userId
+ * @returns {Promise<object>} See applyPreferenceDefaults
+ */
+async function resolveMatchPreferences(userId) {
+  return applyPreferenceDefaults(
+    userId ? await getSavedMatchPreferences(userId) : {}
+  );
+}
+
+/**
+ * validateMatchPreferences
+ * Checks a partial update body. null resets a field to the server default.
+ * @param {any} body
+ * @returns {{values?:object, error?:string, field?:string}} error is the 400 code
+ */
+function validateMatchPreferences(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { error: "invalid_preferences" };
+  }
+  const fields = Object.keys(body);
+  if (!fields.length) return { error: "invalid_preferences" };
+  const unknown = fields.find((field) => !PREFERENCE_FIELDS[field]);
+  if (unknown) return { error: "unknown_preference", field: unknown };
+  const values = {};
+  for (const field of fields) {
+    const value = body[field];
+    const valid =
+      value === null ||
+      (PREFERENCE_FIELDS[field].type === "boolean"
+        ? typeof value === "boolean"
+        : typeof value === "number" && value >= 0 && value <= 1);
+    if (!valid) return { error: `invalid_${field}` };
+    values[field] = value;
+  }
+  return { values };
+}
+
+/**
+ * saveMatchPreferences
+ * Creates the user's row when absent, then UPDATEs only the given fields (null clears one).
+ * Matches already queued keep the preferences they were requested with.
+ * @param {string} userId
+ * @param {object} values Output of validateMatchPreferences
+ * @param {{updatedBy?:string}} [opts] Acting user (differs from userId for admin edits)
+ * @returns {Promise<object>} Saved preferences after the update
+ */
+async function saveMatchPreferences(userId, values, { updatedBy } = {}) {
+  const fields = Object.keys(values);
+  await db.withTransaction(async (tx) => {
+    await db.insertIfAbsent(
+      tx,
+      "user_match_preferences",
+      "user_id",
+      { user_id: userId },
+      { updated_at: dialect.now }
+    );
+    const sets = fields.map(
+      (field, index) => `${PREFERENCE_FIELDS[field].column} = $${index + 1}`
+    );
+    sets.push(`updated_by = $${fields.length + 1}`);
+    const params = fields.map((field) => {
+      const value = values[field];
+      if (typeof value !== "boolean") return value;
+      return value ? 1 : 0; // BIT / SMALLINT flag.
+    });
+    await tx.query(
+      `UPDATE user_match_preferences
+          SET ${sets.join(", ")}, updated_at = ${dialect.now}
+        WHERE user_id = $${fields.length + 2}`,
+      [...params, updatedBy || userId, userId]
+    );
+  });
+  return getSavedMatchPreferences(userId);
+}
+
+module.exports = {
+  PREFERENCE_FIELDS,
+  applyPreferenceDefaults,
+  getSavedMatchPreferences,
+  resolveMatchPreferences,
+  validateMatchPreferences,
+  saveMatchPreferences,
+};
@@ -4,8 +4,28 @@
 //   matches    -> final match result (score + summary JSON)
 // NOTE: Functions are intentionally granular so workers/controllers stay concise.
 const { v4: uuidv4 } = require("uuid");
-const { query } = require("../db");
+const { query, dialect } = require("../db");
 const { bus } = require("../events/bus");
+const { buildListClauses, toPage } = require("../utils/pagination");
+const { transitionStatus } = require("./lifecycle-service");
+
+/**
+ * staleMatchSql
+ * Predicate true when the matches row aliased `m` is stale: flagged by a reparse request (is_stale) or
+ * computed from an older skills / requirements version than its resume / job now has.
+ * @param {string} m Alias of the matches row
+ * @returns {string}
+ */
+function staleMatchSql(m) {
+  return `(${m}.is_stale = 1
+     OR ${m}.resume_skills_version < (SELECT r.skills_version FROM resumes r WHERE r.id = ${m}.resume_id)
+     OR ${m}.job_requirements_version < (SELECT j.requirements_version FROM job_descriptions j WHERE j.id = ${m}.job_id))`;
+}
+
+// Correlated on the outer match_jobs row (list queries select FROM match_jobs unaliased).
+const STALE_RESULT_SQL = `EXISTS (SELECT 1 FROM matches m WHERE m.id = match_jobs.result_id AND ${staleMatchSql(
+  "m"
+)})`;
 
 /**
  * createMatchJob
@@ -20,7 +40,7 @@ async function createMatchJob({ userId, resumeId, jobId }) {
   const matchJobId = uuidv4();
   await query(
     `INSERT INTO match_jobs (id, user_id, resume_id, job_id, status, created_at, updated_at)
-     VALUES ($1,$2,$3,$4,'queued',SYSUTCDATETIME(),SYSUTCDATETIME())`,
+     VALUES ($1,$2,$3,$4,'queued',${dialect.now},${dialect.now})`,
     [matchJobId, userId || null, resumeId, jobId]
   );
   const created = await query(
@@ -39,20 +59,23 @@ async function createMatchJob({ userId, resumeId, jobId }) {
 
 /**
  * updateMatchJobStatus
- * UPDATE match_jobs status + optional error_message.
+ * Moves match_jobs.status along the match lifecycle (services/lifecycle-service) and sets error_message;
+ * invalid transitions throw INVALID_STATUS_TRANSITION.
  * @param {string} matchJobId
- * @param {string} status
+ * @param {string} status queued|running|completed|failed
  * @param {string} [errorMessage]
+ * @param {{reason?:string}} [opts] History reason (defaults to errorMessage)
  */
-async function updateMatchJobStatus(matchJobId, status, errorMessage) {
-  await query(
-    `UPDATE match_jobs
-        SET status = $1,
-            error_message = $2,
-            updated_at = SYSUTCDATETIME()
-      WHERE id = $3`,
-    [status, errorMessage || null, matchJobId]
-  );
+async function updateMatchJobStatus(
+  matchJobId,
+  status,
+  errorMessage,
+  opts = {}
+) {
+  await transitionStatus("match", matchJobId, status, {
+    set: { error_message: errorMessage || null },
+    reason: opts.reason || errorMessage,
+  });
   try {
     bus.emit("match.status.changed", {
       id: matchJobId,
@@ -64,20 +87,30 @@ async function updateMatchJobStatus(matchJobId, status, errorMessage) {
 }
 
 /**
- * attachResult
- * UPDATE match_jobs to mark completed and set result_id FK to matches row.
+ * updateMatchJobAttempts
+ * Records which queue attempt is computing the match (shown as `attempts` by the API).
  * @param {string} matchJobId
- * @param {string} matchId
+ * @param {number} attempts 1-based attempt number
  */
-async function attachResult(matchJobId, matchId) {
+async function updateMatchJobAttempts(matchJobId, attempts) {
   await query(
-    `UPDATE match_jobs
-        SET status = 'completed',
-            result_id = $1,
-            updated_at = SYSUTCDATETIME()
-      WHERE id = $2`,
-    [matchId, matchJobId]
+    `UPDATE match_jobs SET attempts = $1, updated_at = ${dialect.now} WHERE id = $2`,
+    [attempts, matchJobId]
   );
+}
+
+/**
+ * attachResult
+ * Marks the match job completed (lifecycle-checked) and sets result_id FK to matches row.
+ * @param {string} matchJobId
+ * @param {string} matchId
+ * @param {{reason?:string}} [opts] History reason (defaults to "result <matchId>")
+ */
+async function attachResult(matchJobId, matchId, opts = {}) {
+  await transitionStatus("match", matchJobId, "completed", {
+    set: { result_id: matchId },
+    reason: opts.reason || `result ${matchId}`,
+  });
   try {
     bus.emit("match.status.changed", {
       id: matchJobId,
@@ -102,12 +135,17 @@ async function getMatchJobForUser(matchJobId, userId) {
             mj.resume_id,
             mj.job_id,
             mj.status,
+            mj.attempts,
             mj.error_message,
             mj.created_at,
             mj.updated_at,
             mj.result_id,
+            mj.batch_id,
             m.score,
             m.summary,
+            m.engine,
+            m.preferences,
+            CASE WHEN ${staleMatchSql("m")} THEN 1 ELSE 0 END AS is_stale,
             m.created_at AS match_created_at
        FROM match_jobs mj
   LEFT JOIN matches m ON m.id = mj.result_id
@@ -117,24 +155,40 @@ async function getMatchJobForUser(matchJobId, userId) {
   if (result.rows.length === 0) return null;
   const row = result.rows[0];
   row.summary = row.summary ? JSON.parse(row.summary) : null; // Stored as JSON string in matches.summary.
+  row.preferences = row.preferences ? JSON.parse(row.preferences) : null; // NULL for results before match preferences.
   return row;
 }
 
 /**
  * listMatchJobs
- * SELECT summary columns for all match_jobs belonging to user (newest first).
+ * SELECT one page of match_jobs summary columns for the user (keyset pagination, see utils/pagination).
+ * is_stale is true when the attached result is stale (see staleMatchSql); listQuery.stale filters on it.
  * @param {string} userId
- * @returns {Promise<object[]>}
+ * @param {object} listQuery Parsed list params (req.listQuery from validateListQuery("matches"))
+ * @returns {Promise<{items:object[], nextCursor:string|null}>}
  */
-async function listMatchJobs(userId) {
+async function listMatchJobs(userId, listQuery) {
+  const params = [userId];
+  const conditions = ["user_id = $1"];
+  if (listQuery.stale === true) conditions.push(STALE_RESULT_SQL);
+  if (listQuery.stale === false) conditions.push(`NOT ${STALE_RESULT_SQL}`);
+  const { where, orderBy, fetch } = buildListClauses(
+    listQuery,
+    { table: "match_jobs", ownerColumn: "user_id", ownerParam: "$1" },
+    conditions,
+    params
+  );
   const result = await query(
-    `SELECT id, resume_id, job_id, status, result_id, created_at, updated_at, error_message
+    `SELECT id, resume_id, job_id, status, attempts, result_id, batch_id, created_at, updated_at, error_message,
+            CASE WHEN ${STALE_RESULT_SQL} THEN 1 ELSE 0 END AS is_stale
        FROM match_jobs
-      WHERE user_id = $1
-      ORDER BY created_at DESC`,
-    [userId]
+      WHERE ${where}
+      ${orderBy}
+      ${fetch}`,
+    params
   );
-  return result.rows;
+  const rows = result.rows.map((row) => ({ ...row, is_stale: !!row.is_stale }));
+  return toPage(rows, listQuery);
 }
 
 /**
@@ -146,13 +200,29 @@ async function listMatchJobs(userId) {
  * @param {string} opts.jobId
  * @param {number} opts.score
  * @param {object} opts.summary
+ * @param {number} [opts.resumeVersion] resumes.skills_version the inputs were read at
+ * @param {number} [opts.jobVersion] job_descriptions.requirements_version the inputs were read at
+ * @param {string} [opts.fingerprint] Input fingerprint (services/match-cache-service) for later cache hits
+ * @param {'python'|'js'} [opts.engine] Engine that produced the score (services/match-engine; default python)
+ * @param {object} [opts.preferences] Effective match preferences the score was computed with (stored as JSON)
  * @returns {Promise<string>} match id
  */
-async function insertMatchResult({ userId, resumeId, jobId, score, summary }) {
+async function insertMatchResult({
+  userId,
+  resumeId,
+  jobId,
+  score,
+  summary,
+  resumeVersion,
+  jobVersion,
+  fingerprint,
+  engine,
+  preferences,
+}) {
   const matchId = uuidv4();
   await query(
-    `INSERT INTO matches (id, user_id, resume_id, job_id, status, score, summary, created_at, updated_at)
-     VALUES ($1,$2,$3,$4,'completed',$5,$6,SYSUTCDATETIME(),SYSUTCDATETIME())`,
+    `INSERT INTO matches (id, user_id, resume_id, job_id, status, score, summary, resume_skills_version, job_requirements_version, input_fingerprint, engine, preferences, created_at, updated_at)
+     VALUES ($1,$2,$3,$4,'completed',$5,$6,$7,$8,$9,$10,$11,${dialect.now},${dialect.now})`,
     [
       matchId,
       userId || null,
@@ -160,16 +230,68 @@ async function insertMatchResult({ userId, resumeId, jobId, score, summary }) {
       jobId,
       score,
       summary ? JSON.stringify(summary) : null,
+      resumeVersion || 0,
+      jobVersion || 0,
+      fingerprint || null,
+      engine || "python",
+      preferences ? JSON.stringify(preferences) : null,
     ]
   );
   return matchId;
 }
 
+/**
+ * markMatchesStale
+ * UPDATE matches computed from a resume or job description that is being re-parsed (is_stale = 1).
+ * @param {{resumeId?:string, jobId?:string}} source Exactly one of resumeId / jobId
+ */
+async function markMatchesStale({ resumeId, jobId }) {
+  const column = resumeId ? "resume_id" : "job_id";
+  await query(
+    `UPDATE matches
+        SET is_stale = 1, updated_at = ${dialect.now}
+      WHERE ${column} = $1 AND is_stale = 0`,
+    [resumeId || jobId]
+  );
+}
+
+/**
+ * listRematchPairs
+ * Distinct (resume, job) pairs with a match against the given resume or job that have no fresh result
+ * yet, whose other side is still ready and not deleted, and with no match job queued or running.
+ * @param {{resumeId?:string, jobId?:string}} source Exactly one of resumeId / jobId
+ * @returns {Promise<Array<{resume_id:string, job_id:string, user_id:string}>>}
+ */
+async function listRematchPairs({ resumeId, jobId }) {
+  const [column, other] = resumeId
+    ? ["resume_id", "JOIN job_descriptions o ON o.id = m.job_id"]
+    : ["job_id", "JOIN resumes o ON o.id = m.resume_id"];
+  const result = await query(
+    `SELECT DISTINCT m.resume_id, m.job_id, m.user_id
+       FROM matches m
+       ${other}
+      WHERE m.${column} = $1
+        AND o.is_deleted = 0 AND o.status = 'ready'
+        AND NOT EXISTS (SELECT 1 FROM matches f
+                         WHERE f.resume_id = m.resume_id AND f.job_id = m.job_id
+                           AND NOT ${staleMatchSql("f")})
+        AND NOT EXISTS (SELECT 1 FROM match_jobs mj
+                         WHERE mj.resume_id = m.resume_id AND mj.job_id = m.job_id
+                           AND mj.status IN ('queued', 'running'))`,
+    [resumeId || jobId]
+  );
+  return result.rows;
+}
+
 module.exports = {
   createMatchJob,
   updateMatchJobStatus,
+  updateMatchJobAttempts,
   attachResult,
   getMatchJobForUser,
   listMatchJobs,
   insertMatchResult,
+  markMatchesStale,
+  listRematchPairs,
+  staleMatchSql,
 };
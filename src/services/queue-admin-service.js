@@ -0,0 +1,151 @@
+// Queue admin service: inspection and control helpers over the BullMQ queues exported by queues.js.
+// Design notes:
+//   - Only the processing queues are managed here; names outside ADMIN_QUEUES resolve to null (404).
+//   - Job-level helpers return { error } for expected conflicts (missing job, wrong state) so the
+//     controller can map them to HTTP codes without try/catch on BullMQ internals.
+const { queues } = require("../queues");
+
+const ADMIN_QUEUES = ["parseResume", "parseJob", "computeMatch"];
+const JOB_STATES = [
+  "waiting",
+  "active",
+  "delayed",
+  "prioritized",
+  "completed",
+  "failed",
+  "paused",
+];
+
+/**
+ * getAdminQueue
+ * @param {string} name
+ * @returns {import('bullmq').Queue|null}
+ */
+function getAdminQueue(name) {
+  return ADMIN_QUEUES.includes(name) ? queues[name] : null;
+}
+
+/**
+ * getQueueSummaries
+ * Job counts by state plus paused flag for every managed queue.
+ * @returns {Promise<Array<{name:string, paused:boolean, counts:Object<string,number>}>>}
+ */
+async function getQueueSummaries() {
+  return Promise.all(
+    ADMIN_QUEUES.map(async (name) => {
+      const queue = queues[name];
+      const [counts, paused] = await Promise.all([
+        queue.getJobCounts(...JOB_STATES),
+        queue.isPaused(),
+      ]);
+      return { name, paused, counts };
+    })
+  );
+}
+
+function toFailedJob(job) {
+  return {
+    id: job.id,
+    name: job.name,
+    data: job.data,
+    failedReason: job.failedReason || null,
+    attemptsMade: job.attemptsMade,
+    maxAttempts: (job.opts && job.opts.attempts) || 1,
+    stacktrace: job.stacktrace || [],
+    createdAt: job.timestamp ? new Date(job.timestamp).toISOString() : null,
+    failedAt: job.finishedOn ? new Date(job.finishedOn).toISOString() : null,
+  };
+}
+
+/**
+ * listFailedJobs
+ * One offset page of failed jobs (newest failure first).
+ * @param {import('bullmq').Queue} queue
+ * @param {{offset:number, limit:number}} page
+ * @returns {Promise<{items:object[], total:number, nextOffset:number|null}>}
+ */
+async function listFailedJobs(queue, { offset, limit }) {
+  const [jobs, total] = await Promise.all([
+    queue.getFailed(offset, offset + limit - 1),
+    queue.getFailedCount(),
+  ]);
+  const items = jobs.filter(Boolean).map(toFailedJob); // Jobs removed mid-read come back as undefined.
+  return {
+    items,
+    total,
+    nextOffset: offset + limit < total ? offset + limit : null,
+  };
+}
+
+/**
+ * retryJob
+ * Moves a failed job back to waiting (attempt counter reset by BullMQ).
+ * @param {import('bullmq').Queue} queue
+ * @param {string} jobId
+ * @returns {Promise<{error:string}|{job:{id:string, state:string}}>}
+ */
+async function retryJob(queue, jobId) {
+  const job = await queue.getJob(jobId);
+  if (!job) return { error: "job_not_found" };
+  const state = await job.getState();
+  if (state !== "failed") return { error: "job_not_failed", state };
+  await job.retry("failed");
+  return { job: { id: job.id, state: "waiting" } };
+}
+
+/**
+ * removeJob
+ * Deletes a job in any state except active (BullMQ holds a lock while a worker runs it).
+ * @param {import('bullmq').Queue} queue
+ * @param {string} jobId
+ * @returns {Promise<{error:string}|{job:{id:string}}>}
+ */
+async function removeJob(queue, jobId) {
+  const job = await queue.getJob(jobId);
+  if (!job) return { error: "job_not_found" };
+  const state = await job.getState();
+  if (state === "active") return { error: "job_active", state };
+  await job.remove();
+  return { job: { id: job.id } };
+}
+
+/**
+ * setPaused
+ * Pauses (workers stop picking up new jobs; active ones finish) or resumes a queue.
+ * @param {import('bullmq').Queue} queue
+ * @param {boolean} paused
+ */
+async function setPaused(queue, paused) {
+  if (paused) await queue.pause();
+  else await queue.resume();
+}
+
+/**
+ * drainQueue
+ * Removes waiting (and optionally delayed) jobs. Active, completed and failed jobs are untouched.
+ * Entities whose job is drained keep their 'queued' status until re-submitted.
+ * @param {import('bullmq').Queue} queue
+ * @param {{delayed?:boolean}} [opts]
+ * @returns {Promise<{removed:number}>} Count of jobs that were waiting/delayed before the drain
+ */
+async function drainQueue(queue, { delayed = false } = {}) {
+  const states = delayed
+    ? ["waiting", "prioritized", "delayed"]
+    : ["waiting", "prioritized"];
+  const counts = await queue.getJobCounts(...states);
+  await queue.drain(delayed);
+  return {
+    removed: Object.values(counts).reduce((sum, n) => sum + n, 0),
+  };
+}
+
+module.exports = {
+  ADMIN_QUEUES,
+  getAdminQueue,
+  getQueueSummaries,
+  listFailedJobs,
+  retryJob,
+  removeJob,
+  setPaused,
+  drainQueue,
+};
@@ -4,22 +4,43 @@
 //   candidate_skills -> derived atomic skill rows linked via resume_id
 // NOTE: This module is intentionally thin; controllers & workers call these helpers to keep DB logic centralized.
 const { v4: uuidv4 } = require("uuid");
-const { query } = require("../db");
+const db = require("../db");
+const { query, dialect } = db;
 const { bus } = require("../events/bus");
+const { buildListClauses, toPage } = require("../utils/pagination");
+const searchService = require("./search-service");
+const { listEffectiveSkills } = require("./skill-override-service");
+const { transitionStatus } = require("./lifecycle-service");
 
 /**
  * createResume
  * Inserts a new resumes row (status 'queued') if id not present (idempotent for retries).
- * Columns set: id,user_id,filename,mime_type,storage_path,status,created_at,updated_at
+ * Columns set: id,user_id,filename,mime_type,storage_path,content_hash,status,created_at,updated_at
  * @returns {Promise<{id:string,status:string}>}
  */
-async function createResume({ id, userId, filename, mimeType, storagePath }) {
+async function createResume({
+  id,
+  userId,
+  filename,
+  mimeType,
+  storagePath,
+  contentHash,
+}) {
   const resumeId = id || uuidv4();
-  await query(
-    `IF NOT EXISTS (SELECT 1 FROM resumes WHERE id = $1)
-     INSERT INTO resumes (id, user_id, filename, mime_type, storage_path, status, created_at, updated_at)
-     VALUES ($1,$2,$3,$4,$5,'queued',SYSUTCDATETIME(),SYSUTCDATETIME())`,
-    [resumeId, userId || null, filename, mimeType || null, storagePath]
+  await db.insertIfAbsent(
+    db,
+    "resumes",
+    "id",
+    {
+      id: resumeId,
+      user_id: userId || null,
+      filename,
+      mime_type: mimeType || null,
+      storage_path: storagePath,
+      content_hash: contentHash || null,
+      status: "queued",
+    },
+    { created_at: dialect.now, updated_at: dialect.now }
   );
   try {
     bus.emit("resume.status.changed", {
@@ -31,38 +52,96 @@ async function createResume({ id, userId, filename, mimeType, storagePath }) {
   return { id: resumeId, status: "queued" };
 }
 
+/**
+ * findActiveResumeByHash
+ * SELECT newest non-deleted resume for the user with identical content (SHA-256 of uploaded bytes).
+ * Errored parses are ignored so a re-upload can retry them.
+ * @param {string} userId
+ * @param {string} contentHash Hex SHA-256
+ * @returns {Promise<{id:string,status:string,filename:string}|null>}
+ */
+async function findActiveResumeByHash(userId, contentHash) {
+  if (!userId || !contentHash) return null;
+  const result = await query(
+    `SELECT id, status, filename
+       FROM resumes
+      WHERE user_id = $1 AND content_hash = $2 AND is_deleted = 0 AND status <> 'failed'
+      ORDER BY created_at DESC
+      OFFSET 0 ROWS FETCH NEXT 1 ROWS ONLY`,
+    [userId, contentHash]
+  );
+  return result.rows[0] || null;
+}
+
 /**
  * updateResumeStoragePath
  * Simple UPDATE of resumes.storage_path (legacy helper; rarely needed once initial insert stores path).
  */
 async function updateResumeStoragePath(resumeId, storagePath) {
   await query(
-    "UPDATE resumes SET storage_path = $1, updated_at = SYSUTCDATETIME() WHERE id = $2",
+    `UPDATE resumes SET storage_path = $1, updated_at = ${dialect.now} WHERE id = $2`,
     [storagePath, resumeId]
   );
 }
 
 /**
- * updateResumeStatus
- * UPDATE resumes.status + parsed_summary JSON blob (stringified) during parsing lifecycle transitions.
+ * updateResumeAttempts
+ * Records which queue attempt is processing the resume (shown as `attempts` by the API).
+ * @param {string} resumeId
+ * @param {number} attempts 1-based attempt number
  */
-async function updateResumeStatus(resumeId, status, parsedSummary) {
+async function updateResumeAttempts(resumeId, attempts) {
   await query(
-    "UPDATE resumes SET status = $1, parsed_summary = $2, updated_at = SYSUTCDATETIME() WHERE id = $3",
-    [status, parsedSummary ? JSON.stringify(parsedSummary) : null, resumeId]
+    `UPDATE resumes SET attempts = $1, updated_at = ${dialect.now} WHERE id = $2`,
+    [attempts, resumeId]
   );
-  try {
-    bus.emit("resume.status.changed", { id: resumeId, status, ts: Date.now() });
-  } catch (_) {}
+}
+
+/**
+ * updateResumeStatus
+ * Moves resumes.status along the parse lifecycle (services/lifecycle-service) and stores the
+ * parsed_summary JSON blob (stringified); invalid transitions throw INVALID_STATUS_TRANSITION.
+ * Pass `tx` (from withTransaction) to commit alongside other writes; the bus event then fires after commit.
+ * @param {string} resumeId
+ * @param {string} status uploaded|queued|processing|ready|failed
+ * @param {object|null} [parsedSummary] undefined keeps the stored summary
+ * @param {{tx?:object, reason?:string}} [opts] Transaction handle and history reason
+ */
+async function updateResumeStatus(resumeId, status, parsedSummary, opts = {}) {
+  const { tx, reason } = opts;
+  await transitionStatus("resume", resumeId, status, {
+    // undefined leaves parsed_summary as is (previous snapshot kept while a parse is in flight).
+    set:
+      parsedSummary === undefined
+        ? {}
+        : {
+            parsed_summary: parsedSummary
+              ? JSON.stringify(parsedSummary)
+              : null,
+          },
+    reason,
+    tx,
+  });
+  const emit = () => {
+    try {
+      bus.emit("resume.status.changed", {
+        id: resumeId,
+        status,
+        ts: Date.now(),
+      });
+    } catch (_) {}
+  };
+  if (tx) tx.afterCommit(emit);
+  else emit();
 }
 
 /**
  * getResumeForUser
- * SELECT single resumes row (ownership enforced) + related candidate_skills ordered oldest->newest.
+ * SELECT single resumes row (ownership enforced) + effective skills (candidate_skills + user overrides, oldest first).
  */
 async function getResumeForUser(resumeId, userId) {
   const resumeRes = await query(
-    `SELECT id, user_id, filename, mime_type, status, parsed_summary, created_at, updated_at
+    `SELECT id, user_id, filename, mime_type, storage_path, status, attempts, parsed_summary, created_at, updated_at
        FROM resumes
       WHERE id = $1 AND user_id = $2 AND is_deleted = 0`,
     [resumeId, userId]
@@ -74,30 +153,36 @@ async function getResumeForUser(resumeId, userId) {
     ? JSON.parse(resumeRow.parsed_summary)
     : null;
 
-  const skillsRes = await query(
-    `SELECT id, skill, experience_years, proficiency, created_at
-       FROM candidate_skills
-      WHERE resume_id = $1
-      ORDER BY created_at ASC`,
-    [resumeId]
-  );
+  // Parsed skills with the user's overrides applied; each carries provenance ('parsed' | 'user').
+  const skills = await listEffectiveSkills("resume", resumeId);
 
-  return { ...resumeRow, skills: skillsRes.rows };
+  return { ...resumeRow, skills };
 }
 
 /**
  * listResumes
- * SELECT summary columns for user resumes ordered newest-first for dashboard listing.
+ * SELECT one page of summary columns for user resumes (keyset pagination, see utils/pagination).
+ * @param {string} userId
+ * @param {object} listQuery Parsed list params (req.listQuery from validateListQuery("resumes"))
+ * @returns {Promise<{items:object[], nextCursor:string|null}>}
  */
-async function listResumes(userId) {
+async function listResumes(userId, listQuery) {
+  const params = [userId];
+  const { where, orderBy, fetch } = buildListClauses(
+    listQuery,
+    { table: "resumes", ownerColumn: "user_id", ownerParam: "$1" },
+    ["user_id = $1", "is_deleted = 0"],
+    params
+  );
   const result = await query(
-    `SELECT id, filename, mime_type, status, created_at, updated_at
+    `SELECT id, filename, mime_type, status, attempts, created_at, updated_at
        FROM resumes
-      WHERE user_id = $1 AND is_deleted = 0
-      ORDER BY created_at DESC`,
-    [userId]
+      WHERE ${where}
+      ${orderBy}
+      ${fetch}`,
+    params
   );
-  return result.rows;
+  return toPage(result.rows, listQuery);
 }
 
 /**
@@ -109,10 +194,11 @@ async function listResumes(userId) {
 async function softDeleteResume(resumeId, userId) {
   await query(
     `UPDATE resumes
-        SET is_deleted = 1, deleted_at = SYSUTCDATETIME(), updated_at = SYSUTCDATETIME()
+        SET is_deleted = 1, deleted_at = ${dialect.now}, updated_at = ${dialect.now}
       WHERE id = $1 AND user_id = $2 AND is_deleted = 0`,
     [resumeId, userId]
   );
+  await searchService.removeFromIndex("resume", resumeId, userId);
   try {
     bus.emit("resume.status.changed", {
       id: resumeId,
@@ -124,31 +210,45 @@ async function softDeleteResume(resumeId, userId) {
 
 /**
  * replaceResumeSkills
- * DELETE + INSERT pattern to fully refresh derived candidate_skills for deterministic parse ingestion.
+ * DELETE + set-based INSERT to fully refresh derived candidate_skills for deterministic parse ingestion.
+ * Bumps resumes.skills_version so matches computed from the old skill set read as stale.
+ * Runs in its own transaction unless the caller passes `tx`, so readers never see a partial skill set.
  */
-async function replaceResumeSkills(resumeId, skills) {
-  await query("DELETE FROM candidate_skills WHERE resume_id = $1", [resumeId]);
-  for (const skill of skills) {
-    await query(
-      `INSERT INTO candidate_skills (id, resume_id, skill, experience_years, proficiency, created_at)
-       VALUES ($1,$2,$3,$4,$5,SYSUTCDATETIME())`,
-      [
-        uuidv4(),
-        resumeId,
-        skill.skill || skill.name,
-        skill.experience_years !== undefined
-          ? skill.experience_years
-          : skill.years || null,
-        skill.proficiency || null,
-      ]
+async function replaceResumeSkills(resumeId, skills, tx) {
+  const rows = skills.map((skill) => [
+    resumeId,
+    skill.skill || skill.name,
+    skill.experience_years !== undefined
+      ? skill.experience_years
+      : skill.years || null,
+    skill.proficiency || null,
+  ]);
+  const replace = async (executor) => {
+    await executor.query("DELETE FROM candidate_skills WHERE resume_id = $1", [
+      resumeId,
+    ]);
+    await db.bulkInsert(
+      executor,
+      "candidate_skills",
+      ["resume_id", "skill", "experience_years", "proficiency"],
+      rows,
+      { id: dialect.newId, created_at: dialect.now }
+    );
+    await executor.query(
+      "UPDATE resumes SET skills_version = skills_version + 1 WHERE id = $1",
+      [resumeId]
     );
-  }
+  };
+  if (tx) return replace(tx);
+  return db.withTransaction(replace);
 }
 
 module.exports = {
   createResume,
+  findActiveResumeByHash,
   updateResumeStoragePath,
   updateResumeStatus,
+  updateResumeAttempts,
   getResumeForUser,
   listResumes,
   replaceResumeSkills,
@@ -0,0 +1,357 @@
+// Search service: per-user full-text search over jobs and resumes backed by the search_terms index.
+// Tables touched:
+//   search_terms     -> inverted index (user_id, entity_type, entity_id, field, term, weight)
+//   job_descriptions -> title + raw_text (indexed) and hydration of job hits
+//   requirements     -> requirement skills (indexed) for jobs
+//   resumes          -> filename (indexed) and hydration of resume hits
+//   candidate_skills -> extracted skills (indexed) for resumes
+//   resume_skill_overrides / requirement_overrides -> user edits applied to the indexed skills
+// Design notes:
+//   - Tokenising happens in JS so the same index works on SQL Server and Postgres without
+//     vendor full-text features (CONTAINSTABLE / tsvector).
+//   - indexJob / indexResume rebuild one entity's terms; parse workers call them inside the same
+//     transaction that replaces requirements/skills, so the index never drifts from the data.
+const db = require("../db");
+const {
+  loadEffectiveSkills,
+  listEffectiveSkills,
+} = require("./skill-override-service");
+
+const FIELD_WEIGHTS = { title: 5, skill: 4, text: 1 };
+const MAX_OCCURRENCES = 5; // Caps how much a repeated word in a long posting can dominate.
+const MAX_TERM_LENGTH = 100;
+const MAX_QUERY_TERMS = 8;
+const SNIPPET_RADIUS = 80;
+const STOP_WORDS = new Set(
+  "a an and are as at be by for from has have in is it of on or our that the this to we with will you your".split(
+    " "
+  )
+);
+
+/**
+ * tokenize
+ * Lowercases, strips diacritics and splits on anything that is not part of a tech token
+ * (keeps "c++", "c#", "node.js"). Stop words are dropped.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  if (!text) return [];
+  const normalized = String(text)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+  const tokens = normalized.match(/[a-z0-9][a-z0-9+#.]*[a-z0-9+#]|[a-z0-9]/g);
+  return (tokens || []).filter(
+    (t) => t.length <= MAX_TERM_LENGTH && !STOP_WORDS.has(t)
+  );
+}
+
+/**
+ * buildTermRows
+ * Turns { field: [texts] } into aggregated [term, field, weight] tuples.
+ */
+function buildTermRows(fields) {
+  const rows = [];
+  Object.entries(fields).forEach(([field, texts]) => {
+    const counts = new Map();
+    texts.forEach((text) =>
+      tokenize(text).forEach((t) => counts.set(t, (counts.get(t) || 0) + 1))
+    );
+    counts.forEach((count, term) =>
+      rows.push([
+        term,
+        field,
+        FIELD_WEIGHTS[field] * Math.min(count, MAX_OCCURRENCES),
+      ])
+    );
+  });
+  return rows;
+}
+
+async function replaceEntityTerms(
+  executor,
+  entityType,
+  entityId,
+  userId,
+  rows
+) {
+  await executor.query(
+    "DELETE FROM search_terms WHERE entity_type = $1 AND entity_id = $2",
+    [entityType, entityId]
+  );
+  if (!userId) return; // Ownerless rows are never searchable.
+  await db.bulkInsert(
+    executor,
+    "search_terms",
+    ["user_id", "entity_type", "entity_id", "term", "field", "weight"],
+    rows.map(([term, field, weight]) => [
+      userId,
+      entityType,
+      entityId,
+      term,
+      field,
+      weight,
+    ])
+  );
+}
+
+function inTransaction(tx, fn) {
+  return tx ? fn(tx) : db.withTransaction(fn);
+}
+
+/**
+ * indexJob
+ * Rebuilds search terms for a job from its title, raw_text and effective requirement skills (overrides applied).
+ * Pass `tx` to commit together with the writes that changed the job.
+ * @param {string} jobId
+ * @param {object} [tx] Transaction handle from withTransaction
+ */
+async function indexJob(jobId, tx) {
+  return inTransaction(tx, async (executor) => {
+    const jobRes = await executor.query(
+      "SELECT user_id, title, raw_text, is_deleted FROM job_descriptions WHERE id = $1",
+      [jobId]
+    );
+    const job = jobRes.rows[0];
+    if (!job || job.is_deleted) {
+      await replaceEntityTerms(executor, "job", jobId, null, []);
+      return;
+    }
+    const requirements = await listEffectiveSkills("job", jobId, executor);
+    const rows = buildTermRows({
+      title: [job.title],
+      text: [job.raw_text],
+      skill: requirements.map((r) => r.skill),
+    });
+    await replaceEntityTerms(executor, "job", jobId, job.user_id, rows);
+  });
+}
+
+/**
+ * indexResume
+ * Rebuilds search terms for a resume from its filename and effective candidate skills (overrides applied).
+ * @param {string} resumeId
+ * @param {object} [tx] Transaction handle from withTransaction
+ */
+async function indexResume(resumeId, tx) {
+  return inTransaction(tx, async (executor) => {
+    const resumeRes = await executor.query(
+      "SELECT user_id, filename, is_deleted FROM resumes WHERE id = $1",
+      [resumeId]
+    );
+    const resume = resumeRes.rows[0];
+    if (!resume || resume.is_deleted) {
+      await replaceEntityTerms(executor, "resume", resumeId, null, []);
+      return;
+    }
+    const skills = await listEffectiveSkills("resume", resumeId, executor);
+    const rows = buildTermRows({
+      // Filename words ("jane_doe_data_engineer.pdf") are a useful title proxy.
+      title: [String(resume.filename || "").replace(/[_-]+/g, " ")],
+      skill: skills.map((r) => r.skill),
+    });
+    await replaceEntityTerms(
+      executor,
+      "resume",
+      resumeId,
+      resume.user_id,
+      rows
+    );
+  });
+}
+
+/**
+ * removeFromIndex
+ * Drops an entity's terms (soft delete). Scoped by owner so a foreign id is a no-op.
+ * @param {'job'|'resume'} entityType
+ * @param {string} entityId
+ * @param {string} userId
+ */
+async function removeFromIndex(entityType, entityId, userId) {
+  await db.query(
+    "DELETE FROM search_terms WHERE entity_type = $1 AND entity_id = $2 AND user_id = $3",
+    [entityType, entityId, userId]
+  );
+}
+
+/**
+ * parseSearchQuery
+ * Tokenises the user query; the last token is prefix-matched (search-as-you-type).
+ * @param {string} q
+ * @returns {{terms:string[], prefix:string|null}}
+ */
+function parseSearchQuery(q) {
+  const terms = Array.from(new Set(tokenize(q))).slice(0, MAX_QUERY_TERMS);
+  const last = terms[terms.length - 1];
+  // Single characters would prefix-match most of the index; they only match exactly.
+  return { terms, prefix: last && last.length >= 2 ? last : null };
+}
+
+/**
+ * buildSnippet
+ * Plain-text excerpt around the first query term hit (falls back to the start of the text).
+ * @param {string|null} text
+ * @param {string[]} terms
+ * @returns {string|null}
+ */
+function buildSnippet(text, terms) {
+  if (!text) return null;
+  const flat = String(text).replace(/\s+/g, " ").trim();
+  const lower = flat.toLowerCase();
+  const hits = terms.map((t) => lower.indexOf(t)).filter((i) => i >= 0);
+  const at = hits.length ? Math.min(...hits) : 0;
+  const start = Math.max(0, at - SNIPPET_RADIUS);
+  const end = Math.min(flat.length, at + SNIPPET_RADIUS);
+  return `${start > 0 ? "…" : ""}${flat.slice(start, end)}${
+    end < flat.length ? "…" : ""
+  }`;
+}
+
+function matchesAny(value, terms) {
+  const tokens = tokenize(value);
+  return terms.some((t) =>
+    tokens.some((token) => token === t || token.startsWith(t))
+  );
+}
+
+function placeholders(values, params) {
+  return values
+    .map((v) => {
+      params.push(v);
+      return `$${params.length}`;
+    })
+    .join(", ");
+}
+
+/**
+ * fetchHits
+ * Top entities of one type for the parsed query.
+ * Ranking: entities matching more distinct query terms first, then by summed field weight.
+ */
+async function fetchHits(userId, entityType, { terms, prefix }, limit) {
+  const params = [userId, entityType];
+  const exact = terms.filter((t) => t !== prefix);
+  const termClauses = [];
+  if (exact.length)
+    termClauses.push(`term IN (${placeholders(exact, params)})`);
+  if (prefix) {
+    params.push(`${prefix}%`); // Tokens never contain LIKE wildcards (% or _).
+    termClauses.push(`term LIKE $${params.length}`);
+  }
+  const result = await db.query(
+    `SELECT entity_id, SUM(weight) AS score, COUNT(DISTINCT term) AS matched
+       FROM search_terms
+      WHERE user_id = $1 AND entity_type = $2 AND (${termClauses.join(" OR ")})
+      GROUP BY entity_id
+      ORDER BY matched DESC, score DESC, entity_id
+      OFFSET 0 ROWS FETCH NEXT ${limit} ROWS ONLY`,
+    params
+  );
+  return result.rows;
+}
+
+/**
+ * search
+ * Ranked search over the user's jobs and resumes, grouped by entity type.
+ * @param {string} userId
+ * @param {string} q Raw query string
+ * @param {{limit?:number}} [opts] Max hits per entity type (default 10)
+ * @returns {Promise<{jobs:object[], resumes:object[]}>}
+ */
+async function search(userId, q, { limit = 10 } = {}) {
+  const parsed = parseSearchQuery(q);
+  if (!parsed.terms.length) return { jobs: [], resumes: [] };
+
+  const [jobHits, resumeHits] = await Promise.all([
+    fetchHits(userId, "job", parsed, limit),
+    fetchHits(userId, "resume", parsed, limit),
+  ]);
+  const [jobs, resumes] = await Promise.all([
+    hydrateJobs(userId, jobHits, parsed.terms),
+    hydrateResumes(userId, resumeHits, parsed.terms),
+  ]);
+  return { jobs, resumes };
+}
+
+async function hydrateJobs(userId, hits, terms) {
+  if (!hits.length) return [];
+  const ids = hits.map((h) => h.entity_id);
+  const params = [userId];
+  const jobsRes = await db.query(
+    `SELECT id, title, source, status, raw_text, created_at
+       FROM job_descriptions
+      WHERE user_id = $1 AND is_deleted = 0 AND id IN (${placeholders(
+        ids,
+        params
+      )})`,
+    params
+  );
+  const requirementsById = await loadEffectiveSkills("job", ids);
+  const byId = new Map(jobsRes.rows.map((j) => [String(j.id), j]));
+  return hits
+    .map((hit) => {
+      const job = byId.get(String(hit.entity_id));
+      if (!job) return null; // Deleted since indexing: the stale entry is ignored.
+      return {
+        id: job.id,
+        title: job.title,
+        source: job.source,
+        status: job.status,
+        created_at: job.created_at,
+        score: Number(hit.score),
+        snippet: buildSnippet(job.raw_text || job.title, terms),
+        matchedSkills: (requirementsById.get(String(job.id)) || [])
+          .filter((r) => matchesAny(r.skill, terms))
+          .map((r) => r.skill),
+      };
+    })
+    .filter(Boolean);
+}
+
+async function hydrateResumes(userId, hits, terms) {
+  if (!hits.length) return [];
+  const ids = hits.map((h) => h.entity_id);
+  const params = [userId];
+  const resumesRes = await db.query(
+    `SELECT id, filename, status, created_at
+       FROM resumes
+      WHERE user_id = $1 AND is_deleted = 0 AND id IN (${placeholders(
+        ids,
+        params
+      )})`,
+    params
+  );
+  const skillsById = await loadEffectiveSkills("resume", ids);
+  const byId = new Map(resumesRes.rows.map((r) => [String(r.id), r]));
+  return hits
+    .map((hit) => {
+      const resume = byId.get(String(hit.entity_id));
+      if (!resume) return null;
+      const matchedSkills = (skillsById.get(String(resume.id)) || [])
+        .filter((s) => matchesAny(s.skill, terms))
+        .map((s) => s.skill);
+      return {
+        id: resume.id,
+        filename: resume.filename,
+        status: resume.status,
+        created_at: resume.created_at,
+        score: Number(hit.score),
+        snippet: matchedSkills.length
+          ? matchedSkills.join(", ")
+          : buildSnippet(resume.filename, terms),
+        matchedSkills,
+      };
+    })
+    .filter(Boolean);
+}
+
+module.exports = {
+  search,
+  indexJob,
+  indexResume,
+  removeFromIndex,
+  tokenize,
+  parseSearchQuery,
+  buildSnippet,
+};
@@ -0,0 +1,244 @@
+// Skill override service: user edits layered on parsed resume skills and job requirements.
+// Tables touched:
+//   resume_skill_overrides / requirement_overrides -> one row per (owner, skill_key); action add | edit | remove
+//   candidate_skills / requirements                -> parsed rows (read only here; parse workers replace them)
+//   resumes / job_descriptions                     -> skills_version / requirements_version bumped on every edit
+// NOTE: Overrides are applied whenever skills are read (detail endpoints, matching, search), never written into
+// the parsed tables, so a reparse refreshes parsed rows and the user's edits still apply on top.
+const db = require("../db");
+const { dialect } = db;
+
+/**
+ * OVERRIDE_TARGETS
+ * Per entity: parsed table, override table, owner column, weight columns users may change, default ordering
+ * and the version bump that marks matches computed from the previous list as stale.
+ */
+const OVERRIDE_TARGETS = {
+  resume: {
+    parsedTable: "candidate_skills",
+    overrideTable: "resume_skill_overrides",
+    ownerColumn: "resume_id",
+    weights: ["experience_years", "proficiency"],
+    versionSql:
+      "UPDATE resumes SET skills_version = skills_version + 1 WHERE id = $1",
+  },
+  job: {
+    parsedTable: "requirements",
+    overrideTable: "requirement_overrides",
+    ownerColumn: "job_id",
+    weights: ["importance"],
+    versionSql:
+      "UPDATE job_descriptions SET requirements_version = requirements_version + 1 WHERE id = $1",
+  },
+};
+
+/**
+ * skillKey
+ * Case- and whitespace-insensitive identity of a skill name ("  Node.JS " -> "node.js").
+ * @param {string} skill
+ * @returns {string}
+ */
+function skillKey(skill) {
+  return String(skill || "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .toLowerCase();
+}
+
+/**
+ * applyOverrides
+ * Layers overrides on parsed rows. Each row gets `provenance`: 'parsed' / 'inferred' (requirements enriched by
+ * the parser) when untouched, 'user' when edited or added. Edited rows keep their id and carry `original`
+ * (parsed name, weights and provenance); a user-edited requirement counts as explicit (inferred false).
+ * Overrides whose parsed skill disappeared after a reparse stay dormant unless they add the skill.
+ * @param {'resume'|'job'} entity
+ * @param {object[]} rows Parsed rows (skill + weight columns, id, created_at[, inferred])
+ * @param {object[]} overrides Override rows
+ * @returns {object[]} Effective rows: parsed order first, then user additions (oldest first)
+ */
+function applyOverrides(entity, rows, overrides) {
+  const { weights } = OVERRIDE_TARGETS[entity];
+  const byKey = new Map(overrides.map((o) => [o.skill_key, o]));
+  const applied = new Set();
+  const effective = [];
+  rows.forEach((row) => {
+    const provenance = row.inferred ? "inferred" : "parsed";
+    const key = skillKey(row.skill);
+    const override = byKey.get(key);
+    if (!override) {
+      effective.push({ ...row, provenance });
+      return;
+    }
+    applied.add(key);
+    if (override.action === "remove") return;
+    const item = {
+      ...row,
+      skill: override.skill || row.skill,
+      provenance: "user",
+      original: { skill: row.skill, provenance },
+    };
+    weights.forEach((column) => {
+      item.original[column] = row[column];
+      if (override[column] !== null && override[column] !== undefined) {
+        item[column] = override[column];
+      }
+    });
+    if (entity === "job") item.inferred = false;
+    effective.push(item);
+  });
+  overrides
+    .filter((o) => o.action === "add" && !applied.has(o.skill_key))
+    .forEach((o) => {
+      const item = { id: o.id, skill: o.skill };
+      weights.forEach((column) => {
+        item[column] = o[column] === undefined ? null : o[column];
+      });
+      if (entity === "job") item.inferred = false;
+      effective.push({ ...item, created_at: o.created_at, provenance: "user" });
+    });
+  return effective;
+}
+
+/**
+ * loadEffectiveSkills
+ * SELECT parsed rows + overrides for one or more resumes / jobs and layer them (see applyOverrides).
+ * Resume skills keep parse order; requirements are sorted by effective importance (highest first, unscored last).
+ * @param {'resume'|'job'} entity
+ * @param {string[]} ownerIds Resume or job ids
+ * @param {{query:Function}} [executor] Module `db` exports or a `withTransaction` tx
+ * @returns {Promise<Map<string, object[]>>} owner id -> effective rows
+ */
+async function loadEffectiveSkills(entity, ownerIds, executor = db) {
+  const { parsedTable, overrideTable, ownerColumn, weights } =
+    OVERRIDE_TARGETS[entity];
+  const result = new Map(ownerIds.map((id) => [String(id), []]));
+  if (!ownerIds.length) return result;
+  const slots = ownerIds.map((_, index) => `$${index + 1}`).join(", ");
+  const parsedColumns = ["id", ownerColumn, "skill", ...weights];
+  if (entity === "job") parsedColumns.push("inferred");
+  const parsedRes = await executor.query(
+    `SELECT ${parsedColumns.join(", ")}, created_at
+       FROM ${parsedTable}
+      WHERE ${ownerColumn} IN (${slots})
+      ORDER BY created_at ASC`,
+    ownerIds
+  );
+  const overrideRes = await executor.query(
+    `SELECT id, ${ownerColumn}, skill_key, action, skill, ${weights.join(
+      ", "
+    )}, created_at
+       FROM ${overrideTable}
+      WHERE ${ownerColumn} IN (${slots})
+      ORDER BY created_at ASC`,
+    ownerIds
+  );
+  const owned = (rows, ownerId) =>
+    rows
+      .filter((row) => String(row[ownerColumn]) === ownerId)
+      .map(({ [ownerColumn]: _owner, ...row }) => row);
+  result.forEach((_, ownerId) => {
+    const effective = applyOverrides(
+      entity,
+      owned(parsedRes.rows, ownerId),
+      owned(overrideRes.rows, ownerId)
+    );
+    if (entity === "job") {
+      const weight = (row) =>
+        row.importance === null || row.importance === undefined
+          ? -1
+          : Number(row.importance);
+      effective.sort((a, b) => weight(b) - weight(a)); // Stable: ties keep parse order.
+    }
+    result.set(ownerId, effective);
+  });
+  return result;
+}
+
+/**
+ * listEffectiveSkills
+ * Single-owner form of loadEffectiveSkills.
+ * @param {'resume'|'job'} entity
+ * @param {string} ownerId
+ * @param {{query:Function}} [executor]
+ * @returns {Promise<object[]>}
+ */
+async function listEffectiveSkills(entity, ownerId, executor = db) {
+  const byOwner = await loadEffectiveSkills(entity, [ownerId], executor);
+  return byOwner.get(String(ownerId));
+}
+
+/**
+ * getOverride
+ * SELECT the override stored for one skill key (null when the skill is untouched).
+ * @param {'resume'|'job'} entity
+ * @param {string} ownerId
+ * @param {string} key skillKey of the targeted skill
+ * @returns {Promise<object|null>}
+ */
+async function getOverride(entity, ownerId, key) {
+  const { overrideTable, ownerColumn, weights } = OVERRIDE_TARGETS[entity];
+  const result = await db.query(
+    `SELECT id, skill_key, action, skill, ${weights.join(", ")}
+       FROM ${overrideTable}
+      WHERE ${ownerColumn} = $1 AND skill_key = $2`,
+    [ownerId, key]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * writeOverride
+ * In one transaction: DELETE the overrides stored under `removeKeys`, INSERT `override` (when given), bump the
+ * owner's skills/requirements version (matches become stale) and rebuild its search terms.
+ * @param {'resume'|'job'} entity
+ * @param {string} ownerId
+ * @param {{removeKeys:string[], override?:{skill_key:string, action:'add'|'edit'|'remove', skill?:string|null}}} change
+ *   override may also set the entity's weight columns (experience_years / proficiency, or importance)
+ */
+async function writeOverride(entity, ownerId, { removeKeys, override }) {
+  const { overrideTable, ownerColumn, weights, versionSql } =
+    OVERRIDE_TARGETS[entity];
+  // Required lazily: search-service loads this module to index effective skills.
+  const searchService = require("./search-service");
+  await db.withTransaction(async (tx) => {
+    for (const key of new Set(removeKeys)) {
+      await tx.query(
+        `DELETE FROM ${overrideTable} WHERE ${ownerColumn} = $1 AND skill_key = $2`,
+        [ownerId, key]
+      );
+    }
+    if (override) {
+      const values = weights.map((column) =>
+        override[column] === undefined ? null : override[column]
+      );
+      await tx.query(
+        `INSERT INTO ${overrideTable} (id, ${ownerColumn}, skill_key, action, skill, ${weights.join(
+          ", "
+        )}, created_at, updated_at)
+         VALUES (${dialect.newId}, $1, $2, $3, $4, ${weights
+          .map((_, index) => `$${index + 5}`)
+          .join(", ")}, ${dialect.now}, ${dialect.now})`,
+        [
+          ownerId,
+          override.skill_key,
+          override.action,
+          override.skill || null,
+          ...values,
+        ]
+      );
+    }
+    await tx.query(versionSql, [ownerId]);
+    if (entity === "resume") await searchService.indexResume(ownerId, tx);
+    else await searchService.indexJob(ownerId, tx);
+  });
+}
+
+module.exports = {
+  OVERRIDE_TARGETS,
+  skillKey,
+  applyOverrides,
+  loadEffectiveSkills,
+  listEffectiveSkills,
+  getOverride,
+  writeOverride,
+};
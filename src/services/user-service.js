@@ -5,7 +5,7 @@
 //   - ensureUser is idempotent: repeated calls for same auth0_sub avoid duplicate rows.
 //   - getUserId is a lightweight lookup that intentionally does NOT create a user (used for read-only contexts).
 const { v4: uuidv4 } = require("uuid");
-const { query } = require("../db");
+const { query, dialect } = require("../db");
 
 /**
  * ensureUser
@@ -47,6 +47,16 @@ async function getUserId(auth0Sub) {
   return result.rows.length > 0 ? result.rows[0].id : null;
 }
 
+/**
+ * userExists
+ * True when a users row with this internal id exists (admin endpoints addressing another user).
+ */
+async function userExists(userId) {
+  if (!userId) return false;
+  const result = await query("SELECT id FROM users WHERE id = $1", [userId]);
+  return result.rows.length > 0;
+}
+
 /**
  * getUserWithUsage
  * Returns full usage-related fields for enforcement logic.
@@ -61,57 +71,66 @@ async function getUserWithUsage(auth0Sub) {
 }
 
 /**
- * incrementAnnualUsage
- * Atomically increments usage count, resetting if more than 365 days have elapsed since annual_period_start (or if null).
- * Returns updated { annual_usage_count, annual_limit }.
+ * getUserRole
+ * SELECT users.role for an auth subject (null when the user has no local row yet).
+ * Roles are assigned out of band (scripts/set-role.js); new users default to 'user'.
  */
-async function incrementAnnualUsage(userId) {
-  // Fetch current values
-  const current = await query(
-    "SELECT annual_limit, annual_usage_count, annual_period_start FROM users WHERE id = $1",
-    [userId]
-  );
-  if (current.rows.length === 0) throw new Error("user_not_found");
-  let { annual_limit, annual_usage_count, annual_period_start } =
-    current.rows[0];
-
-  let reset = false;
-  if (!annual_period_start) {
-    reset = true;
-  } else {
-    const start = new Date(annual_period_start);
-    const diffMs = Date.now() - start.getTime();
-    if (diffMs > 365 * 24 * 60 * 60 * 1000) reset = true;
-  }
+async function getUserRole(auth0Sub) {
+  if (!auth0Sub) return null;
+  const result = await query("SELECT role FROM users WHERE auth0_sub = $1", [
+    auth0Sub,
+  ]);
+  return result.rows.length > 0 ? result.rows[0].role : null;
+}
 
-  if (reset) annual_usage_count = 0;
-  const newCount = annual_usage_count + 1;
+// Rolling usage period: the count restarts once annual_period_start is older than this.
+const ANNUAL_PERIOD_MS = 365 * 24 * 60 * 60 * 1000;
 
-  if (reset) {
-    await query(
-      `UPDATE users
-         SET annual_usage_count = $1,
-             annual_period_start = SYSUTCDATETIME(),
-             updated_at = SYSUTCDATETIME()
-       WHERE id = $2`,
-      [newCount, userId]
-    );
-  } else {
-    await query(
-      `UPDATE users
-         SET annual_usage_count = $1,
-             updated_at = SYSUTCDATETIME()
-       WHERE id = $2`,
-      [newCount, userId]
-    );
-  }
+/**
+ * incrementAnnualUsage
+ * Charges `amount` matches against annual_limit in a single conditional UPDATE, so concurrent requests can never
+ * push the count past the limit together. A period that is over (or never started) restarts at `amount`.
+ * @param {string} userId
+ * @param {number} [amount=1] Matches being charged (batch requests charge one per queued pair)
+ * @returns {Promise<boolean>} false when the charge would exceed annual_limit (nothing is changed)
+ */
+async function incrementAnnualUsage(userId, amount = 1) {
+  const periodCutoff = new Date(Date.now() - ANNUAL_PERIOD_MS);
+  const expired = "(annual_period_start IS NULL OR annual_period_start < $3)";
+  const result = await query(
+    `UPDATE users
+        SET annual_usage_count = CASE WHEN ${expired} THEN $2 ELSE annual_usage_count + $2 END,
+            annual_period_start = CASE WHEN ${expired} THEN ${dialect.now} ELSE annual_period_start END,
+            updated_at = ${dialect.now}
+      WHERE id = $1
+        AND CASE WHEN ${expired} THEN $2 ELSE annual_usage_count + $2 END <= annual_limit`,
+    [userId, amount, periodCutoff]
+  );
+  return result.rowCount > 0;
+}
 
-  return { annual_limit, annual_usage_count: newCount };
+/**
+ * refundAnnualUsage
+ * Gives back matches charged for work that turned out to be free (a worker-side cache hit). Never goes below 0.
+ * @param {string} userId
+ * @param {number} [amount=1]
+ */
+async function refundAnnualUsage(userId, amount = 1) {
+  await query(
+    `UPDATE users
+        SET annual_usage_count = CASE WHEN annual_usage_count > $2 THEN annual_usage_count - $2 ELSE 0 END,
+            updated_at = ${dialect.now}
+      WHERE id = $1`,
+    [userId, amount]
+  );
 }
 
 module.exports = {
   ensureUser,
   getUserId,
+  userExists,
   getUserWithUsage,
+  getUserRole,
   incrementAnnualUsage,
+  refundAnnualUsage,
 };
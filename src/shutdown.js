@@ -0,0 +1,110 @@
+// Shutdown coordinator: ordered, deadline-bounded teardown shared by the API and worker processes.
+/**
+ * Steps run sequentially in registration order (callers register them in dependency order:
+ * stop intake -> drain work -> close sockets -> close Redis -> close SQL pool).
+ * Every step is raced against the overall deadline; a failing or slow step is logged and the
+ * next step still runs, so one stuck dependency never keeps the process alive forever.
+ * run() is idempotent: repeated signals or test calls share the first run's promise.
+ */
+const config = require("./config");
+const { log, error } = require("./utils/logger");
+
+/**
+ * createShutdown
+ * @param {{timeoutMs?:number}} [opts] Overall deadline (default config.shutdown.timeoutMs)
+ * @returns {{add:(name:string, fn:(ctx:{reason:string, remainingMs:()=>number})=>any)=>void, run:(reason?:string)=>Promise<{reason:string, failed:string[]}>}}
+ */
+function createShutdown({ timeoutMs = config.shutdown.timeoutMs } = {}) {
+  const steps = [];
+  let running = null;
+
+  async function runSteps(reason) {
+    const deadline = Date.now() + timeoutMs;
+    const remainingMs = () => Math.max(deadline - Date.now(), 0);
+    const failed = [];
+    log(`[shutdown] starting (${reason}), deadline ${timeoutMs}ms`);
+    for (const { name, fn } of steps) {
+      let timer;
+      const expired = new Promise((resolve) => {
+        timer = setTimeout(() => resolve("timeout"), remainingMs());
+      });
+      try {
+        const outcome = await Promise.race([
+          Promise.resolve(fn({ reason, remainingMs })),
+          expired,
+        ]);
+        if (outcome === "timeout") {
+          failed.push(name);
+          error(`[shutdown] step ${name} exceeded the deadline`);
+        }
+      } catch (e) {
+        failed.push(name);
+        error(`[shutdown] step ${name} failed`, e);
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+    log(
+      `[shutdown] complete${
+        failed.length ? ` (failed: ${failed.join(", ")})` : ""
+      }`
+    );
+    return { reason, failed };
+  }
+
+  return {
+    add(name, fn) {
+      steps.push({ name, fn });
+    },
+    run(reason = "shutdown") {
+      if (!running) running = runSteps(reason);
+      return running;
+    },
+  };
+}
+
+/**
+ * installSignalHandlers
+ * Runs the coordinator on SIGTERM / SIGINT, then exits (0 when every step succeeded).
+ * A second signal while shutting down exits immediately with code 1.
+ * @param {{run:Function}} shutdown Coordinator from createShutdown
+ * @param {NodeJS.Process} [proc] Injectable for tests
+ */
+function installSignalHandlers(shutdown, proc = process) {
+  let signalled = false;
+  const onSignal = (signal) => {
+    if (signalled) {
+      error(`[shutdown] ${signal} received again; forcing exit`);
+      proc.exit(1);
+      return;
+    }
+    signalled = true;
+    shutdown.run(signal).then(({ failed }) => proc.exit(failed.length ? 1 : 0));
+  };
+  proc.on("SIGTERM", onSignal);
+  proc.on("SIGINT", onSignal);
+}
+
+/**
+ * closeHttpServer
+ * Stops accepting connections and waits for in-flight requests; after timeoutMs remaining
+ * connections are destroyed. Idle keep-alive sockets are closed right away.
+ * @param {import('http').Server} server
+ * @param {number} timeoutMs
+ */
+function closeHttpServer(server, timeoutMs) {
+  return new Promise((resolve) => {
+    if (!server.listening) return resolve();
+    const timer = setTimeout(() => {
+      log("[shutdown] forcing remaining HTTP connections closed");
+      server.closeAllConnections();
+    }, timeoutMs);
+    server.close(() => {
+      clearTimeout(timer);
+      resolve();
+    });
+    server.closeIdleConnections();
+  });
+}
+
+module.exports = { createShutdown, installSignalHandlers, closeHttpServer };
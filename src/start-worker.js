@@ -0,0 +1,47 @@
+// Standalone worker bootstrap: consumes BullMQ queues without the HTTP / Socket.IO server.
+const config = require("./config");
+const { bootstrapDatabase, closePool } = require("./db");
+const {
+  startWorkers,
+  closeWorkers,
+  closeQueueConnections,
+} = require("./queues");
+const { ensureStorageStructure } = require("./utils/storage");
+const { createRealtimePublisher } = require("./events/relay");
+const { registerRealtimeBridge } = require("./realtime");
+const { log } = require("./utils/logger");
+const { createShutdown } = require("./shutdown");
+
+/**
+ * startWorkerProcess
+ * Bootstraps what processors need (DB schema, storage root), publishes realtime events to API processes
+ * over Redis, then starts the workers with per-queue concurrency from config.queues.
+ * Pair with RUN_WORKERS=false on API replicas so only these processes consume jobs.
+ * The returned shutdown coordinator drains workers (config.shutdown.drainTimeoutMs), closes the
+ * realtime publisher once the last status events are published, then closes Redis and the SQL pool.
+ * @returns {Promise<{workers: import('bullmq').Worker[], realtime: {redis: object, publish: Function}, shutdown: {run:(reason?:string)=>Promise<{reason:string, failed:string[]}>}}>}
+ */
+async function startWorkerProcess() {
+  await bootstrapDatabase();
+  ensureStorageStructure();
+  // Bridge first so the very first status change of a picked-up job is published.
+  const realtime = createRealtimePublisher();
+  registerRealtimeBridge(realtime.publish);
+  const workers = startWorkers();
+  log(`Worker process ${process.pid} ready`);
+
+  const shutdown = createShutdown();
+  shutdown.add("workers", ({ remainingMs }) =>
+    closeWorkers({
+      timeoutMs: Math.min(config.shutdown.drainTimeoutMs, remainingMs()),
+    })
+  );
+  shutdown.add("redis", async () => {
+    await realtime.redis.quit();
+    await closeQueueConnections();
+  });
+  shutdown.add("sql", () => closePool());
+  return { workers, realtime, shutdown };
+}
+
+module.exports = { startWorkerProcess };
@@ -1,30 +1,46 @@
 const config = require("./config");
-const { bootstrapDatabase } = require("./db");
-const { startWorkers } = require("./queues");
+const { bootstrapDatabase, closePool } = require("./db");
+const {
+  startWorkers,
+  closeWorkers,
+  closeQueueConnections,
+} = require("./queues");
 const { ensureStorageStructure } = require("./utils/storage");
 const { log, error } = require("./utils/logger");
 const { buildApp } = require("./app");
 const http = require("http");
 const { Server } = require("socket.io");
 const { bus } = require("./events/bus");
+const {
+  createRealtimePublisher,
+  startDeliverySubscriber,
+} = require("./events/relay");
+const { createShutdown, closeHttpServer } = require("./shutdown");
 const { query } = require("./db");
 const { createRemoteJWKSet, jwtVerify } = require("jose");
 const {
-  registerJobStatusListener,
-  registerResumeStatusListener,
-  registerMatchStatusListener,
+  attachRedisAdapter,
+  registerRealtimeBridge,
+  connectSocket,
 } = require("./realtime");
+const { deliveryHub } = require("./events/delivery");
 
 /**
  * startServer
  * Bootstraps the HTTP + Socket.IO server and background infrastructure.
  * Structure (order matters):
- *  1. Bootstrap DB / storage / workers so application state is ready before clients connect.
+ *  1. Bootstrap DB / storage / workers so application state is ready before clients connect
+ *     (workers only when RUN_WORKERS is not false; otherwise src/worker.js consumes the queues).
  *  2. Build Express app (REST API) and wrap it in a Node HTTP server.
- *  3. Attach a Socket.IO server to the same HTTP server (shares port; ws endpoint at /socket.io).
+ *  3. Attach a Socket.IO server to the same HTTP server (shares port; ws endpoint at /socket.io),
+ *     backed by the Redis adapter so room broadcasts reach sockets on every API instance.
  *  4. Configure authentication for websocket handshakes using Auth0-issued JWT (unless disabled for dev).
- *  5. On each connection, join the user to a private room (user:<userId>) so we can target events.
- *  6. Register domain-event -> realtime bridge (job.status.changed -> job:update) once (idempotent).
+ *  5. On each connection, join the user to a private room (user:<userId>) so we can target events,
+ *     first replaying logged events newer than the handshake's `lastEventId` (auth or query).
+ *  6. Register domain-event -> realtime bridge (job.status.changed -> job:update, *.progress -> *:progress)
+ *     once (idempotent).
+ *  7. Build the shutdown coordinator (src/shutdown.js); server.js runs it on SIGTERM / SIGINT and
+ *     tests can call `shutdown.run()` directly.
  *
  * About rooms:
  *  - Socket.IO lets you broadcast to groups of sockets; we create a stable room name per user.
@@ -38,8 +54,20 @@ const {
  *
  * Job status broadcasting pipeline:
  *  - Some worker or API logic emits an in-process event bus message: bus.emit('job.status.changed', { jobId })
- *  - registerJobStatusListener() listens once for that event, queries DB for the latest job row, and emits 'job:update'.
+ *  - registerJobStatusListener() listens once for that event, queries DB for the latest job row, and publishes 'job:update'.
  *  - Frontend listens for 'job:update' to update UI / show progress.
+ *  - The bridge runs wherever the bus event fired (this process or a standalone worker): the payload is
+ *    appended to the user's replay log (events/event-log.js, id -> payload.eventId) and published over
+ *    Redis (events/relay.js). Every API process subscribes and hands it to its delivery hub
+ *    (events/delivery.js), which writes to that user's local sockets and SSE streams, so a user gets
+ *    updates whichever instance they are connected to.
+ *
+ * Shutdown order (each step bounded by config.shutdown.timeoutMs overall):
+ *  - Stop accepting HTTP connections (in-flight requests keep running).
+ *  - Close in-process workers, letting current jobs finish within config.shutdown.drainTimeoutMs.
+ *  - Tell this instance's sockets why (`server:shutdown` { reason }), disconnect them and end SSE streams;
+ *    wait for HTTP to drain.
+ *  - Close Redis (relay, Socket.IO adapter, queues) and finally the SQL pool.
  *
  * Error handling notes:
  *  - If auth fails, client sees a 'connect_error'. We do not crash the server—only handshake is rejected.
@@ -47,20 +75,35 @@ const {
  *
  * @param {object} opts
  * @param {number} [opts.port] Optional override port (useful in tests / ephemeral instances)
- * @returns {Promise<{server: import('http').Server, io: import('socket.io').Server, port:number}>}
+ * @param {boolean} [opts.workers] Override config.runWorkers (start in-process BullMQ workers)
+ * @returns {Promise<{server: import('http').Server, io: import('socket.io').Server, port:number, shutdown: {run:(reason?:string)=>Promise<{reason:string, failed:string[]}>}}>}
  */
 async function startServer(opts = {}) {
   const listenPort = typeof opts.port === "number" ? opts.port : config.port;
+  const runWorkers =
+    typeof opts.workers === "boolean" ? opts.workers : config.runWorkers;
 
   await bootstrapDatabase();
   ensureStorageStructure();
-  startWorkers();
+  // Register realtime domain-event -> socket bridge (idempotent) so duplicate server startups in tests
+  // do not register multiple listeners that would cause double emits. Before workers so in-process
+  // job status changes are published from the start.
+  const realtime = createRealtimePublisher();
+  registerRealtimeBridge(realtime.publish);
+  if (config.verboseRealtimeLogs) {
+    log("[realtime] All status listeners registered (jobs,resumes,matches)");
+  }
+  if (runWorkers) startWorkers();
+  else
+    log("In-process workers disabled (RUN_WORKERS=false); run src/worker.js");
 
   const app = buildApp();
   const server = http.createServer(app);
   const io = new Server(server, {
     cors: { origin: "*", methods: ["GET", "POST"] },
   });
+  const adapterClients = attachRedisAdapter(io);
+  deliveryHub.useEventLog(realtime.redis); // Replay reads for sockets and SSE streams.
 
   // JWKS (JSON Web Key Set) cached instance for verifying RS256 signed JWTs from Auth0.
   // We load this lazily at startup so every websocket handshake reuses it (internal caching done by jose helper).
@@ -101,10 +144,16 @@ async function startServer(opts = {}) {
     }
   });
 
-  // Per-socket post-auth setup: place socket in its user-specific room for targeted emits.
+  // Per-socket post-auth setup: place socket in its user-specific room for targeted emits, and subscribe it
+  // to the delivery hub. Reconnecting clients pass the last eventId they saw to get missed events replayed first.
   io.on("connection", (socket) => {
     const userRoom = `user:${socket.data.userId}`;
     socket.join(userRoom);
+    const lastEventId =
+      socket.handshake.auth?.lastEventId || socket.handshake.query?.lastEventId;
+    connectSocket(socket, lastEventId).catch((e) =>
+      error("[realtime] connect failed", e)
+    );
     if (config.verboseRealtimeLogs) {
       log(
         `[realtime] socket connected id=${socket.id} user=${socket.data.userId} joined=${userRoom}`
@@ -117,14 +166,13 @@ async function startServer(opts = {}) {
     });
   });
 
-  // Register realtime domain-event -> socket bridge (idempotent) so duplicate server startups in tests
-  // do not register multiple listeners that would cause double emits.
-  registerJobStatusListener(io);
-  registerResumeStatusListener(io);
-  registerMatchStatusListener(io);
-  if (config.verboseRealtimeLogs) {
-    log("[realtime] All status listeners registered (jobs,resumes,matches)");
-  }
+  // Deliveries (from this and every other process) arrive via Redis; not awaited so a slow Redis never blocks boot.
+  const subscriber = startDeliverySubscriber(deliveryHub.dispatch).catch(
+    (e) => {
+      error("[relay] subscribe failed", e);
+      return null;
+    }
+  );
 
   await new Promise((resolve) => {
     server.listen(listenPort, () => {
@@ -134,7 +182,37 @@ async function startServer(opts = {}) {
     });
   });
 
-  return { server, io, port: server.address().port };
+  const { drainTimeoutMs } = config.shutdown;
+  const shutdown = createShutdown();
+  let httpClosed = Promise.resolve();
+  shutdown.add("http", () => {
+    httpClosed = closeHttpServer(server, drainTimeoutMs);
+  });
+  if (runWorkers) {
+    shutdown.add("workers", ({ remainingMs }) =>
+      closeWorkers({ timeoutMs: Math.min(drainTimeoutMs, remainingMs()) })
+    );
+  }
+  shutdown.add("sockets", async ({ reason }) => {
+    // io.local: with the Redis adapter a plain io.emit would reach every instance's sockets.
+    io.local.emit("server:shutdown", { reason });
+    io.local.disconnectSockets(true);
+    deliveryHub.closeAll(reason); // Ends SSE streams (GET /api/v1/events).
+    await httpClosed;
+  });
+  shutdown.add("redis", async () => {
+    const sub = await subscriber;
+    await Promise.all([
+      realtime.redis.quit(),
+      sub && sub.redis.quit(),
+      adapterClients.pubClient.quit(),
+      adapterClients.subClient.quit(),
+    ]);
+    await closeQueueConnections();
+  });
+  shutdown.add("sql", () => closePool());
+
+  return { server, io, port: server.address().port, shutdown };
 }
 
 module.exports = { startServer };
@@ -0,0 +1,107 @@
+// File download helper: streams a stored object back to the client with range support.
+const config = require("../config");
+const {
+  statObject,
+  getObjectStream,
+  supportsSignedUrls,
+  getSignedDownloadUrl,
+} = require("./storage");
+const { error: logError } = require("./logger");
+
+/**
+ * isMissingObjectError
+ * Normalises "object not found" across drivers (fs ENOENT, S3 NotFound/NoSuchKey).
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isMissingObjectError(err) {
+  return (
+    !!err &&
+    (err.code === "ENOENT" ||
+      err.name === "NotFound" ||
+      err.name === "NoSuchKey" ||
+      err.$metadata?.httpStatusCode === 404)
+  );
+}
+
+/**
+ * sendStoredObject
+ * Writes a stored upload to the response. Ownership must already be enforced by the caller.
+ * Behaviour:
+ *  - ?presign=1 and driver supports it -> 200 { url, expiresIn } (client fetches straight from storage)
+ *  - Range header satisfiable -> 206 with Content-Range (single range only)
+ *  - Range header unsatisfiable -> 416 with an unsatisfied-range Content-Range header
+ *  - Otherwise -> 200 full body
+ * Always sets Content-Type (DB mime_type preferred), Content-Disposition (attachment + original
+ * filename) and Accept-Ranges: bytes. Missing objects map to 404 file_not_found.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {{key:string, filename?:string|null, mimeType?:string|null}} file
+ * @returns {Promise<void>}
+ */
+async function sendStoredObject(req, res, { key, filename, mimeType }) {
+  const wantsUrl = ["1", "true"].includes(String(req.query.presign || ""));
+  if (wantsUrl && supportsSignedUrls()) {
+    const expiresIn = config.storage.presignTtlSeconds;
+    const url = await getSignedDownloadUrl(key, {
+      expiresIn,
+      filename,
+      contentType: mimeType,
+    });
+    res.json({ url, expiresIn });
+    return;
+  }
+
+  let stat;
+  try {
+    stat = await statObject(key);
+  } catch (err) {
+    if (isMissingObjectError(err)) {
+      res.status(404).json({ error: "file_not_found" });
+      return;
+    }
+    throw err;
+  }
+
+  const size = stat.size;
+  const contentType =
+    mimeType || stat.contentType || "application/octet-stream";
+  res.attachment(filename || key.split("/").pop()); // Sets Content-Disposition with safe filename encoding.
+  res.set("Content-Type", contentType);
+  res.set("Accept-Ranges", "bytes");
+
+  let range;
+  if (req.headers.range) {
+    const parsed = req.range(size, { combine: true });
+    if (parsed === -1) {
+      res.set("Content-Range", `bytes */${size}`);
+      res.status(416).end();
+      return;
+    }
+    // Malformed (-2) or multi-range requests fall back to the full body.
+    if (Array.isArray(parsed) && parsed.type === "bytes" && parsed.length === 1) {
+      range = { start: parsed[0].start, end: parsed[0].end };
+    }
+  }
+
+  const stream = await getObjectStream(key, range);
+  if (range) {
+    res.status(206);
+    res.set("Content-Range", `bytes ${range.start}-${range.end}/${size}`);
+    res.set("Content-Length", String(range.end - range.start + 1));
+  } else {
+    res.status(200);
+    res.set("Content-Length", String(size));
+  }
+
+  stream.on("error", (err) => {
+    logError("File download stream failed", err);
+    res.destroy(err);
+  });
+  res.on("close", () => {
+    if (!res.writableFinished) stream.destroy(); // Client aborted; stop reading from storage.
+  });
+  stream.pipe(res);
+}
+
+module.exports = { sendStoredObject, isMissingObjectError };
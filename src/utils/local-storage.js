@@ -0,0 +1,126 @@
+// Local filesystem object storage driver (development / CI without cloud credentials)
+/**
+ * Mirrors the r2-storage helper contract on top of the local disk so uploads and workers
+ * run end to end on a laptop. Object keys (e.g. resumes/<uuid>.pdf) map 1:1 onto paths
+ * beneath config.storage.localRoot, which matches the storage/resumes + storage/jobs layout
+ * created by ensureStorageStructure().
+ * Exported helpers:
+ *  - putObject(key, body, contentType): Writes bytes to <root>/<key>.
+ *  - putObjectStream(key, stream, contentType): Pipes a Readable to <root>/<key> (partial files removed on error).
+ *  - getObjectBytes(key): Reads the file fully into a Buffer.
+ *  - deleteObject(key): Removes the file (missing files are ignored).
+ *  - statObject(key): { size, contentType: null }.
+ *  - getObjectStream(key, range?): fs read stream, optionally limited to an inclusive byte range.
+ * The MIME type is not persisted; callers already store it alongside storage_path in the DB.
+ */
+const fs = require("fs/promises");
+const { createReadStream, createWriteStream } = require("fs");
+const { pipeline } = require("stream/promises");
+const path = require("path");
+const config = require("../config");
+
+function resolveKey(key) {
+  /**
+   * resolveKey
+   * Map an object key to an absolute path, refusing keys that escape the storage root.
+   * @param {string} key
+   * @returns {string} absolute file path
+   */
+  if (!key || typeof key !== "string") throw new Error("Object key required");
+  const root = config.storage.localRoot;
+  const fullPath = path.resolve(root, key);
+  if (!fullPath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid object key: ${key}`);
+  }
+  return fullPath;
+}
+
+async function putObject(key, body, contentType) {
+  /**
+   * putObject
+   * @param {string} key Object key relative to storage root
+   * @param {Buffer|Uint8Array|string} body Content
+   * @param {string} contentType MIME type (unused; kept for interface parity)
+   * @returns {Promise<string>} key
+   */
+  const filePath = resolveKey(key);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, body);
+  return key;
+}
+
+async function putObjectStream(key, stream, contentType) {
+  /**
+   * putObjectStream
+   * @param {string} key Object key relative to storage root
+   * @param {import('stream').Readable} stream Content
+   * @param {string} contentType MIME type (unused; kept for interface parity)
+   * @returns {Promise<string>} key
+   */
+  const filePath = resolveKey(key);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  try {
+    await pipeline(stream, createWriteStream(filePath));
+  } catch (e) {
+    await fs.rm(filePath, { force: true });
+    throw e;
+  }
+  return key;
+}
+
+async function getObjectBytes(key) {
+  /**
+   * getObjectBytes
+   * @param {string} key
+   * @returns {Promise<Buffer>}
+   */
+  return fs.readFile(resolveKey(key));
+}
+
+async function deleteObject(key) {
+  /**
+   * deleteObject
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  try {
+    await fs.unlink(resolveKey(key));
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+  }
+}
+
+async function statObject(key) {
+  /**
+   * statObject
+   * @param {string} key
+   * @returns {Promise<{size:number, contentType:null}>}
+   */
+  const stats = await fs.stat(resolveKey(key));
+  return { size: stats.size, contentType: null };
+}
+
+async function getObjectStream(key, range) {
+  /**
+   * getObjectStream
+   * @param {string} key
+   * @param {{start:number,end:number}} [range] Inclusive byte range
+   * @returns {Promise<import('stream').Readable>}
+   */
+  const filePath = resolveKey(key);
+  await fs.access(filePath); // Surface ENOENT before headers are written.
+  return createReadStream(
+    filePath,
+    range ? { start: range.start, end: range.end } : undefined
+  );
+}
+
+module.exports = {
+  name: "local",
+  putObject,
+  putObjectStream,
+  getObjectBytes,
+  deleteObject,
+  statObject,
+  getObjectStream,
+};
@@ -0,0 +1,78 @@
+// In-memory object storage driver (tests / ephemeral runs)
+/**
+ * Keeps objects in a process-local Map so test suites can exercise upload -> parse flows
+ * without touching disk or the network. Contents vanish when the process exits.
+ * Exported helpers:
+ *  - putObject(key, body, contentType): Stores a Buffer copy + MIME type.
+ *  - putObjectStream(key, stream, contentType): Drains a Readable then stores it like putObject.
+ *  - getObjectBytes(key): Returns the stored Buffer (throws when missing, like the other drivers).
+ *  - deleteObject(key): Removes the entry.
+ *  - statObject(key): { size, contentType }.
+ *  - getObjectStream(key, range?): Readable over the stored Buffer (optionally sliced).
+ *  - clear(): Drops every object (handy in afterEach hooks).
+ */
+const { Readable } = require("stream");
+
+const objects = new Map();
+
+async function putObject(key, body, contentType) {
+  if (!key) throw new Error("Object key required");
+  objects.set(key, {
+    body: Buffer.isBuffer(body) ? Buffer.from(body) : Buffer.from(body || ""),
+    contentType: contentType || null,
+  });
+  return key;
+}
+
+async function putObjectStream(key, stream, contentType) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  }
+  return putObject(key, Buffer.concat(chunks), contentType);
+}
+
+function getEntry(key) {
+  const entry = objects.get(key);
+  if (!entry) {
+    const err = new Error(`Object not found: ${key}`);
+    err.code = "ENOENT";
+    throw err;
+  }
+  return entry;
+}
+
+async function getObjectBytes(key) {
+  return getEntry(key).body;
+}
+
+async function statObject(key) {
+  const entry = getEntry(key);
+  return { size: entry.body.length, contentType: entry.contentType };
+}
+
+async function getObjectStream(key, range) {
+  const { body } = getEntry(key);
+  return Readable.from([
+    range ? body.subarray(range.start, range.end + 1) : body,
+  ]);
+}
+
+async function deleteObject(key) {
+  objects.delete(key);
+}
+
+function clear() {
+  objects.clear();
+}
+
+module.exports = {
+  name: "memory",
+  putObject,
+  putObjectStream,
+  getObjectBytes,
+  deleteObject,
+  statObject,
+  getObjectStream,
+  clear,
+};
@@ -0,0 +1,203 @@
+// Pagination helpers: list query parsing, opaque keyset cursors and SQL clause building for list endpoints.
+/**
+ * Keyset (cursor) pagination over (<sort column>, id):
+ *  - The cursor only carries the id of the last row returned plus the sort it was issued for.
+ *  - The next page compares against that row's stored sort value via a subquery, so timestamp
+ *    precision (DATETIME2 = 100ns, TIMESTAMPTZ = 1us) never round-trips through JS Dates.
+ *  - `id` breaks ties so rows sharing a timestamp/status are neither skipped nor repeated.
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * encodeCursor
+ * @param {{id:string, sort:string, order:string}} payload
+ * @returns {string} base64url token (opaque to clients)
+ */
+function encodeCursor({ id, sort, order }) {
+  return Buffer.from(JSON.stringify({ id, sort, order })).toString("base64url");
+}
+
+/**
+ * decodeCursor
+ * @param {string} token
+ * @returns {{id:string, sort:string, order:string}|null} null when malformed
+ */
+function decodeCursor(token) {
+  try {
+    const payload = JSON.parse(Buffer.from(token, "base64url").toString());
+    // Ids are bound against UUID columns; reject anything else before it reaches SQL.
+    if (!payload || !UUID_PATTERN.test(String(payload.id))) return null;
+    return payload;
+  } catch (_) {
+    return null;
+  }
+}
+
+function parseDate(value) {
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? null : new Date(ms);
+}
+
+/**
+ * parseListQuery
+ * Validates list query params against a per-resource spec.
+ * Params: limit (1..100), cursor, status (comma separated), createdFrom (inclusive),
+ * createdTo (exclusive), sort (allowed column), order (asc|desc), plus the spec's boolean `flags`
+ * (true|false; null when absent). Services apply flags themselves; buildListClauses ignores them.
+ * @param {object} query req.query
+ * @param {{statuses:string[], sortFields:string[], defaultSort?:string, flags?:string[]}} spec
+ * @returns {{error:string}|{value:{limit:number, cursor:object|null, statuses:string[], createdFrom:Date|null, createdTo:Date|null, sort:string, order:'asc'|'desc'}}}
+ */
+function parseListQuery(query, { statuses, sortFields, defaultSort, flags }) {
+  const value = {
+    limit: DEFAULT_LIMIT,
+    cursor: null,
+    statuses: [],
+    createdFrom: null,
+    createdTo: null,
+    sort: defaultSort || sortFields[0],
+    order: "desc",
+  };
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return { error: "invalid_limit" };
+    }
+    value.limit = limit;
+  }
+
+  if (query.sort !== undefined) {
+    if (!sortFields.includes(query.sort)) return { error: "invalid_sort" };
+    value.sort = query.sort;
+  }
+
+  if (query.order !== undefined) {
+    const order = String(query.order).toLowerCase();
+    if (order !== "asc" && order !== "desc") return { error: "invalid_order" };
+    value.order = order;
+  }
+
+  if (query.status !== undefined) {
+    const requested = String(query.status)
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean);
+    if (!requested.length || requested.some((s) => !statuses.includes(s))) {
+      return { error: "invalid_status" };
+    }
+    value.statuses = Array.from(new Set(requested));
+  }
+
+  for (const key of flags || []) {
+    value[key] = null;
+    if (query[key] === undefined) continue;
+    const flag = String(query[key]).toLowerCase();
+    if (flag !== "true" && flag !== "false") return { error: `invalid_${key}` };
+    value[key] = flag === "true";
+  }
+
+  for (const key of ["createdFrom", "createdTo"]) {
+    if (query[key] === undefined) continue;
+    const date = parseDate(query[key]);
+    if (!date) return { error: `invalid_${key}` };
+    value[key] = date;
+  }
+  if (
+    value.createdFrom &&
+    value.createdTo &&
+    value.createdFrom >= value.createdTo
+  ) {
+    return { error: "invalid_created_range" };
+  }
+
+  if (query.cursor !== undefined) {
+    const cursor = decodeCursor(String(query.cursor));
+    // A cursor is only valid for the sort it was issued under.
+    if (!cursor || cursor.sort !== value.sort || cursor.order !== value.order) {
+      return { error: "invalid_cursor" };
+    }
+    value.cursor = cursor;
+  }
+
+  return { value };
+}
+
+/**
+ * buildListClauses
+ * Appends filter + keyset predicates to `conditions`/`params` and returns ORDER BY / row limit SQL.
+ * Caller owns the first conditions (ownership, soft delete) and their params.
+ * @param {object} listQuery Parsed value from parseListQuery
+ * @param {{table:string, ownerColumn:string, ownerParam:string}} target Table used for the cursor subquery
+ * @param {string[]} conditions Mutable WHERE fragments
+ * @param {any[]} params Mutable positional params ($n numbering continues from its length)
+ * @returns {{where:string, orderBy:string, fetch:string}}
+ */
+function buildListClauses(listQuery, target, conditions, params) {
+  const add = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const { sort, order, cursor, statuses, createdFrom, createdTo, limit } =
+    listQuery;
+
+  if (statuses.length) {
+    conditions.push(`status IN (${statuses.map(add).join(", ")})`);
+  }
+  if (createdFrom) conditions.push(`created_at >= ${add(createdFrom)}`);
+  if (createdTo) conditions.push(`created_at < ${add(createdTo)}`);
+  if (cursor) {
+    const cmp = order === "desc" ? "<" : ">";
+    const cursorId = add(cursor.id);
+    const anchor = `(SELECT ${sort} FROM ${target.table} WHERE id = ${cursorId} AND ${target.ownerColumn} = ${target.ownerParam})`;
+    conditions.push(
+      `(${sort} ${cmp} ${anchor} OR (${sort} = ${anchor} AND id ${cmp} ${cursorId}))`
+    );
+  }
+
+  const direction = order.toUpperCase();
+  return {
+    where: conditions.join(" AND "),
+    orderBy: `ORDER BY ${sort} ${direction}, id ${direction}`,
+    // One extra row tells us whether another page exists.
+    fetch: `OFFSET 0 ROWS FETCH NEXT ${limit + 1} ROWS ONLY`,
+  };
+}
+
+/**
+ * toPage
+ * Trims the look-ahead row and derives nextCursor.
+ * @param {object[]} rows Rows fetched with buildListClauses (limit + 1)
+ * @param {object} listQuery Parsed list query
+ * @returns {{items:object[], nextCursor:string|null}}
+ */
+function toPage(rows, listQuery) {
+  const hasMore = rows.length > listQuery.limit;
+  const items = hasMore ? rows.slice(0, listQuery.limit) : rows;
+  const last = items[items.length - 1];
+  return {
+    items,
+    nextCursor:
+      hasMore && last
+        ? encodeCursor({
+            id: String(last.id),
+            sort: listQuery.sort,
+            order: listQuery.order,
+          })
+        : null,
+  };
+}
+
+module.exports = {
+  parseListQuery,
+  buildListClauses,
+  toPage,
+  encodeCursor,
+  decodeCursor,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+};
@@ -1,16 +1,26 @@
 // Cloudflare R2 object storage helper (S3 compatible)
 /**
  * Provides thin wrappers around AWS SDK S3Client for R2 usage.
+ * Selected by utils/storage.js when config.storage.driver is 'r2' (or 's3').
  * Exported helpers:
  *  - putObject(key, body, contentType): Uploads bytes/Buffer.
+ *  - putObjectStream(key, stream, contentType): Multipart upload of a Readable (lib-storage Upload).
  *  - getObjectBytes(key): Downloads entire object into a Buffer.
+ *  - deleteObject(key): Removes an object (missing keys are not an error in S3 semantics).
+ *  - statObject(key): HEAD request returning { size, contentType }.
+ *  - getObjectStream(key, range?): Readable body, optionally limited to an inclusive byte range.
+ *  - getSignedDownloadUrl(key, opts): Short-lived presigned GET URL (R2 serves the bytes directly).
  * Lazily instantiates S3 client so tests can mock before first use.
  */
 const {
   S3Client,
   PutObjectCommand,
   GetObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
 } = require("@aws-sdk/client-s3");
+const { Upload } = require("@aws-sdk/lib-storage");
+const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
 const config = require("../config");
 
 if (
@@ -66,6 +76,29 @@ async function putObject(key, body, contentType) {
   return key;
 }
 
+async function putObjectStream(key, stream, contentType) {
+  /**
+   * putObjectStream
+   * Multipart upload straight from a Readable so request bodies never sit fully in memory.
+   * Parts are buffered 5MB at a time (S3 minimum part size); small files become a single PUT.
+   * @param {string} key Object key within bucket
+   * @param {import('stream').Readable} stream Content
+   * @param {string} contentType MIME type
+   * @returns {Promise<string>} key
+   */
+  const bucket = config.r2.bucket;
+  if (!bucket) throw new Error("R2 bucket not configured");
+  const upload = new Upload({
+    client: getClient(),
+    params: { Bucket: bucket, Key: key, Body: stream, ContentType: contentType },
+    queueSize: 2,
+    partSize: 5 * 1024 * 1024,
+    leavePartsOnError: false,
+  });
+  await upload.done();
+  return key;
+}
+
 async function getObjectBytes(key) {
   /**
    * getObjectBytes
@@ -86,4 +119,87 @@ async function getObjectBytes(key) {
   return Buffer.concat(chunks);
 }
 
-module.exports = { putObject, getObjectBytes };
+async function deleteObject(key) {
+  /**
+   * deleteObject
+   * Remove an object from the bucket.
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  const bucket = config.r2.bucket;
+  if (!bucket) throw new Error("R2 bucket not configured");
+  const client = getClient();
+  await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+}
+
+async function statObject(key) {
+  /**
+   * statObject
+   * @param {string} key
+   * @returns {Promise<{size:number, contentType:string|null}>}
+   */
+  const bucket = config.r2.bucket;
+  if (!bucket) throw new Error("R2 bucket not configured");
+  const client = getClient();
+  const resp = await client.send(
+    new HeadObjectCommand({ Bucket: bucket, Key: key })
+  );
+  return {
+    size: Number(resp.ContentLength || 0),
+    contentType: resp.ContentType || null,
+  };
+}
+
+async function getObjectStream(key, range) {
+  /**
+   * getObjectStream
+   * Stream object bytes without buffering (used by download endpoints).
+   * @param {string} key
+   * @param {{start:number,end:number}} [range] Inclusive byte range
+   * @returns {Promise<import('stream').Readable>}
+   */
+  const bucket = config.r2.bucket;
+  if (!bucket) throw new Error("R2 bucket not configured");
+  const client = getClient();
+  const resp = await client.send(
+    new GetObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      Range: range ? `bytes=${range.start}-${range.end}` : undefined,
+    })
+  );
+  return resp.Body;
+}
+
+async function getSignedDownloadUrl(key, { expiresIn, filename, contentType }) {
+  /**
+   * getSignedDownloadUrl
+   * Presign a GET so the client downloads straight from R2 with the original filename/MIME type.
+   * @param {string} key
+   * @param {{expiresIn:number, filename?:string, contentType?:string}} opts expiresIn in seconds
+   * @returns {Promise<string>} URL
+   */
+  const bucket = config.r2.bucket;
+  if (!bucket) throw new Error("R2 bucket not configured");
+  const client = getClient();
+  const cmd = new GetObjectCommand({
+    Bucket: bucket,
+    Key: key,
+    ResponseContentType: contentType || undefined,
+    ResponseContentDisposition: filename
+      ? `attachment; filename*=UTF-8''${encodeURIComponent(filename)}`
+      : undefined,
+  });
+  return getSignedUrl(client, cmd, { expiresIn });
+}
+
+module.exports = {
+  name: "r2",
+  putObject,
+  putObjectStream,
+  getObjectBytes,
+  deleteObject,
+  statObject,
+  getObjectStream,
+  getSignedDownloadUrl,
+};
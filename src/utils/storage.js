@@ -1,13 +1,83 @@
-// Storage helper: centralises disk layout used by uploads and workers.\n
+// Storage helper: single object storage interface backed by a pluggable driver (r2 | local | memory).
+/**
+ * Controllers and workers import putObject/getObjectBytes from here instead of a concrete
+ * backend. The driver is chosen once from config.storage.driver:
+ *  - 'r2' / 's3' -> utils/r2-storage (Cloudflare R2 or any S3-compatible endpoint)
+ *  - 'local'     -> utils/local-storage (files beneath config.storage.localRoot)
+ *  - 'memory'    -> utils/memory-storage (process-local Map; tests)
+ * Driver contract: { name, putObject(key, body, contentType), putObjectStream(key, stream, contentType),
+ *                   getObjectBytes(key), deleteObject(key),
+ *                   statObject(key), getObjectStream(key, range?), getSignedDownloadUrl?(key, opts) }
+ * getSignedDownloadUrl is optional; only drivers that can hand out direct URLs (R2/S3) implement it.
+ */
 const fs = require('fs');
 const path = require('path');
+const config = require('../config');
 
-const storageRoot = path.join(process.cwd(), 'storage');
+const storageRoot = config.storage.localRoot;
 const tempDir = path.join(storageRoot, 'tmp');
 const resumesDir = path.join(storageRoot, 'resumes');
 const jobsDir = path.join(storageRoot, 'jobs');
 
+// Lazy loaders so the AWS SDK is only required when the R2 driver is actually selected.
+const DRIVERS = {
+  r2: () => require('./r2-storage'),
+  s3: () => require('./r2-storage'),
+  local: () => require('./local-storage'),
+  memory: () => require('./memory-storage'),
+};
+
+let activeDriver = null;
+
+function getStorageDriver() { // Resolve + cache the configured driver on first use.
+  if (!activeDriver) {
+    const loader = DRIVERS[config.storage.driver];
+    if (!loader) {
+      throw new Error(`Unknown STORAGE_DRIVER '${config.storage.driver}' (expected r2|local|memory)`);
+    }
+    activeDriver = loader();
+  }
+  return activeDriver;
+}
+
+function setStorageDriver(driver) { // Override (or reset with null) the active driver; used by tests.
+  activeDriver = driver;
+}
+
+function putObject(key, body, contentType) {
+  return getStorageDriver().putObject(key, body, contentType);
+}
+
+function putObjectStream(key, stream, contentType) {
+  return getStorageDriver().putObjectStream(key, stream, contentType);
+}
+
+function getObjectBytes(key) {
+  return getStorageDriver().getObjectBytes(key);
+}
+
+function deleteObject(key) {
+  return getStorageDriver().deleteObject(key);
+}
+
+function statObject(key) {
+  return getStorageDriver().statObject(key);
+}
+
+function getObjectStream(key, range) {
+  return getStorageDriver().getObjectStream(key, range);
+}
+
+function supportsSignedUrls() {
+  return typeof getStorageDriver().getSignedDownloadUrl === 'function';
+}
+
+function getSignedDownloadUrl(key, opts) { // Callers should check supportsSignedUrls() first.
+  return getStorageDriver().getSignedDownloadUrl(key, opts);
+}
+
 function ensureStorageStructure() { // Create directories lazily so local dev has zero setup.
+  if (config.storage.driver !== 'local') return; // Remote/in-memory drivers need no disk layout.
   [storageRoot, tempDir, resumesDir, jobsDir].forEach((dirPath) => {
     if (!fs.existsSync(dirPath)) {
       fs.mkdirSync(dirPath, { recursive: true });
@@ -15,7 +85,7 @@ function ensureStorageStructure() { // Create directories lazily so local dev ha
   });
 }
 
-function getResumePath(resumeId, ext) { // Used by uploads + workers to derive permanent storage paths.
+function getResumePath(resumeId, ext) { // Local-driver path for a resume object (resumes/<id><ext>).
   return path.join(resumesDir, `${resumeId}${ext}`);
 }
 
@@ -23,15 +93,24 @@ function getJobPath(jobId, ext) { // Mirrors resume storage for job descriptions
   return path.join(jobsDir, `${jobId}${ext}`);
 }
 
-function getTempDir() { // Multer temp directory; ensure structure exists before returning.
-  ensureStorageStructure();
+function getTempDir() { // Multer temp directory; ensure it exists before returning (any driver).
+  fs.mkdirSync(tempDir, { recursive: true });
   return tempDir;
 }
 
 module.exports = {
+  getStorageDriver,
+  setStorageDriver,
+  putObject,
+  putObjectStream,
+  getObjectBytes,
+  deleteObject,
+  statObject,
+  getObjectStream,
+  supportsSignedUrls,
+  getSignedDownloadUrl,
   ensureStorageStructure,
   getResumePath,
   getJobPath,
   getTempDir,
 };
-
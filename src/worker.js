@@ -0,0 +1,12 @@
+// Standalone worker entrypoint (npm run worker): queue consumers only, no HTTP server.
+// Scale these independently of the API; see start-worker.js.
+const { startWorkerProcess } = require("./start-worker");
+const { installSignalHandlers } = require("./shutdown");
+
+startWorkerProcess()
+  .then(({ shutdown }) => installSignalHandlers(shutdown))
+  .catch((e) => {
+    // eslint-disable-next-line no-console
+    console.error("Fatal", e);
+    process.exit(1);
+  });
@@ -1,30 +1,290 @@
 const axios = require("axios");
-const fs = require("fs");
-const { query } = require("./db");
+const { Readable } = require("stream");
+const FormData = require("form-data");
+const { query, withTransaction } = require("./db");
 const config = require("./config");
 const { log, error } = require("./utils/logger");
-const { getObjectBytes } = require("./utils/r2-storage");
+const { bus } = require("./events/bus");
+const {
+  getObjectStream,
+  statObject,
+  supportsSignedUrls,
+  getSignedDownloadUrl,
+} = require("./utils/storage");
 const {
   updateResumeStatus,
+  updateResumeAttempts,
   replaceResumeSkills,
 } = require("./services/resume-service");
 const {
   updateJobStatus,
+  updateJobAttempts,
   replaceJobRequirements,
   replaceJobSoftSkills,
 } = require("./services/job-service");
+const { indexJob, indexResume } = require("./services/search-service");
 const {
+  createMatchJob,
   updateMatchJobStatus,
+  updateMatchJobAttempts,
   insertMatchResult,
   attachResult,
+  listRematchPairs,
 } = require("./services/match-service");
+const {
+  loadMatchInputs,
+  fingerprintMatchInputs,
+  findCachedMatch,
+  reuseCachedMatch,
+} = require("./services/match-cache-service");
+const { isInvalidTransition } = require("./services/lifecycle-service");
+const { refundAnnualUsage } = require("./services/user-service");
+const { runMatchEngine } = require("./services/match-engine");
+const {
+  applyPreferenceDefaults,
+  resolveMatchPreferences,
+} = require("./services/match-preference-service");
+
+/**
+ * PROGRESS_STEPS
+ * Step name -> percent reported to clients. Each step is reported when its work starts; the single Python
+ * call does text and skill extraction together, so parses report it as one 'parsing' step.
+ */
+const PROGRESS_STEPS = {
+  downloading: 10,
+  "loading inputs": 10,
+  parsing: 30,
+  "computing similarity": 40,
+  persisting: 85,
+  done: 100,
+};
+
+/**
+ * reportProgress
+ * Records step-level progress on the BullMQ job (job.updateProgress) and emits `<entity>.progress`
+ * on the bus; realtime.js forwards it to the owner's room as `<entity>:progress`.
+ * Progress is best effort: failures are logged and never fail the job.
+ * @param {import('bullmq').Job} job
+ * @param {'resume'|'job'|'match'} entity
+ * @param {string} id Resume / job description / match job id
+ * @param {keyof PROGRESS_STEPS} step
+ */
+async function reportProgress(job, entity, id, step) {
+  const progress = { step, percent: PROGRESS_STEPS[step] };
+  try {
+    await job.updateProgress(progress);
+  } catch (e) {
+    error(`Failed to record ${entity} progress for ${id}`, e);
+  }
+  try {
+    bus.emit(`${entity}.progress`, {
+      id,
+      userId: job.data.userId || null,
+      ...progress,
+      ts: Date.now(),
+    });
+  } catch (_) {}
+}
+
+/**
+ * isFinalAttempt
+ * True when the running attempt is the last one BullMQ will make (attemptsMade counts earlier failures).
+ * Entities only flip to error/failed on the final attempt; earlier failures go back to 'queued' for retry.
+ * @param {import('bullmq').Job} job
+ * @returns {boolean}
+ */
+function isFinalAttempt(job) {
+  return job.attemptsMade + 1 >= ((job.opts && job.opts.attempts) || 1);
+}
+
+/**
+ * startAttempt
+ * Moves the entity to its in-flight status via `mark`. When the lifecycle rejects the move (e.g. a late
+ * retry or stalled re-run of an entity that is already ready / completed) the job is skipped instead of
+ * overwriting the finished result.
+ * @param {'resume'|'job'|'match'} entity
+ * @param {string} id
+ * @param {() => Promise<void>} mark Status update for the attempt
+ * @returns {Promise<boolean>} false when the attempt should be skipped
+ */
+async function startAttempt(entity, id, mark) {
+  try {
+    await mark();
+    return true;
+  } catch (err) {
+    if (!isInvalidTransition(err)) throw err;
+    log(`Skipping ${entity} ${id}: ${err.message}`);
+    return false;
+  }
+}
+
+/**
+ * enqueueRematches
+ * After a reparse with job.data.rematch, queues computeMatch for every pair whose match is now stale
+ * (see match-service listRematchPairs). Automatic re-matches do not count against the annual limit.
+ * The parse has already committed, so failures are logged rather than failing (and re-running) the parse.
+ * @param {{resumeId?:string, jobId?:string}} source Re-parsed resume or job
+ * @returns {Promise<number>} Match jobs queued
+ */
+async function enqueueRematches(source) {
+  // Required lazily: queues.js loads this module to bind the processors.
+  const { queues } = require("./queues");
+  try {
+    const pairs = await listRematchPairs(source);
+    for (const pair of pairs) {
+      const { id: matchJobId } = await createMatchJob({
+        userId: pair.user_id,
+        resumeId: pair.resume_id,
+        jobId: pair.job_id,
+      });
+      await queues.computeMatch.add("computeMatch", {
+        matchJobId,
+        resumeId: pair.resume_id,
+        jobId: pair.job_id,
+        userId: pair.user_id,
+      });
+    }
+    if (pairs.length) log(`Queued ${pairs.length} re-match(es)`, source);
+    return pairs.length;
+  } catch (e) {
+    error("Failed to queue re-matches", e);
+    return 0;
+  }
+}
+
+/**
+ * attemptFailure
+ * Prefers the timeout reason over axios' generic "canceled" error when the attempt was aborted.
+ * @param {Error} err Caught error
+ * @param {AbortSignal} [signal] Per-attempt signal from queues.withTimeout
+ * @returns {Error}
+ */
+function attemptFailure(err, signal) {
+  return signal && signal.aborted && signal.reason instanceof Error
+    ? signal.reason
+    : err;
+}
+
+/**
+ * base64JsonBody
+ * Streams `{ ...fields, "content_b64": "<base64 of the object>" }` as it reads the object, so neither the file nor
+ * its encoding is ever held in memory. Bytes that do not fill a 3-byte base64 quantum carry over to the next chunk.
+ * @param {object} fields JSON members sent before content_b64
+ * @param {import('stream').Readable} source Object stream
+ * @param {number} size Object size in bytes
+ * @returns {{body: import('stream').Readable, length: number}} Body and its exact Content-Length
+ */
+function base64JsonBody(fields, source, size) {
+  const members = JSON.stringify(fields).slice(1, -1);
+  const head = `{${members}${members ? "," : ""}"content_b64":"`;
+  const tail = '"}';
+  async function* chunks() {
+    yield Buffer.from(head);
+    let carry = Buffer.alloc(0);
+    for await (const chunk of source) {
+      const bytes = carry.length ? Buffer.concat([carry, chunk]) : chunk;
+      const whole = bytes.length - (bytes.length % 3);
+      if (whole) yield Buffer.from(bytes.subarray(0, whole).toString("base64"));
+      carry = bytes.subarray(whole);
+    }
+    if (carry.length) yield Buffer.from(carry.toString("base64"));
+    yield Buffer.from(tail);
+  }
+  return {
+    body: Readable.from(chunks(), { objectMode: false }),
+    length:
+      Buffer.byteLength(head) +
+      Math.ceil(size / 3) * 4 +
+      Buffer.byteLength(tail),
+  };
+}
 
 /**
- * MATCH_THRESHOLD
- * Similarity cutoff (0..1). A requirement with similarity >= threshold is considered matched.
- * Must remain consistent with Python match engine configuration.
+ * postStoredFile
+ * Sends a stored upload to a Python parse endpoint, streaming it from storage so worker memory stays flat
+ * whatever the file size. Transport is chosen by config.pythonFileTransport:
+ *  - 'base64' (default): JSON { content_b64, ... }, the payload the current parser accepts; the encoding is
+ *    streamed (base64JsonBody), never buffered
+ *  - 'multipart': streams the object as multipart/form-data (part 'file' + metadata fields); opt-in
+ *  - 'reference': JSON { file_url, filename, mime_type, ... } with a short-lived presigned URL
+ *                 so Python downloads directly (falls back to multipart when the driver cannot presign); opt-in
+ * @param {string} endpoint Path on the Python service (e.g. '/parse/resume')
+ * @param {object} opts
+ * @param {string} opts.storagePath Object key
+ * @param {string} opts.filename Original filename
+ * @param {string} opts.mimeType MIME type
+ * @param {object} [opts.fields] Extra metadata fields (e.g. title); null/undefined values omitted
+ * @param {AbortSignal} [opts.signal] Aborts the request (per-attempt job timeout)
+ * @param {() => Promise<void>} [opts.onSend] Awaited once the file is at hand, right before the request to Python
+ * @returns {Promise<import('axios').AxiosResponse>}
  */
-const MATCH_THRESHOLD = 0.5; // Keep in sync with python worker default.
+async function postStoredFile(
+  endpoint,
+  {
+    storagePath,
+    filename,
+    mimeType,
+    fields = {},
+    signal,
+    onSend = async () => {},
+  }
+) {
+  const url = `${config.pythonServiceUrl}${endpoint}`;
+  const transport = config.pythonFileTransport;
+
+  if (transport === "base64") {
+    const { size } = await statObject(storagePath);
+    const { body, length } = base64JsonBody(
+      { filename, mime_type: mimeType, ...fields },
+      await getObjectStream(storagePath),
+      size
+    );
+    await onSend();
+    return axios.post(url, body, {
+      headers: { "Content-Type": "application/json", "Content-Length": length },
+      maxBodyLength: Infinity,
+      signal,
+    });
+  }
+
+  if (transport === "reference" && supportsSignedUrls()) {
+    const fileUrl = await getSignedDownloadUrl(storagePath, {
+      expiresIn: config.storage.presignTtlSeconds,
+      filename,
+      contentType: mimeType,
+    });
+    await onSend();
+    return axios.post(
+      url,
+      {
+        filename,
+        mime_type: mimeType,
+        file_url: fileUrl,
+        ...fields,
+      },
+      { signal }
+    );
+  }
+
+  const { size } = await statObject(storagePath);
+  const form = new FormData();
+  form.append("filename", filename || "");
+  form.append("mime_type", mimeType || "application/octet-stream");
+  Object.entries(fields).forEach(([name, value]) => {
+    if (value !== null && value !== undefined) form.append(name, String(value));
+  });
+  form.append("file", await getObjectStream(storagePath), {
+    filename: filename || storagePath.split("/").pop(),
+    contentType: mimeType || "application/octet-stream",
+    knownLength: size, // Lets form-data compute Content-Length without buffering the stream.
+  });
+  await onSend();
+  return axios.post(url, form, {
+    headers: { ...form.getHeaders(), "Content-Length": form.getLengthSync() },
+    maxBodyLength: Infinity,
+    signal,
+  });
+}
 
 /**
  * extractTopLines
@@ -67,11 +327,12 @@ function buildCandidateSummary(parsedSummary, skillsRows) {
  * formatRequirements
  * Transforms Python match detail rows into enriched requirement objects adding comments and boolean flags.
  * @param {Array} details Raw detail objects from Python service (fields: requirement, similarity, importance, matched_skill, inferred)
+ * @param {number} threshold Similarity at which a requirement counts as matched (user's match preferences)
  * @returns {Array} Enriched requirement objects for API consumption
  */
-function formatRequirements(details) {
+function formatRequirements(details, threshold) {
   return (details || []).map((detail) => {
-    const matched = detail.similarity >= MATCH_THRESHOLD;
+    const matched = detail.similarity >= threshold;
     const matchedSkill = detail.matched_skill;
     const comment = matched
       ? matchedSkill
@@ -115,28 +376,37 @@ function summarizeWeaknesses(gaps) {
 /**
  * processParseResume
  * BullMQ processor for 'parseResume'.
- * Input job.data: { resumeId, storagePath, filename, mimeType, userId }
- * Steps: mark processing -> fetch bytes -> call Python /parse/resume -> persist skills & summary -> mark ready
- * On failure: mark error and rethrow to have BullMQ record failure.
+ * Input job.data: { resumeId, storagePath, filename, mimeType, userId, reparse?, rematch? }
+ * Steps: mark processing (job skipped if the lifecycle rejects it, e.g. already ready) -> stream stored file to Python /parse/resume -> persist skills & summary -> mark ready
+ * Progress: downloading -> parsing (Python call) -> persisting -> done
+ * On failure: back to 'queued' while retries remain, 'failed' on the final attempt; rethrow so BullMQ retries / records failure.
+ * Reparse (job.data.reparse): parsed_summary + skills are only replaced on success; a failed final attempt
+ * returns the resume to 'ready' with its previous snapshot. With rematch, stale matches are re-queued on success.
  * @param {import('bullmq').Job} job
+ * @param {AbortSignal} [signal] Fires when the attempt exceeds its configured timeout
  * @returns {Promise<void>}
  */
-async function processParseResume(job) {
+async function processParseResume(job, signal) {
   const { resumeId, storagePath, filename, mimeType, userId } = job.data;
   log("Processing resume", resumeId); // Helpful for tracing job progress during debugging.
-  await updateResumeStatus(resumeId, "processing"); // Mark job early so API shows running status.
-  const fileBytes = await getObjectBytes(storagePath); // Read from R2
-  const payload = {
-    filename,
-    mime_type: mimeType,
-    content_b64: fileBytes.toString("base64"),
-  };
+  const attempt = job.attemptsMade + 1;
+  const started = await startAttempt("resume", resumeId, () =>
+    updateResumeStatus(resumeId, "processing", undefined, {
+      reason: `attempt ${attempt} started`,
+    })
+  ); // Mark job early so API shows running status.
+  if (!started) return;
+  await updateResumeAttempts(resumeId, attempt);
 
   try {
-    const resp = await axios.post(
-      `${config.pythonServiceUrl}/parse/resume`,
-      payload
-    ); // FastAPI returns structured sections + skills.
+    await reportProgress(job, "resume", resumeId, "downloading");
+    const resp = await postStoredFile("/parse/resume", {
+      storagePath,
+      filename,
+      mimeType,
+      signal,
+      onSend: () => reportProgress(job, "resume", resumeId, "parsing"),
+    }); // File streamed from storage; FastAPI returns structured sections + skills.
     const data = resp.data || {};
     const skills = data.skills || [];
     const summary = {
@@ -145,47 +415,90 @@ async function processParseResume(job) {
       statistics:
         data.statistics || (data.summary && data.summary.statistics) || {},
     };
-    await replaceResumeSkills(resumeId, skills); // Replace instead of append to keep parse idempotent.
-    await updateResumeStatus(resumeId, "ready", summary);
+    await reportProgress(job, "resume", resumeId, "persisting");
+    // Skills + ready status commit together so readers never see a partial skill set.
+    await withTransaction(async (tx) => {
+      await replaceResumeSkills(resumeId, skills, tx); // Replace instead of append to keep parse idempotent.
+      await updateResumeStatus(resumeId, "ready", summary, {
+        tx,
+        reason: "parsed",
+      });
+      await indexResume(resumeId, tx); // Search terms follow the fresh skill set.
+    });
+    if (job.data.rematch) await enqueueRematches({ resumeId });
+    await reportProgress(job, "resume", resumeId, "done");
   } catch (err) {
-    error("Failed to parse resume", err);
-    await updateResumeStatus(resumeId, "error", { message: err.message }); // Surface failure reason to API consumers.
-    throw err;
+    const failure = attemptFailure(err, signal);
+    error("Failed to parse resume", failure);
+    if (!isFinalAttempt(job)) {
+      await updateResumeStatus(resumeId, "queued", undefined, {
+        reason: `retrying: ${failure.message}`,
+      }); // BullMQ retries after backoff.
+    } else if (job.data.reparse) {
+      // Reparse of a ready resume: the previous snapshot stays authoritative.
+      await updateResumeStatus(resumeId, "ready", undefined, {
+        reason: `reparse failed, kept previous parse: ${failure.message}`,
+      });
+    } else {
+      await updateResumeStatus(
+        resumeId,
+        "failed",
+        { message: failure.message }, // Surface failure reason to API consumers.
+        { reason: failure.message }
+      );
+    }
+    throw failure;
   }
 }
 
 /**
  * processParseJob
  * BullMQ processor for 'parseJob'.
- * Input job.data: { jobId, source:"file"|"text", storagePath?, filename?, mimeType, rawText?, userId }
- * Steps: mark processing -> build payload -> call Python /parse/job -> persist requirements & summary -> mark ready
- * Failure path marks status 'error'.
+ * Input job.data: { jobId, source:"file"|"text", storagePath?, filename?, mimeType, rawText?, userId, reparse?, rematch? }
+ * Steps: mark processing (job skipped if the lifecycle rejects it) -> stream stored file (or send raw text) to Python /parse/job -> persist requirements & summary -> mark ready
+ * Progress: [downloading (file source)] -> parsing (Python call) -> persisting -> done
+ * Failure path: back to 'queued' while retries remain, 'failed' on the final attempt ('ready' with the
+ * previous snapshot when reparsing a ready job). With rematch, stale matches are re-queued on success.
  * @param {import('bullmq').Job} job
+ * @param {AbortSignal} [signal] Fires when the attempt exceeds its configured timeout
  * @returns {Promise<void>}
  */
-async function processParseJob(job) {
+async function processParseJob(job, signal) {
   const { jobId, source, storagePath, filename, mimeType, rawText, title } =
     job.data;
   log("Processing job description", jobId);
-  await updateJobStatus(jobId, "processing"); // Keeps UI aware parsing is underway.
-  let payload;
-  if (source === "file") {
-    const fileBytes = await getObjectBytes(storagePath); // Read from R2
-    payload = {
-      filename,
-      mime_type: mimeType,
-      content_b64: fileBytes.toString("base64"),
-      title: title || null,
-    };
-  } else {
-    payload = { text: rawText || "", title: title || null }; // Text submissions skip file IO.
-  }
+  const attempt = job.attemptsMade + 1;
+  const started = await startAttempt("job", jobId, () =>
+    updateJobStatus(jobId, "processing", undefined, {
+      reason: `attempt ${attempt} started`,
+    })
+  ); // Keeps UI aware parsing is underway.
+  if (!started) return;
+  await updateJobAttempts(jobId, attempt);
 
   try {
-    const resp = await axios.post(
-      `${config.pythonServiceUrl}/parse/job`,
-      payload
-    );
+    if (source === "file")
+      await reportProgress(job, "job", jobId, "downloading");
+    const parsing = () => reportProgress(job, "job", jobId, "parsing");
+    let resp;
+    if (source === "file") {
+      resp = await postStoredFile("/parse/job", {
+        storagePath,
+        filename,
+        mimeType,
+        fields: { title: title || null },
+        signal,
+        onSend: parsing,
+      });
+    } else {
+      // Text submissions skip file IO.
+      await parsing();
+      resp = await axios.post(
+        `${config.pythonServiceUrl}/parse/job`,
+        { text: rawText || "", title: title || null },
+        { signal }
+      );
+    }
     const data = resp.data || {};
     let requirements = data.requirements || [];
     const softSkills = data.soft_skills || [];
@@ -198,19 +511,8 @@ async function processParseJob(job) {
       } softSkills=${softSkills.length}`
     );
 
-    // Business rule: drop low-importance inferred requirements below configurable threshold.
-    // Env variable JOB_INFERRED_MIN_IMPORTANCE can be specified as 0-1 or 0-100. Default 0.7.
-    const rawThreshold =
-      process.env.JOB_INFERRED_MIN_IMPORTANCE ||
-      process.env.JOB_INFERRED_THRESHOLD;
-    let inferredThreshold = 0.7;
-    if (rawThreshold) {
-      const num = parseFloat(rawThreshold);
-      if (!isNaN(num) && num > 0) {
-        inferredThreshold = num > 1 ? num / 100 : num; // interpret >1 as percentage 0-100
-        inferredThreshold = Math.min(Math.max(inferredThreshold, 0), 1);
-      }
-    }
+    // Business rule: drop unscored inferred requirements. The minimum importance of the rest is a match
+    // preference (inferredMinImportance) applied when matching, so it can change without a reparse.
     if (Array.isArray(requirements) && requirements.length) {
       requirements = requirements.filter((r) => {
         if (!r) return false;
@@ -220,10 +522,7 @@ async function processParseJob(job) {
             : r.weight !== undefined
             ? Number(r.weight)
             : null;
-        if (r.inferred) {
-          if (importance === null) return false; // drop unscored inferred
-          return importance >= inferredThreshold;
-        }
+        if (r.inferred) return importance !== null; // drop unscored inferred
         return true; // always keep explicit
       });
     }
@@ -232,7 +531,7 @@ async function processParseJob(job) {
         requirements.length
       } explicit=${requirements.filter((r) => !r.inferred).length} inferred=${
         requirements.filter((r) => r.inferred).length
-      } threshold=${inferredThreshold}`
+      }`
     );
     // Recompute highlights after filtering so UI only receives surviving top requirements.
     const summary = {
@@ -243,22 +542,26 @@ async function processParseJob(job) {
       onet: data.onet || null,
       soft_skills_count: Array.isArray(softSkills) ? softSkills.length : 0,
     };
-    await replaceJobRequirements(jobId, requirements); // Overwrite previous requirements for deterministic results.
-    if (softSkills.length) {
-      await replaceJobSoftSkills(
-        jobId,
-        softSkills.map((s) => ({
-          skill: s.skill || s.name,
-          value: s.value !== undefined ? s.value : s.importance || null,
-        }))
-      );
-      log(`processParseJob: persisted softSkills=${softSkills.length}`);
-    } else {
-      // Clear existing if none returned (idempotent reparse) - rely on service function delete call.
-      await replaceJobSoftSkills(jobId, []);
-      log("processParseJob: no softSkills returned; cleared existing");
-    }
-    await updateJobStatus(jobId, "ready", summary);
+    const normalizedSoftSkills = softSkills.map((s) => ({
+      skill: s.skill || s.name,
+      value: s.value !== undefined ? s.value : s.importance || null,
+    }));
+    await reportProgress(job, "job", jobId, "persisting");
+    // Requirements, soft skills and ready status commit atomically (matches never read a half-written job).
+    await withTransaction(async (tx) => {
+      await replaceJobRequirements(jobId, requirements, tx); // Overwrite previous requirements for deterministic results.
+      // Empty list clears existing soft skills (idempotent reparse).
+      await replaceJobSoftSkills(jobId, normalizedSoftSkills, tx);
+      await updateJobStatus(jobId, "ready", summary, { tx, reason: "parsed" });
+      await indexJob(jobId, tx); // Search terms follow the fresh requirements.
+    });
+    if (job.data.rematch) await enqueueRematches({ jobId });
+    await reportProgress(job, "job", jobId, "done");
+    log(
+      softSkills.length
+        ? `processParseJob: persisted softSkills=${softSkills.length}`
+        : "processParseJob: no softSkills returned; cleared existing"
+    );
     log(
       `processParseJob: job ${jobId} marked ready with summary explicit=${
         requirements.filter((r) => !r.inferred).length
@@ -267,68 +570,95 @@ async function processParseJob(job) {
       }`
     );
   } catch (err) {
-    error("Failed to parse job", err);
-    await updateJobStatus(jobId, "error", { message: err.message }); // Allows front-end to display validation guidance.
-    throw err;
+    const failure = attemptFailure(err, signal);
+    error("Failed to parse job", failure);
+    if (!isFinalAttempt(job)) {
+      await updateJobStatus(jobId, "queued", undefined, {
+        reason: `retrying: ${failure.message}`,
+      }); // BullMQ retries after backoff.
+    } else if (job.data.reparse) {
+      // Reparse of a ready job: the previous snapshot stays authoritative.
+      await updateJobStatus(jobId, "ready", undefined, {
+        reason: `reparse failed, kept previous parse: ${failure.message}`,
+      });
+    } else {
+      await updateJobStatus(
+        jobId,
+        "failed",
+        { message: failure.message }, // Allows front-end to display validation guidance.
+        { reason: failure.message }
+      );
+    }
+    throw failure;
   }
 }
 
 /**
  * processComputeMatch
  * BullMQ processor for 'computeMatch'.
- * Input job.data: { matchJobId, resumeId, jobId, userId }
- * Steps: mark running -> fetch resume/job summaries + skills/requirements -> POST /match -> build match summary -> insert result -> attach
- * Failure: update match job status to 'failed'.
+ * Input job.data: { matchJobId, resumeId, jobId, userId, force?, preferences?, charged? }
+ *   preferences: the user's match preferences when the match was requested (resolved now when absent, e.g. re-matches)
+ *   charged: the request counted this match against annual usage; refunded when the worker finds a cached result
+ * Steps: mark running (job skipped if already completed) -> fetch resume/job summaries + skills/requirements shaped by
+ *   the preferences -> fingerprint
+ *   them (an earlier result for the pair with the same fingerprint is attached instead, unless force) -> score with
+ *   the match engine (Python /match, or the in-process engine per config.matchEngine.mode) -> build match summary
+ *   -> insert result (with fingerprint, engine + preferences) -> attach
+ * Progress: loading inputs -> computing similarity -> persisting -> done
+ * Failure: back to 'queued' (keeping the error message) while retries remain, 'failed' on the final attempt.
  * @param {import('bullmq').Job} job
+ * @param {AbortSignal} [signal] Fires when the attempt exceeds its configured timeout
  * @returns {Promise<void>}
  */
-async function processComputeMatch(job) {
+async function processComputeMatch(job, signal) {
   const { matchJobId, resumeId, jobId, userId } = job.data;
   log("Computing match", matchJobId);
-  await updateMatchJobStatus(matchJobId, "running");
+  const attempt = job.attemptsMade + 1;
+  const started = await startAttempt("match", matchJobId, () =>
+    updateMatchJobStatus(matchJobId, "running", null, {
+      reason: `attempt ${attempt} started`,
+    })
+  );
+  if (!started) return;
+  await updateMatchJobAttempts(matchJobId, attempt);
   try {
-    const resumeSummaryRes = await query(
-      "SELECT parsed_summary FROM resumes WHERE id = $1",
-      [resumeId]
-    );
-    const jobSummaryRes = await query(
-      "SELECT parsed_summary FROM job_descriptions WHERE id = $1",
-      [jobId]
-    );
-    const skillsRes = await query(
-      "SELECT skill, experience_years, proficiency FROM candidate_skills WHERE resume_id = $1",
-      [resumeId]
-    );
-    const reqRes = await query(
-      "SELECT skill, importance, inferred FROM requirements WHERE job_id = $1",
-      [jobId]
-    );
-
-    const resumeSummaryJson = resumeSummaryRes.rows[0]?.parsed_summary
-      ? JSON.parse(resumeSummaryRes.rows[0].parsed_summary)
-      : null;
-    const jobSummaryJson = jobSummaryRes.rows[0]?.parsed_summary
-      ? JSON.parse(jobSummaryRes.rows[0].parsed_summary)
-      : null;
-
-    const payload = {
-      candidate_skills: skillsRes.rows,
-      requirements: reqRes.rows.map((row) => ({
-        ...row,
-        importance:
-          row.importance !== null && row.importance !== undefined
-            ? Number(row.importance)
-            : null,
-        inferred: !!row.inferred,
-      })),
-    };
-    const resp = await axios.post(`${config.pythonServiceUrl}/match`, payload); // Python worker returns weighted similarity data.
-    const data = resp.data || {};
+    await reportProgress(job, "match", matchJobId, "loading inputs");
+    const preferences = job.data.preferences
+      ? applyPreferenceDefaults(job.data.preferences)
+      : await resolveMatchPreferences(userId);
+    const inputs = await loadMatchInputs(resumeId, jobId, preferences);
+    const { payload } = inputs;
+    const fingerprint = fingerprintMatchInputs(payload);
+    if (!job.data.force) {
+      const cachedId = await findCachedMatch({ resumeId, jobId, fingerprint });
+      if (cachedId) {
+        // Same inputs as an earlier result for this pair: reuse it instead of calling Python again.
+        await reuseCachedMatch(cachedId, inputs);
+        await attachResult(matchJobId, cachedId, {
+          reason: `cached result ${cachedId}`,
+        });
+        if (job.data.charged && userId) {
+          // Cache hits are free: give back the unit the request charged before its own lookup missed.
+          try {
+            await refundAnnualUsage(userId);
+          } catch (e) {
+            error(`Failed to refund annual usage for ${matchJobId}`, e);
+          }
+        }
+        await reportProgress(job, "match", matchJobId, "done");
+        return;
+      }
+    }
+    await reportProgress(job, "match", matchJobId, "computing similarity");
+    const { engine, data } = await runMatchEngine(payload, { signal }); // Python /match or the in-process engine (config.matchEngine).
     const pythonSummary = data.summary || {};
     const details = pythonSummary.details || [];
 
-    const candidate = buildCandidateSummary(resumeSummaryJson, skillsRes.rows);
-    const requirements = formatRequirements(details);
+    const candidate = buildCandidateSummary(
+      inputs.resumeSummary,
+      payload.candidate_skills
+    );
+    const requirements = formatRequirements(details, preferences.threshold);
     const strengths = summarizeStrengths(pythonSummary.strengths);
     const weaknesses = summarizeWeaknesses(pythonSummary.gaps);
 
@@ -341,25 +671,50 @@ async function processComputeMatch(job) {
       requirements,
       strengths,
       weaknesses,
-      job_highlights: jobSummaryJson?.highlights || null,
+      job_highlights: inputs.jobSummary?.highlights || null,
       raw_details: details,
     };
 
     const score = matchSummary.overall_match_score || 0;
 
+    await reportProgress(job, "match", matchJobId, "persisting");
     const matchId = await insertMatchResult({
       userId,
       resumeId,
       jobId,
       score,
       summary: matchSummary,
+      resumeVersion: inputs.resumeVersion,
+      jobVersion: inputs.jobVersion,
+      fingerprint,
+      engine,
+      preferences,
     });
     await attachResult(matchJobId, matchId); // Match job now points at persisted result row.
+    await reportProgress(job, "match", matchJobId, "done");
   } catch (err) {
-    error("Match computation failed", err);
-    await updateMatchJobStatus(matchJobId, "failed", err.message);
-    throw err;
+    const failure = attemptFailure(err, signal);
+    error("Match computation failed", failure);
+    const finalAttempt = isFinalAttempt(job);
+    await updateMatchJobStatus(
+      matchJobId,
+      finalAttempt ? "failed" : "queued",
+      failure.message,
+      {
+        reason: finalAttempt ? failure.message : `retrying: ${failure.message}`,
+      }
+    );
+    throw failure;
   }
 }
 
-module.exports = { processParseResume, processParseJob, processComputeMatch };
+module.exports = {
+  processParseResume,
+  processParseJob,
+  processComputeMatch,
+  isFinalAttempt,
+  postStoredFile,
+  reportProgress,
+  enqueueRematches,
+  PROGRESS_STEPS,
+};
@@ -1,2 +1,2 @@
--- Legacy schema copy (see active version in ../db/schema.sql)
+-- Legacy schema copy (superseded by the versioned migrations in ../db/migrations)
 -- Retained only for reference; not executed by current docker-compose setup.
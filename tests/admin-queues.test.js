@@ -0,0 +1,176 @@
+const request = require("supertest");
+
+jest.mock("../src/services/user-service", () => ({
+  ensureUser: jest.fn(),
+  getUserId: jest.fn(),
+  getUserRole: jest.fn(),
+}));
+
+jest.mock("../src/queues", () => {
+  const makeQueue = (name) => ({
+    name,
+    add: jest.fn(),
+    getJobCounts: jest.fn(async () => ({ waiting: 1, failed: 2 })),
+    isPaused: jest.fn(async () => false),
+    getFailed: jest.fn(async () => []),
+    getFailedCount: jest.fn(async () => 0),
+    getJob: jest.fn(async () => null),
+    pause: jest.fn(),
+    resume: jest.fn(),
+    drain: jest.fn(),
+  });
+  const queues = {
+    parseResume: makeQueue("parseResume"),
+    parseJob: makeQueue("parseJob"),
+    computeMatch: makeQueue("computeMatch"),
+  };
+  return { queues, startWorkers: jest.fn() };
+});
+
+const { buildApp } = require("../src/app");
+const userService = require("../src/services/user-service");
+const { queues } = require("../src/queues");
+
+const failedJob = (overrides = {}) => ({
+  id: "7",
+  name: "parseJob",
+  data: { jobId: "job-1" },
+  failedReason: "python timeout",
+  attemptsMade: 3,
+  opts: { attempts: 3 },
+  timestamp: Date.UTC(2024, 0, 1),
+  finishedOn: Date.UTC(2024, 0, 2),
+  getState: jest.fn(async () => "failed"),
+  retry: jest.fn(),
+  remove: jest.fn(),
+  ...overrides,
+});
+
+describe("Admin queue routes", () => {
+  let app;
+
+  beforeEach(() => {
+    app = buildApp();
+    userService.getUserRole.mockResolvedValue("admin");
+  });
+
+  it("rejects callers without the admin role", async () => {
+    userService.getUserRole.mockResolvedValue("user");
+    const res = await request(app).get("/api/v1/admin/queues");
+    expect(res.status).toBe(403);
+    expect(res.body).toHaveProperty("error", "forbidden");
+    expect(queues.parseJob.getJobCounts).not.toHaveBeenCalled();
+  });
+
+  it("lists counts and paused state per queue", async () => {
+    queues.computeMatch.isPaused.mockResolvedValue(true);
+    const res = await request(app).get("/api/v1/admin/queues");
+    expect(res.status).toBe(200);
+    expect(res.body.queues.map((q) => q.name)).toEqual([
+      "parseResume",
+      "parseJob",
+      "computeMatch",
+    ]);
+    expect(res.body.queues[2]).toEqual({
+      name: "computeMatch",
+      paused: true,
+      counts: { waiting: 1, failed: 2 },
+    });
+  });
+
+  it("pages through failed jobs with their reasons", async () => {
+    queues.parseJob.getFailed.mockResolvedValue([failedJob()]);
+    queues.parseJob.getFailedCount.mockResolvedValue(3);
+    const res = await request(app)
+      .get("/api/v1/admin/queues/parseJob/failed")
+      .query({ offset: "1", limit: "1" });
+    expect(res.status).toBe(200);
+    expect(queues.parseJob.getFailed).toHaveBeenCalledWith(1, 1);
+    expect(res.body).toMatchObject({ total: 3, nextOffset: 2 });
+    expect(res.body.items[0]).toMatchObject({
+      id: "7",
+      failedReason: "python timeout",
+      attemptsMade: 3,
+      maxAttempts: 3,
+      failedAt: "2024-01-02T00:00:00.000Z",
+    });
+    const bad = await request(app)
+      .get("/api/v1/admin/queues/parseJob/failed")
+      .query({ limit: "0" });
+    expect(bad.status).toBe(400);
+    expect(bad.body).toHaveProperty("error", "invalid_limit");
+  });
+
+  it("returns 404 for unknown queues and jobs", async () => {
+    const queue = await request(app).post("/api/v1/admin/queues/nope/pause");
+    expect(queue.status).toBe(404);
+    expect(queue.body).toHaveProperty("error", "queue_not_found");
+    const job = await request(app).post(
+      "/api/v1/admin/queues/parseJob/jobs/404/retry"
+    );
+    expect(job.status).toBe(404);
+    expect(job.body).toHaveProperty("error", "job_not_found");
+  });
+
+  it("retries failed jobs only", async () => {
+    const job = failedJob();
+    queues.parseJob.getJob.mockResolvedValue(job);
+    const res = await request(app).post(
+      "/api/v1/admin/queues/parseJob/jobs/7/retry"
+    );
+    expect(res.status).toBe(202);
+    expect(res.body).toEqual({ id: "7", state: "waiting" });
+    expect(job.retry).toHaveBeenCalledWith("failed");
+
+    job.getState.mockResolvedValue("completed");
+    const conflict = await request(app).post(
+      "/api/v1/admin/queues/parseJob/jobs/7/retry"
+    );
+    expect(conflict.status).toBe(409);
+    expect(conflict.body).toEqual({
+      error: "job_not_failed",
+      state: "completed",
+    });
+  });
+
+  it("removes jobs unless they are active", async () => {
+    const job = failedJob();
+    queues.parseResume.getJob.mockResolvedValue(job);
+    const res = await request(app).delete(
+      "/api/v1/admin/queues/parseResume/jobs/7"
+    );
+    expect(res.status).toBe(204);
+    expect(job.remove).toHaveBeenCalled();
+
+    job.getState.mockResolvedValue("active");
+    const conflict = await request(app).delete(
+      "/api/v1/admin/queues/parseResume/jobs/7"
+    );
+    expect(conflict.status).toBe(409);
+    expect(conflict.body).toHaveProperty("error", "job_active");
+  });
+
+  it("pauses, resumes and drains a queue", async () => {
+    const paused = await request(app).post(
+      "/api/v1/admin/queues/computeMatch/pause"
+    );
+    expect(paused.body).toEqual({ name: "computeMatch", paused: true });
+    expect(queues.computeMatch.pause).toHaveBeenCalled();
+    const resumed = await request(app).post(
+      "/api/v1/admin/queues/computeMatch/resume"
+    );
+    expect(resumed.body).toEqual({ name: "computeMatch", paused: false });
+    expect(queues.computeMatch.resume).toHaveBeenCalled();
+
+    queues.parseJob.getJobCounts.mockResolvedValue({
+      waiting: 4,
+      prioritized: 0,
+      delayed: 2,
+    });
+    const drained = await request(app)
+      .post("/api/v1/admin/queues/parseJob/drain")
+      .query({ delayed: "true" });
+    expect(drained.body).toEqual({ name: "parseJob", removed: 6 });
+    expect(queues.parseJob.drain).toHaveBeenCalledWith(true);
+  });
+});
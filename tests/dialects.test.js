@@ -0,0 +1,86 @@
+// SQL dialect tests: placeholder handling, idempotent insert SQL and Postgres transaction lifecycle.
+const path = require("path");
+const mssqlDialect = require("../src/dialects/mssql");
+const postgresDialect = require("../src/dialects/postgres");
+const { loadMigrations } = require("../src/migrate");
+
+const insertSpec = {
+  table: "resumes",
+  columns: ["id", "filename", "created_at"],
+  slots: ["$1", "$2", "NOW()"],
+  keyColumn: "id",
+  keySlot: "$1",
+};
+
+describe("SQL dialects", () => {
+  it("mssql rewrites $n placeholders without clobbering $1x", () => {
+    expect(mssqlDialect.transformQuery("SELECT $1, $10, $2", 10)).toBe(
+      "SELECT @p0, @p9, @p1"
+    );
+  });
+
+  it("builds idempotent inserts per dialect", () => {
+    expect(mssqlDialect.insertIfAbsentSql(insertSpec)).toMatch(
+      /^IF NOT EXISTS \(SELECT 1 FROM resumes WHERE id = \$1\)\s+INSERT INTO resumes/
+    );
+    expect(postgresDialect.insertIfAbsentSql(insertSpec)).toMatch(
+      /VALUES \(\$1,\$2,NOW\(\)\)\s+ON CONFLICT \(id\) DO NOTHING$/
+    );
+  });
+
+  it("locks the selected row per dialect", () => {
+    const spec = { table: "resumes", columns: ["status"], where: "id = $1" };
+    expect(mssqlDialect.selectForUpdateSql(spec)).toBe(
+      "SELECT status FROM resumes WITH (UPDLOCK, ROWLOCK) WHERE id = $1"
+    );
+    expect(postgresDialect.selectForUpdateSql(spec)).toBe(
+      "SELECT status FROM resumes WHERE id = $1 FOR UPDATE"
+    );
+  });
+
+  it("postgres passes SQL through and wraps rows", async () => {
+    const pool = {
+      query: jest.fn(async () => ({ rows: [{ id: "r1" }], rowCount: 1 })),
+    };
+    const res = await postgresDialect.query(
+      pool,
+      "SELECT id FROM resumes WHERE id = $1",
+      ["r1"]
+    );
+    expect(pool.query).toHaveBeenCalledWith(
+      "SELECT id FROM resumes WHERE id = $1",
+      ["r1"]
+    );
+    expect(res).toEqual({ rows: [{ id: "r1" }], rowCount: 1 });
+  });
+
+  it("postgres transactions release the client exactly once", async () => {
+    const client = {
+      query: jest.fn(async (text) => {
+        if (text === "COMMIT") throw new Error("serialization_failure");
+        return { rows: [] };
+      }),
+      release: jest.fn(),
+    };
+    const pool = { connect: jest.fn(async () => client) };
+    const tx = await postgresDialect.begin(pool);
+    await tx.query("DELETE FROM requirements WHERE job_id = $1", ["j1"]);
+    await expect(tx.commit()).rejects.toThrow("serialization_failure");
+    await tx.rollback();
+    expect(client.query.mock.calls.map((c) => c[0])).toEqual([
+      "BEGIN",
+      "DELETE FROM requirements WHERE job_id = $1",
+      "COMMIT",
+      "ROLLBACK",
+    ]);
+    expect(client.release).toHaveBeenCalledTimes(1);
+  });
+
+  it("ships a postgres migration line with up + down scripts", () => {
+    const migrations = loadMigrations(
+      path.join(__dirname, "../db/migrations/postgres")
+    );
+    expect(migrations.length).toBeGreaterThan(0);
+    migrations.forEach((m) => expect(m.down).toBeTruthy());
+  });
+});
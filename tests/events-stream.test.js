@@ -0,0 +1,167 @@
+// Delivery hub + SSE endpoint tests: replay ordering, buffering during replay, GET /api/v1/events framing.
+const http = require("http");
+const { buildApp } = require("../src/app");
+const { createDeliveryHub, deliveryHub } = require("../src/events/delivery");
+const { formatEvent } = require("../src/controllers/events-controller");
+
+const entry = (id, event, payload) => [
+  id,
+  ["event", event, "payload", JSON.stringify(payload)],
+];
+
+describe("Delivery hub", () => {
+  it("replays missed events, then flushes deliveries that raced the replay", async () => {
+    let releaseRead;
+    const hub = createDeliveryHub();
+    hub.useEventLog({
+      xrange: jest
+        .fn()
+        .mockResolvedValueOnce([entry("1-0", "job:update", {})])
+        .mockImplementationOnce(
+          () =>
+            new Promise((resolve) => {
+              releaseRead = () =>
+                resolve([
+                  entry("2-0", "match:update", { id: "m1", status: "running" }),
+                  entry("3-0", "match:update", {
+                    id: "m1",
+                    status: "completed",
+                  }),
+                ]);
+            })
+        ),
+    });
+    const sent = [];
+    const connected = hub.connect("auth0|u1", "1-0", (event, payload, id) =>
+      sent.push([event, payload, id])
+    );
+    await new Promise(setImmediate);
+    // Published while the log was being read: 3-0 is also in the replay, 4-0 is not.
+    hub.dispatch({
+      sub: "auth0|u1",
+      event: "match:update",
+      payload: { id: "m1", status: "completed", eventId: "3-0" },
+      id: "3-0",
+    });
+    hub.dispatch({
+      sub: "auth0|u1",
+      event: "job:progress",
+      payload: { id: "j2", step: "persisting" },
+      id: null,
+    });
+    hub.dispatch({
+      sub: "auth0|u1",
+      event: "job:update",
+      payload: { id: "j2", status: "ready", eventId: "4-0" },
+      id: "4-0",
+    });
+    releaseRead();
+    const { replay } = await connected;
+    expect(sent).toEqual([
+      ["match:update", { id: "m1", status: "running", eventId: "2-0" }, "2-0"],
+      [
+        "match:update",
+        { id: "m1", status: "completed", eventId: "3-0" },
+        "3-0",
+      ],
+      ["job:progress", { id: "j2", step: "persisting" }, null],
+      ["job:update", { id: "j2", status: "ready", eventId: "4-0" }, "4-0"],
+    ]);
+    expect(replay).toEqual({ lastEventId: "4-0", count: 2, truncated: false });
+  });
+
+  it("asks the client to resync when the log cannot be read", async () => {
+    const hub = createDeliveryHub();
+    const { replay } = await hub.connect("auth0|u1", "1-0", jest.fn());
+    expect(replay).toEqual({ lastEventId: "1-0", count: 0, truncated: true });
+  });
+});
+
+describe("GET /api/v1/events", () => {
+  let server;
+  beforeAll(
+    () =>
+      new Promise((resolve) => {
+        server = http.createServer(buildApp()).listen(0, resolve);
+      })
+  );
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  // Opens the stream and resolves once `until` appears in the received text.
+  function openStream(headers, until, onOpen) {
+    return new Promise((resolve, reject) => {
+      const req = http.get(
+        {
+          port: server.address().port,
+          path: "/api/v1/events",
+          headers,
+        },
+        (res) => {
+          let text = "";
+          res.setEncoding("utf8");
+          res.on("data", (chunk) => {
+            text += chunk;
+            if (text.includes("retry:") && onOpen) {
+              const open = onOpen;
+              onOpen = null;
+              setImmediate(open);
+            }
+            if (text.includes(until)) {
+              req.destroy();
+              resolve({ res, text });
+            }
+          });
+        }
+      );
+      req.on("error", reject);
+    });
+  }
+
+  it("streams the user's deliveries as SSE frames", async () => {
+    const { res, text } = await openStream({}, "event: job:update", () =>
+      deliveryHub.dispatch({
+        sub: "dev|user",
+        event: "job:update",
+        payload: { id: "j1", status: "ready", eventId: "7-0" },
+        id: "7-0",
+      })
+    );
+    expect(res.statusCode).toBe(200);
+    expect(res.headers["content-type"]).toMatch(/^text\/event-stream/);
+    expect(text).toContain(
+      formatEvent(
+        "job:update",
+        { id: "j1", status: "ready", eventId: "7-0" },
+        "7-0"
+      )
+    );
+  });
+
+  it("resumes from the Last-Event-ID header", async () => {
+    // No replay log is configured in tests, so the resume reports a gap the client must resync.
+    const { text } = await openStream(
+      { "Last-Event-ID": "5-0" },
+      "event: events:replayed"
+    );
+    expect(text).toContain(
+      formatEvent("events:replayed", {
+        lastEventId: "5-0",
+        count: 0,
+        truncated: true,
+      })
+    );
+  });
+
+  it("ends open streams with a shutdown frame", async () => {
+    const { text } = await openStream({}, "event: server:shutdown", () =>
+      deliveryHub.closeAll("SIGTERM")
+    );
+    expect(text).toContain('data: {"reason":"SIGTERM"}');
+  });
+
+  it("omits the id line for transient events", () => {
+    expect(formatEvent("job:progress", { id: "j1" })).toBe(
+      'event: job:progress\ndata: {"id":"j1"}\n\n'
+    );
+  });
+});
@@ -0,0 +1,103 @@
+const request = require("supertest");
+
+// Use the real storage facade backed by the in-memory driver (setup.js mocks it by default).
+jest.mock("../src/utils/storage", () => jest.requireActual("../src/utils/storage"));
+
+jest.mock("../src/services/user-service", () => ({
+  ensureUser: jest.fn(),
+  getUserId: jest.fn(),
+}));
+
+jest.mock("../src/services/resume-service", () => ({
+  getResumeForUser: jest.fn(),
+}));
+
+jest.mock("../src/services/job-service", () => ({
+  getJobForUser: jest.fn(),
+}));
+
+const config = require("../src/config");
+const storage = require("../src/utils/storage");
+const memoryStorage = require("../src/utils/memory-storage");
+const { buildApp } = require("../src/app");
+const userService = require("../src/services/user-service");
+const resumeService = require("../src/services/resume-service");
+const jobService = require("../src/services/job-service");
+
+describe("File download routes", () => {
+  let app;
+  const originalDriver = config.storage.driver;
+
+  beforeAll(() => {
+    config.storage.driver = "memory";
+    storage.setStorageDriver(null);
+  });
+
+  afterAll(() => {
+    config.storage.driver = originalDriver;
+    storage.setStorageDriver(null);
+  });
+
+  beforeEach(async () => {
+    app = buildApp();
+    userService.getUserId.mockResolvedValue("user-1");
+    await memoryStorage.putObject(
+      "resumes/resume-1.pdf",
+      Buffer.from("0123456789"),
+      "application/pdf"
+    );
+    resumeService.getResumeForUser.mockResolvedValue({
+      id: "resume-1",
+      filename: "My CV.pdf",
+      mime_type: "application/pdf",
+      storage_path: "resumes/resume-1.pdf",
+    });
+  });
+
+  afterEach(() => memoryStorage.clear());
+
+  it("streams the full resume with content headers", async () => {
+    const res = await request(app).get("/api/v1/resumes/resume-1/file");
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toContain("application/pdf");
+    expect(res.headers["content-disposition"]).toContain("attachment");
+    expect(res.headers["content-disposition"]).toContain("My CV.pdf");
+    expect(res.headers["accept-ranges"]).toBe("bytes");
+    expect(Buffer.from(res.body).toString()).toBe("0123456789");
+  });
+
+  it("honours a byte range request with 206", async () => {
+    const res = await request(app)
+      .get("/api/v1/resumes/resume-1/file")
+      .set("Range", "bytes=2-5");
+    expect(res.status).toBe(206);
+    expect(res.headers["content-range"]).toBe("bytes 2-5/10");
+    expect(Buffer.from(res.body).toString()).toBe("2345");
+  });
+
+  it("returns 416 for an unsatisfiable range", async () => {
+    const res = await request(app)
+      .get("/api/v1/resumes/resume-1/file")
+      .set("Range", "bytes=50-60");
+    expect(res.status).toBe(416);
+    expect(res.headers["content-range"]).toBe("bytes */10");
+  });
+
+  it("returns 404 when the resume is not owned by the user", async () => {
+    resumeService.getResumeForUser.mockResolvedValue(null);
+    const res = await request(app).get("/api/v1/resumes/other/file");
+    expect(res.status).toBe(404);
+    expect(res.body).toHaveProperty("error", "not_found");
+  });
+
+  it("returns 404 file_not_found for text-sourced jobs", async () => {
+    jobService.getJobForUser.mockResolvedValue({
+      id: "job-1",
+      source: "text",
+      storage_path: null,
+    });
+    const res = await request(app).get("/api/v1/jobs/job-1/file");
+    expect(res.status).toBe(404);
+    expect(res.body).toHaveProperty("error", "file_not_found");
+  });
+});
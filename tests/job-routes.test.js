@@ -7,6 +7,8 @@ jest.mock("../src/services/user-service", () => ({
 
 jest.mock("../src/services/job-service", () => ({
   createJobRecord: jest.fn(),
+  findActiveJobByHash: jest.fn(),
+  cloneJobParse: jest.fn(),
   updateJobStoragePath: jest.fn(),
   updateJobStatus: jest.fn(),
   getJobForUser: jest.fn(),
@@ -16,6 +18,7 @@ jest.mock("../src/services/job-service", () => ({
 }));
 
 const { buildApp } = require("../src/app");
+const db = require("../src/db");
 const { queues } = require("../src/queues");
 const userService = require("../src/services/user-service");
 const jobService = require("../src/services/job-service");
@@ -65,4 +68,107 @@ describe("Job routes", () => {
       expect.objectContaining({ jobId: expect.any(String), source: "text" })
     );
   });
+
+  it("reuses an identical job with the same title", async () => {
+    jobService.findActiveJobByHash.mockResolvedValueOnce({
+      id: "job-existing",
+      title: "engineer ",
+      status: "ready",
+    });
+    const res = await request(app)
+      .post("/api/v1/jobs")
+      .send({ title: "Engineer", text: "Looking for Python skills\r\n" })
+      .set("Content-Type", "application/json");
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      id: "job-existing",
+      status: "ready",
+      deduplicated: true,
+    });
+    expect(jobService.createJobRecord).not.toHaveBeenCalled();
+    expect(queues.parseJob.add).not.toHaveBeenCalled();
+  });
+
+  it("clones parsed requirements for identical text under a new title", async () => {
+    jobService.findActiveJobByHash.mockResolvedValueOnce({
+      id: "job-existing",
+      title: "Engineer",
+      status: "ready",
+    });
+    const res = await request(app)
+      .post("/api/v1/jobs")
+      .send({ title: "Senior Engineer", text: "Looking for Python skills" })
+      .set("Content-Type", "application/json");
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      status: "ready",
+      clonedFrom: "job-existing",
+    });
+    expect(jobService.createJobRecord).toHaveBeenCalledWith(
+      expect.objectContaining({ contentHash: expect.any(String) })
+    );
+    expect(jobService.cloneJobParse).toHaveBeenCalledWith(
+      "job-existing",
+      res.body.id
+    );
+    expect(queues.parseJob.add).not.toHaveBeenCalled();
+  });
+
+  it("re-queues a text job from its stored raw text", async () => {
+    jobService.getJobForUser.mockResolvedValueOnce({
+      id: "job-1",
+      status: "failed",
+      source: "text",
+      title: "Data Engineer",
+      filename: null,
+      mime_type: "text/plain",
+      storage_path: null,
+      raw_text: "Looking for Python skills",
+    });
+    const res = await request(app).post("/api/v1/jobs/job-1/reparse");
+
+    expect(res.status).toBe(202);
+    expect(res.body).toMatchObject({
+      status: "queued",
+      previousStatus: "failed",
+      matchesMarkedStale: false,
+    });
+    expect(queues.parseJob.add).toHaveBeenCalledWith(
+      "parseJob",
+      expect.objectContaining({
+        jobId: "job-1",
+        source: "text",
+        rawText: "Looking for Python skills",
+        title: "Data Engineer",
+        reparse: false,
+      })
+    );
+  });
+
+  it("moves a failed job back to failed when the reparse enqueue fails", async () => {
+    jobService.getJobForUser.mockResolvedValueOnce({
+      id: "job-1",
+      status: "failed",
+      source: "text",
+      raw_text: "Looking for Python skills",
+    });
+    queues.parseJob.add.mockRejectedValueOnce(new Error("redis down"));
+    const res = await request(app)
+      .post("/api/v1/jobs/job-1/reparse")
+      .send({ markMatchesStale: true });
+
+    expect(res.status).toBe(500);
+    expect(db.query).not.toHaveBeenCalledWith(
+      expect.stringContaining("SET is_stale = 1"),
+      expect.anything()
+    );
+    expect(jobService.updateJobStatus).toHaveBeenLastCalledWith(
+      "job-1",
+      "failed",
+      undefined,
+      { reason: "reparse enqueue failed: redis down" }
+    );
+  });
 });
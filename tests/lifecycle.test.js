@@ -0,0 +1,123 @@
+// Status lifecycle tests: transition rules, locked update + history row, and service wiring.
+const db = require("../src/db");
+const { bus } = require("../src/events/bus");
+const {
+  LIFECYCLES,
+  canTransition,
+  isInvalidTransition,
+  transitionStatus,
+} = require("../src/services/lifecycle-service");
+const { updateResumeStatus } = require("../src/services/resume-service");
+const { attachResult } = require("../src/services/match-service");
+
+const currentStatus = (status) =>
+  db.query.mockImplementationOnce(async () => ({ rows: [{ status }] }));
+
+describe("Lifecycle rules", () => {
+  it("allows the worker paths for every entity", () => {
+    expect(canTransition("resume", "queued", "processing")).toBe(true);
+    expect(canTransition("job", "processing", "queued")).toBe(true);
+    expect(canTransition("job", "processing", "failed")).toBe(true);
+    expect(canTransition("match", "running", "completed")).toBe(true);
+    expect(canTransition("match", "queued", "completed")).toBe(true); // Cache hit.
+    expect(canTransition("match", "failed", "running")).toBe(true);
+  });
+
+  it("keeps finished entities final", () => {
+    expect(LIFECYCLES.resume.transitions.ready).toEqual(["queued"]); // Reparse only.
+    expect(LIFECYCLES.match.transitions.completed).toEqual([]);
+    expect(canTransition("job", "ready", "processing")).toBe(false);
+    expect(canTransition("match", "completed", "running")).toBe(false);
+    expect(canTransition("match", "queued", "ready")).toBe(false);
+    expect(canTransition("resume", "bogus", "queued")).toBe(false);
+  });
+
+  it("uses one terminal-failure status for every entity", () => {
+    Object.values(LIFECYCLES).forEach(({ states }) => {
+      expect(states).toContain("failed");
+      expect(states).not.toContain("error");
+    });
+  });
+});
+
+describe("transitionStatus", () => {
+  it("locks the row, updates extra columns and records history", async () => {
+    currentStatus("processing");
+    await expect(
+      transitionStatus("job", "j1", "ready", {
+        set: { parsed_summary: "{}" },
+        reason: "parsed",
+      })
+    ).resolves.toEqual({ from: "processing", to: "ready" });
+    expect(db.withTransaction).toHaveBeenCalledTimes(1);
+    const [select, update, history] = db.query.mock.calls;
+    expect(select[0]).toMatch(
+      /FROM job_descriptions WITH \(UPDLOCK, ROWLOCK\) WHERE id = \$1/
+    );
+    expect(update[0]).toMatch(
+      /SET status = \$1, parsed_summary = \$2, updated_at/
+    );
+    expect(update[1]).toEqual(["ready", "{}", "j1"]);
+    expect(history[0]).toContain("INSERT INTO status_transitions");
+    expect(history[1]).toEqual(["job", "j1", "processing", "ready", "parsed"]);
+  });
+
+  it("rejects an invalid transition without writing", async () => {
+    currentStatus("ready");
+    const err = await transitionStatus("resume", "r1", "processing").catch(
+      (e) => e
+    );
+    expect(isInvalidTransition(err)).toBe(true);
+    expect(err).toMatchObject({
+      entity: "resume",
+      from: "ready",
+      to: "processing",
+    });
+    expect(db.query).toHaveBeenCalledTimes(1);
+  });
+
+  it("treats a missing row as a no-op", async () => {
+    await expect(
+      transitionStatus("match", "m1", "running")
+    ).resolves.toBeNull();
+    expect(db.query).toHaveBeenCalledTimes(1);
+  });
+
+  it("joins the caller's transaction", async () => {
+    const tx = {
+      query: jest.fn(async () => ({ rows: [{ status: "queued" }] })),
+    };
+    await transitionStatus("match", "m1", "running", { tx });
+    expect(db.withTransaction).not.toHaveBeenCalled();
+    expect(tx.query).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe("Status services", () => {
+  afterEach(() => bus.removeAllListeners("resume.status.changed"));
+
+  it("emits only after an accepted resume transition", async () => {
+    const events = [];
+    bus.on("resume.status.changed", (e) => events.push(e.status));
+    currentStatus("processing");
+    await updateResumeStatus("r1", "failed", null, { reason: "boom" });
+    currentStatus("ready");
+    await expect(updateResumeStatus("r1", "failed")).rejects.toMatchObject({
+      code: "INVALID_STATUS_TRANSITION",
+    });
+    expect(events).toEqual(["failed"]);
+  });
+
+  it("attaches a match result through the lifecycle", async () => {
+    currentStatus("running");
+    await attachResult("m1", "match-9");
+    expect(db.query.mock.calls[1][1]).toEqual(["completed", "match-9", "m1"]);
+    expect(db.query.mock.calls[2][1]).toEqual([
+      "match",
+      "m1",
+      "running",
+      "completed",
+      "result match-9",
+    ]);
+  });
+});
@@ -0,0 +1,317 @@
+// Batch match tests: request validation, usage accounting, child creation/enqueue and the ranked leaderboard.
+const request = require("supertest");
+
+jest.mock("../src/services/user-service", () => ({
+  ensureUser: jest.fn(),
+  getUserId: jest.fn(),
+  getUserWithUsage: jest.fn(),
+  incrementAnnualUsage: jest.fn(async () => true),
+  refundAnnualUsage: jest.fn(),
+}));
+
+jest.mock("../src/services/resume-service", () => ({
+  getResumeForUser: jest.fn(),
+}));
+
+jest.mock("../src/services/job-service", () => ({
+  getJobForUser: jest.fn(),
+}));
+
+const db = require("../src/db");
+const { buildApp } = require("../src/app");
+const { queues } = require("../src/queues");
+const userService = require("../src/services/user-service");
+const resumeService = require("../src/services/resume-service");
+const jobService = require("../src/services/job-service");
+const { rankBatchResults } = require("../src/services/match-batch-service");
+
+// listMatchCandidates answers with these rows; every other statement gets an empty result.
+const candidates = (rows) =>
+  db.query.mockImplementation(async (text) =>
+    text.includes("id IN (") ? { rows } : { rows: [] }
+  );
+
+describe("POST /api/v1/matches/batches", () => {
+  let app;
+
+  beforeEach(() => {
+    app = buildApp();
+    userService.ensureUser.mockResolvedValue({
+      id: "user-1",
+      annual_usage_count: 97,
+      annual_limit: 100,
+    });
+    resumeService.getResumeForUser.mockResolvedValue({ status: "ready" });
+    jobService.getJobForUser.mockResolvedValue({ status: "ready" });
+  });
+
+  afterEach(() => db.query.mockImplementation(async () => ({ rows: [] })));
+
+  it("requires exactly one anchor with a list of ids", async () => {
+    const mixed = await request(app)
+      .post("/api/v1/matches/batches")
+      .send({ resumeId: "r1", jobIds: ["j1"], resumeIds: ["r2"] });
+    expect(mixed.status).toBe(400);
+    expect(mixed.body.error).toBe(
+      "resumeId_with_jobIds_or_jobId_with_resumeIds_required"
+    );
+
+    const empty = await request(app)
+      .post("/api/v1/matches/batches")
+      .send({ resumeId: "r1", jobIds: [] });
+    expect(empty.body.error).toBe("invalid_batch_ids");
+  });
+
+  it("reports listed ids that are missing or not ready without charging usage", async () => {
+    candidates([{ id: "j1", status: "ready" }]);
+    const missing = await request(app)
+      .post("/api/v1/matches/batches")
+      .send({ resumeId: "r1", jobIds: ["j1", "j2"] });
+    expect(missing.status).toBe(404);
+    expect(missing.body).toEqual({ error: "job_not_found", ids: ["j2"] });
+
+    candidates([{ id: "r2", status: "processing" }]);
+    const notReady = await request(app)
+      .post("/api/v1/matches/batches")
+      .send({ jobId: "j1", resumeIds: ["r2"] });
+    expect(notReady.status).toBe(409);
+    expect(notReady.body).toEqual({ error: "resume_not_ready", ids: ["r2"] });
+    expect(userService.incrementAnnualUsage).not.toHaveBeenCalled();
+  });
+
+  it("rejects a batch larger than the remaining annual allowance", async () => {
+    candidates(["j1", "j2", "j3", "j4"].map((id) => ({ id, status: "ready" })));
+    userService.incrementAnnualUsage.mockResolvedValueOnce(false); // Conditional UPDATE matched no row.
+    userService.getUserWithUsage.mockResolvedValueOnce({
+      id: "user-1",
+      annual_usage_count: 97,
+      annual_limit: 100,
+    });
+    const res = await request(app)
+      .post("/api/v1/matches/batches")
+      .send({ resumeId: "r1", jobIds: ["j1", "j2", "j3", "j4"] });
+    expect(res.status).toBe(402);
+    expect(res.body).toMatchObject({ error: "upgrade_required", remaining: 3 });
+    expect(db.withTransaction).not.toHaveBeenCalled();
+  });
+
+  it("creates one child per distinct pair, charges per pair and enqueues them together", async () => {
+    candidates([
+      { id: "j1", status: "ready" },
+      { id: "j2", status: "ready" },
+    ]);
+    const res = await request(app)
+      .post("/api/v1/matches/batches")
+      .send({ resumeId: "r1", jobIds: ["j1", "j2", "j1"] });
+
+    expect(res.status).toBe(202);
+    expect(res.body).toMatchObject({ status: "queued", total: 2 });
+    expect(res.body.matchJobIds).toHaveLength(2);
+    expect(userService.incrementAnnualUsage).toHaveBeenCalledWith("user-1", 2);
+
+    const batchInsert = db.query.mock.calls.find(([text]) =>
+      text.includes("INSERT INTO match_batches")
+    );
+    expect(batchInsert[1]).toEqual([res.body.id, "user-1", "resume", "r1", 2]);
+    const [, table, columns, rows] = db.bulkInsert.mock.calls[0];
+    expect(table).toBe("match_jobs");
+    expect(columns).toContain("batch_id");
+    expect(rows.map((row) => row[3])).toEqual(["j1", "j2"]);
+
+    const [jobs] = queues.computeMatch.addBulk.mock.calls[0];
+    expect(jobs).toEqual([
+      {
+        name: "computeMatch",
+        data: {
+          matchJobId: res.body.matchJobIds[0],
+          resumeId: "r1",
+          jobId: "j1",
+          userId: "user-1",
+          force: false,
+          preferences: expect.objectContaining({ threshold: 0.5 }), // Requester's snapshot (defaults here).
+          charged: true,
+        },
+      },
+      expect.objectContaining({
+        data: expect.objectContaining({ jobId: "j2" }),
+      }),
+    ]);
+  });
+
+  it("attaches cached pairs right away and charges only the computed ones", async () => {
+    db.query.mockImplementation(async (text, params) => {
+      if (text.includes("id IN (")) {
+        return {
+          rows: ["j1", "j2", "j3", "j4"].map((id) => ({ id, status: "ready" })),
+        };
+      }
+      if (text.includes("input_fingerprint = $3")) {
+        return {
+          rows: params[1] === "j4" ? [] : [{ id: `match-${params[1]}` }],
+        };
+      }
+      if (text.includes("FROM match_jobs WITH (UPDLOCK")) {
+        return { rows: [{ status: "queued" }] };
+      }
+      return { rows: [] };
+    });
+    const res = await request(app)
+      .post("/api/v1/matches/batches")
+      .send({ resumeId: "r1", jobIds: ["j1", "j2", "j3", "j4"] });
+
+    expect(res.status).toBe(202);
+    expect(res.body).toMatchObject({ status: "queued", total: 4, cached: 3 });
+    expect(userService.incrementAnnualUsage).toHaveBeenCalledWith("user-1", 1);
+    const [jobs] = queues.computeMatch.addBulk.mock.calls[0];
+    expect(jobs.map((job) => job.data.jobId)).toEqual(["j4"]);
+  });
+
+  it("refunds the charge and fails the uncached children when the enqueue fails", async () => {
+    db.query.mockImplementation(async (text, params) => {
+      if (text.includes("id IN (")) {
+        return {
+          rows: ["j1", "j2", "j3"].map((id) => ({ id, status: "ready" })),
+        };
+      }
+      if (text.includes("input_fingerprint = $3")) {
+        return { rows: params[1] === "j1" ? [{ id: "match-j1" }] : [] };
+      }
+      if (text.includes("FROM match_jobs WITH (UPDLOCK")) {
+        return { rows: [{ status: "queued" }] };
+      }
+      return { rows: [] };
+    });
+    queues.computeMatch.addBulk.mockRejectedValueOnce(new Error("redis down"));
+    const res = await request(app)
+      .post("/api/v1/matches/batches")
+      .send({ resumeId: "r1", jobIds: ["j1", "j2", "j3"] });
+
+    expect(res.status).toBe(500);
+    expect(userService.incrementAnnualUsage).toHaveBeenCalledWith("user-1", 2);
+    expect(userService.refundAnnualUsage).toHaveBeenCalledWith("user-1", 2);
+    const [, , , rows] = db.bulkInsert.mock.calls[0];
+    const childOf = Object.fromEntries(rows.map((row) => [row[3], row[0]]));
+    const failed = db.query.mock.calls
+      .filter(
+        ([text, params]) =>
+          text.includes("UPDATE match_jobs") && params[0] === "failed"
+      )
+      .map(([, params]) => params[params.length - 1]);
+    expect(failed).toEqual([childOf.j2, childOf.j3]); // j1 already has its cached result.
+  });
+
+  it("skips the allowance for pro members", async () => {
+    candidates(["j1", "j2", "j3", "j4"].map((id) => ({ id, status: "ready" })));
+    const res = await request(app)
+      .post("/api/v1/matches/batches")
+      .set("x-pro-member", "1")
+      .send({ resumeId: "r1", jobIds: ["j1", "j2", "j3", "j4"] });
+    expect(res.status).toBe(202);
+    expect(userService.incrementAnnualUsage).not.toHaveBeenCalled();
+  });
+});
+
+describe("GET /api/v1/matches/batches/:id", () => {
+  let app;
+  const batchRow = {
+    id: "b1",
+    anchor_type: "resume",
+    anchor_id: "r1",
+    total: 3,
+  };
+  const child = (id, status, score) => ({
+    id,
+    resume_id: "r1",
+    job_id: `job-${id}`,
+    status,
+    result_id: status === "completed" ? `match-${id}` : null,
+    score,
+    is_stale: 0,
+  });
+  const batchRows = (children) =>
+    db.query.mockImplementation(async (text) =>
+      text.includes("FROM match_batches")
+        ? { rows: [batchRow] }
+        : { rows: children }
+    );
+
+  beforeEach(() => {
+    app = buildApp();
+    userService.getUserId.mockResolvedValue("user-1");
+  });
+
+  afterEach(() => db.query.mockImplementation(async () => ({ rows: [] })));
+
+  it("withholds the leaderboard while children are still running", async () => {
+    batchRows([child("a", "completed", 0.4), child("b", "running")]);
+    const res = await request(app).get("/api/v1/matches/batches/b1");
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      status: "running",
+      anchor: { type: "resume", id: "r1" },
+      counts: { queued: 0, running: 1, completed: 1, failed: 0 },
+      leaderboard: null,
+    });
+  });
+
+  it("ranks completed children once every child finished", async () => {
+    batchRows([
+      child("a", "completed", 0.4),
+      child("b", "failed"),
+      child("c", "completed", 0.9),
+    ]);
+    const res = await request(app).get("/api/v1/matches/batches/b1");
+    expect(res.body.status).toBe("completed");
+    expect(res.body.leaderboard.map((e) => [e.rank, e.jobId])).toEqual([
+      [1, "job-c"],
+      [2, "job-a"],
+    ]);
+    const [, childrenQuery] = db.query.mock.calls;
+    expect(childrenQuery[0]).toContain("WHERE mj.batch_id = $1");
+  });
+
+  it("returns 404 for a batch the user does not own", async () => {
+    const res = await request(app).get("/api/v1/matches/batches/other");
+    expect(res.status).toBe(404);
+  });
+
+  it("shares a rank between equal scores", () => {
+    const ranks = rankBatchResults([
+      child("a", "completed", 0.5),
+      child("b", "completed", 0.8),
+      child("c", "completed", 0.5),
+      child("d", "completed", 0.2),
+    ]).map((entry) => entry.rank);
+    expect(ranks).toEqual([1, 2, 2, 4]);
+  });
+});
+
+describe("incrementAnnualUsage", () => {
+  const { incrementAnnualUsage } = jest.requireActual(
+    "../src/services/user-service"
+  );
+
+  afterEach(() => db.query.mockImplementation(async () => ({ rows: [] })));
+
+  it("charges in one conditional UPDATE and reports when the limit would be exceeded", async () => {
+    db.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+    await expect(incrementAnnualUsage("user-1", 4)).resolves.toBe(false);
+    expect(db.query).toHaveBeenCalledTimes(1); // No read-then-write window.
+    const [text, params] = db.query.mock.calls[0];
+    expect(text.trim().startsWith("UPDATE users")).toBe(true);
+    expect(text).toContain("ELSE annual_usage_count + $2 END <= annual_limit");
+    expect(params).toEqual(["user-1", 4, expect.any(Date)]);
+
+    db.query.mockResolvedValueOnce({ rows: [], rowCount: 1 });
+    await expect(incrementAnnualUsage("user-1", 2)).resolves.toBe(true);
+  });
+
+  it("restarts an expired period in the same statement", async () => {
+    db.query.mockResolvedValueOnce({ rows: [], rowCount: 1 });
+    await expect(incrementAnnualUsage("user-1")).resolves.toBe(true);
+    expect(db.query).toHaveBeenCalledTimes(1);
+    expect(db.query.mock.calls[0][0]).toContain(
+      "CASE WHEN (annual_period_start IS NULL OR annual_period_start < $3) THEN $2"
+    );
+  });
+});
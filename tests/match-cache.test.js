@@ -0,0 +1,283 @@
+// Match cache tests: input fingerprints, cache hits on POST /matches (free, no enqueue), force, and worker reuse.
+const request = require("supertest");
+
+jest.mock("axios", () => ({ post: jest.fn() }));
+
+jest.mock("../src/services/user-service", () => ({
+  ensureUser: jest.fn(),
+  getUserId: jest.fn(),
+  incrementAnnualUsage: jest.fn(async () => true),
+  refundAnnualUsage: jest.fn(),
+}));
+
+jest.mock("../src/services/resume-service", () => ({
+  getResumeForUser: jest.fn(),
+}));
+
+jest.mock("../src/services/job-service", () => ({
+  getJobForUser: jest.fn(),
+}));
+
+const axios = require("axios");
+const db = require("../src/db");
+const { buildApp } = require("../src/app");
+const { queues } = require("../src/queues");
+const userService = require("../src/services/user-service");
+const resumeService = require("../src/services/resume-service");
+const jobService = require("../src/services/job-service");
+const {
+  fingerprintMatchInputs,
+} = require("../src/services/match-cache-service");
+const { processComputeMatch } = require("../src/workers");
+
+const payload = {
+  candidate_skills: [
+    { skill: "sql", experience_years: 3, proficiency: null },
+    { skill: "go", experience_years: null, proficiency: "expert" },
+  ],
+  requirements: [
+    { skill: "go", importance: 0.9, inferred: false },
+    { skill: "sql", importance: 0.5, inferred: true },
+  ],
+};
+
+// Cache lookups find `cachedId`; match job inserts/reads and lifecycle locks behave like a fresh queued row.
+const cacheRows = (cachedId) =>
+  db.query.mockImplementation(async (text) => {
+    if (text.includes("input_fingerprint = $3")) {
+      return { rows: cachedId ? [{ id: cachedId }] : [] };
+    }
+    if (text.includes("FROM match_jobs WHERE id")) {
+      return { rows: [{ id: "mj-1", status: "queued" }] };
+    }
+    if (text.includes("FROM match_jobs WITH (UPDLOCK")) {
+      return { rows: [{ status: "queued" }] };
+    }
+    return { rows: [] };
+  });
+
+afterEach(() => db.query.mockImplementation(async () => ({ rows: [] })));
+
+describe("fingerprintMatchInputs", () => {
+  it("ignores row order and driver number types", () => {
+    const reordered = {
+      candidate_skills: [
+        { skill: "go", experience_years: null, proficiency: "expert" },
+        { skill: "sql", experience_years: "3", proficiency: null },
+      ],
+      requirements: [...payload.requirements].reverse(),
+    };
+    expect(fingerprintMatchInputs(reordered)).toBe(
+      fingerprintMatchInputs(payload)
+    );
+  });
+
+  it("changes when a requirement weight changes", () => {
+    const reweighted = {
+      ...payload,
+      requirements: [
+        { skill: "go", importance: 0.8, inferred: false },
+        payload.requirements[1],
+      ],
+    };
+    expect(fingerprintMatchInputs(reweighted)).not.toBe(
+      fingerprintMatchInputs(payload)
+    );
+  });
+});
+
+describe("POST /api/v1/matches cache", () => {
+  let app;
+
+  beforeEach(() => {
+    app = buildApp();
+    // At the annual limit: only a cache hit can succeed without upgrading.
+    userService.ensureUser.mockResolvedValue({
+      id: "user-1",
+      annual_usage_count: 100,
+      annual_limit: 100,
+    });
+    resumeService.getResumeForUser.mockResolvedValue({ status: "ready" });
+    jobService.getJobForUser.mockResolvedValue({ status: "ready" });
+  });
+
+  it("attaches a cached result without charging usage or queueing work", async () => {
+    cacheRows("match-old");
+    const res = await request(app)
+      .post("/api/v1/matches")
+      .send({ resumeId: "r1", jobId: "j1" });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      id: "mj-1",
+      status: "completed",
+      cached: true,
+      resultId: "match-old",
+    });
+    expect(userService.incrementAnnualUsage).not.toHaveBeenCalled();
+    expect(queues.computeMatch.add).not.toHaveBeenCalled();
+    const statements = db.query.mock.calls.map(([text]) => text);
+    expect(statements.some((t) => t.includes("is_stale = 0"))).toBe(true); // Reused row refreshed.
+    const history = db.query.mock.calls.find(([text]) =>
+      text.includes("INSERT INTO status_transitions")
+    );
+    expect(history[1]).toEqual([
+      "match",
+      "mj-1",
+      "queued",
+      "completed",
+      "cached result match-old",
+    ]);
+  });
+
+  it("still enforces the annual limit on a miss", async () => {
+    cacheRows(null);
+    userService.incrementAnnualUsage.mockResolvedValueOnce(false);
+    const res = await request(app)
+      .post("/api/v1/matches")
+      .send({ resumeId: "r1", jobId: "j1" });
+    expect(res.status).toBe(402);
+  });
+
+  it("skips the cache with force", async () => {
+    cacheRows("match-old");
+    userService.ensureUser.mockResolvedValue({ id: "user-1" });
+    const res = await request(app)
+      .post("/api/v1/matches")
+      .send({ resumeId: "r1", jobId: "j1", force: true });
+
+    expect(res.status).toBe(202);
+    expect(userService.incrementAnnualUsage).toHaveBeenCalledWith("user-1");
+    expect(queues.computeMatch.add).toHaveBeenCalledWith(
+      "computeMatch",
+      expect.objectContaining({ matchJobId: "mj-1", force: true })
+    );
+    const statements = db.query.mock.calls.map(([text]) => text);
+    expect(statements.some((t) => t.includes("input_fingerprint"))).toBe(false);
+  });
+});
+
+describe("processComputeMatch cache", () => {
+  const matchJob = (data = {}) => ({
+    data: { matchJobId: "mj-1", resumeId: "r1", jobId: "j1", ...data },
+    attemptsMade: 0,
+    opts: { attempts: 3 },
+    updateProgress: jest.fn(),
+  });
+
+  beforeEach(() => {
+    // Lifecycle locks: running for attach, queued for the start-of-attempt transition.
+    let started = false;
+    db.query.mockImplementation(async (text) => {
+      if (text.includes("input_fingerprint = $3")) {
+        return { rows: [{ id: "match-old" }] };
+      }
+      if (text.includes("FROM match_jobs WITH (UPDLOCK")) {
+        const status = started ? "running" : "queued";
+        started = true;
+        return { rows: [{ status }] };
+      }
+      return { rows: [] };
+    });
+  });
+
+  it("attaches the cached result instead of calling the match engine", async () => {
+    await processComputeMatch(matchJob());
+    expect(axios.post).not.toHaveBeenCalled();
+    const update = db.query.mock.calls.find(([text]) =>
+      text.includes("result_id = $2")
+    );
+    expect(update[1]).toEqual(["completed", "match-old", "mj-1"]);
+  });
+
+  it("recomputes and stores the fingerprint when forced", async () => {
+    axios.post.mockResolvedValue({ data: { score: 0.7, summary: {} } });
+    await processComputeMatch(matchJob({ force: true }));
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    const insert = db.query.mock.calls.find(([text]) =>
+      text.includes("INSERT INTO matches")
+    );
+    expect(insert[0]).toContain("input_fingerprint");
+    expect(insert[1][8]).toBe(
+      fingerprintMatchInputs({
+        candidate_skills: [],
+        requirements: [],
+        options: {
+          threshold: 0.5,
+          inferred_weight: 0,
+          inferred_min_importance: 0.7,
+          include_soft_skills: false,
+        },
+      })
+    );
+  });
+});
+
+describe("usage when only the worker's cache check hits", () => {
+  it("refunds the unit the request charged", async () => {
+    // Stateful usage counter standing in for users.annual_usage_count.
+    let usage = 0;
+    userService.ensureUser.mockResolvedValue({ id: "user-1" });
+    userService.incrementAnnualUsage.mockImplementation(async (id, n = 1) => {
+      usage += n;
+      return true;
+    });
+    userService.refundAnnualUsage.mockImplementation(async (id, n = 1) => {
+      usage -= n;
+    });
+    resumeService.getResumeForUser.mockResolvedValue({ status: "ready" });
+    jobService.getJobForUser.mockResolvedValue({ status: "ready" });
+
+    // Controller: cache miss -> charged and queued.
+    cacheRows(null);
+    const res = await request(buildApp())
+      .post("/api/v1/matches")
+      .send({ resumeId: "r1", jobId: "j1" });
+    expect(res.status).toBe(202);
+    expect(usage).toBe(1);
+    const [, data] = queues.computeMatch.add.mock.calls[0];
+    expect(data.charged).toBe(true);
+
+    // Worker: an identical result landed meanwhile (racing request) -> attached, charge given back.
+    let started = false;
+    db.query.mockImplementation(async (text) => {
+      if (text.includes("input_fingerprint = $3")) {
+        return { rows: [{ id: "match-raced" }] };
+      }
+      if (text.includes("FROM match_jobs WITH (UPDLOCK")) {
+        const status = started ? "running" : "queued";
+        started = true;
+        return { rows: [{ status }] };
+      }
+      return { rows: [] };
+    });
+    await processComputeMatch({
+      data,
+      attemptsMade: 0,
+      opts: { attempts: 3 },
+      updateProgress: jest.fn(),
+    });
+    expect(axios.post).not.toHaveBeenCalled();
+    expect(userService.refundAnnualUsage).toHaveBeenCalledWith("user-1");
+    expect(usage).toBe(0);
+  });
+
+  it("does not refund matches that were never charged", async () => {
+    db.query.mockImplementation(async (text) => {
+      if (text.includes("input_fingerprint = $3")) {
+        return { rows: [{ id: "match-old" }] };
+      }
+      if (text.includes("FROM match_jobs WITH (UPDLOCK")) {
+        return { rows: [{ status: "queued" }] };
+      }
+      return { rows: [] };
+    });
+    await processComputeMatch({
+      data: { matchJobId: "mj-2", resumeId: "r1", jobId: "j1", userId: "u" }, // Re-match or pro request.
+      attemptsMade: 0,
+      opts: { attempts: 3 },
+      updateProgress: jest.fn(),
+    });
+    expect(userService.refundAnnualUsage).not.toHaveBeenCalled();
+  });
+});
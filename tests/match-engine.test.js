@@ -0,0 +1,167 @@
+// Match engine tests: in-process skill matching, weighting, engine modes and the engine recorded on results.
+jest.mock("axios", () => ({ post: jest.fn() }));
+
+const axios = require("axios");
+const db = require("../src/db");
+const config = require("../src/config");
+const {
+  normalizeSkill,
+  skillSimilarity,
+  matchSkillsLocally,
+  runMatchEngine,
+} = require("../src/services/match-engine");
+const { processComputeMatch } = require("../src/workers");
+
+const similarity = (a, b) =>
+  skillSimilarity(normalizeSkill(a), normalizeSkill(b));
+
+const payload = {
+  candidate_skills: [
+    { skill: "Python", experience_years: 4, proficiency: null },
+    { skill: "PostgreSQL", experience_years: null, proficiency: null },
+    { skill: "Docker", experience_years: null, proficiency: null },
+  ],
+  requirements: [
+    { skill: "python", importance: 1, inferred: false },
+    { skill: "Postgres", importance: 0.5, inferred: false },
+    { skill: "Kubernetes", importance: null, inferred: false },
+    { skill: "Docker", importance: 0.9, inferred: true },
+  ],
+};
+
+describe("In-process matching", () => {
+  it("normalizes case, punctuation and synonyms", () => {
+    expect(normalizeSkill("Node.js")).toBe("nodejs");
+    expect(normalizeSkill(" JS ")).toBe("javascript");
+    expect(normalizeSkill("C#")).toBe("c#");
+    expect(normalizeSkill("CI/CD")).toBe("continuous integration");
+    expect(similarity("Golang", "go")).toBe(1);
+  });
+
+  it("scores containment and typos above the threshold but not near-miss names", () => {
+    expect(similarity("SQL", "SQL Server")).toBe(0.8);
+    expect(similarity("kubernets", "Kubernetes")).toBeGreaterThanOrEqual(0.5);
+    expect(similarity("java", "javascript")).toBeLessThan(0.5);
+  });
+
+  it("emits the Python summary shape with importance weighting", () => {
+    const { score, summary } = matchSkillsLocally(payload, {
+      inferredWeight: 0,
+    });
+    expect(summary.details[1]).toEqual({
+      requirement: "Postgres",
+      similarity: 1,
+      importance: 0.5,
+      matched_skill: "PostgreSQL",
+      inferred: false,
+    });
+    expect(summary.details[2]).toMatchObject({
+      importance: 0.7, // Default for unscored requirements.
+      matched_skill: null,
+    });
+    // Explicit only: (1 * 1 + 0.5 * 1) / (1 + 0.5 + 0.7); the inferred Docker match is ignored.
+    expect(score).toBe(0.68);
+    expect(summary.overall_match_score).toBe(score);
+    expect(summary.strengths.map((s) => s.requirement)).toEqual([
+      "python",
+      "Postgres",
+      "Docker",
+    ]);
+    expect(summary.gaps).toEqual([
+      {
+        requirement: "Kubernetes",
+        similarity: expect.any(Number),
+        importance: 0.7,
+      },
+    ]);
+  });
+
+  it("caps the share inferred requirements contribute at inferredWeight", () => {
+    const { score } = matchSkillsLocally(payload, { inferredWeight: 0.2 });
+    // Inferred weight 0.9 of 3.1 is capped to 20%: 0.8 * 0.6818 + 0.2 * 1.
+    expect(score).toBe(0.75);
+  });
+});
+
+describe("Engine modes", () => {
+  const { mode } = config.matchEngine;
+  const unreachable = Object.assign(new Error("connect ECONNREFUSED"), {
+    code: "ECONNREFUSED",
+  });
+
+  afterEach(() => {
+    config.matchEngine.mode = mode;
+  });
+
+  it("fails on a Python outage in python mode", async () => {
+    config.matchEngine.mode = "python";
+    axios.post.mockRejectedValue(unreachable);
+    await expect(runMatchEngine(payload)).rejects.toThrow("ECONNREFUSED");
+  });
+
+  it("falls back to the JS engine only when Python is unreachable", async () => {
+    config.matchEngine.mode = "fallback";
+    axios.post.mockRejectedValueOnce(unreachable);
+    await expect(runMatchEngine(payload)).resolves.toMatchObject({
+      engine: "js",
+      data: { score: expect.any(Number) },
+    });
+
+    const badRequest = Object.assign(new Error("400"), {
+      response: { status: 400 },
+    });
+    axios.post.mockRejectedValueOnce(badRequest);
+    await expect(runMatchEngine(payload)).rejects.toBe(badRequest);
+
+    const unavailable = Object.assign(new Error("503"), {
+      response: { status: 503 },
+    });
+    axios.post.mockRejectedValueOnce(unavailable);
+    await expect(runMatchEngine(payload)).resolves.toMatchObject({
+      engine: "js",
+    });
+  });
+
+  it("re-throws errors without a response that are not connectivity failures", async () => {
+    config.matchEngine.mode = "fallback";
+    const local = new TypeError("Cannot read properties of undefined");
+    axios.post.mockRejectedValueOnce(local);
+    await expect(runMatchEngine(payload)).rejects.toBe(local);
+
+    const parse = new SyntaxError("Unexpected token < in JSON");
+    axios.post.mockRejectedValueOnce(parse);
+    await expect(runMatchEngine(payload)).rejects.toBe(parse);
+  });
+
+  it("never calls Python in js mode", async () => {
+    config.matchEngine.mode = "js";
+    const { engine } = await runMatchEngine(payload);
+    expect(engine).toBe("js");
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  it("records the engine on the match and caches per engine", async () => {
+    config.matchEngine.mode = "fallback";
+    axios.post.mockRejectedValueOnce(unreachable);
+    db.query.mockImplementation(async (text) =>
+      text.includes("FROM match_jobs WITH (UPDLOCK")
+        ? { rows: [{ status: "queued" }] }
+        : { rows: [] }
+    );
+    await processComputeMatch({
+      data: { matchJobId: "mj-1", resumeId: "r1", jobId: "j1" },
+      attemptsMade: 0,
+      opts: { attempts: 3 },
+      updateProgress: jest.fn(),
+    });
+    db.query.mockImplementation(async () => ({ rows: [] }));
+
+    const calls = db.query.mock.calls;
+    const lookup = calls.find(([text]) =>
+      text.includes("input_fingerprint = $3")
+    );
+    expect(lookup[1][3]).toBe("python"); // Fallback results are not served as cache hits.
+    const insert = calls.find(([text]) => text.includes("INSERT INTO matches"));
+    expect(insert[1][9]).toBe("js");
+  });
+});
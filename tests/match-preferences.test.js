@@ -0,0 +1,291 @@
+// Match preference tests: user/admin endpoints, how preferences shape match inputs, and their trip through computeMatch.
+const request = require("supertest");
+
+jest.mock("axios", () => ({ post: jest.fn() }));
+
+jest.mock("../src/services/user-service", () => ({
+  ensureUser: jest.fn(),
+  getUserId: jest.fn(),
+  getUserRole: jest.fn(),
+  userExists: jest.fn(),
+  incrementAnnualUsage: jest.fn(async () => true),
+  refundAnnualUsage: jest.fn(),
+}));
+
+jest.mock("../src/services/resume-service", () => ({
+  getResumeForUser: jest.fn(),
+}));
+
+jest.mock("../src/services/job-service", () => ({
+  getJobForUser: jest.fn(),
+}));
+
+const axios = require("axios");
+const db = require("../src/db");
+const { buildApp } = require("../src/app");
+const { queues } = require("../src/queues");
+const userService = require("../src/services/user-service");
+const resumeService = require("../src/services/resume-service");
+const jobService = require("../src/services/job-service");
+const { loadMatchInputs } = require("../src/services/match-cache-service");
+const { processComputeMatch } = require("../src/workers");
+
+// user_match_preferences answers with `row` (DECIMAL columns arrive as strings); everything else is empty.
+const savedRow = (row) =>
+  db.query.mockImplementation(async (text) =>
+    text.includes("FROM user_match_preferences")
+      ? { rows: row ? [row] : [] }
+      : { rows: [] }
+  );
+
+afterEach(() => db.query.mockImplementation(async () => ({ rows: [] })));
+
+describe("/api/v1/preferences/match", () => {
+  let app;
+
+  beforeEach(() => {
+    app = buildApp();
+    userService.getUserId.mockResolvedValue("user-1");
+    userService.ensureUser.mockResolvedValue({ id: "user-1" });
+  });
+
+  it("returns saved values over the server defaults", async () => {
+    savedRow({
+      threshold: "0.650",
+      inferred_weight: null,
+      inferred_min_importance: null,
+      include_soft_skills: true,
+    });
+    const res = await request(app).get("/api/v1/preferences/match");
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      preferences: {
+        threshold: 0.65,
+        inferredWeight: 0,
+        inferredMinImportance: 0.7,
+        includeSoftSkills: true,
+      },
+      saved: { threshold: 0.65, includeSoftSkills: true },
+      defaults: {
+        threshold: 0.5,
+        inferredWeight: 0,
+        inferredMinImportance: 0.7,
+        includeSoftSkills: false,
+      },
+    });
+  });
+
+  it("validates partial updates", async () => {
+    const cases = [
+      [{}, { error: "invalid_preferences" }],
+      [{ weight: 1 }, { error: "unknown_preference", field: "weight" }],
+      [{ threshold: 1.5 }, { error: "invalid_threshold" }],
+      [{ includeSoftSkills: "yes" }, { error: "invalid_includeSoftSkills" }],
+    ];
+    for (const [body, expected] of cases) {
+      const res = await request(app)
+        .patch("/api/v1/preferences/match")
+        .send(body);
+      expect(res.status).toBe(400);
+      expect(res.body).toEqual(expected);
+    }
+    expect(db.withTransaction).not.toHaveBeenCalled();
+  });
+
+  it("creates the row when absent and updates only the given fields", async () => {
+    const res = await request(app)
+      .patch("/api/v1/preferences/match")
+      .send({ threshold: 0.6, includeSoftSkills: true, inferredWeight: null });
+    expect(res.status).toBe(200);
+    const [, table, keyColumn, values] = db.insertIfAbsent.mock.calls[0];
+    expect([table, keyColumn, values]).toEqual([
+      "user_match_preferences",
+      "user_id",
+      { user_id: "user-1" },
+    ]);
+    const update = db.query.mock.calls.find(([text]) =>
+      text.includes("UPDATE user_match_preferences")
+    );
+    expect(update[0]).toContain(
+      "threshold = $1, include_soft_skills = $2, inferred_weight = $3, updated_by = $4"
+    );
+    expect(update[1]).toEqual([0.6, 1, null, "user-1", "user-1"]);
+  });
+});
+
+describe("/api/v1/admin/users/:userId/match-preferences", () => {
+  let app;
+
+  beforeEach(() => {
+    app = buildApp();
+    userService.getUserRole.mockResolvedValue("admin");
+    userService.getUserId.mockResolvedValue("admin-1");
+    userService.userExists.mockResolvedValue(true);
+  });
+
+  it("is admin only", async () => {
+    userService.getUserRole.mockResolvedValue("user");
+    const res = await request(app).get(
+      "/api/v1/admin/users/user-2/match-preferences"
+    );
+    expect(res.status).toBe(403);
+  });
+
+  it("returns 404 for an unknown user", async () => {
+    userService.userExists.mockResolvedValue(false);
+    const res = await request(app)
+      .patch("/api/v1/admin/users/nobody/match-preferences")
+      .send({ threshold: 0.7 });
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe("user_not_found");
+  });
+
+  it("saves another user's preferences as the admin", async () => {
+    const res = await request(app)
+      .patch("/api/v1/admin/users/user-2/match-preferences")
+      .send({ inferredMinImportance: 0.4 });
+    expect(res.status).toBe(200);
+    const update = db.query.mock.calls.find(([text]) =>
+      text.includes("UPDATE user_match_preferences")
+    );
+    expect(update[1]).toEqual([0.4, "admin-1", "user-2"]);
+  });
+});
+
+describe("loadMatchInputs preferences", () => {
+  beforeEach(() => {
+    db.query.mockImplementation(async (text) => {
+      if (text.includes("FROM requirements")) {
+        return {
+          rows: [
+            { job_id: "j1", skill: "Go", importance: "0.90", inferred: 0 },
+            { job_id: "j1", skill: "Docker", importance: "0.55", inferred: 1 },
+            { job_id: "j1", skill: "Linux", importance: "0.80", inferred: 1 },
+          ],
+        };
+      }
+      if (text.includes("FROM job_soft_skills")) {
+        return {
+          rows: [
+            { skill: "Communication", value: "0.75" },
+            { skill: "go", value: "0.60" }, // Already a requirement.
+          ],
+        };
+      }
+      return { rows: [] };
+    });
+  });
+
+  it("drops inferred requirements below inferredMinImportance by default", async () => {
+    const { payload } = await loadMatchInputs("r1", "j1");
+    expect(payload.requirements.map((r) => r.skill)).toEqual(["Go", "Linux"]);
+    expect(payload.options).toEqual({
+      threshold: 0.5,
+      inferred_weight: 0,
+      inferred_min_importance: 0.7,
+      include_soft_skills: false,
+    });
+    const statements = db.query.mock.calls.map(([text]) => text);
+    expect(statements.some((t) => t.includes("job_soft_skills"))).toBe(false);
+  });
+
+  it("adds soft skills and keeps lower-importance inferred requirements on request", async () => {
+    const { payload } = await loadMatchInputs("r1", "j1", {
+      inferredMinImportance: 0.5,
+      includeSoftSkills: true,
+    });
+    expect(payload.requirements).toEqual([
+      { skill: "Go", importance: 0.9, inferred: false },
+      { skill: "Linux", importance: 0.8, inferred: true },
+      { skill: "Docker", importance: 0.55, inferred: true },
+      { skill: "Communication", importance: 0.75, inferred: false, soft: true },
+    ]);
+  });
+});
+
+describe("computeMatch preferences", () => {
+  const strict = {
+    threshold: 0.8,
+    inferredWeight: 0.3,
+    inferredMinImportance: 0.7,
+    includeSoftSkills: false,
+  };
+
+  it("snapshots the requester's preferences into the queued job", async () => {
+    const app = buildApp();
+    userService.ensureUser.mockResolvedValue({ id: "user-1" });
+    resumeService.getResumeForUser.mockResolvedValue({ status: "ready" });
+    jobService.getJobForUser.mockResolvedValue({ status: "ready" });
+    db.query.mockImplementation(async (text) => {
+      if (text.includes("FROM user_match_preferences")) {
+        return { rows: [{ threshold: "0.800", inferred_weight: "0.300" }] };
+      }
+      if (text.includes("FROM match_jobs WHERE id")) {
+        return { rows: [{ id: "mj-1", status: "queued" }] };
+      }
+      return { rows: [] };
+    });
+
+    const res = await request(app)
+      .post("/api/v1/matches")
+      .send({ resumeId: "r1", jobId: "j1" });
+    expect(res.status).toBe(202);
+    expect(queues.computeMatch.add).toHaveBeenCalledWith(
+      "computeMatch",
+      expect.objectContaining({ preferences: strict })
+    );
+  });
+
+  it("sends them to the engine, applies the threshold and records them on the match", async () => {
+    db.query.mockImplementation(async (text) =>
+      text.includes("FROM match_jobs WITH (UPDLOCK")
+        ? { rows: [{ status: "queued" }] }
+        : { rows: [] }
+    );
+    axios.post.mockResolvedValue({
+      data: {
+        score: 0.7,
+        summary: {
+          details: [
+            { requirement: "go", similarity: 0.75, importance: 1 },
+            { requirement: "sql", similarity: 0.9, importance: 0.5 },
+          ],
+        },
+      },
+    });
+    await processComputeMatch({
+      data: {
+        matchJobId: "mj-1",
+        resumeId: "r1",
+        jobId: "j1",
+        userId: "user-1",
+        preferences: strict,
+      },
+      attemptsMade: 0,
+      opts: { attempts: 3 },
+      updateProgress: jest.fn(),
+    });
+
+    expect(axios.post.mock.calls[0][1].options).toEqual({
+      threshold: 0.8,
+      inferred_weight: 0.3,
+      inferred_min_importance: 0.7,
+      include_soft_skills: false,
+    });
+    const statements = db.query.mock.calls.map(([text]) => text);
+    expect(statements.some((t) => t.includes("user_match_preferences"))).toBe(
+      false
+    ); // Snapshot from the job data, not re-read.
+    const insert = db.query.mock.calls.find(([text]) =>
+      text.includes("INSERT INTO matches")
+    );
+    const summary = JSON.parse(insert[1][5]);
+    expect(
+      summary.requirements.map((r) => [r.skill, r.candidate_has_experience])
+    ).toEqual([
+      ["go", false],
+      ["sql", true],
+    ]);
+    expect(JSON.parse(insert[1][10])).toEqual(strict);
+  });
+});
@@ -3,6 +3,8 @@ const request = require('supertest');
 jest.mock('../src/services/user-service', () => ({
   ensureUser: jest.fn(),
   getUserId: jest.fn(),
+  incrementAnnualUsage: jest.fn(async () => true),
+  refundAnnualUsage: jest.fn(),
 }));
 
 jest.mock('../src/services/resume-service', () => ({
@@ -15,6 +17,7 @@ jest.mock('../src/services/job-service', () => ({
 
 jest.mock('../src/services/match-service', () => ({
   createMatchJob: jest.fn(),
+  updateMatchJobStatus: jest.fn(),
   getMatchJobForUser: jest.fn(),
   listMatchJobs: jest.fn(),
 }));
@@ -63,4 +66,39 @@ describe('Match routes', () => {
       expect.objectContaining({ matchJobId: 'match-job-1', resumeId: 'r1', jobId: 'j1' })
     );
   });
+
+  it('refunds the charge and fails the match job when the enqueue fails', async () => {
+    resumeService.getResumeForUser.mockResolvedValue({ status: 'ready' });
+    jobService.getJobForUser.mockResolvedValue({ status: 'ready' });
+    matchService.createMatchJob.mockResolvedValue({ id: 'match-job-1', status: 'queued' });
+    queues.computeMatch.add.mockRejectedValueOnce(new Error('redis down'));
+
+    const res = await request(app)
+      .post('/api/v1/matches')
+      .send({ resumeId: 'r1', jobId: 'j1' });
+
+    expect(res.status).toBe(500);
+    expect(userService.incrementAnnualUsage).toHaveBeenCalledWith('user-1');
+    expect(userService.refundAnnualUsage).toHaveBeenCalledWith('user-1', 1);
+    expect(matchService.updateMatchJobStatus).toHaveBeenCalledWith(
+      'match-job-1',
+      'failed',
+      'enqueue failed: redis down'
+    );
+  });
+
+  it('refunds the charge when the match job cannot be created', async () => {
+    resumeService.getResumeForUser.mockResolvedValue({ status: 'ready' });
+    jobService.getJobForUser.mockResolvedValue({ status: 'ready' });
+    matchService.createMatchJob.mockRejectedValueOnce(new Error('db down'));
+
+    const res = await request(app)
+      .post('/api/v1/matches')
+      .send({ resumeId: 'r1', jobId: 'j1' });
+
+    expect(res.status).toBe(500);
+    expect(userService.refundAnnualUsage).toHaveBeenCalledWith('user-1', 1);
+    expect(matchService.updateMatchJobStatus).not.toHaveBeenCalled();
+    expect(queues.computeMatch.add).not.toHaveBeenCalled();
+  });
 });
@@ -0,0 +1,58 @@
+// Migration runner tests: file discovery, ordering and GO batch splitting (no database needed).
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadMigrations, splitBatches } = require("../src/migrate");
+
+describe("Migrations", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "layer1-migrations-"));
+  });
+
+  afterEach(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+  it("ships an up script for every migration in ascending order", () => {
+    const migrations = loadMigrations();
+    expect(migrations.length).toBeGreaterThan(0);
+    const versions = migrations.map((m) => m.version);
+    expect(versions).toEqual([...versions].sort((a, b) => a - b));
+    migrations.forEach((m) => {
+      expect(m.up).toBeTruthy();
+      expect(m.checksum).toMatch(/^[0-9a-f]{64}$/);
+    });
+  });
+
+  it("splits scripts on standalone GO lines only", () => {
+    const batches = splitBatches(
+      "ALTER TABLE t ADD c INT;\nGO\nCREATE INDEX IX_GOOD ON t(c);\n  go  \n"
+    );
+    expect(batches).toEqual([
+      "ALTER TABLE t ADD c INT;",
+      "CREATE INDEX IX_GOOD ON t(c);",
+    ]);
+  });
+
+  it("orders numerically and ignores unrelated files", () => {
+    fs.writeFileSync(path.join(tmpDir, "10_later.up.sql"), "SELECT 10;");
+    fs.writeFileSync(path.join(tmpDir, "2_early.up.sql"), "SELECT 2;");
+    fs.writeFileSync(path.join(tmpDir, "2_early.down.sql"), "SELECT -2;");
+    fs.writeFileSync(path.join(tmpDir, "README.md"), "notes");
+    const migrations = loadMigrations(tmpDir);
+    expect(migrations.map((m) => m.version)).toEqual([2, 10]);
+    expect(migrations[0].down).toBe("SELECT -2;");
+    expect(migrations[1].down).toBeNull();
+  });
+
+  it("rejects a version without an up script", () => {
+    fs.writeFileSync(path.join(tmpDir, "0001_only.down.sql"), "SELECT 1;");
+    expect(() => loadMigrations(tmpDir)).toThrow("has no up script");
+  });
+
+  it("rejects conflicting names for the same version", () => {
+    fs.writeFileSync(path.join(tmpDir, "0001_a.up.sql"), "SELECT 1;");
+    fs.writeFileSync(path.join(tmpDir, "0001_b.down.sql"), "SELECT 1;");
+    expect(() => loadMigrations(tmpDir)).toThrow("conflicting names");
+  });
+});
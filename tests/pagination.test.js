@@ -0,0 +1,177 @@
+const request = require("supertest");
+
+jest.mock("../src/services/user-service", () => ({
+  ensureUser: jest.fn(),
+  getUserId: jest.fn(),
+}));
+
+jest.mock("../src/services/job-service", () => ({
+  listJobs: jest.fn(),
+}));
+
+jest.mock("../src/services/match-service", () => ({
+  listMatchJobs: jest.fn(),
+}));
+
+const { buildApp } = require("../src/app");
+const userService = require("../src/services/user-service");
+const jobService = require("../src/services/job-service");
+const matchService = require("../src/services/match-service");
+const {
+  parseListQuery,
+  buildListClauses,
+  toPage,
+  encodeCursor,
+} = require("../src/utils/pagination");
+const { LIST_SPECS } = require("../src/middleware/list-query");
+
+const JOB_ID = "5d1f0a2c-8b44-4e1a-9f7e-2c3b4a5d6e7f";
+const ids = ["a", "b", "c"].map(
+  (c) =>
+    `${c.repeat(8)}-${c.repeat(4)}-4${c.repeat(3)}-8${c.repeat(3)}-${c.repeat(
+      12
+    )}`
+);
+
+describe("List pagination", () => {
+  let app;
+
+  beforeEach(() => {
+    app = buildApp();
+    userService.getUserId.mockResolvedValue("user-1");
+    jobService.listJobs.mockResolvedValue({ items: [], nextCursor: null });
+    matchService.listMatchJobs.mockResolvedValue({
+      items: [],
+      nextCursor: null,
+    });
+  });
+
+  it("passes validated defaults to the service", async () => {
+    const res = await request(app).get("/api/v1/jobs");
+    expect(res.status).toBe(200);
+    expect(jobService.listJobs).toHaveBeenCalledWith("user-1", {
+      limit: 20,
+      cursor: null,
+      statuses: [],
+      createdFrom: null,
+      createdTo: null,
+      sort: "created_at",
+      order: "desc",
+    });
+  });
+
+  it("parses filters, sort and a matching cursor", async () => {
+    const cursor = encodeCursor({
+      id: "0b7e6c1e-3f1d-4c55-9a51-5b0c8f9d2a10",
+      sort: "updated_at",
+      order: "asc",
+    });
+    const res = await request(app).get("/api/v1/matches").query({
+      limit: "5",
+      status: "completed,failed",
+      createdFrom: "2024-01-01",
+      createdTo: "2024-02-01T00:00:00Z",
+      sort: "updated_at",
+      order: "asc",
+      cursor,
+    });
+    expect(res.status).toBe(200);
+    const listQuery = matchService.listMatchJobs.mock.calls[0][1];
+    expect(listQuery).toMatchObject({
+      limit: 5,
+      statuses: ["completed", "failed"],
+      sort: "updated_at",
+      order: "asc",
+      cursor: { id: "0b7e6c1e-3f1d-4c55-9a51-5b0c8f9d2a10" },
+    });
+    expect(listQuery.createdFrom.toISOString()).toBe(
+      "2024-01-01T00:00:00.000Z"
+    );
+  });
+
+  it.each([
+    [{ limit: "0" }, "invalid_limit"],
+    [{ limit: "500" }, "invalid_limit"],
+    [{ status: "bogus" }, "invalid_status"],
+    [{ sort: "title; DROP TABLE users" }, "invalid_sort"],
+    [{ order: "sideways" }, "invalid_order"],
+    [{ createdFrom: "yesterday-ish" }, "invalid_createdFrom"],
+    [
+      { createdFrom: "2024-02-01", createdTo: "2024-01-01" },
+      "invalid_created_range",
+    ],
+    [{ cursor: "not-a-cursor" }, "invalid_cursor"],
+    [
+      {
+        cursor: encodeCursor({ id: "1'--", sort: "created_at", order: "desc" }),
+      },
+      "invalid_cursor",
+    ],
+  ])("rejects %j with 400", async (query, error) => {
+    const res = await request(app).get("/api/v1/jobs").query(query);
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error });
+    expect(jobService.listJobs).not.toHaveBeenCalled();
+  });
+
+  it("parses the stale flag on matches only", async () => {
+    let res = await request(app)
+      .get("/api/v1/matches")
+      .query({ stale: "true" });
+    expect(res.status).toBe(200);
+    expect(matchService.listMatchJobs.mock.calls[0][1].stale).toBe(true);
+    res = await request(app).get("/api/v1/matches").query({ stale: "maybe" });
+    expect(res.body).toEqual({ error: "invalid_stale" });
+    expect(parseListQuery({}, LIST_SPECS.matches).value.stale).toBeNull();
+    expect(parseListQuery({}, LIST_SPECS.jobs).value).not.toHaveProperty(
+      "stale"
+    );
+  });
+
+  it("rejects a cursor issued for a different sort", () => {
+    const cursor = encodeCursor({
+      id: JOB_ID,
+      sort: "created_at",
+      order: "desc",
+    });
+    expect(parseListQuery({ cursor, sort: "status" }, LIST_SPECS.jobs)).toEqual(
+      { error: "invalid_cursor" }
+    );
+  });
+
+  it("builds keyset SQL anchored on the cursor row", () => {
+    const { value } = parseListQuery(
+      {
+        status: "ready",
+        cursor: encodeCursor({ id: JOB_ID, sort: "created_at", order: "desc" }),
+      },
+      LIST_SPECS.jobs
+    );
+    const params = ["user-1"];
+    const clauses = buildListClauses(
+      value,
+      { table: "job_descriptions", ownerColumn: "user_id", ownerParam: "$1" },
+      ["user_id = $1"],
+      params
+    );
+    expect(params).toEqual(["user-1", "ready", JOB_ID]);
+    expect(clauses.where).toBe(
+      "user_id = $1 AND status IN ($2) AND (created_at < (SELECT created_at FROM job_descriptions WHERE id = $3 AND user_id = $1) OR (created_at = (SELECT created_at FROM job_descriptions WHERE id = $3 AND user_id = $1) AND id < $3))"
+    );
+    expect(clauses.orderBy).toBe("ORDER BY created_at DESC, id DESC");
+    expect(clauses.fetch).toBe("OFFSET 0 ROWS FETCH NEXT 21 ROWS ONLY");
+  });
+
+  it("emits nextCursor only when a look-ahead row exists", () => {
+    const { value } = parseListQuery({ limit: "2" }, LIST_SPECS.resumes);
+    const full = toPage(
+      ids.map((id) => ({ id })),
+      value
+    );
+    expect(full.items.map((r) => r.id)).toEqual(ids.slice(0, 2));
+    expect(
+      parseListQuery({ cursor: full.nextCursor }, LIST_SPECS.resumes)
+    ).toMatchObject({ value: { cursor: { id: ids[1] } } });
+    expect(toPage([{ id: ids[0] }], value).nextCursor).toBeNull();
+  });
+});
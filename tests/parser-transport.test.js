@@ -0,0 +1,118 @@
+// Parser file transport tests: what postStoredFile sends to Python for each PYTHON_FILE_TRANSPORT.
+jest.mock("axios", () => ({ post: jest.fn(async () => ({ data: {} })) }));
+jest.mock("../src/utils/storage", () =>
+  jest.requireActual("../src/utils/storage")
+);
+
+const { PassThrough, Readable } = require("stream");
+const axios = require("axios");
+const config = require("../src/config");
+const storage = require("../src/utils/storage");
+const memoryStorage = require("../src/utils/memory-storage");
+const { postStoredFile } = require("../src/workers");
+
+// 1000 bytes covering every byte value, streamed in uneven chunks so base64 quanta straddle chunk edges.
+const fileBytes = Buffer.from(Array.from({ length: 1000 }, (_, i) => i % 256));
+const chunkedDriver = (extra = {}) => ({
+  ...memoryStorage,
+  getObjectBytes: jest.fn(memoryStorage.getObjectBytes),
+  async getObjectStream(key) {
+    const body = await memoryStorage.getObjectBytes(key);
+    const chunks = [];
+    for (
+      let i = 0, size = 1;
+      i < body.length;
+      i += size, size = (size % 7) + 1
+    ) {
+      chunks.push(body.subarray(i, i + size));
+    }
+    return Readable.from(chunks);
+  },
+  ...extra,
+});
+
+async function readBody(body) {
+  const out = new PassThrough();
+  body.pipe(out);
+  const chunks = [];
+  for await (const chunk of out) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks);
+}
+
+const send = () =>
+  postStoredFile("/parse/job", {
+    storagePath: "jobs/j1.pdf",
+    filename: "j1.pdf",
+    mimeType: "application/pdf",
+    fields: { title: "Engineer" },
+  });
+
+describe("postStoredFile", () => {
+  const originalTransport = config.pythonFileTransport;
+  let driver;
+
+  beforeEach(async () => {
+    driver = chunkedDriver();
+    storage.setStorageDriver(driver);
+    await memoryStorage.putObject("jobs/j1.pdf", fileBytes, "application/pdf");
+  });
+
+  afterEach(() => {
+    config.pythonFileTransport = originalTransport;
+    storage.setStorageDriver(null);
+    memoryStorage.clear();
+  });
+
+  it("streams base64 JSON by default without buffering the file", async () => {
+    config.pythonFileTransport = "base64";
+    await send();
+    const [url, body, options] = axios.post.mock.calls[0];
+    expect(url).toBe(`${config.pythonServiceUrl}/parse/job`);
+    expect(body).toBeInstanceOf(Readable);
+    expect(driver.getObjectBytes).not.toHaveBeenCalled();
+    const sent = await readBody(body);
+    expect(options.headers).toMatchObject({
+      "Content-Type": "application/json",
+      "Content-Length": sent.length,
+    });
+    expect(JSON.parse(sent.toString())).toEqual({
+      filename: "j1.pdf",
+      mime_type: "application/pdf",
+      title: "Engineer",
+      content_b64: fileBytes.toString("base64"),
+    });
+  });
+
+  it("streams a multipart file part when multipart is selected", async () => {
+    config.pythonFileTransport = "multipart";
+    await send();
+    const [, form, options] = axios.post.mock.calls[0];
+    const sent = await readBody(form);
+    expect(options.headers["content-type"]).toMatch(/^multipart\/form-data/);
+    expect(options.headers["Content-Length"]).toBe(sent.length);
+    expect(sent.toString("latin1")).toContain('name="title"\r\n\r\nEngineer');
+    expect(sent.includes(fileBytes)).toBe(true);
+    expect(driver.getObjectBytes).not.toHaveBeenCalled();
+  });
+
+  it("sends a presigned reference when the driver can sign, multipart otherwise", async () => {
+    config.pythonFileTransport = "reference";
+    storage.setStorageDriver(
+      chunkedDriver({
+        getSignedDownloadUrl: jest.fn(async () => "https://r2.example/j1.pdf"),
+      })
+    );
+    await send();
+    expect(axios.post.mock.calls[0][1]).toEqual({
+      filename: "j1.pdf",
+      mime_type: "application/pdf",
+      file_url: "https://r2.example/j1.pdf",
+      title: "Engineer",
+    });
+
+    storage.setStorageDriver(driver); // Memory driver: no signed URLs.
+    await send();
+    const [, fallback] = axios.post.mock.calls[1];
+    expect((await readBody(fallback)).includes(fileBytes)).toBe(true);
+  });
+});
@@ -0,0 +1,300 @@
+// Queue retry tests: final-attempt status handling in processors + dead-letter / timeout wiring.
+jest.mock("axios", () => ({ post: jest.fn() }));
+jest.mock("ioredis", () => jest.fn());
+jest.mock("bullmq", () => ({
+  Queue: jest.fn().mockImplementation((name, opts) => ({
+    name,
+    opts,
+    add: jest.fn(),
+  })),
+  Worker: jest.fn().mockImplementation(() => ({
+    on: jest.fn(),
+    close: jest.fn().mockResolvedValue(),
+  })),
+  QueueEvents: jest.fn().mockImplementation(() => ({ on: jest.fn() })),
+}));
+
+jest.mock("../src/services/job-service", () => ({
+  updateJobStatus: jest.fn(),
+  updateJobAttempts: jest.fn(),
+  replaceJobRequirements: jest.fn(),
+  replaceJobSoftSkills: jest.fn(),
+}));
+
+jest.mock("../src/services/match-service", () => ({
+  updateMatchJobStatus: jest.fn(),
+  updateMatchJobAttempts: jest.fn(),
+  insertMatchResult: jest.fn(),
+  attachResult: jest.fn(),
+}));
+
+const axios = require("axios");
+const config = require("../src/config");
+const jobService = require("../src/services/job-service");
+const matchService = require("../src/services/match-service");
+const { Worker } = require("bullmq");
+const { bus } = require("../src/events/bus");
+const { assertTransition } = require("../src/services/lifecycle-service");
+const {
+  processParseJob,
+  processComputeMatch,
+  PROGRESS_STEPS,
+} = require("../src/workers");
+const {
+  queues,
+  startWorkers,
+  closeWorkers,
+  jobOptions,
+  withTimeout,
+  moveToDeadLetter,
+  isExhausted,
+} = jest.requireActual("../src/queues");
+
+const textJob = (attemptsMade, attempts = 3) => ({
+  id: "42",
+  name: "parseJob",
+  data: { jobId: "job-1", source: "text", rawText: "Go developer" },
+  attemptsMade,
+  opts: { attempts },
+  updateProgress: jest.fn(),
+});
+
+describe("Queue retries", () => {
+  it("requeues the entity while attempts remain", async () => {
+    axios.post.mockRejectedValue(new Error("python timeout"));
+    await expect(processParseJob(textJob(0))).rejects.toThrow("python timeout");
+    expect(jobService.updateJobAttempts).toHaveBeenCalledWith("job-1", 1);
+    expect(jobService.updateJobStatus).toHaveBeenLastCalledWith(
+      "job-1",
+      "queued",
+      undefined,
+      { reason: "retrying: python timeout" }
+    );
+  });
+
+  it("marks the entity failed on the final attempt", async () => {
+    axios.post.mockRejectedValue(new Error("python timeout"));
+    await expect(processParseJob(textJob(2))).rejects.toThrow();
+    expect(jobService.updateJobAttempts).toHaveBeenCalledWith("job-1", 3);
+    expect(jobService.updateJobStatus).toHaveBeenLastCalledWith(
+      "job-1",
+      "failed",
+      { message: "python timeout" },
+      { reason: "python timeout" }
+    );
+  });
+
+  it("keeps the last error on a match waiting for retry", async () => {
+    axios.post.mockRejectedValue(new Error("503"));
+    await expect(
+      processComputeMatch({
+        data: { matchJobId: "m1", resumeId: "r1", jobId: "j1" },
+        attemptsMade: 0,
+        opts: { attempts: 2 },
+        updateProgress: jest.fn(),
+      })
+    ).rejects.toThrow("503");
+    expect(matchService.updateMatchJobStatus).toHaveBeenLastCalledWith(
+      "m1",
+      "queued",
+      "503",
+      { reason: "retrying: 503" }
+    );
+  });
+
+  it("reports the timeout instead of the aborted request error", async () => {
+    axios.post.mockImplementation(
+      (url, body, { signal }) =>
+        new Promise((resolve, reject) =>
+          signal.addEventListener("abort", () => reject(new Error("canceled")))
+        )
+    );
+    const processor = withTimeout(processParseJob, 10);
+    await expect(processor(textJob(2))).rejects.toThrow(
+      "Job timed out after 10ms"
+    );
+    expect(jobService.updateJobStatus).toHaveBeenLastCalledWith(
+      "job-1",
+      "failed",
+      { message: "Job timed out after 10ms" },
+      { reason: "Job timed out after 10ms" }
+    );
+  });
+
+  it("returns a failed reparse to ready without touching the snapshot", async () => {
+    axios.post.mockRejectedValue(new Error("parser crashed"));
+    const job = textJob(2);
+    job.data.reparse = true;
+    await expect(processParseJob(job)).rejects.toThrow("parser crashed");
+    expect(jobService.updateJobStatus).toHaveBeenLastCalledWith(
+      "job-1",
+      "ready",
+      undefined,
+      { reason: "reparse failed, kept previous parse: parser crashed" }
+    );
+    expect(jobService.replaceJobRequirements).not.toHaveBeenCalled();
+  });
+
+  it("skips a late retry instead of overwriting a ready entity", async () => {
+    jobService.updateJobStatus.mockImplementationOnce(async () =>
+      assertTransition("job", "ready", "processing")
+    );
+    await expect(processParseJob(textJob(1))).resolves.toBeUndefined();
+    expect(axios.post).not.toHaveBeenCalled();
+    expect(jobService.updateJobAttempts).not.toHaveBeenCalled();
+    expect(jobService.updateJobStatus).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("Progress reporting", () => {
+  afterEach(() => bus.removeAllListeners("job.progress"));
+
+  it("reports each parse step on the job and the bus", async () => {
+    const job = { ...textJob(0), data: { ...textJob(0).data, userId: "u1" } };
+    const reported = () => job.updateProgress.mock.calls.map(([p]) => p.step);
+    let stepsAtParse;
+    axios.post.mockImplementationOnce(async () => {
+      stepsAtParse = reported();
+      return { data: { requirements: [] } };
+    });
+    const events = [];
+    bus.on("job.progress", (e) => events.push(e));
+    await processParseJob(job);
+    // 'parsing' is reported before the parser call; nothing more until it returns.
+    expect(stepsAtParse).toEqual(["parsing"]);
+    const steps = ["parsing", "persisting", "done"];
+    expect(job.updateProgress.mock.calls.map(([p]) => p)).toEqual(
+      steps.map((step) => ({ step, percent: PROGRESS_STEPS[step] }))
+    );
+    expect(events.map((e) => e.step)).toEqual(steps);
+    expect(events[2]).toMatchObject({
+      id: "job-1",
+      userId: "u1",
+      percent: 100,
+    });
+  });
+
+  it("reports downloading before the file is fetched and parsing once it is sent", async () => {
+    const { Readable } = require("stream");
+    const { statObject, getObjectStream } = require("../src/utils/storage");
+    const job = {
+      ...textJob(0),
+      data: {
+        jobId: "job-1",
+        source: "file",
+        storagePath: "jobs/job-1.txt",
+        filename: "job.txt",
+        mimeType: "text/plain",
+      },
+    };
+    const reported = () => job.updateProgress.mock.calls.map(([p]) => p.step);
+    const seen = {};
+    statObject.mockResolvedValueOnce({ size: 12 });
+    getObjectStream.mockImplementationOnce(async () => {
+      seen.download = reported();
+      return Readable.from([Buffer.from("Go developer")]);
+    });
+    axios.post.mockImplementationOnce(async () => {
+      seen.parse = reported();
+      return { data: { requirements: [] } };
+    });
+    await processParseJob(job);
+    expect(seen).toEqual({
+      download: ["downloading"],
+      parse: ["downloading", "parsing"],
+    });
+    expect(reported()).toEqual([
+      "downloading",
+      "parsing",
+      "persisting",
+      "done",
+    ]);
+  });
+
+  it("keeps processing when progress cannot be recorded", async () => {
+    axios.post.mockResolvedValue({ data: { requirements: [] } });
+    const job = textJob(0);
+    job.updateProgress.mockRejectedValue(new Error("redis down"));
+    await expect(processParseJob(job)).resolves.toBeUndefined();
+    expect(jobService.updateJobStatus).toHaveBeenCalledWith(
+      "job-1",
+      "ready",
+      expect.any(Object),
+      expect.any(Object)
+    );
+  });
+});
+
+describe("Queue wiring", () => {
+  it("applies configured attempts and exponential backoff", () => {
+    expect(jobOptions("computeMatch")).toEqual({
+      attempts: config.queues.computeMatch.attempts,
+      backoff: {
+        type: "exponential",
+        delay: config.queues.computeMatch.backoffMs,
+      },
+    });
+    expect(queues.parseJob.opts.defaultJobOptions).toEqual(
+      jobOptions("parseJob")
+    );
+  });
+
+  it("starts one worker per queue with its configured concurrency", () => {
+    const workers = startWorkers();
+    expect(workers).toHaveLength(3);
+    expect(Worker).toHaveBeenCalledWith(
+      "computeMatch",
+      expect.any(Function),
+      expect.objectContaining({
+        concurrency: config.queues.computeMatch.concurrency,
+      })
+    );
+  });
+
+  it("closes started workers and reports a full drain", async () => {
+    const workers = startWorkers();
+    await expect(closeWorkers({ timeoutMs: 50 })).resolves.toEqual({
+      drained: true,
+    });
+    workers.forEach((w) => expect(w.close).toHaveBeenCalled());
+    // Already closed: nothing left to wait for.
+    await expect(closeWorkers({ timeoutMs: 50 })).resolves.toEqual({
+      drained: true,
+    });
+  });
+
+  it("stops waiting for busy workers after the drain timeout", async () => {
+    const [busy] = startWorkers();
+    busy.close.mockReturnValue(new Promise(() => {}));
+    await expect(closeWorkers({ timeoutMs: 10 })).resolves.toEqual({
+      drained: false,
+    });
+  });
+
+  it("treats a job as exhausted once attempts are used up", () => {
+    expect(isExhausted({ attemptsMade: 2, opts: { attempts: 3 } })).toBe(false);
+    expect(isExhausted({ attemptsMade: 3, opts: { attempts: 3 } })).toBe(true);
+    const unrecoverable = Object.assign(new Error("bad input"), {
+      name: "UnrecoverableError",
+    });
+    expect(
+      isExhausted({ attemptsMade: 1, opts: { attempts: 3 } }, unrecoverable)
+    ).toBe(true);
+  });
+
+  it("records payload and reason on the dead-letter queue", async () => {
+    const job = { ...textJob(3), stacktrace: ["Error: boom"] };
+    await moveToDeadLetter("parseJob", job, new Error("boom"));
+    expect(queues.deadLetter.add).toHaveBeenCalledWith(
+      "parseJob",
+      expect.objectContaining({
+        queue: "parseJob",
+        jobId: "42",
+        data: job.data,
+        failedReason: "boom",
+        attemptsMade: 3,
+      }),
+      { jobId: "parseJob-42" }
+    );
+  });
+});
@@ -1,17 +1,23 @@
-// Realtime bridge unit tests: verify that registerJobStatusListener listens to bus and emits via io
+// Realtime bridge unit tests: bus listeners publish built payloads; socket delivery replays missed events
 
+const { EventEmitter } = require("events");
 const { bus } = require("../src/events/bus");
-const { registerJobStatusListener } = require("../src/realtime");
+const { createDeliveryHub } = require("../src/events/delivery");
+const {
+  registerJobStatusListener,
+  registerProgressListeners,
+  connectSocket,
+} = require("../src/realtime");
 const { query } = require("../src/db");
 
-function createFakeIo() {
+// Stands in for events/relay publish(); records deliveries by room like the socket side would see them.
+function createFakePublish() {
   const emits = [];
-  return {
-    to: (room) => ({
-      emit: (event, payload) => emits.push({ room, event, payload }),
-    }),
-    _emits: emits,
-  };
+  const publish = jest.fn(async (sub, event, payload) => {
+    emits.push({ room: `user:${sub}`, event, payload });
+  });
+  publish._emits = emits;
+  return publish;
 }
 
 describe("registerJobStatusListener", () => {
@@ -20,7 +26,7 @@ describe("registerJobStatusListener", () => {
     jest.clearAllMocks();
   });
 
-  it("emits job:update with DB row to user room", async () => {
+  it("publishes job:update with DB row to user room", async () => {
     query.mockResolvedValueOnce({
       rows: [
         {
@@ -34,16 +40,16 @@ describe("registerJobStatusListener", () => {
         },
       ],
     });
-    const io = createFakeIo();
-    registerJobStatusListener(io);
+    const publish = createFakePublish();
+    registerJobStatusListener(publish);
     bus.emit("job.status.changed", { jobId: "job-123" });
     await Promise.resolve();
     expect(query).toHaveBeenCalledWith(
       expect.stringContaining("FROM job_descriptions"),
       ["job-123"]
     );
-    expect(io._emits).toHaveLength(1);
-    expect(io._emits[0]).toMatchObject({
+    expect(publish._emits).toHaveLength(1);
+    expect(publish._emits[0]).toMatchObject({
       room: "user:dev|user",
       event: "job:update",
       payload: { id: "job-123", status: "processing" },
@@ -62,11 +68,123 @@ describe("registerJobStatusListener", () => {
         },
       ],
     });
-    const io = createFakeIo();
-    registerJobStatusListener(io);
-    registerJobStatusListener(io);
+    const publish = createFakePublish();
+    registerJobStatusListener(publish);
+    registerJobStatusListener(publish);
     bus.emit("job.status.changed", { jobId: "job-123" });
     await Promise.resolve();
-    expect(io._emits).toHaveLength(1);
+    expect(publish._emits).toHaveLength(1);
+  });
+});
+
+describe("registerProgressListeners", () => {
+  afterEach(() => {
+    ["resume", "job", "match"].forEach((e) =>
+      bus.removeAllListeners(`${e}.progress`)
+    );
+  });
+
+  it("forwards worker progress to the owner's room", async () => {
+    query.mockResolvedValueOnce({ rows: [{ auth0_sub: "auth0|abc" }] });
+    const publish = createFakePublish();
+    registerProgressListeners(publish);
+    registerProgressListeners(publish);
+    bus.emit("match.progress", {
+      id: "mj-1",
+      userId: "user-1",
+      step: "computing similarity",
+      percent: 40,
+      ts: 1,
+    });
+    await new Promise(setImmediate);
+    expect(query).toHaveBeenCalledWith(expect.stringContaining("FROM users"), [
+      "user-1",
+    ]);
+    expect(publish).toHaveBeenCalledWith(
+      "auth0|abc",
+      "match:progress",
+      expect.any(Object),
+      { persist: false }
+    );
+    expect(publish._emits).toEqual([
+      {
+        room: "user:auth0|abc",
+        event: "match:progress",
+        payload: {
+          id: "mj-1",
+          step: "computing similarity",
+          percent: 40,
+          ts: 1,
+        },
+      },
+    ]);
+  });
+
+  it("skips progress without an owner", async () => {
+    const publish = createFakePublish();
+    registerProgressListeners(publish);
+    bus.emit("resume.progress", { id: "r1", userId: null, step: "done" });
+    await new Promise(setImmediate);
+    expect(query).not.toHaveBeenCalled();
+    expect(publish._emits).toHaveLength(0);
+  });
+});
+
+describe("connectSocket", () => {
+  function createFakeSocket() {
+    const socket = new EventEmitter();
+    socket.data = { userId: "auth0|u1" };
+    socket.connected = true;
+    socket.emitted = [];
+    socket.emit = function (event, payload) {
+      if (event === "disconnect")
+        return EventEmitter.prototype.emit.call(this, event);
+      this.emitted.push([event, payload]);
+      return true;
+    };
+    return socket;
+  }
+
+  it("delivers the user's events until the socket disconnects", async () => {
+    const hub = createDeliveryHub();
+    const socket = createFakeSocket();
+    await connectSocket(socket, undefined, hub);
+    hub.dispatch({
+      sub: "auth0|u1",
+      event: "job:update",
+      payload: { id: "j1" },
+    });
+    hub.dispatch({
+      sub: "auth0|u2",
+      event: "job:update",
+      payload: { id: "j2" },
+    });
+    socket.emit("disconnect");
+    hub.dispatch({
+      sub: "auth0|u1",
+      event: "job:update",
+      payload: { id: "j3" },
+    });
+    expect(socket.emitted).toEqual([["job:update", { id: "j1" }]]);
+  });
+
+  it("reports the replay after a reconnect with lastEventId", async () => {
+    const hub = createDeliveryHub();
+    hub.useEventLog({
+      xrange: jest
+        .fn()
+        .mockResolvedValueOnce([
+          ["1-0", ["event", "job:update", "payload", "{}"]],
+        ])
+        .mockResolvedValueOnce([
+          ["2-0", ["event", "job:update", "payload", '{"id":"j1"}']],
+        ]),
+    });
+    const socket = createFakeSocket();
+    await connectSocket(socket, "1-0", hub);
+    expect(socket.emitted).toEqual([
+      ["job:update", { id: "j1", eventId: "2-0" }],
+      ["events:replayed", { lastEventId: "2-0", count: 1, truncated: false }],
+    ]);
   });
 });
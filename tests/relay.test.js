@@ -0,0 +1,139 @@
+// Realtime relay + event log tests: publish (with replay log append), delivery fan-out, replay reads (fake Redis).
+const { EventEmitter } = require("events");
+const {
+  createRealtimePublisher,
+  startDeliverySubscriber,
+  RELAY_CHANNEL,
+} = require("../src/events/relay");
+const {
+  readEventsAfter,
+  compareEventIds,
+  isEventId,
+  EVENT_LOG_PREFIX,
+} = require("../src/events/event-log");
+
+function fakeRedis({ xaddId = "1700000000000-0", ranges = [] } = {}) {
+  const chain = {
+    xadd: jest.fn(() => chain),
+    expire: jest.fn(() => chain),
+    exec: jest.fn(async () => [
+      [null, xaddId],
+      [null, 1],
+    ]),
+  };
+  return {
+    chain,
+    multi: jest.fn(() => chain),
+    publish: jest.fn(async () => 1),
+    xrange: jest.fn(async () => ranges.shift() || []),
+  };
+}
+
+describe("Realtime relay", () => {
+  it("logs persisted events and publishes them with their eventId", async () => {
+    const redis = fakeRedis();
+    const { publish } = createRealtimePublisher(redis);
+    await publish("auth0|u1", "match:update", { id: "m1", status: "running" });
+    expect(redis.chain.xadd).toHaveBeenCalledWith(
+      `${EVENT_LOG_PREFIX}auth0|u1`,
+      "MAXLEN",
+      "~",
+      expect.any(Number),
+      "*",
+      "event",
+      "match:update",
+      "payload",
+      JSON.stringify({ id: "m1", status: "running" })
+    );
+    expect(redis.publish).toHaveBeenCalledWith(
+      RELAY_CHANNEL,
+      JSON.stringify({
+        sub: "auth0|u1",
+        event: "match:update",
+        payload: { id: "m1", status: "running", eventId: "1700000000000-0" },
+        id: "1700000000000-0",
+      })
+    );
+  });
+
+  it("publishes transient events without logging them", async () => {
+    const redis = fakeRedis();
+    const { publish } = createRealtimePublisher(redis);
+    await publish("auth0|u1", "job:progress", { id: "j1" }, { persist: false });
+    expect(redis.multi).not.toHaveBeenCalled();
+    expect(JSON.parse(redis.publish.mock.calls[0][1])).toEqual({
+      sub: "auth0|u1",
+      event: "job:progress",
+      payload: { id: "j1" },
+      id: null,
+    });
+  });
+
+  it("hands relayed deliveries to the local handler", async () => {
+    const redis = Object.assign(new EventEmitter(), {
+      subscribe: jest.fn(async () => 1),
+    });
+    const onDelivery = jest.fn();
+    await startDeliverySubscriber(onDelivery, redis);
+    expect(redis.subscribe).toHaveBeenCalledWith(RELAY_CHANNEL);
+    const delivery = {
+      sub: "auth0|u1",
+      event: "job:update",
+      payload: { id: "j1" },
+      id: "1-0",
+    };
+    redis.emit("message", RELAY_CHANNEL, JSON.stringify(delivery));
+    redis.emit("message", RELAY_CHANNEL, "not json");
+    redis.emit("message", "other", JSON.stringify(delivery));
+    expect(onDelivery).toHaveBeenCalledTimes(1);
+    expect(onDelivery).toHaveBeenCalledWith(delivery);
+  });
+});
+
+describe("Event log", () => {
+  it("orders ids numerically", () => {
+    expect(
+      compareEventIds("1700000000000-10", "1700000000000-9")
+    ).toBeGreaterThan(0);
+    expect(compareEventIds("1699999999999-5", "1700000000000-0")).toBeLessThan(
+      0
+    );
+    expect(isEventId("1700000000000-0")).toBe(true);
+    expect(isEventId("latest")).toBe(false);
+  });
+
+  it("reads events after the given id", async () => {
+    const redis = fakeRedis({
+      ranges: [
+        [["1-0", ["event", "job:update", "payload", "{}"]]],
+        [
+          ["2-0", ["event", "job:update", "payload", '{"id":"j1"}']],
+          ["3-0", ["event", "match:update", "payload", '{"id":"m1"}']],
+        ],
+      ],
+    });
+    const { events, truncated } = await readEventsAfter(
+      redis,
+      "auth0|u1",
+      "1-0"
+    );
+    expect(redis.xrange).toHaveBeenLastCalledWith(
+      `${EVENT_LOG_PREFIX}auth0|u1`,
+      "(1-0",
+      "+"
+    );
+    expect(events).toEqual([
+      { id: "2-0", event: "job:update", payload: { id: "j1" } },
+      { id: "3-0", event: "match:update", payload: { id: "m1" } },
+    ]);
+    expect(truncated).toBe(false);
+  });
+
+  it("flags a replay whose starting point was trimmed", async () => {
+    const redis = fakeRedis({
+      ranges: [[["5-0", ["event", "job:update", "payload", "{}"]]]],
+    });
+    const { truncated } = await readEventsAfter(redis, "auth0|u1", "2-0");
+    expect(truncated).toBe(true);
+  });
+});
@@ -11,6 +11,7 @@ jest.mock("../src/services/user-service", () => ({
 
 jest.mock("../src/services/resume-service", () => ({
   createResume: jest.fn(),
+  findActiveResumeByHash: jest.fn(),
   updateResumeStoragePath: jest.fn(),
   updateResumeStatus: jest.fn(),
   getResumeForUser: jest.fn(),
@@ -19,11 +20,6 @@ jest.mock("../src/services/resume-service", () => ({
   softDeleteResume: jest.fn(),
 }));
 
-jest.mock("../src/utils/r2-storage", () => ({
-  putObject: jest.fn().mockResolvedValue(),
-  getObjectBytes: jest.fn(),
-}));
-
 const { buildApp } = require("../src/app");
 const { queues } = require("../src/queues");
 const userService = require("../src/services/user-service");
@@ -60,12 +56,174 @@ describe("Resume routes", () => {
     expect(res.body).toHaveProperty("id");
     expect(typeof res.body.id).toBe("string");
     expect(res.body).toHaveProperty("status", "queued");
-    // expect putObject called (R2 upload)
-    const { putObject } = require("../src/utils/r2-storage");
-    expect(putObject).toHaveBeenCalled();
+    // expect the upload to be streamed to the storage driver (no in-memory buffer)
+    const { putObjectStream } = require("../src/utils/storage");
+    expect(putObjectStream).toHaveBeenCalledWith(
+      expect.stringMatching(/^resumes\/.+\.txt$/),
+      expect.anything(),
+      "text/plain"
+    );
     expect(queues.parseResume.add).toHaveBeenCalledWith(
       "parseResume",
       expect.objectContaining({ resumeId: expect.any(String) })
     );
   });
+
+  it("returns 415 without storing unsupported file types", async () => {
+    const res = await request(app)
+      .post("/api/v1/resumes")
+      .attach("file", Buffer.from("GIF89a"), {
+        filename: "photo.gif",
+        contentType: "image/gif",
+      });
+
+    expect(res.status).toBe(415);
+    const { putObjectStream } = require("../src/utils/storage");
+    expect(putObjectStream).not.toHaveBeenCalled();
+    expect(queues.parseResume.add).not.toHaveBeenCalled();
+  });
+
+  it("reuses an identical resume instead of queueing another parse", async () => {
+    resumeService.findActiveResumeByHash.mockResolvedValueOnce({
+      id: "resume-existing",
+      status: "ready",
+    });
+    const res = await request(app)
+      .post("/api/v1/resumes")
+      .attach("file", Buffer.from("Sample resume"), "resume.txt");
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      id: "resume-existing",
+      status: "ready",
+      deduplicated: true,
+    });
+    // sha256("Sample resume")
+    expect(resumeService.findActiveResumeByHash).toHaveBeenCalledWith(
+      "user-1",
+      require("crypto")
+        .createHash("sha256")
+        .update("Sample resume")
+        .digest("hex")
+    );
+    const { deleteObject } = require("../src/utils/storage");
+    expect(deleteObject).toHaveBeenCalled();
+    expect(resumeService.createResume).not.toHaveBeenCalled();
+    expect(queues.parseResume.add).not.toHaveBeenCalled();
+  });
+
+  it("removes the streamed object when persisting the resume fails", async () => {
+    resumeService.createResume.mockRejectedValueOnce(new Error("db down"));
+    const res = await request(app)
+      .post("/api/v1/resumes")
+      .attach("file", Buffer.from("Sample resume"), "resume.txt");
+
+    expect(res.status).toBe(500);
+    const { deleteObject } = require("../src/utils/storage");
+    expect(deleteObject).toHaveBeenCalledWith(
+      expect.stringMatching(/^resumes\//)
+    );
+  });
+
+  describe("POST /resumes/:id/reparse", () => {
+    const readyResume = {
+      id: "resume-1",
+      status: "ready",
+      filename: "resume.pdf",
+      mime_type: "application/pdf",
+      storage_path: "resumes/resume-1.pdf",
+    };
+
+    it("re-queues parsing from the stored object and flags matches stale", async () => {
+      resumeService.getResumeForUser.mockResolvedValueOnce(readyResume);
+      const res = await request(app)
+        .post("/api/v1/resumes/resume-1/reparse")
+        .send({ markMatchesStale: true, rematch: true });
+
+      expect(res.status).toBe(202);
+      expect(res.body).toEqual({
+        id: "resume-1",
+        status: "queued",
+        previousStatus: "ready",
+        matchesMarkedStale: true,
+        rematch: true,
+      });
+      expect(resumeService.updateResumeStatus).toHaveBeenCalledWith(
+        "resume-1",
+        "queued",
+        undefined,
+        { reason: "reparse requested" }
+      );
+      expect(queues.parseResume.add).toHaveBeenCalledWith("parseResume", {
+        resumeId: "resume-1",
+        storagePath: "resumes/resume-1.pdf",
+        filename: "resume.pdf",
+        mimeType: "application/pdf",
+        userId: "user-1",
+        reparse: true,
+        rematch: true,
+      });
+      const db = require("../src/db");
+      expect(db.query).toHaveBeenCalledWith(
+        expect.stringContaining("SET is_stale = 1"),
+        ["resume-1"]
+      );
+    });
+
+    it("returns 409 while a parse is already in flight", async () => {
+      resumeService.getResumeForUser.mockResolvedValueOnce({
+        ...readyResume,
+        status: "processing",
+      });
+      const res = await request(app).post("/api/v1/resumes/resume-1/reparse");
+
+      expect(res.status).toBe(409);
+      expect(res.body).toEqual({ error: "reparse_in_progress" });
+      expect(resumeService.updateResumeStatus).not.toHaveBeenCalled();
+      expect(queues.parseResume.add).not.toHaveBeenCalled();
+    });
+
+    it("returns 409 when a concurrent reparse queued it first", async () => {
+      const { assertTransition } = require("../src/services/lifecycle-service");
+      resumeService.getResumeForUser.mockResolvedValueOnce(readyResume);
+      resumeService.updateResumeStatus.mockImplementationOnce(async () =>
+        assertTransition("resume", "queued", "queued")
+      );
+      const res = await request(app).post("/api/v1/resumes/resume-1/reparse");
+
+      expect(res.status).toBe(409);
+      expect(queues.parseResume.add).not.toHaveBeenCalled();
+    });
+
+    it("moves the resume back to ready when the enqueue fails", async () => {
+      resumeService.getResumeForUser.mockResolvedValueOnce(readyResume);
+      queues.parseResume.add.mockRejectedValueOnce(new Error("redis down"));
+      const res = await request(app)
+        .post("/api/v1/resumes/resume-1/reparse")
+        .send({ markMatchesStale: true });
+
+      expect(res.status).toBe(500);
+      const db = require("../src/db");
+      expect(db.query).not.toHaveBeenCalledWith(
+        expect.stringContaining("SET is_stale = 1"),
+        expect.anything()
+      );
+      expect(
+        resumeService.updateResumeStatus.mock.calls.map((call) => call[1])
+      ).toEqual(["queued", "ready"]);
+      expect(resumeService.updateResumeStatus).toHaveBeenLastCalledWith(
+        "resume-1",
+        "ready",
+        undefined,
+        { reason: "reparse enqueue failed: redis down" }
+      );
+    });
+
+    it("returns 404 for resumes the user does not own", async () => {
+      resumeService.getResumeForUser.mockResolvedValueOnce(null);
+      const res = await request(app).post("/api/v1/resumes/other/reparse");
+      expect(res.status).toBe(404);
+      expect(resumeService.updateResumeStatus).not.toHaveBeenCalled();
+    });
+  });
 });
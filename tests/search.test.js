@@ -0,0 +1,166 @@
+const request = require("supertest");
+
+jest.mock("../src/services/user-service", () => ({
+  ensureUser: jest.fn(),
+  getUserId: jest.fn(),
+}));
+
+jest.mock("../src/services/search-service", () => ({
+  search: jest.fn(),
+}));
+
+const { buildApp } = require("../src/app");
+const db = require("../src/db");
+const userService = require("../src/services/user-service");
+const searchService = require("../src/services/search-service");
+const { tokenize, parseSearchQuery, buildSnippet, search, indexJob } =
+  jest.requireActual("../src/services/search-service");
+
+const JOB_ID = "5d1f0a2c-8b44-4e1a-9f7e-2c3b4a5d6e7f";
+
+describe("Search route", () => {
+  let app;
+
+  beforeEach(() => {
+    app = buildApp();
+    userService.getUserId.mockResolvedValue("user-1");
+    searchService.search.mockResolvedValue({ jobs: [], resumes: [] });
+  });
+
+  it("returns grouped results for the current user", async () => {
+    searchService.search.mockResolvedValue({
+      jobs: [{ id: JOB_ID, title: "Data Engineer", score: 9 }],
+      resumes: [],
+    });
+    const res = await request(app)
+      .get("/api/v1/search")
+      .query({ q: " python spark ", limit: "5" });
+    expect(res.status).toBe(200);
+    expect(searchService.search).toHaveBeenCalledWith(
+      "user-1",
+      "python spark",
+      { limit: 5 }
+    );
+    expect(res.body).toEqual({
+      q: "python spark",
+      groups: {
+        jobs: [{ id: JOB_ID, title: "Data Engineer", score: 9 }],
+        resumes: [],
+      },
+    });
+  });
+
+  it("rejects a missing or oversized query", async () => {
+    const missing = await request(app).get("/api/v1/search").query({ q: " " });
+    expect(missing.status).toBe(400);
+    expect(missing.body).toHaveProperty("error", "q_required");
+    const tooLong = await request(app)
+      .get("/api/v1/search")
+      .query({ q: "x".repeat(201) });
+    expect(tooLong.status).toBe(400);
+    expect(tooLong.body).toHaveProperty("error", "q_too_long");
+    const badLimit = await request(app)
+      .get("/api/v1/search")
+      .query({ q: "go", limit: "500" });
+    expect(badLimit.status).toBe(400);
+    expect(badLimit.body).toHaveProperty("error", "invalid_limit");
+    expect(searchService.search).not.toHaveBeenCalled();
+  });
+
+  it("returns empty groups for users without a local record", async () => {
+    userService.getUserId.mockResolvedValue(null);
+    const res = await request(app).get("/api/v1/search").query({ q: "sql" });
+    expect(res.status).toBe(200);
+    expect(res.body.groups).toEqual({ jobs: [], resumes: [] });
+    expect(searchService.search).not.toHaveBeenCalled();
+  });
+});
+
+describe("Search service", () => {
+  it("tokenizes tech terms, strips diacritics and stop words", () => {
+    expect(
+      tokenize("Senior C++ / C# and Node.js developer, São Paulo.")
+    ).toEqual(["senior", "c++", "c#", "node.js", "developer", "sao", "paulo"]);
+  });
+
+  it("prefix-matches the last query word (search as you type)", () => {
+    expect(parseSearchQuery("python spa")).toEqual({
+      terms: ["python", "spa"],
+      prefix: "spa",
+    });
+    expect(parseSearchQuery("python r").prefix).toBeNull();
+  });
+
+  it("builds a snippet around the first hit", () => {
+    const text = `${"lorem ".repeat(40)}Kafka pipelines${" ipsum".repeat(40)}`;
+    const snippet = buildSnippet(text, ["kafka"]);
+    expect(snippet).toContain("Kafka pipelines");
+    expect(snippet.startsWith("…")).toBe(true);
+    expect(snippet.endsWith("…")).toBe(true);
+  });
+
+  it("rebuilds a job's terms with field weights", async () => {
+    db.query
+      .mockResolvedValueOnce({
+        rows: [
+          {
+            user_id: "user-1",
+            title: "Data Engineer",
+            raw_text: "Spark spark SQL",
+            is_deleted: 0,
+          },
+        ],
+      })
+      .mockResolvedValueOnce({
+        rows: [{ id: "req-1", job_id: JOB_ID, skill: "Apache Spark" }],
+      });
+    await indexJob(JOB_ID);
+    expect(db.query).toHaveBeenCalledWith(
+      "DELETE FROM search_terms WHERE entity_type = $1 AND entity_id = $2",
+      ["job", JOB_ID]
+    );
+    const rows = db.bulkInsert.mock.calls[0][3];
+    expect(rows).toEqual(
+      expect.arrayContaining([
+        ["user-1", "job", JOB_ID, "data", "title", 5],
+        ["user-1", "job", JOB_ID, "spark", "text", 2],
+        ["user-1", "job", JOB_ID, "spark", "skill", 4],
+      ])
+    );
+  });
+
+  it("ranks hits then drops rows that are no longer visible", async () => {
+    db.query
+      .mockResolvedValueOnce({
+        rows: [
+          { entity_id: JOB_ID, score: 9, matched: 2 },
+          { entity_id: "deleted-job", score: 4, matched: 1 },
+        ],
+      })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({
+        rows: [
+          {
+            id: JOB_ID,
+            title: "Data Engineer",
+            status: "ready",
+            raw_text: "We build Spark pipelines",
+          },
+        ],
+      })
+      .mockResolvedValueOnce({ rows: [{ job_id: JOB_ID, skill: "Spark" }] });
+    const result = await search("user-1", "spark pipe");
+    const [hitsSql, hitsParams] = db.query.mock.calls[0];
+    expect(hitsSql).toContain("term IN ($3)");
+    expect(hitsSql).toContain("term LIKE $4");
+    expect(hitsParams).toEqual(["user-1", "job", "spark", "pipe%"]);
+    expect(result.resumes).toEqual([]);
+    expect(result.jobs).toHaveLength(1);
+    expect(result.jobs[0]).toMatchObject({
+      id: JOB_ID,
+      score: 9,
+      snippet: "We build Spark pipelines",
+      matchedSkills: ["Spark"],
+    });
+  });
+});
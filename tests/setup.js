@@ -18,28 +18,67 @@ jest.mock("mssql", () => {
   };
 });
 
-jest.mock("../src/db", () => ({
-  query: jest.fn(async () => ({ rows: [] })),
-  bootstrapDatabase: jest.fn(),
-  poolPromise: Promise.resolve({
-    request: () => ({
-      query: async () => ({ recordset: [] }),
-      batch: async () => ({}),
+jest.mock("../src/db", () => {
+  const query = jest.fn(async () => ({ rows: [] }));
+  return {
+    query,
+    // Runs fn against the shared query mock; afterCommit hooks fire immediately.
+    withTransaction: jest.fn(async (fn) =>
+      fn({ query, batch: jest.fn(), afterCommit: (hook) => hook() })
+    ),
+    bulkInsert: jest.fn(async (executor, table, columns, rows) => rows.length),
+    insertIfAbsent: jest.fn(),
+    dialect: {
+      name: "mssql",
+      now: "SYSUTCDATETIME()",
+      newId: "NEWID()",
+      selectForUpdateSql: ({ table, columns, where }) =>
+        `SELECT ${columns.join(
+          ", "
+        )} FROM ${table} WITH (UPDLOCK, ROWLOCK) WHERE ${where}`,
+    },
+    bootstrapDatabase: jest.fn(),
+    closePool: jest.fn(),
+    poolPromise: Promise.resolve({
+      request: () => ({
+        query: async () => ({ recordset: [] }),
+        batch: async () => ({}),
+      }),
     }),
-  }),
-  sql: {},
-}));
+    sql: {},
+  };
+});
 
 jest.mock("../src/queues", () => {
   const queues = {
     parseResume: { add: jest.fn() },
     parseJob: { add: jest.fn() },
-    computeMatch: { add: jest.fn() },
+    computeMatch: { add: jest.fn(), addBulk: jest.fn() },
+  };
+  return {
+    queues,
+    startWorkers: jest.fn(),
+    closeWorkers: jest.fn(async () => ({ drained: true })),
+    closeQueueConnections: jest.fn(),
   };
-  return { queues, startWorkers: jest.fn() };
 });
 
 jest.mock("../src/utils/storage", () => ({
+  getStorageDriver: jest.fn(),
+  setStorageDriver: jest.fn(),
+  putObject: jest.fn().mockResolvedValue(),
+  // Drain the upload stream so multer can finish parsing the request.
+  putObjectStream: jest.fn(async (key, stream) => {
+    for await (const _chunk of stream) {
+    }
+    return key;
+  }),
+  getObjectBytes: jest.fn(),
+  deleteObject: jest.fn().mockResolvedValue(),
+  statObject: jest.fn(),
+  getObjectStream: jest.fn(),
+  supportsSignedUrls: jest.fn(() => false),
+  getSignedDownloadUrl: jest.fn(),
   ensureStorageStructure: jest.fn(),
   getResumePath: jest.fn((id, ext) => `/tmp/${id}${ext}`),
   getJobPath: jest.fn((id, ext) => `/tmp/${id}${ext}`),
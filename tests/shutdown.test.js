@@ -0,0 +1,112 @@
+// Shutdown coordinator tests: step ordering, failure isolation, deadline, idempotency, signals, HTTP drain.
+const http = require("http");
+const { EventEmitter } = require("events");
+const {
+  createShutdown,
+  installSignalHandlers,
+  closeHttpServer,
+} = require("../src/shutdown");
+
+describe("Shutdown coordinator", () => {
+  it("runs steps in registration order with the reason", async () => {
+    const calls = [];
+    const shutdown = createShutdown({ timeoutMs: 1000 });
+    shutdown.add("http", ({ reason }) => calls.push(`http:${reason}`));
+    shutdown.add("workers", async () => calls.push("workers"));
+    shutdown.add("sql", () => calls.push("sql"));
+    await expect(shutdown.run("SIGTERM")).resolves.toEqual({
+      reason: "SIGTERM",
+      failed: [],
+    });
+    expect(calls).toEqual(["http:SIGTERM", "workers", "sql"]);
+  });
+
+  it("keeps going after a failing step and reports it", async () => {
+    const sql = jest.fn();
+    const shutdown = createShutdown({ timeoutMs: 1000 });
+    shutdown.add("redis", async () => {
+      throw new Error("ECONNRESET");
+    });
+    shutdown.add("sql", sql);
+    const { failed } = await shutdown.run();
+    expect(failed).toEqual(["redis"]);
+    expect(sql).toHaveBeenCalled();
+  });
+
+  it("abandons a step still running at the deadline", async () => {
+    const sql = jest.fn();
+    const shutdown = createShutdown({ timeoutMs: 20 });
+    shutdown.add("workers", () => new Promise(() => {}));
+    shutdown.add("sql", sql);
+    const { failed } = await shutdown.run();
+    expect(failed).toEqual(["workers"]);
+    expect(sql).toHaveBeenCalled();
+  });
+
+  it("runs only once when triggered repeatedly", async () => {
+    const step = jest.fn();
+    const shutdown = createShutdown({ timeoutMs: 1000 });
+    shutdown.add("only", step);
+    const first = shutdown.run("SIGTERM");
+    expect(shutdown.run("SIGINT")).toBe(first);
+    await first;
+    expect(step).toHaveBeenCalledTimes(1);
+  });
+
+  it("exits after SIGTERM and forces exit on a second signal", async () => {
+    const proc = Object.assign(new EventEmitter(), { exit: jest.fn() });
+    let finish;
+    const shutdown = {
+      run: jest.fn(
+        () => new Promise((resolve) => (finish = () => resolve({ failed: [] })))
+      ),
+    };
+    installSignalHandlers(shutdown, proc);
+    proc.emit("SIGTERM", "SIGTERM");
+    expect(shutdown.run).toHaveBeenCalledWith("SIGTERM");
+    proc.emit("SIGINT", "SIGINT");
+    expect(proc.exit).toHaveBeenCalledWith(1);
+    finish();
+    await new Promise(setImmediate);
+    expect(proc.exit).toHaveBeenLastCalledWith(0);
+  });
+});
+
+describe("closeHttpServer", () => {
+  const listen = (handler) =>
+    new Promise((resolve) => {
+      const server = http.createServer(handler);
+      server.listen(0, () => resolve(server));
+    });
+  const get = (server) =>
+    new Promise((resolve) => {
+      http
+        .get(`http://127.0.0.1:${server.address().port}/`, (res) => {
+          res.resume();
+          res.on("end", () => resolve(res.statusCode));
+        })
+        .on("error", (e) => resolve(e.code));
+    });
+
+  it("lets in-flight requests finish", async () => {
+    let respond;
+    const server = await listen((req, res) => {
+      respond = () => res.end("ok");
+    });
+    const pending = get(server);
+    await new Promise((r) => setTimeout(r, 20));
+    const closed = closeHttpServer(server, 1000);
+    respond();
+    await expect(pending).resolves.toBe(200);
+    await closed;
+    expect(server.listening).toBe(false);
+  });
+
+  it("drops requests still running after the timeout", async () => {
+    const server = await listen(() => {});
+    const pending = get(server);
+    await new Promise((r) => setTimeout(r, 20));
+    await closeHttpServer(server, 10);
+    await expect(pending).resolves.toBe("ECONNRESET");
+  });
+});
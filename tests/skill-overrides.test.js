@@ -0,0 +1,389 @@
+// Skill override tests: layering rules, the CRUD endpoints and edits surviving a reparse.
+const request = require("supertest");
+
+jest.mock("../src/services/user-service", () => ({
+  ensureUser: jest.fn(),
+  getUserId: jest.fn(),
+}));
+
+jest.mock("../src/services/resume-service", () => ({
+  getResumeForUser: jest.fn(),
+}));
+
+jest.mock("../src/services/job-service", () => ({
+  getJobForUser: jest.fn(),
+}));
+
+const db = require("../src/db");
+const { buildApp } = require("../src/app");
+const userService = require("../src/services/user-service");
+const resumeService = require("../src/services/resume-service");
+const jobService = require("../src/services/job-service");
+const {
+  applyOverrides,
+  listEffectiveSkills,
+} = require("../src/services/skill-override-service");
+
+// In-memory parsed + override tables behind the db.query mock.
+function fakeStore(parsedTable, overrideTable, ownerColumn, weights) {
+  const store = { parsed: [], overrides: [] };
+  db.query.mockImplementation(async (text, params = []) => {
+    if (text.includes(`FROM ${parsedTable}`)) return { rows: store.parsed };
+    if (text.includes(`DELETE FROM ${overrideTable}`)) {
+      store.overrides = store.overrides.filter(
+        (o) => o.skill_key !== params[1]
+      );
+    } else if (text.includes(`INSERT INTO ${overrideTable}`)) {
+      const [owner, skill_key, action, skill, ...values] = params;
+      const row = { id: `o-${store.overrides.length + 1}`, skill_key };
+      row[ownerColumn] = owner;
+      Object.assign(row, { action, skill, created_at: new Date() });
+      weights.forEach((column, index) => (row[column] = values[index]));
+      store.overrides.push(row);
+    } else if (text.includes(`FROM ${overrideTable}`)) {
+      const rows = text.includes("skill_key = $2")
+        ? store.overrides.filter((o) => o.skill_key === params[1])
+        : store.overrides;
+      return { rows };
+    }
+    return { rows: [] };
+  });
+  return store;
+}
+
+afterEach(() => db.query.mockImplementation(async () => ({ rows: [] })));
+
+describe("applyOverrides", () => {
+  const parsed = [
+    { id: "s1", skill: "JS", experience_years: 2, proficiency: "0.50" },
+    { id: "s2", skill: "Go", experience_years: 1, proficiency: null },
+    { id: "s3", skill: "SQL", experience_years: 5, proficiency: "0.80" },
+  ];
+
+  it("tags provenance, renames in place, hides removals and appends additions", () => {
+    const effective = applyOverrides("resume", parsed, [
+      {
+        skill_key: "js",
+        action: "edit",
+        skill: "JavaScript",
+        proficiency: 0.9,
+      },
+      { skill_key: "go", action: "remove" },
+      { id: "o3", skill_key: "rust", action: "add", skill: "Rust" },
+      { skill_key: "perl", action: "edit", skill: "Perl 5" }, // Not parsed: dormant.
+    ]);
+    expect(effective).toEqual([
+      {
+        id: "s1",
+        skill: "JavaScript",
+        experience_years: 2,
+        proficiency: 0.9,
+        provenance: "user",
+        original: {
+          skill: "JS",
+          provenance: "parsed",
+          experience_years: 2,
+          proficiency: "0.50",
+        },
+      },
+      { ...parsed[2], provenance: "parsed" },
+      {
+        id: "o3",
+        skill: "Rust",
+        experience_years: null,
+        proficiency: null,
+        provenance: "user",
+      },
+    ]);
+  });
+
+  it("marks enriched requirements inferred and an edited one explicit", () => {
+    const effective = applyOverrides(
+      "job",
+      [
+        { id: "r1", skill: "Go", importance: "0.90", inferred: 0 },
+        { id: "r2", skill: "Linux", importance: "0.40", inferred: 1 },
+        { id: "r3", skill: "Docker", importance: "0.60", inferred: 1 },
+      ],
+      [{ skill_key: "linux", action: "edit", skill: null, importance: 0.8 }]
+    );
+    expect(
+      effective.map((r) => [r.skill, r.provenance, !!r.inferred, r.importance])
+    ).toEqual([
+      ["Go", "parsed", false, "0.90"],
+      ["Linux", "user", false, 0.8],
+      ["Docker", "inferred", true, "0.60"],
+    ]);
+  });
+});
+
+describe("/api/v1/resumes/:id/skills", () => {
+  let app;
+  let store;
+
+  beforeEach(() => {
+    app = buildApp();
+    userService.getUserId.mockResolvedValue("user-1");
+    resumeService.getResumeForUser.mockImplementation(async (id) =>
+      id === "r1"
+        ? {
+            id,
+            status: "ready",
+            skills: await listEffectiveSkills("resume", id),
+          }
+        : null
+    );
+    store = fakeStore(
+      "candidate_skills",
+      "resume_skill_overrides",
+      "resume_id",
+      ["experience_years", "proficiency"]
+    );
+    store.parsed = [
+      {
+        id: "s1",
+        resume_id: "r1",
+        skill: "JS",
+        experience_years: 2,
+        proficiency: 0.5,
+      },
+      {
+        id: "s2",
+        resume_id: "r1",
+        skill: "Go",
+        experience_years: 1,
+        proficiency: null,
+      },
+    ];
+  });
+
+  it("renames and re-weights a parsed skill, marking matches stale", async () => {
+    const res = await request(app)
+      .patch("/api/v1/resumes/r1/skills/js")
+      .send({ skill: "JavaScript", experienceYears: 4 });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      id: "s1",
+      skill: "JavaScript",
+      experience_years: 4,
+      proficiency: 0.5,
+      provenance: "user",
+      original: { skill: "JS", provenance: "parsed", experience_years: 2 },
+    });
+    expect(store.overrides).toMatchObject([
+      {
+        skill_key: "js",
+        action: "edit",
+        skill: "JavaScript",
+        experience_years: 4,
+      },
+    ]);
+    const statements = db.query.mock.calls.map(([text]) => text);
+    expect(statements).toContain(
+      "UPDATE resumes SET skills_version = skills_version + 1 WHERE id = $1"
+    );
+
+    // A later weight-only edit keeps the rename.
+    await request(app)
+      .patch("/api/v1/resumes/r1/skills/JavaScript")
+      .send({ proficiency: 0.7 });
+    expect(store.overrides).toMatchObject([
+      {
+        skill_key: "js",
+        skill: "JavaScript",
+        experience_years: 4,
+        proficiency: 0.7,
+      },
+    ]);
+  });
+
+  it("keeps manual edits across a reparse and exposes provenance on GET", async () => {
+    await request(app)
+      .patch("/api/v1/resumes/r1/skills/JS")
+      .send({ skill: "JavaScript" });
+    await request(app).delete("/api/v1/resumes/r1/skills/Go").expect(204);
+    await request(app)
+      .post("/api/v1/resumes/r1/skills")
+      .send({ skill: "Rust", proficiency: 0.6 })
+      .expect(201);
+
+    // Reparse: fresh parsed rows (new ids and values) replace the old ones.
+    store.parsed = [
+      {
+        id: "s7",
+        resume_id: "r1",
+        skill: "js",
+        experience_years: 3,
+        proficiency: 0.6,
+      },
+      {
+        id: "s8",
+        resume_id: "r1",
+        skill: "Go",
+        experience_years: 2,
+        proficiency: null,
+      },
+      {
+        id: "s9",
+        resume_id: "r1",
+        skill: "Kafka",
+        experience_years: 1,
+        proficiency: null,
+      },
+    ];
+    const res = await request(app).get("/api/v1/resumes/r1");
+    expect(res.status).toBe(200);
+    expect(res.body.skills.map((s) => [s.skill, s.provenance])).toEqual([
+      ["JavaScript", "user"],
+      ["Kafka", "parsed"],
+      ["Rust", "user"],
+    ]);
+    expect(res.body.skills[0]).toMatchObject({ id: "s7", experience_years: 3 });
+  });
+
+  it("re-adds a removed parsed skill and deletes a user addition outright", async () => {
+    await request(app).delete("/api/v1/resumes/r1/skills/go").expect(204);
+    expect(store.overrides).toMatchObject([
+      { skill_key: "go", action: "remove" },
+    ]);
+    const readded = await request(app)
+      .post("/api/v1/resumes/r1/skills")
+      .send({ skill: "Go", experienceYears: 3 });
+    expect(readded.status).toBe(201);
+    expect(readded.body).toMatchObject({
+      id: "s2",
+      experience_years: 3,
+      provenance: "user",
+    });
+
+    await request(app)
+      .post("/api/v1/resumes/r1/skills")
+      .send({ skill: "Rust" });
+    await request(app)
+      .patch("/api/v1/resumes/r1/skills/rust")
+      .send({ skill: "Rust lang" })
+      .expect(200);
+    expect(store.overrides.map((o) => o.skill_key)).toEqual([
+      "go",
+      "rust lang",
+    ]);
+    await request(app)
+      .delete("/api/v1/resumes/r1/skills/Rust%20lang")
+      .expect(204);
+    expect(store.overrides.map((o) => o.skill_key)).toEqual(["go"]);
+  });
+
+  it("validates bodies and reports conflicts", async () => {
+    const cases = [
+      [
+        "post",
+        "/api/v1/resumes/r1/skills",
+        { skill: " " },
+        400,
+        "invalid_skill",
+      ],
+      [
+        "post",
+        "/api/v1/resumes/r1/skills",
+        { skill: "Rust", experienceYears: 1.5 },
+        400,
+        "invalid_experienceYears",
+      ],
+      [
+        "post",
+        "/api/v1/resumes/r1/skills",
+        { skill: "go" },
+        409,
+        "skill_exists",
+      ],
+      ["patch", "/api/v1/resumes/r1/skills/JS", {}, 400, "no_changes"],
+      [
+        "patch",
+        "/api/v1/resumes/r1/skills/JS",
+        { skill: "GO" },
+        409,
+        "skill_exists",
+      ],
+      [
+        "patch",
+        "/api/v1/resumes/r1/skills/Perl",
+        { proficiency: 0.3 },
+        404,
+        "skill_not_found",
+      ],
+      [
+        "post",
+        "/api/v1/resumes/r2/skills",
+        { skill: "Rust" },
+        404,
+        "not_found",
+      ],
+    ];
+    for (const [method, url, body, status, error] of cases) {
+      const res = await request(app)[method](url).send(body);
+      expect([res.status, res.body.error]).toEqual([status, error]);
+    }
+    expect(db.withTransaction).not.toHaveBeenCalled();
+  });
+});
+
+describe("/api/v1/jobs/:id/requirements", () => {
+  let app;
+  let store;
+
+  beforeEach(() => {
+    app = buildApp();
+    userService.getUserId.mockResolvedValue("user-1");
+    jobService.getJobForUser.mockImplementation(async (id) => ({
+      id,
+      status: "ready",
+      requirements: await listEffectiveSkills("job", id),
+      soft_skills: [],
+    }));
+    store = fakeStore("requirements", "requirement_overrides", "job_id", [
+      "importance",
+    ]);
+    store.parsed = [
+      { id: "q1", job_id: "j1", skill: "Go", importance: "0.90", inferred: 0 },
+      {
+        id: "q2",
+        job_id: "j1",
+        skill: "Linux",
+        importance: "0.40",
+        inferred: 1,
+      },
+    ];
+  });
+
+  it("re-weights an inferred requirement into an explicit one and re-sorts", async () => {
+    const res = await request(app)
+      .patch("/api/v1/jobs/j1/requirements/linux")
+      .send({ importance: 1 });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      skill: "Linux",
+      importance: 1,
+      inferred: false,
+      provenance: "user",
+      original: { provenance: "inferred", importance: "0.40" },
+    });
+    expect(db.query.mock.calls.map(([text]) => text)).toContain(
+      "UPDATE job_descriptions SET requirements_version = requirements_version + 1 WHERE id = $1"
+    );
+    const detail = await request(app).get("/api/v1/jobs/j1");
+    expect(
+      detail.body.requirements.map((r) => [r.skill, r.provenance])
+    ).toEqual([
+      ["Linux", "user"],
+      ["Go", "parsed"],
+    ]);
+  });
+
+  it("rejects importance outside 0..1", async () => {
+    const res = await request(app)
+      .post("/api/v1/jobs/j1/requirements")
+      .send({ skill: "Kubernetes", importance: 2 });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe("invalid_importance");
+  });
+});
@@ -50,20 +50,23 @@ describe("Soft delete behavior", () => {
     });
 
     it("List excludes deleted items (service already filtered)", async () => {
-      jobService.listJobs.mockResolvedValue([
-        {
-          id: "active-job",
-          title: "Active",
-          status: "ready",
-          source: "text",
-          created_at: "2024-01-01",
-          updated_at: "2024-01-01",
-        },
-      ]);
+      jobService.listJobs.mockResolvedValue({
+        items: [
+          {
+            id: "active-job",
+            title: "Active",
+            status: "ready",
+            source: "text",
+            created_at: "2024-01-01",
+            updated_at: "2024-01-01",
+          },
+        ],
+        nextCursor: null,
+      });
       const res = await request(app).get("/api/v1/jobs");
       expect(res.status).toBe(200);
-      expect(res.body).toHaveLength(1);
-      expect(res.body[0].id).toBe("active-job");
+      expect(res.body.items).toHaveLength(1);
+      expect(res.body.items[0].id).toBe("active-job");
     });
   });
 
@@ -82,20 +85,23 @@ describe("Soft delete behavior", () => {
     });
 
     it("List excludes deleted items (service already filtered)", async () => {
-      resumeService.listResumes.mockResolvedValue([
-        {
-          id: "active-resume",
-          filename: "cv.pdf",
-          mime_type: "application/pdf",
-          status: "ready",
-          created_at: "2024-01-01",
-          updated_at: "2024-01-01",
-        },
-      ]);
+      resumeService.listResumes.mockResolvedValue({
+        items: [
+          {
+            id: "active-resume",
+            filename: "cv.pdf",
+            mime_type: "application/pdf",
+            status: "ready",
+            created_at: "2024-01-01",
+            updated_at: "2024-01-01",
+          },
+        ],
+        nextCursor: null,
+      });
       const res = await request(app).get("/api/v1/resumes");
       expect(res.status).toBe(200);
-      expect(res.body).toHaveLength(1);
-      expect(res.body[0].id).toBe("active-resume");
+      expect(res.body.items).toHaveLength(1);
+      expect(res.body.items[0].id).toBe("active-resume");
     });
   });
 });
@@ -0,0 +1,104 @@
+// Stale match tests: input versions on parse/match writes, ?stale filtering and automatic re-matching.
+const db = require("../src/db");
+const { queues } = require("../src/queues");
+const {
+  listMatchJobs,
+  insertMatchResult,
+  listRematchPairs,
+} = require("../src/services/match-service");
+const { replaceResumeSkills } = require("../src/services/resume-service");
+const { replaceJobRequirements } = require("../src/services/job-service");
+const { enqueueRematches } = require("../src/workers");
+const { parseListQuery } = require("../src/utils/pagination");
+const { LIST_SPECS } = require("../src/middleware/list-query");
+
+const RESUME_ID = "2c9d1e6a-7b1f-4d2e-9a3c-6f5e4d3c2b1a";
+const JOB_ID = "5d1f0a2c-8b44-4e1a-9f7e-2c3b4a5d6e7f";
+
+const listQuery = (query) => parseListQuery(query, LIST_SPECS.matches).value;
+
+describe("Match input versions", () => {
+  it("bumps the version whenever parsed skills or requirements are replaced", async () => {
+    await replaceResumeSkills(RESUME_ID, [{ skill: "sql" }]);
+    await replaceJobRequirements(JOB_ID, [{ skill: "sql", importance: 1 }]);
+    const statements = db.query.mock.calls.map(([text]) => text);
+    expect(statements).toContain(
+      "UPDATE resumes SET skills_version = skills_version + 1 WHERE id = $1"
+    );
+    expect(statements).toContain(
+      "UPDATE job_descriptions SET requirements_version = requirements_version + 1 WHERE id = $1"
+    );
+  });
+
+  it("records the versions a match was computed from", async () => {
+    await insertMatchResult({
+      userId: "user-1",
+      resumeId: RESUME_ID,
+      jobId: JOB_ID,
+      score: 0.8,
+      summary: {},
+      resumeVersion: 3,
+      jobVersion: 2,
+    });
+    const [text, params] = db.query.mock.calls[0];
+    expect(text).toContain("resume_skills_version, job_requirements_version");
+    expect(params.slice(6, 8)).toEqual([3, 2]);
+  });
+});
+
+describe("GET /matches?stale", () => {
+  it("filters on the attached result and returns a boolean flag", async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ id: "m1", is_stale: 1 }] });
+    const page = await listMatchJobs("user-1", listQuery({ stale: "true" }));
+    const [text] = db.query.mock.calls[0];
+    expect(text).toMatch(
+      /WHERE user_id = \$1 AND EXISTS \(SELECT 1 FROM matches m WHERE m\.id = match_jobs\.result_id/
+    );
+    expect(text).toContain(
+      "m.resume_skills_version < (SELECT r.skills_version"
+    );
+    expect(page.items).toEqual([{ id: "m1", is_stale: true }]);
+  });
+
+  it("excludes stale results with stale=false and ignores the flag when absent", async () => {
+    await listMatchJobs("user-1", listQuery({ stale: "false" }));
+    await listMatchJobs("user-1", listQuery({}));
+    const [withFlag, without] = db.query.mock.calls.map(([text]) => text);
+    expect(withFlag).toContain("AND NOT EXISTS (SELECT 1 FROM matches m");
+    expect(without).toMatch(/WHERE user_id = \$1\s+ORDER BY/);
+  });
+});
+
+describe("Automatic re-matching", () => {
+  afterEach(() => db.query.mockImplementation(async () => ({ rows: [] })));
+
+  it("only considers ready counterparts without a fresh or in-flight match", async () => {
+    await listRematchPairs({ resumeId: RESUME_ID });
+    const [text, params] = db.query.mock.calls[0];
+    expect(text).toContain("JOIN job_descriptions o ON o.id = m.job_id");
+    expect(text).toContain("o.is_deleted = 0 AND o.status = 'ready'");
+    expect(text).toContain("mj.status IN ('queued', 'running')");
+    expect(params).toEqual([RESUME_ID]);
+  });
+
+  it("creates and enqueues a match job per stale pair", async () => {
+    db.query.mockImplementation(async (text) =>
+      text.includes("SELECT DISTINCT")
+        ? { rows: [{ resume_id: RESUME_ID, job_id: JOB_ID, user_id: "u1" }] }
+        : { rows: [{ id: "mj-1", status: "queued" }] }
+    );
+    await expect(enqueueRematches({ jobId: JOB_ID })).resolves.toBe(1);
+    expect(queues.computeMatch.add).toHaveBeenCalledWith("computeMatch", {
+      matchJobId: expect.any(String),
+      resumeId: RESUME_ID,
+      jobId: JOB_ID,
+      userId: "u1",
+    });
+  });
+
+  it("logs instead of failing the parse when queueing re-matches fails", async () => {
+    db.query.mockRejectedValueOnce(new Error("db down"));
+    await expect(enqueueRematches({ resumeId: RESUME_ID })).resolves.toBe(0);
+    expect(queues.computeMatch.add).not.toHaveBeenCalled();
+  });
+});
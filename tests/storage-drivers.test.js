@@ -0,0 +1,53 @@
+// Storage driver tests: local disk + in-memory drivers honour the shared put/get/delete contract.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../src/config");
+
+const storage = jest.requireActual("../src/utils/storage");
+const localStorage = require("../src/utils/local-storage");
+const memoryStorage = require("../src/utils/memory-storage");
+
+describe("Storage drivers", () => {
+  const originalStorage = { ...config.storage };
+  let tmpRoot;
+
+  beforeEach(() => {
+    tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), "layer1-storage-"));
+    config.storage.localRoot = tmpRoot;
+  });
+
+  afterEach(() => {
+    Object.assign(config.storage, originalStorage);
+    storage.setStorageDriver(null);
+    memoryStorage.clear();
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+  });
+
+  it("local driver round-trips bytes beneath the storage root", async () => {
+    await localStorage.putObject("resumes/r1.txt", Buffer.from("hello"), "text/plain");
+    expect(fs.existsSync(path.join(tmpRoot, "resumes", "r1.txt"))).toBe(true);
+    const bytes = await localStorage.getObjectBytes("resumes/r1.txt");
+    expect(bytes.toString()).toBe("hello");
+    await localStorage.deleteObject("resumes/r1.txt");
+    await expect(localStorage.getObjectBytes("resumes/r1.txt")).rejects.toThrow();
+  });
+
+  it("local driver rejects keys escaping the storage root", async () => {
+    await expect(
+      localStorage.putObject("../escape.txt", Buffer.from("x"), "text/plain")
+    ).rejects.toThrow("Invalid object key");
+  });
+
+  it("facade resolves the configured driver", async () => {
+    config.storage.driver = "memory";
+    expect(storage.getStorageDriver().name).toBe("memory");
+    await storage.putObject("jobs/j1.txt", Buffer.from("job"), "text/plain");
+    expect((await storage.getObjectBytes("jobs/j1.txt")).toString()).toBe("job");
+  });
+
+  it("facade throws on unknown driver names", () => {
+    config.storage.driver = "ftp";
+    expect(() => storage.getStorageDriver()).toThrow("Unknown STORAGE_DRIVER");
+  });
+});
@@ -0,0 +1,114 @@
+// Transaction helper tests: commit/rollback semantics and set-based bulk inserts (mssql mocked).
+const mockStatements = [];
+const mockTransactions = [];
+
+jest.mock("mssql", () => {
+  class Transaction {
+    constructor() {
+      this.state = "new";
+      mockTransactions.push(this);
+    }
+    async begin() {
+      this.state = "open";
+    }
+    async commit() {
+      this.state = "committed";
+    }
+    async rollback() {
+      this.state = "rolled_back";
+    }
+  }
+  class Request {
+    constructor(parent) {
+      this.parent = parent;
+      this.inputs = {};
+    }
+    input(name, value) {
+      this.inputs[name] = value;
+      return this;
+    }
+    async query(text) {
+      mockStatements.push({ text, inputs: this.inputs, parent: this.parent });
+      return { recordset: [] };
+    }
+  }
+  return {
+    Transaction,
+    Request,
+    connect: jest.fn(async () => ({ request: () => new Request(null) })),
+  };
+});
+
+const db = jest.requireActual("../src/db");
+
+describe("withTransaction + bulkInsert", () => {
+  beforeEach(() => {
+    mockStatements.length = 0;
+    mockTransactions.length = 0;
+  });
+
+  it("commits and runs afterCommit hooks once fn resolves", async () => {
+    const hook = jest.fn();
+    const result = await db.withTransaction(async (tx) => {
+      await tx.query("DELETE FROM candidate_skills WHERE resume_id = $1", [
+        "r1",
+      ]);
+      tx.afterCommit(hook);
+      expect(hook).not.toHaveBeenCalled();
+      return "done";
+    });
+    expect(result).toBe("done");
+    expect(mockTransactions[0].state).toBe("committed");
+    expect(hook).toHaveBeenCalledTimes(1);
+    expect(mockStatements[0].parent).toBe(mockTransactions[0]);
+    expect(mockStatements[0].text).toContain("resume_id = @p0");
+  });
+
+  it("rolls back, skips hooks and rethrows when fn fails", async () => {
+    const hook = jest.fn();
+    await expect(
+      db.withTransaction(async (tx) => {
+        tx.afterCommit(hook);
+        throw new Error("boom");
+      })
+    ).rejects.toThrow("boom");
+    expect(mockTransactions[0].state).toBe("rolled_back");
+    expect(hook).not.toHaveBeenCalled();
+  });
+
+  it("inserts all rows in one statement with literal columns appended", async () => {
+    const count = await db.bulkInsert(
+      db,
+      "requirements",
+      ["job_id", "skill"],
+      [
+        ["j1", "python"],
+        ["j1", "sql"],
+      ],
+      { id: "NEWID()" }
+    );
+    expect(count).toBe(2);
+    expect(mockStatements).toHaveLength(1);
+    expect(mockStatements[0].text).toBe(
+      "INSERT INTO requirements (job_id, skill, id) VALUES (@p0,@p1,NEWID()),(@p2,@p3,NEWID())"
+    );
+    expect(mockStatements[0].inputs).toEqual({
+      p0: "j1",
+      p1: "python",
+      p2: "j1",
+      p3: "sql",
+    });
+  });
+
+  it("chunks large inputs under the SQL Server parameter limit", async () => {
+    const rows = Array.from({ length: 1500 }, (_, i) => ["j1", `s${i}`]);
+    await db.bulkInsert(db, "requirements", ["job_id", "skill"], rows);
+    expect(mockStatements).toHaveLength(2);
+    expect(Object.keys(mockStatements[0].inputs)).toHaveLength(2000);
+  });
+
+  it("skips the round trip for empty input", async () => {
+    await db.bulkInsert(db, "requirements", ["job_id", "skill"], []);
+    expect(mockStatements).toHaveLength(0);
+  });
+});